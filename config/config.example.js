@@ -18,7 +18,15 @@ module.exports = {
     logo: '/assets/clarity-logo.png',
     website: 'https://clarity.de',
     supportEmail: 'soporte@clarity.de',
-    supportPhone: '+49 123 456 789'
+    supportPhone: '+49 123 456 789',
+    // Colores del chat embebible (/widget.js); por defecto los de css/styles.css
+    theme: {
+      primaryColor: '#22c55e',
+      backgroundColor: '#162733',
+      surfaceColor: '#203646',
+      textColor: '#e9f1f6',
+      mutedColor: '#a9c0cf'
+    }
   },
 
   // Configuración del bot
@@ -33,7 +41,8 @@ module.exports = {
     supportedLanguages: ['es', 'de', 'en'],
     defaultLanguage: 'es',
     sessionTimeout: 1800000, // 30 minutos en milliseconds
-    maxRetries: 3
+    maxRetries: 3,
+    maxQuickReplies: 10 // WhatsApp admite como máximo 10 filas en un mensaje de lista
   },
 
   // Configuración de horarios y citas
@@ -47,29 +56,140 @@ module.exports = {
       5: ['09:00', '11:00', '13:00', '15:00'],         // Viernes
       6: ['09:00', '11:00', '13:00']                   // Sábado
     },
-    slotDuration: 120, // Duración en minutos
+    slotDuration: 120, // Duración en minutos (tipos sin duración propia)
+    // Tipos de cita: duración en minutos y habilidad requerida al técnico
+    types: {
+      installation: {
+        duration: 120,
+        skill: 'installation',
+        label: { es: 'Instalación de fibra', de: 'Glasfaser-Installation', en: 'Fiber installation' }
+      },
+      survey: {
+        duration: 60,
+        skill: 'survey',
+        label: { es: 'Visita técnica previa', de: 'Vor-Ort-Begehung', en: 'Site survey' }
+      },
+      repair: {
+        duration: 90,
+        skill: 'repair',
+        label: { es: 'Reparación', de: 'Reparatur', en: 'Repair' }
+      },
+      ont_swap: {
+        duration: 45,
+        skill: 'ont',
+        label: { es: 'Cambio de ONT', de: 'ONT-Tausch', en: 'ONT swap' }
+      },
+      activation: {
+        duration: 60,
+        skill: 'activation',
+        label: { es: 'Activación', de: 'Aktivierung', en: 'Activation' }
+      }
+    },
+    defaultType: 'installation',
+    // Series de visitas enlazadas: cada visita tras la primera con su separación
+    // en días naturales respecto a la anterior
+    series: {
+      fiber_connection: {
+        label: { es: 'Alta de fibra (obra + activación)', de: 'Glasfaseranschluss (Hausanschluss + Aktivierung)', en: 'Fiber connection (civil works + activation)' },
+        visits: [
+          { type: 'installation' },
+          { type: 'activation', minGapDays: 3, maxGapDays: 14 }
+        ]
+      }
+    },
+    // Jornada por defecto de los técnicos ['inicio', 'fin'] (sobrescribible por técnico)
+    defaultWorkingHours: {
+      1: ['08:00', '19:00'],
+      2: ['08:00', '19:00'],
+      3: ['08:00', '19:00'],
+      4: ['08:00', '19:00'],
+      5: ['08:00', '17:00'],
+      6: ['08:00', '15:00']
+    },
     advanceBookingDays: 14, // Días de anticipación máxima
     minAdvanceHours: 24, // Horas mínimas de anticipación
+    holdTtlMinutes: 10, // Reserva temporal del slot mientras el cliente confirma
     timezone: 'Europe/Berlin',
     reminderHours: [24, 2], // Recordatorios 24h y 2h antes
     
     // Política de cancelación
+    cancellationFreeHours: 24, // Después se permite cancelar, pero queda marcada como tardía
     cancellationPolicy: {
       es: 'Cancelación sin coste hasta 24 h antes.',
       de: 'Stornierung kostenfrei bis 24h vorher.',
       en: 'Free cancellation up to 24h before.'
+    },
+    cancellationReasons: {
+      schedule_conflict: { es: 'No puedo a esa hora', de: 'Termin passt nicht', en: 'Time no longer works' },
+      not_needed: { es: 'Ya no lo necesito', de: 'Nicht mehr benötigt', en: 'No longer needed' },
+      provider_change: { es: 'Cambio de proveedor', de: 'Anbieterwechsel', en: 'Switching provider' },
+      other: { es: 'Otro motivo', de: 'Anderer Grund', en: 'Other reason' }
     }
   },
 
-  // Configuración de técnicos
+  // Configuración de técnicos (sin 'skills' el técnico puede atender cualquier tipo)
   technicians: {
-    'CLARITY-01': { name: 'Miguel García', zone: 'PLZ 29xxx', active: true },
-    'CLARITY-02': { name: 'Anna Schmidt', zone: 'PLZ 30xxx', active: true },
-    'CLARITY-03': { name: 'José Rodriguez', zone: 'PLZ 31xxx', active: true },
-    'CLARITY-04': { name: 'Petra Müller', zone: 'PLZ 32xxx', active: true },
-    'CLARITY-05': { name: 'Carlos López', zone: 'PLZ 33xxx', active: true },
-    'CLARITY-06': { name: 'Hans Weber', zone: 'PLZ 34xxx', active: true },
-    'CLARITY-07': { name: 'Sofia Fernández', zone: 'PLZ 29227', active: true }
+    'CLARITY-01': { name: 'Miguel García', zone: 'PLZ 29xxx', active: true, skills: ['installation', 'survey', 'repair', 'ont', 'activation'] },
+    'CLARITY-02': { name: 'Anna Schmidt', zone: 'PLZ 30xxx', active: true, skills: ['installation', 'repair', 'ont', 'activation'] },
+    'CLARITY-03': { name: 'José Rodriguez', zone: 'PLZ 31xxx', active: true, skills: ['installation', 'survey', 'activation'] },
+    'CLARITY-04': { name: 'Petra Müller', zone: 'PLZ 32xxx', active: true, skills: ['installation', 'repair', 'ont'] },
+    'CLARITY-05': { name: 'Carlos López', zone: 'PLZ 33xxx', active: true, skills: ['installation', 'survey', 'repair', 'activation'] },
+    'CLARITY-06': { name: 'Hans Weber', zone: 'PLZ 34xxx', active: true, skills: ['installation', 'ont', 'activation'] },
+    'CLARITY-07': { name: 'Sofia Fernández', zone: 'PLZ 29227', active: true, skills: ['survey', 'repair', 'ont', 'activation'] }
+  },
+
+  // Calendario .ics de suscripción de cada técnico (GET /api/technicians/:id/calendar.ics?token=...)
+  technicianFeeds: {
+    enabled: true,
+    language: 'de',
+    pastDays: 7, // Citas ya pasadas que siguen en el calendario
+    refreshMinutes: 15 // Intervalo de refresco sugerido a la app de calendario
+  },
+
+  // Lista de espera: ofertas automáticas cuando se libera un slot
+  waitlist: {
+    enabled: true,
+    offerTtlMinutes: 30, // Tiempo para aceptar la oferta antes de pasar al siguiente
+    filename: './data/waitlist.json',
+    timeWindows: {
+      morning: ['08:00', '12:00'],
+      afternoon: ['12:00', '16:00'],
+      evening: ['16:00', '20:00']
+    }
+  },
+
+  // Recordatorios (las horas de antelación están en appointments.reminderHours)
+  reminders: {
+    enabled: true,
+    cron: '* * * * *', // Revisión de recordatorios vencidos cada minuto
+    filename: './data/reminders.json'
+  },
+
+  // Seguimiento de clientes que dejan de responder a mitad del flujo
+  followUps: {
+    enabled: true,
+    states: ['CONSENT', 'SLOT_SELECTION', 'CONFIRMATION'],
+    intervalsMinutes: [15, 120, 1440], // espera antes de cada aviso (desde la última respuesta o el aviso anterior)
+    unreachableAfterMinutes: 1440, // sin respuesta tras el último aviso → lead inalcanzable
+    quietHours: { from: '21:00', to: '08:00' }, // sin avisos de noche (hora de appointments.timezone)
+    cron: '* * * * *',
+    filename: './data/followups.json'
+  },
+
+  // Festivos (Bundesland por zona de técnico) y cierres de empresa
+  holidays: {
+    defaultState: 'NI',
+    zoneStates: {
+      'PLZ 29xxx': 'NI',
+      'PLZ 30xxx': 'NI',
+      'PLZ 31xxx': 'NI',
+      'PLZ 32xxx': 'NW',
+      'PLZ 33xxx': 'NW',
+      'PLZ 34xxx': 'HE',
+      'PLZ 29227': 'NI'
+    },
+    companyClosures: [], // ['2025-12-24', { date: '2025-12-31', reason: 'Inventur' }]
+    closuresFile: './data/company-closures.json'
   },
 
   // Configuración de datos y persistencia
@@ -82,6 +202,11 @@ module.exports = {
       backupEnabled: true,
       backupInterval: 3600000 // 1 hora
     },
+
+    // Calendario de técnicos (horarios, ausencias y bloqueos)
+    technicianCalendar: {
+      filename: './data/technician-calendar.json'
+    },
     
     // Configuración de Google Sheets (opcional)
     googleSheets: {
@@ -150,20 +275,82 @@ module.exports = {
   notifications: {
     email: {
       enabled: false,
-      service: 'gmail',
+      transport: 'smtp', // 'smtp' (producción), 'file' (.eml en outboxDir) o 'memory' (pruebas)
+      from: 'CLARITY <citas@clarity.de>',
+      service: 'gmail', // o host/port/secure para cualquier otro servidor SMTP
+      host: process.env.SMTP_HOST,
+      port: 587,
+      secure: false,
       user: process.env.EMAIL_USER,
-      password: process.env.EMAIL_PASSWORD
+      password: process.env.EMAIL_PASSWORD,
+      outboxDir: './data/outbox'
     },
     sms: {
       enabled: false,
-      provider: 'twilio',
+      provider: 'twilio', // 'twilio' (cualquier API compatible) o 'mock' (escribe los SMS en logFile)
       accountSid: process.env.TWILIO_ACCOUNT_SID,
-      authToken: process.env.TWILIO_AUTH_TOKEN
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM, // remitente; o messagingServiceSid
+      messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID,
+      apiBaseUrl: 'https://api.twilio.com',
+      statusCallbackUrl: process.env.SMS_STATUS_CALLBACK_URL, // URL pública de POST /api/sms/status
+      validateCallbacks: true, // comprobar X-Twilio-Signature
+      defaultCountryCode: '+49', // para teléfonos nacionales (0171...)
+      maxSegments: 3, // textos más largos se recortan
+      logFile: './data/sms.log'
     },
     webhook: {
       enabled: false,
-      url: process.env.WEBHOOK_URL,
-      secret: process.env.WEBHOOK_SECRET
+      url: process.env.WEBHOOK_URL, // suscriptor 'default' de todos los eventos
+      secret: process.env.WEBHOOK_SECRET, // firma HMAC-SHA256 (también para suscriptores sin secret propio)
+      subscribers: [
+        // { id: 'crm', url: 'https://crm.example.com/hooks/citas', secret: '...', events: ['appointmentCreated', 'appointmentCancelled'] }
+      ],
+      maxAttempts: 6,
+      retryBaseSeconds: 30, // reintentos a los 30 s, 1, 2, 4 y 8 min
+      timeoutMs: 10000,
+      logFile: './data/webhooks.json',
+      logRetentionDays: 30
     }
+  },
+
+  // Canales de mensajería además del chat web
+  channels: {
+    whatsapp: {
+      enabled: false,
+      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID,
+      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
+      appSecret: process.env.WHATSAPP_APP_SECRET, // firma X-Hub-Signature-256 de los webhooks
+      verifyToken: process.env.WHATSAPP_VERIFY_TOKEN, // GET de verificación (hub.verify_token)
+      graphApiUrl: process.env.WHATSAPP_GRAPH_URL || 'https://graph.facebook.com', // o el mock local
+      apiVersion: 'v19.0',
+      timeoutMs: 10000
+    },
+    sms: {
+      enabled: false, // conversación por SMS entrante; usa el proveedor de notifications.sms
+      webhookUrl: process.env.SMS_INBOUND_URL // URL pública firmada por el proveedor (si hay proxy delante)
+    },
+    telegram: {
+      enabled: false,
+      botToken: process.env.TELEGRAM_BOT_TOKEN,
+      mode: process.env.TELEGRAM_MODE || 'webhook', // 'webhook' o 'polling' (sin URL pública)
+      webhookUrl: process.env.TELEGRAM_WEBHOOK_URL, // URL pública de POST /api/channels/telegram/webhook; se registra al arrancar
+      secretToken: process.env.TELEGRAM_SECRET_TOKEN, // cabecera X-Telegram-Bot-Api-Secret-Token
+      apiUrl: process.env.TELEGRAM_API_URL || 'https://api.telegram.org', // o el mock local
+      pollingTimeout: 25, // segundos de long polling por getUpdates
+      retrySeconds: 5,
+      timeoutMs: 10000
+    }
+  },
+
+  // Notas de voz entrantes: transcripción con una API compatible con OpenAI (POST {apiUrl}/audio/transcriptions)
+  transcription: {
+    enabled: false,
+    apiUrl: process.env.TRANSCRIPTION_API_URL || 'https://api.openai.com/v1', // o el proxy propio
+    apiKey: process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY,
+    model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+    maxBytes: 25 * 1024 * 1024, // límite de la API de OpenAI
+    timeoutMs: 60000,
+    audioDir: './data/audio' // audio original de cada nota (GET /api/audio/:id)
   }
 };
\ No newline at end of file
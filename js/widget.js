@@ -0,0 +1,445 @@
+// widget.js
+// Chat embebible del bot de citas: <script src="https://bot.example.com/widget.js" async></script>
+// Habla con el servidor por socket.io (chatMessage / chatResponse), guarda el id de sesión en
+// localStorage y toma nombre, logo y colores del bloque `company` de GET /api/config.
+(function(){
+  'use strict';
+
+  if (window.BotCitasWidget) {
+    return; // el script se incluyó dos veces
+  }
+
+  const script = document.currentScript;
+  if (!script) {
+    console.error('BotCitasWidget: no se pudo localizar el <script> del widget');
+    return;
+  }
+
+  // Opciones por atributos data-* del <script>
+  const options = {
+    server: (script.dataset.server || new URL(script.src, location.href).origin).replace(/\/$/, ''),
+    language: script.dataset.language || null,
+    position: script.dataset.position === 'left' ? 'left' : 'right',
+    open: script.dataset.open === 'true',
+    storageKey: script.dataset.storageKey || 'botcitas_widget_session'
+  };
+
+  const TEXTS = {
+    es: { title: 'Reserva tu cita', placeholder: 'Escribe un mensaje…', send: 'Enviar', restart: 'Empezar de nuevo', close: 'Cerrar', offline: 'Reconectando…', error: 'No se pudo enviar el mensaje. Inténtalo de nuevo.' },
+    de: { title: 'Termin buchen', placeholder: 'Nachricht schreiben…', send: 'Senden', restart: 'Neu beginnen', close: 'Schließen', offline: 'Verbindung wird wiederhergestellt…', error: 'Die Nachricht konnte nicht gesendet werden. Bitte erneut versuchen.' },
+    en: { title: 'Book your appointment', placeholder: 'Type a message…', send: 'Send', restart: 'Start over', close: 'Close', offline: 'Reconnecting…', error: 'The message could not be sent. Please try again.' }
+  };
+
+  // Colores por defecto: los mismos que css/styles.css
+  const DEFAULT_THEME = {
+    primaryColor: '#22c55e',
+    backgroundColor: '#162733',
+    surfaceColor: '#203646',
+    textColor: '#e9f1f6',
+    mutedColor: '#a9c0cf',
+    fontFamily: 'Inter, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif'
+  };
+
+  const state = {
+    sessionId: null,
+    socket: null,
+    company: {},
+    language: 'es',
+    opened: false,
+    restored: false, // el servidor ya contestó a getSession
+    started: false, // hay conversación en el servidor (o ya se envió /start)
+    ui: null
+  };
+
+  // Texto del bot ('\\n' literales y **negrita**) como HTML seguro
+  function formatBotText(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+      .replace(/\\n|\r?\n/g, '<br>')
+      .trim();
+  }
+
+  function escapeText(text) {
+    const div = document.createElement('div');
+    div.textContent = String(text ?? '');
+    return div.innerHTML;
+  }
+
+  function t(key) {
+    return (TEXTS[state.language] || TEXTS.es)[key];
+  }
+
+  // Id de sesión persistente: la conversación sigue tras recargar o cambiar de página
+  function loadSessionId() {
+    try {
+      const stored = localStorage.getItem(options.storageKey);
+      if (stored) {
+        return stored;
+      }
+    } catch (error) {
+      // localStorage bloqueado (modo privado, iframes de terceros): sesión solo en memoria
+    }
+    return createSessionId();
+  }
+
+  function createSessionId() {
+    const random = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : Date.now().toString(36) + Math.random().toString(36).slice(2);
+    const sessionId = `widget_${random}`;
+    try {
+      localStorage.setItem(options.storageKey, sessionId);
+      localStorage.removeItem(`${options.storageKey}:quick`);
+    } catch (error) {
+      // sin persistencia
+    }
+    return sessionId;
+  }
+
+  // Las respuestas rápidas no están en el historial del servidor: se guardan para restaurarlas
+  function saveQuick(quick) {
+    try {
+      localStorage.setItem(`${options.storageKey}:quick`, JSON.stringify(quick || []));
+    } catch (error) {
+      // sin persistencia
+    }
+  }
+
+  function loadQuick() {
+    try {
+      return JSON.parse(localStorage.getItem(`${options.storageKey}:quick`) || '[]');
+    } catch (error) {
+      return [];
+    }
+  }
+
+  function loadSocketIo() {
+    if (window.io) {
+      return Promise.resolve(window.io);
+    }
+    return new Promise((resolve, reject) => {
+      const tag = document.createElement('script');
+      tag.src = `${options.server}/socket.io/socket.io.js`;
+      tag.async = true;
+      tag.onload = () => window.io ? resolve(window.io) : reject(new Error('socket.io no disponible'));
+      tag.onerror = () => reject(new Error(`No se pudo cargar ${tag.src}`));
+      document.head.appendChild(tag);
+    });
+  }
+
+  async function loadConfig() {
+    try {
+      const response = await fetch(`${options.server}/api/config`);
+      return response.ok ? await response.json() : {};
+    } catch (error) {
+      console.warn('BotCitasWidget: configuración no disponible, se usan los valores por defecto', error);
+      return {};
+    }
+  }
+
+  function pickLanguage(supported = ['es', 'de', 'en']) {
+    const candidates = [options.language, ...(navigator.languages || [navigator.language])]
+      .filter(Boolean)
+      .map(code => code.slice(0, 2).toLowerCase());
+    return candidates.find(code => supported.includes(code) && TEXTS[code]) || 'es';
+  }
+
+  function buildStyles(theme) {
+    return `
+      :host { all: initial; }
+      .bcw {
+        --bcw-primary: ${theme.primaryColor};
+        --bcw-bg: ${theme.backgroundColor};
+        --bcw-surface: ${theme.surfaceColor};
+        --bcw-text: ${theme.textColor};
+        --bcw-muted: ${theme.mutedColor};
+        position: fixed; bottom: 20px; ${options.position}: 20px; z-index: 2147483000;
+        display: flex; flex-direction: column; align-items: ${options.position === 'left' ? 'flex-start' : 'flex-end'};
+        font-family: ${theme.fontFamily}; font-size: 14px; color: var(--bcw-text);
+      }
+      .launcher {
+        width: 56px; height: 56px; border-radius: 50%; border: none; cursor: pointer;
+        background: var(--bcw-primary); color: #fff; font-size: 24px;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.3); display: flex; align-items: center; justify-content: center;
+      }
+      .panel {
+        display: none; flex-direction: column; width: min(360px, calc(100vw - 40px)); height: min(540px, calc(100vh - 110px));
+        margin-bottom: 12px; background: var(--bcw-bg); border-radius: 16px; overflow: hidden;
+        box-shadow: 0 12px 32px rgba(0, 0, 0, 0.35);
+      }
+      .bcw.open .panel { display: flex; }
+      .header {
+        display: flex; align-items: center; gap: 10px; padding: 12px 14px;
+        background: var(--bcw-surface); border-bottom: 2px solid var(--bcw-primary);
+      }
+      .header img { width: 28px; height: 28px; object-fit: contain; }
+      .header .titles { flex: 1; min-width: 0; }
+      .header .name { font-weight: 600; }
+      .header .status { font-size: 12px; color: var(--bcw-muted); }
+      .header button { background: none; border: none; color: var(--bcw-muted); cursor: pointer; font-size: 16px; padding: 4px; }
+      .messages { flex: 1; overflow-y: auto; padding: 12px; display: flex; flex-direction: column; gap: 8px; }
+      .bubble { max-width: 85%; padding: 8px 12px; border-radius: 14px; line-height: 1.4; word-wrap: break-word; }
+      .bubble.bot { align-self: flex-start; background: var(--bcw-surface); border-bottom-left-radius: 4px; }
+      .bubble.user { align-self: flex-end; background: var(--bcw-primary); color: #fff; border-bottom-right-radius: 4px; }
+      .bubble.error { align-self: center; background: none; color: #ef4444; font-size: 12px; }
+      .typing { align-self: flex-start; color: var(--bcw-muted); font-size: 12px; padding: 0 4px; }
+      .quick { display: flex; flex-wrap: wrap; gap: 6px; padding: 0 12px 8px; }
+      .quick button {
+        border: 1px solid var(--bcw-primary); background: transparent; color: var(--bcw-text);
+        border-radius: 14px; padding: 6px 10px; cursor: pointer; font: inherit;
+      }
+      .quick button:hover { background: var(--bcw-primary); color: #fff; }
+      form { display: flex; gap: 6px; padding: 10px; background: var(--bcw-surface); }
+      input {
+        flex: 1; min-width: 0; border: none; border-radius: 10px; padding: 9px 11px; font: inherit;
+        background: var(--bcw-bg); color: var(--bcw-text); outline: none;
+      }
+      form button { border: none; border-radius: 10px; padding: 0 14px; background: var(--bcw-primary); color: #fff; cursor: pointer; font: inherit; }
+    `;
+  }
+
+  // Interfaz dentro de un Shadow DOM: los estilos de la página no la afectan
+  function buildUi(theme) {
+    const host = document.createElement('div');
+    host.id = 'botcitas-widget';
+    const root = host.attachShadow ? host.attachShadow({ mode: 'open' }) : host;
+
+    const style = document.createElement('style');
+    style.textContent = buildStyles(theme);
+
+    const container = document.createElement('div');
+    container.className = 'bcw';
+    container.innerHTML = `
+      <div class="panel" role="dialog">
+        <div class="header">
+          <img class="logo" alt="" hidden>
+          <div class="titles">
+            <div class="name"></div>
+            <div class="status"></div>
+          </div>
+          <button type="button" class="restart">⟲</button>
+          <button type="button" class="close">✕</button>
+        </div>
+        <div class="messages" aria-live="polite"></div>
+        <div class="quick"></div>
+        <form>
+          <input type="text" autocomplete="off" maxlength="500">
+          <button type="submit"></button>
+        </form>
+      </div>
+      <button type="button" class="launcher">💬</button>
+    `;
+
+    root.appendChild(style);
+    root.appendChild(container);
+    document.body.appendChild(host);
+
+    const ui = {
+      container,
+      messages: container.querySelector('.messages'),
+      quick: container.querySelector('.quick'),
+      status: container.querySelector('.status'),
+      form: container.querySelector('form'),
+      input: container.querySelector('input'),
+      typing: null
+    };
+
+    container.querySelector('.name').textContent = state.company.name || t('title');
+    container.querySelector('.restart').title = t('restart');
+    container.querySelector('.close').title = t('close');
+    container.querySelector('.panel').setAttribute('aria-label', t('title'));
+    ui.input.placeholder = t('placeholder');
+    ui.form.querySelector('button').textContent = t('send');
+
+    if (state.company.logo) {
+      const logoUrl = new URL(state.company.logo, `${options.server}/`).href;
+      const logo = container.querySelector('.logo');
+      logo.src = logoUrl;
+      logo.hidden = false;
+      logo.onerror = () => { logo.hidden = true; };
+    }
+
+    container.querySelector('.launcher').addEventListener('click', toggle);
+    container.querySelector('.close').addEventListener('click', close);
+    container.querySelector('.restart').addEventListener('click', restart);
+    ui.form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      const text = ui.input.value.trim();
+      if (text) {
+        ui.input.value = '';
+        send(text);
+      }
+    });
+
+    return ui;
+  }
+
+  function addBubble(html, who = 'bot') {
+    const div = document.createElement('div');
+    div.className = `bubble ${who}`;
+    div.innerHTML = html;
+    state.ui.messages.appendChild(div);
+    state.ui.messages.scrollTop = state.ui.messages.scrollHeight;
+    return div;
+  }
+
+  function setQuick(items = []) {
+    state.ui.quick.innerHTML = '';
+    items.filter(item => typeof item === 'string' && item).forEach(label => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = label;
+      button.addEventListener('click', () => send(label));
+      state.ui.quick.appendChild(button);
+    });
+  }
+
+  function setTyping(visible) {
+    if (visible && !state.ui.typing) {
+      state.ui.typing = document.createElement('div');
+      state.ui.typing.className = 'typing';
+      state.ui.typing.textContent = '…';
+      state.ui.messages.appendChild(state.ui.typing);
+      state.ui.messages.scrollTop = state.ui.messages.scrollHeight;
+    } else if (!visible && state.ui.typing) {
+      state.ui.typing.remove();
+      state.ui.typing = null;
+    }
+  }
+
+  // Mensaje al bot; /start no se muestra como burbuja del cliente
+  function send(text) {
+    if (text !== '/start') {
+      addBubble(escapeText(text), 'user');
+    }
+    setQuick([]);
+    setTyping(true);
+    state.started = true;
+    state.socket.emit('chatMessage', {
+      sessionId: state.sessionId,
+      message: text,
+      metadata: { source: 'widget', page: location.href, language: state.language }
+    });
+  }
+
+  function handleResponse(response) {
+    setTyping(false);
+    if (!response) {
+      return;
+    }
+    const html = response.html ?? formatBotText(response.bot);
+    if (html) {
+      addBubble(html, 'bot');
+    }
+    setQuick(response.quick || []);
+    saveQuick(response.quick || []);
+  }
+
+  // Historial del servidor al conectar o reconectar (incluye los mensajes perdidos sin conexión)
+  function restoreSession(session) {
+    state.restored = true;
+    if (!session || !Array.isArray(session.messageHistory) || session.messageHistory.length === 0) {
+      if (state.opened && !state.started) {
+        send('/start');
+      }
+      return;
+    }
+
+    state.started = true;
+    state.ui.messages.innerHTML = '';
+    state.ui.typing = null;
+    session.messageHistory.forEach(entry => {
+      if (entry.type === 'user' && entry.content !== '/start') {
+        addBubble(escapeText(entry.content), 'user');
+      } else if (entry.type === 'bot' && entry.content) {
+        addBubble(formatBotText(entry.content), 'bot');
+      }
+    });
+    setQuick(loadQuick());
+  }
+
+  function connect(io) {
+    const socket = io(options.server, { transports: ['websocket', 'polling'] });
+    state.socket = socket;
+
+    socket.on('connect', () => {
+      state.ui.status.textContent = '';
+      socket.emit('joinSession', state.sessionId);
+      socket.emit('getSession', state.sessionId);
+    });
+
+    socket.on('disconnect', () => {
+      state.ui.status.textContent = t('offline');
+    });
+
+    socket.on('sessionState', restoreSession);
+    socket.on('chatResponse', handleResponse);
+
+    socket.on('error', () => {
+      setTyping(false);
+      addBubble(escapeText(t('error')), 'error');
+    });
+  }
+
+  function open() {
+    if (!state.ui) {
+      options.open = true;
+      return;
+    }
+    state.opened = true;
+    state.ui.container.classList.add('open');
+    if (state.restored && !state.started) {
+      send('/start');
+    }
+    state.ui.input.focus();
+  }
+
+  function close() {
+    state.opened = false;
+    state.ui?.container.classList.remove('open');
+  }
+
+  function toggle() {
+    return state.opened ? close() : open();
+  }
+
+  // Nueva sesión (otra cita, otro cliente en el mismo navegador)
+  function restart() {
+    state.sessionId = createSessionId();
+    state.started = false;
+    state.ui.messages.innerHTML = '';
+    state.ui.typing = null;
+    setQuick([]);
+    state.socket.emit('joinSession', state.sessionId);
+    if (state.opened) {
+      send('/start');
+    }
+  }
+
+  async function init() {
+    try {
+      const [io, config] = await Promise.all([loadSocketIo(), loadConfig()]);
+      state.company = config.company || {};
+      state.language = pickLanguage(config.bot?.supportedLanguages);
+      state.sessionId = loadSessionId();
+      state.ui = buildUi({ ...DEFAULT_THEME, ...(state.company.theme || {}) });
+      connect(io);
+      if (options.open) {
+        open();
+      }
+    } catch (error) {
+      console.error('BotCitasWidget: no se pudo iniciar el chat', error);
+    }
+  }
+
+  window.BotCitasWidget = { open, close, toggle, restart };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+  } else {
+    init();
+  }
+})();
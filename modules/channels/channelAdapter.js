@@ -0,0 +1,142 @@
+/**
+ * Adaptador de Canal - Base común de web, API REST, WhatsApp, SMS y Telegram
+ * Cada canal declara sus capacidades, convierte el modelo neutro a su formato
+ * y usa ids de sesión con espacio de nombres ('<canal>:<id externo>')
+ */
+
+const EventEmitter = require('events');
+const { toResponseModel, renderText } = require('./responseModel');
+
+const DEFAULT_CAPABILITIES = {
+  buttons: { max: 0, maxLength: null }, // botones de respuesta rápida
+  options: { max: 0 }, // opciones en una lista/menú (0 = solo texto)
+  markup: 'plain', // html | markdown | whatsapp | plain
+  lineBreak: '\n',
+  maxTextLength: null,
+  media: { documents: false, images: false },
+  proactive: false // puede enviar mensajes sin que el cliente escriba (ofertas, recordatorios)
+};
+
+class ChannelAdapter extends EventEmitter {
+  constructor(name, config, conversationsManager, capabilities = {}) {
+    super();
+    this.name = name;
+    this.config = config;
+    this.conversationsManager = conversationsManager;
+    this.capabilities = {
+      ...DEFAULT_CAPABILITIES,
+      ...capabilities,
+      buttons: { ...DEFAULT_CAPABILITIES.buttons, ...capabilities.buttons },
+      options: { ...DEFAULT_CAPABILITIES.options, ...capabilities.options },
+      media: { ...DEFAULT_CAPABILITIES.media, ...capabilities.media }
+    };
+    this.transcriber = null; // VoiceTranscriber para las notas de voz entrantes
+  }
+
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Id de sesión con el canal delante; un id que ya lo lleva se devuelve igual
+   */
+  sessionId(externalId) {
+    const id = String(externalId);
+    return this.ownsSession(id) ? id : `${this.name}:${id}`;
+  }
+
+  ownsSession(sessionId) {
+    return String(sessionId).startsWith(`${this.name}:`);
+  }
+
+  externalId(sessionId) {
+    return this.ownsSession(sessionId) ? String(sessionId).slice(this.name.length + 1) : null;
+  }
+
+  /**
+   * Mensaje entrante del canal → máquina de estados. Devuelve la respuesta ya convertida
+   */
+  async receive(externalId, text, metadata = {}) {
+    const sessionId = this.sessionId(externalId);
+    const response = await this.conversationsManager.processMessage(sessionId, text, { ...metadata, channel: this.name });
+    return response ? this.render(response, this.conversationsManager.getSession(sessionId, false)) : null;
+  }
+
+  useTranscriber(transcriber) {
+    this.transcriber = transcriber;
+  }
+
+  canTranscribe() {
+    return Boolean(this.transcriber && this.transcriber.isEnabled());
+  }
+
+  /**
+   * Nota de voz entrante: se transcribe (con el idioma de la sesión como pista) y el texto
+   * entra como un mensaje más; el audio queda con la transcripción en el historial.
+   * Devuelve { text, audio, rendered }; si no se entiende, rendered es el aviso al cliente
+   */
+  async receiveAudio(externalId, audio, metadata = {}) {
+    const sessionId = this.sessionId(externalId);
+    const session = this.conversationsManager.getSession(sessionId, false);
+    // Hasta que el cliente elige idioma, session.language es el de por defecto: mejor que la API lo detecte
+    const languageChosen = session && !['INIT', 'LANGUAGE_SELECTION'].includes(session.state);
+    const language = session?.language || this.config.bot.defaultLanguage;
+
+    let note;
+    try {
+      note = await this.transcriber.transcribe(audio, { language: languageChosen ? session.language : null });
+    } catch (error) {
+      this.emit('transcriptionFailed', { sessionId, error });
+      return { text: null, audio: null, rendered: this.renderNotice('voice_unavailable', language, session) };
+    }
+
+    if (!note.text) {
+      return { text: '', audio: note.audio, rendered: this.renderNotice('voice_unclear', language, session) };
+    }
+
+    const rendered = await this.receive(externalId, note.text, {
+      ...metadata,
+      audio: note.audio,
+      transcript: note.transcript
+    });
+    return { text: note.text, audio: note.audio, rendered };
+  }
+
+  renderNotice(key, language, session) {
+    return this.render({
+      bot: this.conversationsManager.getLocalizedMessage(key, language),
+      quick: [],
+      state: session?.state || null
+    }, session);
+  }
+
+  render(response, session = null) {
+    return this.renderModel(toResponseModel(response), session, response);
+  }
+
+  /**
+   * Formato del canal; por defecto texto en su dialecto y opciones sin cambiar
+   */
+  renderModel(model, session, response) {
+    return { text: this.formatText(model), options: model.options.map(option => option.label), state: model.state };
+  }
+
+  formatText(model) {
+    const text = renderText(model, { markup: this.capabilities.markup, lineBreak: this.capabilities.lineBreak });
+    const max = this.capabilities.maxTextLength;
+    return max && text.length > max ? text.slice(0, max - 1) + '…' : text;
+  }
+
+  /**
+   * Mensaje proactivo a una sesión del canal. null si el canal no puede enviarlos
+   */
+  async deliver(session, response) {
+    return null;
+  }
+
+  describe() {
+    return { name: this.name, enabled: this.isEnabled(), capabilities: this.capabilities };
+  }
+}
+
+module.exports = ChannelAdapter;
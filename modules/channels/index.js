@@ -0,0 +1,58 @@
+/**
+ * Canales de Mensajería - Registro de adaptadores y enrutado de sesiones a su canal
+ */
+
+const WebSocketAdapter = require('./webSocketAdapter');
+const RestAdapter = require('./restAdapter');
+const WhatsAppAdapter = require('./whatsappAdapter');
+const SmsAdapter = require('./smsAdapter');
+const TelegramAdapter = require('./telegramAdapter');
+
+class ChannelRegistry {
+  constructor(adapters = []) {
+    this.adapters = new Map(adapters.map(adapter => [adapter.name, adapter]));
+  }
+
+  get(name) {
+    return this.adapters.get(name) || null;
+  }
+
+  /**
+   * Canal de una sesión por el prefijo de su id ('whatsapp:49171...'),
+   * o por session.channel en sesiones antiguas sin espacio de nombres
+   */
+  forSession(session) {
+    const byPrefix = Array.from(this.adapters.values()).find(adapter => adapter.ownsSession(session.id));
+    return byPrefix || this.get(session.channel) || this.get('web');
+  }
+
+  /**
+   * Id recibido de un cliente: si ya lleva el prefijo de un canal se respeta,
+   * si no se le pone el del canal por el que llega
+   */
+  resolveSessionId(sessionId, defaultChannel) {
+    const owner = Array.from(this.adapters.values()).find(adapter => adapter.ownsSession(sessionId));
+    return owner ? String(sessionId) : this.get(defaultChannel).sessionId(sessionId);
+  }
+
+  describe() {
+    return Array.from(this.adapters.values()).map(adapter => adapter.describe());
+  }
+}
+
+function createChannelRegistry(config, conversationsManager, { io, smsNotifier, icsGenerator, voiceTranscriber = null }) {
+  const registry = new ChannelRegistry([
+    new WebSocketAdapter(config, conversationsManager, io),
+    new RestAdapter(config, conversationsManager),
+    new WhatsAppAdapter(config, conversationsManager),
+    new SmsAdapter(config, conversationsManager, smsNotifier),
+    new TelegramAdapter(config, conversationsManager, icsGenerator)
+  ]);
+  registry.adapters.forEach(adapter => adapter.useTranscriber(voiceTranscriber));
+  return registry;
+}
+
+module.exports = {
+  createChannelRegistry,
+  ChannelRegistry
+};
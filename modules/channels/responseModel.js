@@ -0,0 +1,71 @@
+/**
+ * Modelo Neutro de Respuesta - { bot, quick, state } de ConversationsManager sin '\\n' literales
+ * ni **markdown**: líneas de fragmentos de texto que cada canal convierte a su formato
+ */
+
+/**
+ * { lines: [[{ text, bold }]], options: [{ id, label }], state, attachments }
+ */
+function toResponseModel(response = {}) {
+  const raw = String(response.bot ?? response.message ?? '');
+  return {
+    lines: raw.replace(/\\n/g, '\n').split(/\r?\n/).map(parseInline),
+    options: (response.quick || []).filter(Boolean).map(label => ({ id: label, label })),
+    state: response.state || null,
+    attachments: response.attachments || []
+  };
+}
+
+// Los textos del bot solo usan negrita (**ACEPTO**); los guiones bajos de /borrar_datos no son cursiva
+function parseInline(line) {
+  const spans = [];
+  const pattern = /\*\*(.+?)\*\*/g;
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(line)) !== null) {
+    if (match.index > last) {
+      spans.push({ text: line.slice(last, match.index), bold: false });
+    }
+    spans.push({ text: match[1], bold: true });
+    last = pattern.lastIndex;
+  }
+  if (last < line.length) {
+    spans.push({ text: line.slice(last), bold: false });
+  }
+  return spans;
+}
+
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+const MARKUPS = {
+  html: { escape: escapeHtml, bold: text => `<b>${text}</b>` },
+  markdown: { escape: text => text, bold: text => `**${text}**` },
+  whatsapp: { escape: text => text, bold: text => `*${text}*` },
+  plain: { escape: text => text, bold: text => text }
+};
+
+/**
+ * Texto del modelo en el dialecto de un canal (html, markdown, whatsapp o plain)
+ */
+function renderText(model, { markup = 'plain', lineBreak = '\n' } = {}) {
+  const dialect = MARKUPS[markup];
+  if (!dialect) {
+    throw new Error(`Unknown markup: ${markup}`);
+  }
+
+  return model.lines
+    .map(spans => spans.map(span => span.bold ? dialect.bold(dialect.escape(span.text)) : dialect.escape(span.text)).join(''))
+    .join(lineBreak)
+    .trim();
+}
+
+module.exports = {
+  toResponseModel,
+  renderText,
+  MARKUPS: Object.keys(MARKUPS)
+};
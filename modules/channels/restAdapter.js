@@ -0,0 +1,30 @@
+/**
+ * Canal API REST - POST /api/conversation. Además de bot/quick/state devuelve
+ * el texto con saltos de línea reales y la negrita en markdown estándar
+ */
+
+const ChannelAdapter = require('./channelAdapter');
+
+class RestAdapter extends ChannelAdapter {
+  constructor(config, conversationsManager) {
+    super('api', config, conversationsManager, {
+      buttons: { max: 12, maxLength: null },
+      options: { max: 12 },
+      markup: 'markdown',
+      media: { documents: true, images: true },
+      proactive: false // el cliente consulta GET /api/conversation/:sessionId
+    });
+  }
+
+  renderModel(model, session, response) {
+    return {
+      ...response,
+      sessionId: session ? session.id : null,
+      text: this.formatText(model),
+      options: model.options,
+      attachments: model.attachments
+    };
+  }
+}
+
+module.exports = RestAdapter;
@@ -0,0 +1,77 @@
+/**
+ * Canal SMS - Conversación por SMS entrante (webhook del proveedor) con respuesta TwiML
+ * Sin botones: las opciones van numeradas y el cliente contesta con el número
+ */
+
+const ChannelAdapter = require('./channelAdapter');
+const { truncateSms } = require('../smsSegments');
+
+class SmsAdapter extends ChannelAdapter {
+  constructor(config, conversationsManager, smsNotifier) {
+    super('sms', config, conversationsManager, {
+      buttons: { max: 0, maxLength: null },
+      options: { max: 9 }, // una cifra por opción
+      markup: 'plain',
+      media: { documents: false, images: false },
+      proactive: true
+    });
+    this.settings = config.channels?.sms || {};
+    this.smsNotifier = smsNotifier; // proveedor, firma de callbacks y límite de segmentos
+    this.menus = new Map(); // sessionId -> opciones numeradas del último mensaje
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.smsNotifier.isEnabled());
+  }
+
+  /**
+   * Un número suelto elige la opción correspondiente del último menú enviado
+   */
+  async receive(from, text, metadata = {}) {
+    const sessionId = this.sessionId(from);
+    const choice = /^\s*(\d)\s*$/.exec(text);
+    const options = this.menus.get(sessionId) || [];
+    const message = choice && options[Number(choice[1]) - 1] ? options[Number(choice[1]) - 1] : text;
+    return super.receive(from, message, { phone: from, ...metadata });
+  }
+
+  renderModel(model, session) {
+    const options = model.options.slice(0, this.capabilities.options.max).map(option => option.label);
+    if (session) {
+      this.menus.set(session.id, options);
+    }
+
+    const text = [this.formatText(model), ...options.map((label, index) => `${index + 1}) ${label}`)]
+      .filter(Boolean)
+      .join('\n');
+    return { text: truncateSms(text, this.smsNotifier.settings.maxSegments), options };
+  }
+
+  async deliver(session, response) {
+    const to = this.externalId(session.id);
+    if (!to || !this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const { sid } = await this.smsNotifier.provider.send({ to, body: this.render(response, session).text });
+      this.emit('messageSent', { to, sid });
+      return { delivered: true, channel: this.name, sid };
+    } catch (error) {
+      this.emit('sendFailed', { to, error });
+      return { delivered: false, channel: this.name, error: error.message };
+    }
+  }
+
+  /**
+   * Respuesta TwiML al webhook de SMS entrante (el proveedor la envía como SMS)
+   */
+  toTwiml(rendered) {
+    const body = rendered?.text
+      ? `<Message>${rendered.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</Message>`
+      : '';
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${body}</Response>`;
+  }
+}
+
+module.exports = SmsAdapter;
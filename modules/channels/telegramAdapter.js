@@ -0,0 +1,395 @@
+/**
+ * Canal Telegram - Adaptador de la Bot API (webhook o long polling)
+ * Respuestas en HTML (parse_mode) con las opciones como teclado inline; al confirmar
+ * una cita se envía el .ics como documento
+ */
+
+const crypto = require('crypto');
+const ChannelAdapter = require('./channelAdapter');
+const { requestJson, downloadFile, buildMultipart } = require('../httpClient');
+
+const MAX_CALLBACK_DATA = 64; // bytes de callback_data por botón
+const SHORT_BUTTON = 16; // botones cortos van de dos en dos por fila
+const ALLOWED_UPDATES = ['message', 'callback_query'];
+const CALENDAR_KINDS = ['confirmation', 'rescheduled']; // avisos que llevan el .ics
+
+class TelegramAdapter extends ChannelAdapter {
+  constructor(config, conversationsManager, icsGenerator = null) {
+    super('telegram', config, conversationsManager, {
+      buttons: { max: 12, maxLength: null },
+      options: { max: 12 },
+      markup: 'html',
+      maxTextLength: 4096,
+      media: { documents: true, images: true },
+      proactive: true
+    });
+    this.settings = config.channels?.telegram || {};
+    this.icsGenerator = icsGenerator;
+    this.menus = new Map(); // sessionId -> opciones del último teclado (callback_data '#<n>')
+    this.replying = new Map(); // sessionId -> promesa de la respuesta en curso (el .ics va después)
+    this.processedUpdates = new Set(); // Telegram reintenta los webhooks: cada update se procesa una vez
+    this.polling = false;
+    this.offset = 0;
+    this.pollAbort = null;
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.settings.botToken);
+  }
+
+  /**
+   * Webhook: registrarlo en Telegram si hay webhookUrl. Polling: quitar el webhook
+   * (Telegram no permite getUpdates con uno activo) y empezar a consultar
+   */
+  async start() {
+    if (!this.isEnabled()) {
+      return;
+    }
+
+    if (this.settings.mode === 'polling') {
+      await this.call('deleteWebhook', { drop_pending_updates: false });
+      this.polling = true;
+      this.emit('pollingStarted');
+      this.poll();
+    } else if (this.settings.webhookUrl) {
+      await this.call('setWebhook', {
+        url: this.settings.webhookUrl,
+        allowed_updates: ALLOWED_UPDATES,
+        ...(this.settings.secretToken ? { secret_token: this.settings.secretToken } : {})
+      });
+      this.emit('webhookRegistered', { url: this.settings.webhookUrl });
+    }
+  }
+
+  stop() {
+    this.polling = false;
+    if (this.pollAbort) {
+      this.pollAbort.abort();
+      this.pollAbort = null;
+    }
+  }
+
+  async poll() {
+    while (this.polling) {
+      try {
+        const timeout = this.settings.pollingTimeout ?? 25;
+        const updates = await this.call('getUpdates', {
+          offset: this.offset,
+          timeout,
+          allowed_updates: ALLOWED_UPDATES
+        }, { timeoutMs: (timeout + 10) * 1000, polling: true });
+
+        for (const update of updates) {
+          this.offset = update.update_id + 1;
+          await this.handleUpdate(update);
+        }
+      } catch (error) {
+        if (!this.polling) {
+          break;
+        }
+        this.emit('pollingError', error);
+        await new Promise(resolve => setTimeout(resolve, (this.settings.retrySeconds || 5) * 1000));
+      }
+    }
+  }
+
+  /**
+   * Cabecera X-Telegram-Bot-Api-Secret-Token del webhook (secret_token de setWebhook)
+   */
+  validateSecret(header = '') {
+    if (!this.settings.secretToken) {
+      return true;
+    }
+    const expected = Buffer.from(this.settings.secretToken);
+    const received = Buffer.from(String(header || ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Un update de Telegram: mensaje de texto o pulsación de un botón del teclado inline
+   */
+  async handleUpdate(update = {}) {
+    if (this.processedUpdates.has(update.update_id)) {
+      return null;
+    }
+    this.rememberUpdateId(update.update_id);
+
+    try {
+      if (update.callback_query) {
+        return await this.handleCallback(update.callback_query);
+      }
+      if (update.message) {
+        return await this.handleMessage(update.message);
+      }
+      return null;
+    } catch (error) {
+      this.emit('updateFailed', { updateId: update.update_id, error });
+      return null;
+    }
+  }
+
+  async handleMessage(message) {
+    const chatId = message.chat?.id;
+    const voice = message.voice || message.audio;
+    if (chatId !== undefined && voice && this.canTranscribe()) {
+      return this.handleVoiceNote(chatId, voice, message.from);
+    }
+
+    const text = this.extractText(message);
+    if (chatId === undefined || text === null) {
+      this.emit('unsupportedMessage', { chatId, messageId: message.message_id });
+      return null;
+    }
+    return this.reply(chatId, text, message.from);
+  }
+
+  /**
+   * El botón pulsado entra como si el cliente hubiese escrito la opción.
+   * answerCallbackQuery quita el reloj de carga del botón en la app
+   */
+  async handleCallback(query) {
+    const chatId = query.message?.chat?.id ?? query.from?.id;
+    await this.call('answerCallbackQuery', { callback_query_id: query.id }).catch(error => {
+      this.emit('sendFailed', { to: chatId, error });
+    });
+
+    const text = this.resolveCallback(query.data || '', this.menus.get(this.sessionId(chatId)));
+    return this.reply(chatId, text, query.from);
+  }
+
+  /**
+   * Nota de voz (o archivo de audio): se descarga con getFile y entra transcrita
+   */
+  async handleVoiceNote(chatId, voice, from = {}) {
+    const sessionId = this.sessionId(chatId);
+    this.emit('voiceNoteReceived', { sessionId, chatId, fileId: voice.file_id });
+
+    return this.whileReplying(sessionId, async () => {
+      let result;
+      try {
+        const audio = await this.downloadVoice(voice);
+        result = await this.receiveAudio(chatId, audio, this.senderMetadata(from));
+      } catch (error) {
+        this.emit('transcriptionFailed', { sessionId, error });
+        const session = this.conversationsManager.getSession(sessionId, false);
+        result = { text: null, rendered: this.renderNotice('voice_unavailable', session?.language || this.config.bot.defaultLanguage, session) };
+      }
+
+      if (result.rendered) {
+        await this.send(chatId, result.rendered);
+      }
+      return { sessionId, text: result.text, rendered: result.rendered };
+    });
+  }
+
+  async downloadVoice(voice) {
+    const file = await this.call('getFile', { file_id: voice.file_id });
+    const { buffer } = await downloadFile(`${this.apiBase()}/file/bot${this.settings.botToken}/${file.file_path}`, {
+      timeoutMs: this.settings.timeoutMs || 10000,
+      maxBytes: this.transcriber.settings.maxBytes
+    });
+    // Telegram sirve los archivos como octet-stream: el tipo real va en el mensaje
+    return { buffer, contentType: voice.mime_type || 'audio/ogg', durationSeconds: voice.duration };
+  }
+
+  senderMetadata(from = {}) {
+    const metadata = { telegramUserId: from?.id };
+    const name = [from?.first_name, from?.last_name].filter(Boolean).join(' ');
+    if (name) {
+      metadata.customerName = name;
+    }
+    return metadata;
+  }
+
+  async reply(chatId, text, from = {}) {
+    const sessionId = this.sessionId(chatId);
+    this.emit('messageReceived', { sessionId, chatId, text });
+    return this.whileReplying(sessionId, async () => {
+      const rendered = await this.receive(chatId, text, this.senderMetadata(from));
+      if (rendered) {
+        await this.send(chatId, rendered);
+      }
+      return { sessionId, text, rendered };
+    });
+  }
+
+  /**
+   * La cita se crea mientras se procesa el mensaje: notify() espera a que salga
+   * la respuesta ("✅ Cita confirmada") para que el .ics llegue detrás
+   */
+  async whileReplying(sessionId, task) {
+    let finish;
+    const done = new Promise(resolve => finish = resolve);
+    this.replying.set(sessionId, done);
+    try {
+      return await task();
+    } finally {
+      finish();
+      if (this.replying.get(sessionId) === done) {
+        this.replying.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * '/start <payload>' (enlaces profundos) y '/comando@MiBot' (grupos) llegan
+   * a la máquina de estados como el comando solo
+   */
+  extractText(message) {
+    if (typeof message.text !== 'string') {
+      return null;
+    }
+    const text = message.text.trim();
+    const command = /^(\/[A-Za-z0-9_]+)(@\w+)?(\s.*)?$/.exec(text);
+    if (!command) {
+      return text;
+    }
+    return command[1] === '/start' ? '/start' : command[1] + (command[3] || '');
+  }
+
+  rememberUpdateId(id) {
+    this.processedUpdates.add(id);
+    if (this.processedUpdates.size > 1000) {
+      this.processedUpdates.delete(this.processedUpdates.values().next().value);
+    }
+  }
+
+  /**
+   * sendMessage sin chat_id: texto HTML y teclado inline. El callback_data es la
+   * opción misma o '#<n>' si no cabe (se resuelve con resolveCallback)
+   */
+  renderModel(model, session) {
+    const options = model.options.slice(0, this.capabilities.options.max);
+    if (session) {
+      this.menus.set(session.id, options.map(option => option.id));
+    }
+
+    const buttons = options.map((option, index) => ({
+      text: option.label,
+      callback_data: Buffer.byteLength(option.id) <= MAX_CALLBACK_DATA ? option.id : `#${index}`
+    }));
+
+    const rows = [];
+    buttons.forEach(button => {
+      const last = rows[rows.length - 1];
+      if (last && last.length === 1 && last[0].text.length <= SHORT_BUTTON && button.text.length <= SHORT_BUTTON) {
+        last.push(button);
+      } else {
+        rows.push([button]);
+      }
+    });
+
+    return {
+      text: this.formatText(model),
+      parse_mode: 'HTML',
+      ...(rows.length > 0 ? { reply_markup: { inline_keyboard: rows } } : {}),
+      options: options.map(option => option.label)
+    };
+  }
+
+  resolveCallback(data, options = []) {
+    const index = /^#(\d+)$/.exec(data);
+    return index && options[Number(index[1])] ? options[Number(index[1])] : data;
+  }
+
+  /**
+   * Mensaje proactivo a un chat de Telegram (ofertas, recordatorios, seguimientos)
+   */
+  async deliver(session, response) {
+    const chatId = this.externalId(session.id);
+    if (!chatId || !this.isEnabled()) {
+      return null;
+    }
+    return this.send(chatId, this.render(response, session));
+  }
+
+  async send(chatId, rendered) {
+    if (!rendered.text) {
+      return null;
+    }
+    const { options, ...message } = rendered;
+    try {
+      const result = await this.call('sendMessage', { chat_id: chatId, ...message });
+      this.emit('messageSent', { to: chatId, id: result.message_id, type: 'message' });
+      return { delivered: true, channel: this.name, ids: [result.message_id] };
+    } catch (error) {
+      this.emit('sendFailed', { to: chatId, error });
+      return { delivered: false, channel: this.name, error: error.message };
+    }
+  }
+
+  /**
+   * Aviso de una cita reservada por Telegram: en la confirmación y al cambiarla
+   * se envía el .ics como documento para añadirlo al calendario
+   */
+  async notify(kind, appointment) {
+    const chatId = this.externalId(appointment?.sessionId || '');
+    if (!chatId || !this.isEnabled() || !this.icsGenerator || !CALENDAR_KINDS.includes(kind)) {
+      return null;
+    }
+
+    await this.replying.get(this.sessionId(chatId));
+    const language = appointment.language || this.config.bot.defaultLanguage;
+    try {
+      const result = await this.call('sendDocument', {
+        chat_id: chatId,
+        caption: this.conversationsManager.getLocalizedMessage('telegram_calendar_caption', language)
+      }, {
+        file: {
+          field: 'document',
+          filename: `${appointment.id}.ics`,
+          contentType: 'text/calendar; charset=utf-8',
+          content: this.icsGenerator.generate(appointment, { language })
+        }
+      });
+      this.emit('messageSent', { to: chatId, id: result.message_id, type: 'document' });
+      return { delivered: true, channel: this.name, ids: [result.message_id] };
+    } catch (error) {
+      this.emit('sendFailed', { to: chatId, error });
+      return { delivered: false, channel: this.name, error: error.message };
+    }
+  }
+
+  apiBase() {
+    return (this.settings.apiUrl || 'https://api.telegram.org').replace(/\/$/, '');
+  }
+
+  /**
+   * Llamada a un método de la Bot API. Con `file` va como multipart/form-data
+   */
+  async call(method, params = {}, { file = null, timeoutMs = null, polling = false } = {}) {
+    const { body, contentType } = file ? buildMultipart(params, file) : {
+      body: JSON.stringify(params),
+      contentType: 'application/json'
+    };
+    // El long polling se corta con stop() sin esperar a que venza el timeout
+    const controller = polling ? new AbortController() : null;
+    if (controller) {
+      this.pollAbort = controller;
+    }
+
+    try {
+      const { statusCode, data, text } = await requestJson(`${this.apiBase()}/bot${this.settings.botToken}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': contentType },
+        body,
+        timeoutMs: timeoutMs || this.settings.timeoutMs || 10000,
+        signal: controller?.signal,
+        label: 'Telegram API'
+      });
+      const result = data || { ok: false, description: text };
+      if (!result.ok) {
+        const error = new Error(`Telegram API error ${result.error_code || statusCode}: ${result.description || 'request failed'}`);
+        error.code = result.error_code;
+        throw error;
+      }
+      return result.result;
+    } finally {
+      if (controller && this.pollAbort === controller) {
+        this.pollAbort = null;
+      }
+    }
+  }
+}
+
+module.exports = TelegramAdapter;
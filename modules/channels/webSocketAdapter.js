@@ -0,0 +1,47 @@
+/**
+ * Canal Web (socket.io) - Respuestas con HTML listo para insertar en la burbuja del chat
+ * Mantiene bot/quick/state para los clientes que ya los interpretan
+ */
+
+const ChannelAdapter = require('./channelAdapter');
+
+class WebSocketAdapter extends ChannelAdapter {
+  constructor(config, conversationsManager, io) {
+    super('web', config, conversationsManager, {
+      buttons: { max: 12, maxLength: null },
+      options: { max: 12 },
+      markup: 'html',
+      lineBreak: '<br>',
+      media: { documents: true, images: true },
+      proactive: true
+    });
+    this.io = io;
+  }
+
+  room(sessionId) {
+    return `session_${this.sessionId(sessionId)}`;
+  }
+
+  renderModel(model, session, response) {
+    return {
+      ...response,
+      html: this.formatText(model),
+      options: model.options.slice(0, this.capabilities.options.max),
+      attachments: model.attachments
+    };
+  }
+
+  /**
+   * Solo cuenta como entregado si hay algún navegador unido a la sala de la sesión
+   */
+  async deliver(session, response) {
+    const room = this.room(session.id);
+    if (!this.io.sockets.adapter.rooms.get(room)?.size) {
+      return { delivered: false, channel: this.name, error: 'not_connected' };
+    }
+    this.io.to(room).emit('chatResponse', this.render(response, session));
+    return { delivered: true, channel: this.name };
+  }
+}
+
+module.exports = WebSocketAdapter;
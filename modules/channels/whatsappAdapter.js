@@ -0,0 +1,301 @@
+/**
+ * Canal WhatsApp - Adaptador de la WhatsApp Business Cloud API (Graph API de Meta)
+ * Webhook entrante → processMessage; las respuestas salen como botones o listas según `quick`
+ */
+
+const crypto = require('crypto');
+const ChannelAdapter = require('./channelAdapter');
+const { requestJson, downloadFile } = require('../httpClient');
+
+// Límites de las filas de los mensajes de lista de la Cloud API
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+const MAX_INTERACTIVE_BODY = 1024;
+
+class WhatsAppAdapter extends ChannelAdapter {
+  constructor(config, conversationsManager) {
+    super('whatsapp', config, conversationsManager, {
+      buttons: { max: 3, maxLength: 20 },
+      options: { max: 10 },
+      markup: 'whatsapp',
+      maxTextLength: 4096,
+      media: { documents: true, images: true },
+      proactive: true // dentro de la ventana de 24 h; fuera solo plantillas
+    });
+    this.settings = config.channels?.whatsapp || {};
+    this.processedIds = new Set(); // Meta reintenta los webhooks: cada mensaje se procesa una vez
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.settings.phoneNumberId && this.settings.accessToken);
+  }
+
+  /**
+   * GET de verificación del webhook: devuelve hub.challenge si el verify token coincide
+   */
+  verifyChallenge(query = {}) {
+    const mode = query['hub.mode'];
+    const token = query['hub.verify_token'];
+    if (mode !== 'subscribe' || !this.settings.verifyToken || token !== this.settings.verifyToken) {
+      return null;
+    }
+    return query['hub.challenge'] || '';
+  }
+
+  /**
+   * X-Hub-Signature-256 = sha256=HMAC-SHA256(appSecret, cuerpo sin parsear)
+   */
+  validateSignature(rawBody, signature = '') {
+    if (!this.settings.appSecret) {
+      return this.settings.validateSignatures === false;
+    }
+    if (!rawBody || !signature) {
+      return false;
+    }
+    const expected = Buffer.from('sha256=' + crypto.createHmac('sha256', this.settings.appSecret).update(rawBody).digest('hex'));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Procesar el cuerpo de un webhook: mensajes entrantes y estados de entrega
+   */
+  async handleWebhook(payload = {}) {
+    if (payload.object !== 'whatsapp_business_account') {
+      return [];
+    }
+
+    const results = [];
+    for (const entry of payload.entry || []) {
+      for (const change of entry.changes || []) {
+        const value = change.value || {};
+        const names = Object.fromEntries((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]));
+
+        for (const status of value.statuses || []) {
+          this.emit('messageStatus', { id: status.id, recipient: status.recipient_id, status: status.status, errors: status.errors || [] });
+        }
+        for (const message of value.messages || []) {
+          results.push(await this.handleMessage(message, names[message.from]));
+        }
+      }
+    }
+    return results.filter(Boolean);
+  }
+
+  async handleMessage(message, profileName = null) {
+    if (this.processedIds.has(message.id)) {
+      return null;
+    }
+    this.rememberMessageId(message.id);
+
+    if (message.type === 'audio' && this.canTranscribe()) {
+      return this.handleVoiceNote(message, profileName);
+    }
+
+    const text = this.extractText(message);
+    if (text === null) {
+      this.emit('unsupportedMessage', { from: message.from, type: message.type, id: message.id });
+      return null;
+    }
+
+    const sessionId = this.sessionId(message.from);
+    const metadata = this.contactMetadata(message, profileName);
+
+    this.emit('messageReceived', { sessionId, from: message.from, text });
+    const messages = await this.receive(message.from, text, metadata);
+    if (messages) {
+      await this.send(message.from, messages);
+    }
+    return { sessionId, text, messages };
+  }
+
+  /**
+   * Nota de voz: se descarga de la Graph API y entra transcrita en la conversación
+   */
+  async handleVoiceNote(message, profileName = null) {
+    const sessionId = this.sessionId(message.from);
+    this.emit('voiceNoteReceived', { sessionId, from: message.from, id: message.id });
+
+    let result;
+    try {
+      const audio = await this.downloadMedia(message.audio?.id);
+      result = await this.receiveAudio(message.from, audio, this.contactMetadata(message, profileName));
+    } catch (error) {
+      this.emit('transcriptionFailed', { sessionId, error });
+      const session = this.conversationsManager.getSession(sessionId, false);
+      result = { text: null, rendered: this.renderNotice('voice_unavailable', session?.language || this.config.bot.defaultLanguage, session) };
+    }
+
+    if (result.rendered) {
+      await this.send(message.from, result.rendered);
+    }
+    return { sessionId, text: result.text, messages: result.rendered };
+  }
+
+  contactMetadata(message, profileName) {
+    const metadata = { phone: `+${message.from}`, whatsappMessageId: message.id };
+    if (profileName) {
+      metadata.customerName = profileName;
+    }
+    return metadata;
+  }
+
+  /**
+   * Archivo de un mensaje: primero la URL temporal del media id, luego el contenido (ambos con el token)
+   */
+  async downloadMedia(mediaId) {
+    if (!mediaId) {
+      throw new Error('Audio message without media id');
+    }
+    const options = {
+      headers: { Authorization: `Bearer ${this.settings.accessToken}` },
+      timeoutMs: this.settings.timeoutMs || 10000
+    };
+
+    const info = JSON.parse((await downloadFile(this.graphUrl(mediaId), options)).buffer.toString('utf8'));
+    const file = await downloadFile(info.url, { ...options, maxBytes: this.transcriber.settings.maxBytes });
+    return { buffer: file.buffer, contentType: info.mime_type || file.contentType };
+  }
+
+  /**
+   * Texto equivalente a lo que escribiría el usuario en el chat web.
+   * En botones y listas el id es la respuesta rápida completa (el título puede ir recortado)
+   */
+  extractText(message) {
+    switch (message.type) {
+      case 'text':
+        return message.text?.body ?? '';
+      case 'interactive':
+        if (message.interactive?.type === 'button_reply') {
+          return message.interactive.button_reply.id || message.interactive.button_reply.title;
+        }
+        if (message.interactive?.type === 'list_reply') {
+          return message.interactive.list_reply.id || message.interactive.list_reply.title;
+        }
+        return null;
+      case 'button':
+        return message.button?.payload || message.button?.text || null;
+      default:
+        return null;
+    }
+  }
+
+  rememberMessageId(id) {
+    this.processedIds.add(id);
+    if (this.processedIds.size > 1000) {
+      this.processedIds.delete(this.processedIds.values().next().value);
+    }
+  }
+
+  /**
+   * Mensaje saliente a una sesión de WhatsApp (ofertas, recordatorios, seguimientos)
+   */
+  async deliver(session, response) {
+    const to = this.externalId(session.id);
+    if (!to) {
+      return null;
+    }
+    return this.send(to, this.render(response, session));
+  }
+
+  /**
+   * Enviar los mensajes ya convertidos (uno o dos: texto largo + interactivo)
+   */
+  async send(to, messages) {
+    if (messages.length === 0) {
+      return null;
+    }
+    const sent = [];
+    try {
+      for (const message of messages) {
+        const result = await this.post({ messaging_product: 'whatsapp', recipient_type: 'individual', to, ...message });
+        sent.push(result.messages?.[0]?.id || null);
+      }
+      this.emit('messageSent', { to, ids: sent, type: messages[messages.length - 1].type });
+      return { delivered: true, channel: this.name, ids: sent };
+    } catch (error) {
+      this.emit('sendFailed', { to, error });
+      return { delivered: false, channel: this.name, error: error.message };
+    }
+  }
+
+  /**
+   * Texto solo, botones de respuesta (hasta 3 opciones cortas) o mensaje de lista (hasta 10)
+   */
+  renderModel(model, session) {
+    const language = session?.language || this.config.bot.defaultLanguage;
+    const text = this.formatText(model);
+    const { buttons, options: list } = this.capabilities;
+    const options = model.options.slice(0, list.max);
+
+    if (options.length === 0) {
+      return text ? [{ type: 'text', text: { body: text, preview_url: false } }] : [];
+    }
+
+    // El cuerpo de un interactivo es más corto: un texto largo va antes en su propio mensaje
+    const messages = [];
+    let body = text;
+    if (!body || body.length > MAX_INTERACTIVE_BODY) {
+      if (body) {
+        messages.push({ type: 'text', text: { body, preview_url: false } });
+      }
+      body = this.conversationsManager.getLocalizedMessage('whatsapp_choose', language);
+    }
+
+    const useButtons = options.length <= buttons.max && options.every(option => option.label.length <= buttons.maxLength);
+    const interactive = useButtons
+      ? {
+        type: 'button',
+        body: { text: body },
+        action: {
+          buttons: options.map(option => ({ type: 'reply', reply: { id: option.id, title: option.label } }))
+        }
+      }
+      : {
+        type: 'list',
+        body: { text: body },
+        action: {
+          button: this.conversationsManager.getLocalizedMessage('whatsapp_list_button', language),
+          sections: [{
+            rows: options.map(option => ({
+              id: option.id.slice(0, 200),
+              title: this.truncate(option.label, MAX_ROW_TITLE),
+              ...(option.label.length > MAX_ROW_TITLE ? { description: this.truncate(option.label, MAX_ROW_DESCRIPTION) } : {})
+            }))
+          }]
+        }
+      };
+
+    messages.push({ type: 'interactive', interactive });
+    return messages;
+  }
+
+  truncate(value, length) {
+    const characters = Array.from(value);
+    return characters.length <= length ? value : characters.slice(0, length - 1).join('') + '…';
+  }
+
+  graphUrl(resource) {
+    const base = (this.settings.graphApiUrl || 'https://graph.facebook.com').replace(/\/$/, '');
+    return `${base}/${this.settings.apiVersion || 'v19.0'}/${resource}`;
+  }
+
+  async post(message) {
+    const { statusCode, data, text } = await requestJson(this.graphUrl(`${this.settings.phoneNumberId}/messages`), {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${this.settings.accessToken}` },
+      json: message,
+      timeoutMs: this.settings.timeoutMs || 10000,
+      label: 'WhatsApp API'
+    });
+    const result = data || { error: { message: text } };
+    if (statusCode < 200 || statusCode >= 300) {
+      const error = new Error(`WhatsApp API error ${result.error?.code || statusCode}: ${result.error?.message || 'request failed'}`);
+      error.code = result.error?.code;
+      throw error;
+    }
+    return result;
+  }
+}
+
+module.exports = WhatsAppAdapter;
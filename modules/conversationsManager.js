@@ -5,15 +5,36 @@
 
 const EventEmitter = require('events');
 const moment = require('moment-timezone');
+const SlotHoldManager = require('./slotHoldManager');
+const SlotService = require('./slotService');
+const WaitlistManager = require('./waitlistManager');
+const DateParser = require('./dateParser');
 
 class ConversationsManager extends EventEmitter {
-  constructor(config) {
+  constructor(config, dataManager = null, technicianCalendar = null) {
     super();
     this.config = config;
+    this.dataManager = dataManager; // citas existentes para calcular disponibilidad
+    this.technicianCalendar = technicianCalendar; // horarios, ausencias y bloqueos
+    this.slotHolds = new SlotHoldManager(config); // reservas temporales durante la confirmación
+    this.slotService = new SlotService(config, dataManager, technicianCalendar, this.slotHolds); // horarios disponibles
+    this.zoneMatcher = this.slotService.zoneMatcher; // técnicos por código postal
+    this.waitlist = new WaitlistManager(config); // clientes esperando un hueco libre
+    this.dateParser = new DateParser(config, { timeWindows: this.waitlist.getTimeWindows() }); // fechas en texto libre
+    this.channels = null; // registro de canales para entregas directas (useChannels)
     this.sessions = new Map(); // sesiones activas
     this.conversationHistory = new Map(); // historial persistente
     this.stateHandlers = new Map();
     this.setupStateHandlers();
+
+    // Una oferta de lista de espera que no se confirma pasa al siguiente cliente
+    const onHoldEnded = (hold, reason) => {
+      if (hold.purpose === 'waitlist' && reason !== 'confirmed') {
+        this.handleWaitlistOfferEnded(hold, reason);
+      }
+    };
+    this.slotHolds.on('holdExpired', onHoldEnded);
+    this.slotHolds.on('holdReleased', onHoldEnded);
   }
 
   /**
@@ -23,10 +44,23 @@ class ConversationsManager extends EventEmitter {
     this.stateHandlers.set('INIT', this.handleInit.bind(this));
     this.stateHandlers.set('LANGUAGE_SELECTION', this.handleLanguageSelection.bind(this));
     this.stateHandlers.set('CONSENT', this.handleConsent.bind(this));
+    this.stateHandlers.set('TYPE_SELECTION', this.handleTypeSelection.bind(this));
+    this.stateHandlers.set('POSTAL_CODE', this.handlePostalCode.bind(this));
     this.stateHandlers.set('SLOT_SELECTION', this.handleSlotSelection.bind(this));
+    this.stateHandlers.set('SERIES_SLOT_SELECTION', this.handleSeriesSlotSelection.bind(this));
     this.stateHandlers.set('CONFIRMATION', this.handleConfirmation.bind(this));
+    this.stateHandlers.set('WAITLIST_PROMPT', this.handleWaitlistPrompt.bind(this));
+    this.stateHandlers.set('WAITLIST_DAYS', this.handleWaitlistDays.bind(this));
+    this.stateHandlers.set('WAITLIST_TIME', this.handleWaitlistTime.bind(this));
+    this.stateHandlers.set('WAITLISTED', this.handleWaitlisted.bind(this));
+    this.stateHandlers.set('WAITLIST_OFFER', this.handleWaitlistOffer.bind(this));
     this.stateHandlers.set('REMINDER_SETUP', this.handleReminderSetup.bind(this));
     this.stateHandlers.set('MANAGEMENT', this.handleManagement.bind(this));
+    this.stateHandlers.set('RESCHEDULE_VISIT', this.handleRescheduleVisit.bind(this));
+    this.stateHandlers.set('RESCHEDULE_SELECTION', this.handleRescheduleSelection.bind(this));
+    this.stateHandlers.set('RESCHEDULE_CONFIRMATION', this.handleRescheduleConfirmation.bind(this));
+    this.stateHandlers.set('CANCEL_CONFIRMATION', this.handleCancelConfirmation.bind(this));
+    this.stateHandlers.set('CANCEL_REASON', this.handleCancelReason.bind(this));
     this.stateHandlers.set('COMPLETED', this.handleCompleted.bind(this));
     this.stateHandlers.set('ERROR', this.handleError.bind(this));
   }
@@ -59,10 +93,18 @@ class ConversationsManager extends EventEmitter {
   async processMessage(sessionId, message, metadata = {}) {
     try {
       const session = this.getSession(sessionId);
+      // La caducidad se mide antes de registrar esta actividad; con avisos de seguimiento
+      // pendientes la sesión sigue viva (igual que en cleanupExpiredSessions)
+      const expired = this.isSessionExpired(session) && session.followUp?.status !== 'active';
       session.lastActivity = new Date();
+      this.applyCustomerMetadata(session, metadata);
       
       // Manejar comando especial /start
       if (message === '/start' || session.state === 'INIT') {
+        // Una nota de voz que abre la conversación también queda (con su audio) en el historial
+        if (metadata.audio) {
+          session.messageHistory.push({ timestamp: new Date(), type: 'user', content: message, metadata });
+        }
         const response = await this.handleInit(session, message, metadata);
         
         // Registrar respuesta en historial
@@ -88,7 +130,7 @@ class ConversationsManager extends EventEmitter {
       });
 
       // Validar timeout de sesión
-      if (this.isSessionExpired(session)) {
+      if (expired) {
         return this.handleSessionTimeout(session);
       }
 
@@ -161,17 +203,9 @@ class ConversationsManager extends EventEmitter {
 
   async handleConsent(session, message, metadata) {
     if (message.includes('ACEPTO') || message.includes('JA') || message.includes('YES')) {
-      session.state = 'SLOT_SELECTION';
       session.context.consented = true;
       
-      const availableSlots = this.generateAvailableSlots();
-      session.context.availableSlots = availableSlots;
-      
-      return {
-        bot: this.getLocalizedMessage('choose_slot', session.language),
-        quick: availableSlots.map(slot => this.formatSlotForDisplay(slot, session.language)),
-        state: 'SLOT_SELECTION'
-      };
+      return this.startSlotSelection(session);
     }
 
     if (message.startsWith('/borrar') || message.startsWith('/daten_loeschen') || message.startsWith('/delete')) {
@@ -185,71 +219,656 @@ class ConversationsManager extends EventEmitter {
     };
   }
 
+  async handleTypeSelection(session, message, metadata) {
+    const seriesType = this.findSeriesByLabel(message, session.language);
+    if (seriesType) {
+      this.applySeriesType(session, seriesType);
+      return this.startSlotSelection(session);
+    }
+
+    const typeId = this.findAppointmentTypeByLabel(message, session.language);
+    if (!typeId) {
+      return {
+        bot: this.getLocalizedMessage('invalid_type', session.language),
+        quick: this.getAppointmentTypeQuickReplies(session.language),
+        state: 'TYPE_SELECTION'
+      };
+    }
+
+    session.context.appointmentType = typeId;
+    return this.startSlotSelection(session);
+  }
+
+  async handlePostalCode(session, message, metadata) {
+    const postalCode = this.zoneMatcher.normalizePostalCode(message);
+    if (!postalCode) {
+      return {
+        bot: this.getLocalizedMessage('invalid_postal_code', session.language),
+        state: 'POSTAL_CODE'
+      };
+    }
+
+    session.context.postalCode = postalCode;
+    return this.startSlotSelection(session);
+  }
+
   async handleSlotSelection(session, message, metadata) {
+    if (this.isWaitlistRequest(message, session.language)) {
+      return this.startWaitlistSignup(session);
+    }
+
+    const navigation = this.handleSlotPickerNavigation(session, message);
+    if (navigation) {
+      return navigation;
+    }
+
     const selectedSlot = this.findSlotByDisplay(message, session.context.availableSlots, session.language);
     
     if (selectedSlot) {
+      // Reservar el slot con un técnico concreto mientras el cliente confirma
+      this.slotHolds.releaseSessionHolds(session.id);
+      const technician = this.slotService.assignTechnician(selectedSlot, this.getSlotOptions(session));
+      if (!technician) {
+        return this.offerAvailableSlots(session, 'slot_taken');
+      }
+
+      const hold = this.slotHolds.createHold(selectedSlot, session.id, technician);
+      session.context.holdId = hold.id;
       session.context.selectedSlot = selectedSlot;
+
+      // En una serie, la primera visita abre la elección de las siguientes
+      if (session.context.seriesType) {
+        session.context.seriesVisits = [{ type: session.context.appointmentType, slot: selectedSlot, technician, holdId: hold.id }];
+        return this.offerSeriesVisit(session);
+      }
+
       session.state = 'CONFIRMATION';
       
       return {
-        bot: this.formatConfirmationMessage(selectedSlot, session.language),
+        bot: this.formatConfirmationMessage(selectedSlot, session.language, session.context.appointmentType),
         quick: this.getLocalizedQuickReplies('confirmation', session.language),
         state: 'CONFIRMATION'
       };
     }
 
-    return {
-      bot: this.getLocalizedMessage('invalid_slot', session.language),
-      quick: session.context.availableSlots.map(slot => this.formatSlotForDisplay(slot, session.language)),
-      state: 'SLOT_SELECTION'
-    };
+    return this.handleSlotSearch(session, message) ||
+      this.presentSlotPicker(session, this.getLocalizedMessage('invalid_slot', session.language));
   }
 
   async handleConfirmation(session, message, metadata) {
+    if (this.isPositiveResponse(message, session.language) && session.context.seriesType) {
+      const holds = session.context.seriesVisits.map(visit => this.slotHolds.getHold(visit.holdId));
+      if (holds.some(hold => !hold || hold.sessionId !== session.id)) {
+        return this.offerAvailableSlots(session, 'slot_taken');
+      }
+
+      return this.confirmHeldSeries(session);
+    }
+
     if (this.isPositiveResponse(message, session.language)) {
-      session.context.confirmed = true;
-      session.state = 'REMINDER_SETUP';
-      
-      // Generar ID de cita y asignar técnico
-      const appointmentId = this.generateAppointmentId();
-      const assignedTechnician = this.assignTechnician(session.context.selectedSlot);
-      
-      session.context.appointmentId = appointmentId;
-      session.context.technician = assignedTechnician;
-      
-      // Emitir evento para persistencia
-      this.emit('appointmentCreated', {
-        id: appointmentId,
-        sessionId: session.id,
-        slot: session.context.selectedSlot,
-        technician: assignedTechnician,
-        language: session.language,
-        timestamp: new Date()
-      });
-      
+      // La reserva pudo caducar mientras el cliente decidía
+      const hold = this.slotHolds.getHold(session.context.holdId);
+      if (!hold || hold.sessionId !== session.id) {
+        return this.offerAvailableSlots(session, 'slot_taken');
+      }
+
+      return this.confirmHeldSlot(session, hold);
+    }
+
+    if (this.isNegativeResponse(message, session.language)) {
+      return this.offerAvailableSlots(session, 'select_different_slot');
+    }
+
+    return {
+      bot: this.getLocalizedMessage('confirmation_required', session.language),
+      quick: this.getLocalizedQuickReplies('confirmation', session.language),
+      state: 'CONFIRMATION'
+    };
+  }
+
+  /**
+   * Convertir la reserva temporal de la sesión en cita confirmada
+   */
+  confirmHeldSlot(session, hold) {
+    session.context.confirmed = true;
+    session.state = 'REMINDER_SETUP';
+    
+    // Generar ID de cita con el técnico reservado
+    const appointmentId = this.generateAppointmentId();
+    const assignedTechnician = hold.technician;
+    
+    session.context.appointmentId = appointmentId;
+    session.context.technician = assignedTechnician;
+    
+    // Emitir evento para persistencia
+    this.emit('appointmentCreated', {
+      id: appointmentId,
+      sessionId: session.id,
+      slot: session.context.selectedSlot,
+      technician: assignedTechnician,
+      type: session.context.appointmentType,
+      postalCode: session.context.postalCode,
+      customerName: session.context.customerName,
+      phone: session.context.phone,
+      email: session.context.email,
+      language: session.language,
+      timestamp: new Date()
+    });
+    this.slotHolds.releaseHold(hold.id, 'confirmed');
+    session.context.holdId = null;
+
+    // Ya tiene cita: sale de la lista de espera
+    this.waitlist.getEntriesBySession(session.id)
+      .forEach(entry => this.waitlist.updateEntry(entry.id, { status: 'booked', appointmentId }));
+    
+    return {
+      bot: this.formatAppointmentConfirmation(session),
+      quick: this.getLocalizedQuickReplies('reminder', session.language),
+      state: 'REMINDER_SETUP'
+    };
+  }
+
+  /**
+   * Series de visitas: la primera se elige como una cita normal y cada
+   * siguiente dentro de la separación configurada respecto a la anterior
+   */
+
+  getSeriesTypes() {
+    // Las series necesitan el gestor de datos para validar separaciones
+    return this.dataManager ? (this.config.appointments.series || {}) : {};
+  }
+
+  applySeriesType(session, seriesType) {
+    session.context.seriesType = seriesType;
+    session.context.appointmentType = this.getSeriesTypes()[seriesType].visits[0].type;
+    session.context.seriesVisits = [];
+  }
+
+  getSeriesLabel(seriesType, language) {
+    const label = this.getSeriesTypes()[seriesType]?.label || {};
+    return label[language] || label.es || seriesType;
+  }
+
+  findSeriesByLabel(message, language) {
+    const text = message.trim().toLowerCase();
+    return Object.keys(this.getSeriesTypes()).find(id =>
+      id === text || this.getSeriesLabel(id, language).toLowerCase() === text
+    ) || null;
+  }
+
+  offerSeriesVisit(session, messageKey = 'series_next_visit') {
+    const seriesType = session.context.seriesType;
+    const visitNumber = session.context.seriesVisits.length + 1;
+    const visit = this.getSeriesTypes()[seriesType].visits[visitNumber - 1];
+    const previous = session.context.seriesVisits[visitNumber - 2];
+    const window = this.dataManager.getSeriesWindow(seriesType, visitNumber, previous.slot.start);
+
+    const availableSlots = this.slotService.generateAvailableSlots({
+      ...this.getSlotOptions(session),
+      type: visit.type,
+      dateFrom: window.from.format('YYYY-MM-DD'),
+      dateTo: window.to.format('YYYY-MM-DD'),
+      followUp: true
+    });
+
+    if (availableSlots.length === 0) {
+      return this.offerAvailableSlots(session, 'series_no_followup');
+    }
+
+    session.context.availableSlots = availableSlots;
+    session.state = 'SERIES_SLOT_SELECTION';
+    return this.presentSlotDays(session, this.getLocalizedMessage(messageKey, session.language)
+      .replace('{visit}', visitNumber)
+      .replace('{type}', this.getAppointmentTypeLabel(visit.type, session.language))
+      .replace('{from}', window.from.format('DD/MM'))
+      .replace('{to}', window.to.format('DD/MM')));
+  }
+
+  async handleSeriesSlotSelection(session, message, metadata) {
+    const navigation = this.handleSlotPickerNavigation(session, message);
+    if (navigation) {
+      return navigation;
+    }
+
+    const selectedSlot = this.findSlotByDisplay(message, session.context.availableSlots, session.language);
+    if (!selectedSlot) {
+      return this.handleSlotSearch(session, message) ||
+        this.presentSlotPicker(session, this.getLocalizedMessage('invalid_slot', session.language));
+    }
+
+    const visits = this.getSeriesTypes()[session.context.seriesType].visits;
+    const type = visits[session.context.seriesVisits.length].type;
+    const technician = this.slotService.assignTechnician(selectedSlot, { ...this.getSlotOptions(session), type });
+    if (!technician) {
+      return this.offerSeriesVisit(session, 'slot_taken');
+    }
+
+    const hold = this.slotHolds.createHold(selectedSlot, session.id, technician);
+    session.context.seriesVisits.push({ type, slot: selectedSlot, technician, holdId: hold.id });
+    if (session.context.seriesVisits.length < visits.length) {
+      return this.offerSeriesVisit(session);
+    }
+
+    session.state = 'CONFIRMATION';
+    return {
+      bot: this.getLocalizedMessage('series_summary', session.language) + '\\n' +
+           this.formatSeriesVisits(session.context.seriesVisits, session.language) + '\\n' +
+           this.getLocalizedMessage('confirmQ', session.language),
+      quick: this.getLocalizedQuickReplies('confirmation', session.language),
+      state: 'CONFIRMATION'
+    };
+  }
+
+  /**
+   * Convertir las reservas temporales de todas las visitas en una serie de citas
+   */
+  confirmHeldSeries(session) {
+    const seriesId = this.generateSeriesId();
+    const visits = session.context.seriesVisits.map(visit => ({
+      id: this.generateAppointmentId(),
+      type: visit.type,
+      slot: visit.slot,
+      technician: visit.technician
+    }));
+
+    session.context.confirmed = true;
+    session.context.seriesId = seriesId;
+    session.context.appointmentId = visits[0].id;
+    session.context.appointmentIds = visits.map(visit => visit.id);
+    session.context.selectedSlot = visits[0].slot;
+    session.context.technician = visits[0].technician;
+    session.state = 'REMINDER_SETUP';
+
+    this.emit('appointmentSeriesCreated', {
+      seriesId,
+      seriesType: session.context.seriesType,
+      sessionId: session.id,
+      postalCode: session.context.postalCode,
+      customerName: session.context.customerName,
+      phone: session.context.phone,
+      email: session.context.email,
+      language: session.language,
+      visits,
+      timestamp: new Date()
+    });
+    session.context.seriesVisits.forEach(visit => this.slotHolds.releaseHold(visit.holdId, 'confirmed'));
+    session.context.seriesVisits = [];
+    session.context.holdId = null;
+
+    this.waitlist.getEntriesBySession(session.id)
+      .forEach(entry => this.waitlist.updateEntry(entry.id, { status: 'booked', appointmentId: visits[0].id }));
+
+    return {
+      bot: this.getLocalizedMessage('series_confirmed', session.language) + '\\n' +
+           this.formatSeriesVisits(visits, session.language) + '\\n' +
+           '🆔 ID: ' + visits.map(visit => visit.id).join(', '),
+      quick: this.getLocalizedQuickReplies('reminder', session.language),
+      state: 'REMINDER_SETUP'
+    };
+  }
+
+  /**
+   * Una línea por visita: número, tipo y horario (visitas en curso o citas guardadas)
+   */
+  formatSeriesVisits(visits, language) {
+    return visits.map((visit, index) => {
+      const slot = visit.slot || { start: visit.startTime, end: visit.endTime };
+      return `${visit.seriesIndex || index + 1}. 🔧 ${this.getAppointmentTypeLabel(visit.type, language)} · 🗓 ${this.formatSlotForDisplay(slot, language)}`;
+    }).join('\\n');
+  }
+
+  generateSeriesId() {
+    const now = moment().tz(this.config.appointments.timezone);
+    return `S-${now.format('YYYY-MMDD-HHmm')}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+  }
+
+  /**
+   * Lista de espera: alta del cliente con días y franjas preferidas
+   */
+
+  startWaitlistSignup(session) {
+    this.slotHolds.releaseSessionHolds(session.id);
+    session.state = 'WAITLIST_DAYS';
+    return {
+      bot: this.getLocalizedMessage('waitlist_days', session.language),
+      quick: Object.keys(this.getWaitlistDayOptions(session.language)),
+      state: 'WAITLIST_DAYS'
+    };
+  }
+
+  async handleWaitlistPrompt(session, message, metadata) {
+    if (this.isPositiveResponse(message, session.language) || this.isWaitlistRequest(message, session.language)) {
+      return this.startWaitlistSignup(session);
+    }
+
+    session.state = 'COMPLETED';
+    session.completed = true;
+    return this.handleCompleted(session, message, metadata);
+  }
+
+  async handleWaitlistDays(session, message, metadata) {
+    const days = this.parseWaitlistDays(message, session.language);
+    if (days.length === 0) {
+      return {
+        bot: this.getLocalizedMessage('waitlist_days', session.language),
+        quick: Object.keys(this.getWaitlistDayOptions(session.language)),
+        state: 'WAITLIST_DAYS'
+      };
+    }
+
+    session.context.waitlistDays = days;
+    session.state = 'WAITLIST_TIME';
+    return {
+      bot: this.getLocalizedMessage('waitlist_time', session.language),
+      quick: Object.keys(this.getWaitlistTimeOptions(session.language)),
+      state: 'WAITLIST_TIME'
+    };
+  }
+
+  async handleWaitlistTime(session, message, metadata) {
+    const options = this.getWaitlistTimeOptions(session.language);
+    const label = Object.keys(options).find(option => option.toLowerCase() === message.trim().toLowerCase());
+    if (!label) {
+      return {
+        bot: this.getLocalizedMessage('waitlist_time', session.language),
+        quick: Object.keys(options),
+        state: 'WAITLIST_TIME'
+      };
+    }
+
+    const entry = this.waitlist.addEntry({
+      sessionId: session.id,
+      channel: session.channel,
+      language: session.language,
+      postalCode: session.context.postalCode,
+      type: session.context.appointmentType,
+      preferredDays: session.context.waitlistDays,
+      timeWindows: options[label]
+    });
+    session.context.waitlistEntryId = entry.id;
+    session.state = 'WAITLISTED';
+    this.emit('waitlistJoined', entry);
+
+    return {
+      bot: this.getLocalizedMessage('waitlist_joined', session.language),
+      quick: this.getLocalizedQuickReplies('waitlisted', session.language),
+      state: 'WAITLISTED'
+    };
+  }
+
+  async handleWaitlisted(session, message, metadata) {
+    if (this.isNegativeResponse(message, session.language) || this.isWaitlistLeaveRequest(message, session.language)) {
+      this.waitlist.getEntriesBySession(session.id)
+        .forEach(entry => this.waitlist.updateEntry(entry.id, { status: 'cancelled' }));
+      session.state = 'COMPLETED';
+      session.completed = true;
       return {
-        bot: this.formatAppointmentConfirmation(session),
-        quick: this.getLocalizedQuickReplies('reminder', session.language),
-        state: 'REMINDER_SETUP'
+        bot: this.getLocalizedMessage('waitlist_left', session.language),
+        state: 'COMPLETED'
       };
     }
 
+    const messageKey = session.context.waitlistOfferExpired ? 'waitlist_offer_expired' : 'waitlist_status';
+    session.context.waitlistOfferExpired = false;
+    return {
+      bot: this.getLocalizedMessage(messageKey, session.language),
+      quick: this.getLocalizedQuickReplies('waitlisted', session.language),
+      state: 'WAITLISTED'
+    };
+  }
+
+  async handleWaitlistOffer(session, message, metadata) {
+    if (this.isPositiveResponse(message, session.language)) {
+      const hold = this.slotHolds.getHold(session.context.holdId);
+      if (!hold || hold.sessionId !== session.id) {
+        // handleWaitlistOfferEnded ya devolvió la entrada a la lista
+        session.context.waitlistOfferExpired = false;
+        session.state = 'WAITLISTED';
+        return {
+          bot: this.getLocalizedMessage('waitlist_offer_expired', session.language),
+          quick: this.getLocalizedQuickReplies('waitlisted', session.language),
+          state: 'WAITLISTED'
+        };
+      }
+
+      return this.confirmHeldSlot(session, hold);
+    }
+
     if (this.isNegativeResponse(message, session.language)) {
-      session.state = 'SLOT_SELECTION';
-      
+      this.slotHolds.releaseHold(session.context.holdId, 'declined');
+      session.state = 'WAITLISTED';
       return {
-        bot: this.getLocalizedMessage('select_different_slot', session.language),
-        quick: session.context.availableSlots.map(slot => this.formatSlotForDisplay(slot, session.language)),
-        state: 'SLOT_SELECTION'
+        bot: this.getLocalizedMessage('waitlist_offer_declined', session.language),
+        quick: this.getLocalizedQuickReplies('waitlisted', session.language),
+        state: 'WAITLISTED'
       };
     }
 
     return {
       bot: this.getLocalizedMessage('confirmation_required', session.language),
-      quick: this.getLocalizedQuickReplies('confirmation', session.language),
-      state: 'CONFIRMATION'
+      quick: this.getLocalizedQuickReplies('waitlist_offer', session.language),
+      state: 'WAITLIST_OFFER'
+    };
+  }
+
+  /**
+   * Ofrecer un hueco liberado al primer cliente en espera que encaje
+   * (días, franja, zona y habilidad); devuelve la entrada ofertada o null
+   */
+  offerFreedSlot(freedSlot) {
+    if (this.config.waitlist?.enabled === false) {
+      return null;
+    }
+
+    const start = moment(freedSlot.start);
+    const window = this.slotService.getBookingWindow();
+    if (start.isBefore(window.start) || !start.isBefore(window.end)) {
+      return null;
+    }
+
+    for (const entry of this.waitlist.findCandidates({ start: start.toISOString() })) {
+      const slot = this.slotService.buildSlot(start, entry.type);
+      const technician = this.slotService.assignTechnician(slot, {
+        sessionId: entry.sessionId,
+        postalCode: entry.postalCode,
+        type: entry.type
+      });
+      if (!technician) {
+        continue;
+      }
+
+      const ttlMinutes = this.config.waitlist?.offerTtlMinutes || 30;
+      const hold = this.slotHolds.createHold(slot, entry.sessionId, technician, { ttlMinutes, purpose: 'waitlist' });
+      this.waitlist.updateEntry(entry.id, {
+        status: 'offered',
+        offer: { slot, holdId: hold.id, technician, expiresAt: hold.expiresAt }
+      });
+
+      // La sesión pudo caducar desde que se apuntó: se recupera con los datos guardados
+      const session = this.getSession(entry.sessionId);
+      session.language = entry.language || session.language;
+      session.channel = session.channel || entry.channel;
+      Object.assign(session.context, {
+        consented: true,
+        postalCode: entry.postalCode,
+        appointmentType: entry.type,
+        waitlistEntryId: entry.id,
+        holdId: hold.id,
+        selectedSlot: slot
+      });
+      session.state = 'WAITLIST_OFFER';
+      session.lastActivity = new Date();
+
+      const response = {
+        bot: this.getLocalizedMessage('waitlist_offer', session.language) + '\\n' +
+             '🗓 ' + this.formatSlotForDisplay(slot, session.language) + '\\n' +
+             this.getLocalizedMessage('waitlist_offer_deadline', session.language).replace('{minutes}', ttlMinutes),
+        quick: this.getLocalizedQuickReplies('waitlist_offer', session.language),
+        state: 'WAITLIST_OFFER'
+      };
+      this.sendProactiveMessage(session, response);
+      this.emit('waitlistOffered', entry);
+      return entry;
+    }
+
+    return null;
+  }
+
+  /**
+   * Oferta rechazada o caducada: la entrada vuelve a esperar y el hueco pasa al siguiente
+   */
+  handleWaitlistOfferEnded(hold, reason) {
+    const entry = this.waitlist.getEntries('offered').find(item => item.offer?.holdId === hold.id);
+    if (!entry) {
+      return;
+    }
+
+    this.waitlist.updateEntry(entry.id, {
+      status: 'waiting',
+      offer: null,
+      declinedSlots: [...entry.declinedSlots, hold.start]
+    });
+
+    const session = this.sessions.get(entry.sessionId);
+    if (session && session.state === 'WAITLIST_OFFER' && session.context.holdId === hold.id) {
+      session.state = 'WAITLISTED';
+      session.context.holdId = null;
+      session.context.waitlistOfferExpired = reason === 'expired';
+    }
+
+    this.offerFreedSlot({ start: hold.start });
+  }
+
+  /**
+   * Mensaje iniciado por el bot (sin mensaje previo del cliente); el servidor
+   * lo entrega por el canal de la sesión
+   */
+  sendProactiveMessage(session, response) {
+    session.messageHistory.push({
+      timestamp: new Date(),
+      type: 'bot',
+      content: response.bot,
+      metadata: { state: session.state, proactive: true }
+    });
+    this.emit('outboundMessage', session, response);
+  }
+
+  /**
+   * Registro de canales por el que se entregan los mensajes que necesitan el resultado del envío
+   */
+  useChannels(channels) {
+    this.channels = channels;
+  }
+
+  /**
+   * Canal activo por el que se puede escribir a la sesión sin que el cliente lo haga, o null
+   */
+  getProactiveChannel(session) {
+    const channel = this.channels?.forSession(session);
+    return channel && channel.isEnabled() && channel.capabilities.proactive ? channel : null;
+  }
+
+  /**
+   * Como sendProactiveMessage, pero entrega aquí y devuelve lo que informa el canal
+   * ({ delivered, channel, error }); null si el canal no puede escribir por su cuenta.
+   * Solo queda en el historial lo que el canal entregó
+   */
+  async deliverProactiveMessage(session, response, metadata = {}) {
+    const channel = this.getProactiveChannel(session);
+    if (!channel) {
+      return null;
+    }
+
+    const result = await channel.deliver(session, response) || { delivered: false, channel: channel.name, error: 'not_delivered' };
+    if (result.delivered) {
+      session.messageHistory.push({
+        timestamp: new Date(),
+        type: 'bot',
+        content: response.bot,
+        metadata: { state: session.state, proactive: true, ...metadata }
+      });
+    }
+    this.emit('proactiveMessageDelivered', session, response, result);
+    return result;
+  }
+
+  /**
+   * Recordatorio de una cita por el chat del cliente. Devuelve lo que informa el canal
+   * o null si el canal no puede escribir sin que el cliente lo haga
+   */
+  async sendReminder(appointment, reminder) {
+    const sessionId = reminder.sessionId || appointment.sessionId;
+    if (!sessionId) {
+      return null;
+    }
+
+    // La sesión suele haber caducado días antes del recordatorio: no se recrea,
+    // el canal solo necesita su id (WhatsApp, Telegram, SMS) para escribir al cliente
+    const existing = this.getSession(sessionId, false);
+    const language = reminder.language || appointment.language || existing?.language || this.config.bot.defaultLanguage;
+    const session = existing || { id: sessionId, language, state: null, context: {}, messageHistory: [] };
+    if (!this.getProactiveChannel(session)) {
+      return null;
+    }
+
+    const slot = { start: appointment.startTime, end: appointment.endTime };
+    return this.deliverProactiveMessage(session, {
+      bot: this.getLocalizedMessage('reminder_message', language)
+        .replace('{hours}', reminder.offsetHours)
+        .replace('{type}', this.getAppointmentTypeLabel(appointment.type, language))
+        .replace('{slot}', this.formatSlotForDisplay(slot, language)),
+      quick: session.state === 'MANAGEMENT' ? this.getLocalizedQuickReplies('management', language) : [],
+      state: session.state
+    }, { reminderId: reminder.id });
+  }
+
+  getWaitlistDayOptions(language) {
+    const options = {
+      es: { 'Entre semana': [1, 2, 3, 4, 5], 'Sábado': [6], 'Cualquier día': [1, 2, 3, 4, 5, 6] },
+      de: { 'Werktags': [1, 2, 3, 4, 5], 'Samstag': [6], 'Jeder Tag': [1, 2, 3, 4, 5, 6] },
+      en: { 'Weekdays': [1, 2, 3, 4, 5], 'Saturday': [6], 'Any day': [1, 2, 3, 4, 5, 6] }
+    };
+    return options[language] || options.es;
+  }
+
+  getWaitlistTimeOptions(language) {
+    const options = {
+      es: { 'Mañana': ['morning'], 'Tarde': ['afternoon', 'evening'], 'Cualquier hora': ['any'] },
+      de: { 'Vormittag': ['morning'], 'Nachmittag': ['afternoon', 'evening'], 'Jederzeit': ['any'] },
+      en: { 'Morning': ['morning'], 'Afternoon': ['afternoon', 'evening'], 'Any time': ['any'] }
+    };
+    return options[language] || options.es;
+  }
+
+  /**
+   * Días preferidos desde las opciones rápidas o nombres de días ('lunes y jueves')
+   */
+  parseWaitlistDays(message, language) {
+    const text = message.trim().toLowerCase();
+    const options = this.getWaitlistDayOptions(language);
+    const option = Object.keys(options).find(label => label.toLowerCase() === text);
+    if (option) {
+      return options[option];
+    }
+
+    const dayNames = {
+      es: ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'],
+      de: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag'],
+      en: ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
     };
+    return (dayNames[language] || dayNames.es)
+      .map((name, day) => (text.includes(name) ? day : null))
+      .filter(day => day !== null);
+  }
+
+  isWaitlistRequest(message, language) {
+    const label = this.getLocalizedQuickReplies('waitlist', language)[0];
+    return Boolean(label) && message.trim().toLowerCase() === label.toLowerCase();
+  }
+
+  isWaitlistLeaveRequest(message, language) {
+    const label = this.getLocalizedQuickReplies('waitlisted', language)[0];
+    return Boolean(label) && message.trim().toLowerCase() === label.toLowerCase();
   }
 
   async handleReminderSetup(session, message, metadata) {
@@ -260,6 +879,7 @@ class ConversationsManager extends EventEmitter {
     if (wantsReminder) {
       this.emit('reminderScheduled', {
         appointmentId: session.context.appointmentId,
+        appointmentIds: session.context.appointmentIds || [session.context.appointmentId],
         sessionId: session.id,
         slot: session.context.selectedSlot,
         language: session.language
@@ -279,6 +899,7 @@ class ConversationsManager extends EventEmitter {
     
     switch (action) {
       case 'reschedule':
+        session.context.rescheduleAppointmentId = null;
         return this.handleReschedule(session);
       case 'cancel':
         return this.handleCancellation(session);
@@ -329,55 +950,377 @@ class ConversationsManager extends EventEmitter {
    * Métodos auxiliares
    */
 
-  generateAvailableSlots() {
-    const slots = [];
-    const now = moment().tz(this.config.appointments.timezone);
-    const maxDate = now.clone().add(this.config.appointments.advanceBookingDays, 'days');
-    
-    let current = now.clone().add(this.config.appointments.minAdvanceHours, 'hours');
-    
-    while (current.isBefore(maxDate)) {
-      const dayOfWeek = current.day();
-      const availableTimes = this.config.appointments.availableSlots[dayOfWeek];
-      
-      if (availableTimes) {
-        availableTimes.forEach(timeStr => {
-          const [hour, minute] = timeStr.split(':').map(Number);
-          const slotTime = current.clone().hour(hour).minute(minute).second(0);
-          
-          if (slotTime.isAfter(now.clone().add(this.config.appointments.minAdvanceHours, 'hours'))) {
-            slots.push({
-              id: this.generateSlotId(),
-              start: slotTime.toISOString(),
-              end: slotTime.clone().add(this.config.appointments.slotDuration, 'minutes').toISOString(),
-              available: true
-            });
-          }
-        });
-      }
-      
-      current.add(1, 'day');
+  /**
+   * Guardar datos del cliente que llegan desde el canal (p. ej. PLZ del CRM)
+   */
+  applyCustomerMetadata(session, metadata = {}) {
+    const postalCode = this.zoneMatcher.normalizePostalCode(metadata.postalCode || metadata.plz);
+    if (postalCode && !session.context.postalCode) {
+      session.context.postalCode = postalCode;
     }
-    
-    return slots.slice(0, 10); // Limitar a 10 opciones
-  }
-
-  generateSlotId() {
-    return Math.random().toString(36).substr(2, 9);
-  }
-
-  generateAppointmentId() {
-    const now = moment().tz(this.config.appointments.timezone);
-    return `C-${now.format('YYYY-MMDD-HHmm')}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
+    if (metadata.channel) {
+      session.channel = metadata.channel;
+    }
+    // Datos de contacto para los avisos por email
+    if (typeof metadata.email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(metadata.email.trim())) {
+      session.context.email = metadata.email.trim();
+    }
+    if (metadata.customerName) {
+      session.context.customerName = String(metadata.customerName).trim();
+    }
+    if (metadata.phone) {
+      session.context.phone = String(metadata.phone).trim();
+    }
+    if (metadata.appointmentType && this.config.appointments.types?.[metadata.appointmentType] && !session.context.appointmentType) {
+      session.context.appointmentType = metadata.appointmentType;
+    }
+    if (metadata.appointmentType && this.getSeriesTypes()[metadata.appointmentType] && !session.context.appointmentType) {
+      this.applySeriesType(session, metadata.appointmentType);
+    }
+  }
+
+  getSlotOptions(session) {
+    return {
+      sessionId: session.id,
+      postalCode: session.context.postalCode,
+      type: session.context.appointmentType
+    };
+  }
+
+  getAppointmentTypeLabel(typeId, language) {
+    const type = this.slotService.getAppointmentType(typeId);
+    return type.label[language] || type.label.es || type.id;
+  }
+
+  getAppointmentTypeQuickReplies(language) {
+    return [
+      ...Object.keys(this.config.appointments.types || {}).map(id => this.getAppointmentTypeLabel(id, language)),
+      ...Object.keys(this.getSeriesTypes()).map(id => this.getSeriesLabel(id, language))
+    ];
+  }
+
+  findAppointmentTypeByLabel(message, language) {
+    const text = message.trim().toLowerCase();
+    return Object.keys(this.config.appointments.types || {}).find(id =>
+      id === text || this.getAppointmentTypeLabel(id, language).toLowerCase() === text
+    ) || null;
+  }
+
+  /**
+   * Completar los datos que faltan (tipo de cita, código postal) antes de
+   * ofrecer horarios, y comprobar que alguien cubre la zona
+   */
+  startSlotSelection(session) {
+    if (!session.context.appointmentType) {
+      session.state = 'TYPE_SELECTION';
+      return {
+        bot: this.getLocalizedMessage('choose_type', session.language),
+        quick: this.getAppointmentTypeQuickReplies(session.language),
+        state: 'TYPE_SELECTION'
+      };
+    }
+
+    if (!session.context.postalCode) {
+      session.state = 'POSTAL_CODE';
+      return {
+        bot: this.getLocalizedMessage('ask_postal_code', session.language),
+        state: 'POSTAL_CODE'
+      };
+    }
+
+    if (!this.zoneMatcher.isCovered(session.context.postalCode)) {
+      const postalCode = session.context.postalCode;
+      session.context.postalCode = null;
+      session.state = 'POSTAL_CODE';
+      this.emit('coverageGap', { sessionId: session.id, postalCode });
+
+      return {
+        bot: this.getLocalizedMessage('no_coverage', session.language),
+        state: 'POSTAL_CODE'
+      };
+    }
+
+    return this.offerAvailableSlots(session, 'choose_slot');
+  }
+
+  /**
+   * Ofrecer los slots libres en este momento y pasar a SLOT_SELECTION
+   */
+  offerAvailableSlots(session, messageKey) {
+    // Cualquier reserva anterior de la sesión deja de tener sentido
+    this.slotHolds.releaseSessionHolds(session.id);
+    session.context.holdId = null;
+
+    // Toda la ventana reservable: el selector por días se encarga de paginarla
+    const availableSlots = this.slotService.generateAvailableSlots(this.getSlotOptions(session));
+    session.context.availableSlots = availableSlots;
+    session.context.selectedSlot = null;
+    session.context.seriesVisits = [];
+
+    // Una serie no se puede ofrecer pieza a pieza desde la lista de espera
+    if (availableSlots.length === 0 && session.context.seriesType) {
+      session.state = 'COMPLETED';
+      session.completed = true;
+      return {
+        bot: this.getLocalizedMessage('series_no_slots', session.language),
+        state: 'COMPLETED'
+      };
+    }
+
+    if (availableSlots.length === 0) {
+      session.state = 'WAITLIST_PROMPT';
+      return {
+        bot: this.getLocalizedMessage('no_slots_available', session.language),
+        quick: this.getLocalizedQuickReplies('waitlist_prompt', session.language),
+        state: 'WAITLIST_PROMPT'
+      };
+    }
+
+    session.state = 'SLOT_SELECTION';
+    return this.presentSlotDays(session, this.getLocalizedMessage(messageKey, session.language));
+  }
+
+  /**
+   * Selector de horario en dos pasos: primero el día y después la hora.
+   * Cada paso se pagina con «antes / más tarde» para no pasar de bot.maxQuickReplies
+   */
+  presentSlotDays(session, text = null, dayPage = 0) {
+    const days = this.getSlotDays(session);
+    const pageSize = this.getSlotPageSize(session, 'day');
+    // Sin días (la lista se vació mientras tanto) se queda en la página 0, nunca en la -1
+    const page = Math.max(Math.min(dayPage, Math.ceil(days.length / pageSize) - 1), 0);
+    session.context.slotPicker = { step: 'day', dayPage: page, day: null, timePage: 0 };
+
+    const paging = this.getLocalizedQuickReplies('slot_paging', session.language);
+    const quick = days.slice(page * pageSize, (page + 1) * pageSize).map(day => this.formatDayForDisplay(day, session.language));
+    if (page > 0) quick.push(paging[0]);
+    if ((page + 1) * pageSize < days.length) quick.push(paging[1]);
+
+    return {
+      bot: [text, this.getLocalizedMessage('choose_day', session.language)].filter(Boolean).join('\\n'),
+      quick: [...quick, ...this.getSlotPickerExtras(session)],
+      state: session.state
+    };
+  }
+
+  presentSlotTimes(session, text, day, timePage = 0) {
+    const days = this.getSlotDays(session);
+    const slots = this.getSlotsForDay(session, day);
+    const pageSize = this.getSlotPageSize(session, 'time');
+    const page = Math.max(Math.min(timePage, Math.ceil(slots.length / pageSize) - 1), 0);
+    const dayIndex = days.indexOf(day);
+    session.context.slotPicker = {
+      step: 'time',
+      dayPage: Math.floor(dayIndex / this.getSlotPageSize(session, 'day')),
+      day,
+      timePage: page
+    };
+
+    // Al terminar las horas de un día, «más tarde» salta al siguiente día con huecos
+    const paging = this.getLocalizedQuickReplies('slot_paging', session.language);
+    const quick = slots.slice(page * pageSize, (page + 1) * pageSize).map(slot => this.formatSlotForDisplay(slot, session.language));
+    if (page > 0 || dayIndex > 0) quick.push(paging[0]);
+    if ((page + 1) * pageSize < slots.length || dayIndex < days.length - 1) quick.push(paging[1]);
+    quick.push(paging[2]);
+
+    const header = this.getLocalizedMessage('choose_time', session.language)
+      .replace('{day}', this.formatDayForDisplay(day, session.language));
+    return {
+      bot: [text, header].filter(Boolean).join('\\n'),
+      quick: [...quick, ...this.getSlotPickerExtras(session)],
+      state: session.state
+    };
+  }
+
+  /**
+   * Volver a mostrar el paso actual del selector (p. ej. tras una respuesta no reconocida)
+   */
+  presentSlotPicker(session, text = null) {
+    const picker = session.context.slotPicker || { step: 'day', dayPage: 0 };
+    if (picker.step === 'time' && this.getSlotsForDay(session, picker.day).length > 0) {
+      return this.presentSlotTimes(session, text, picker.day, picker.timePage);
+    }
+    return this.presentSlotDays(session, text, picker.dayPage);
+  }
+
+  /**
+   * Respuestas de navegación del selector (día, antes, más tarde, otro día).
+   * Devuelve null si el mensaje no es de navegación y debe tratarse como un horario
+   */
+  handleSlotPickerNavigation(session, message) {
+    const picker = session.context.slotPicker;
+    if (!picker) {
+      return null;
+    }
+
+    const lang = session.language;
+    const days = this.getSlotDays(session);
+
+    // Respuesta a una pregunta aclaratoria de fecha
+    const dateOption = (picker.dateOptions || []).find(option =>
+      option.label.toLowerCase() === message.trim().toLowerCase()
+    );
+    if (dateOption) {
+      return this.presentMatchingSlots(session, dateOption.starts);
+    }
+
+    if (this.isQuickReply(message, 'slot_paging', lang, 2)) {
+      return this.presentSlotDays(session, null, picker.dayPage);
+    }
+
+    const earlier = this.isQuickReply(message, 'slot_paging', lang, 0);
+    const later = this.isQuickReply(message, 'slot_paging', lang, 1);
+    if ((earlier || later) && picker.step === 'day') {
+      return this.presentSlotDays(session, null, picker.dayPage + (later ? 1 : -1));
+    }
+
+    if (earlier || later) {
+      const pageSize = this.getSlotPageSize(session, 'time');
+      const pages = Math.ceil(this.getSlotsForDay(session, picker.day).length / pageSize);
+      const timePage = picker.timePage + (later ? 1 : -1);
+      if (timePage >= 0 && timePage < pages) {
+        return this.presentSlotTimes(session, null, picker.day, timePage);
+      }
+
+      const nextDay = days[days.indexOf(picker.day) + (later ? 1 : -1)];
+      if (!nextDay) {
+        return this.presentSlotTimes(session, null, picker.day, picker.timePage);
+      }
+      // Hacia atrás se entra por la última página del día anterior
+      return this.presentSlotTimes(session, null, nextDay, later ? 0 : Infinity);
+    }
+
+    const text = message.trim().toLowerCase();
+    const day = days.find(item => this.formatDayForDisplay(item, lang).toLowerCase() === text);
+    if (day) {
+      return this.presentSlotTimes(session, null, day);
+    }
+
+    return null;
+  }
+
+  /**
+   * Texto libre ('el martes por la tarde', 'Donnerstag ab 14 Uhr'): horarios que encajan
+   * con la fecha y la hora, o pregunta aclaratoria si la frase admite varias lecturas.
+   * Devuelve null si el texto no contiene ninguna fecha ni hora
+   */
+  handleSlotSearch(session, message) {
+    const lang = session.language;
+    const interpretations = this.dateParser.parse(message, lang);
+    if (interpretations.length === 0) {
+      return null;
+    }
+
+    // La hora solo aparece en las opciones cuando es ella la que admite varias lecturas
+    const withTime = new Set(interpretations.map(interpretation => JSON.stringify(interpretation.time))).size > 1;
+    const candidates = new Map(); // lecturas con los mismos horarios cuentan como una
+    interpretations.forEach(interpretation => {
+      const slots = session.context.availableSlots.filter(slot => this.dateParser.matchesSlot(slot, interpretation));
+      const label = this.formatDateInterpretation(interpretation, lang, withTime);
+      const key = slots.map(slot => slot.start).join('|');
+      if (slots.length > 0 && !candidates.has(key) && ![...candidates.values()].some(item => item.label === label)) {
+        candidates.set(key, { label, starts: slots.map(slot => slot.start) });
+      }
+    });
+
+    if (candidates.size === 0) {
+      return this.presentSlotPicker(session, this.getLocalizedMessage('date_no_slots', lang));
+    }
+    if (candidates.size === 1) {
+      return this.presentMatchingSlots(session, [...candidates.values()][0].starts);
+    }
+
+    const dateOptions = [...candidates.values()];
+    session.context.slotPicker = { ...session.context.slotPicker, dateOptions };
+    return {
+      bot: this.getLocalizedMessage('date_ambiguous', lang),
+      quick: [
+        ...dateOptions.map(option => option.label),
+        this.getLocalizedQuickReplies('slot_paging', lang)[2],
+        ...this.getSlotPickerExtras(session)
+      ],
+      state: session.state
+    };
+  }
+
+  presentMatchingSlots(session, starts) {
+    const slots = session.context.availableSlots.filter(slot => starts.includes(slot.start));
+    const pageSize = this.getSlotPageSize(session, 'time');
+
+    // Demasiados horarios en varios días ('la semana que viene'): mejor elegir el día
+    const timezone = this.config.appointments.timezone;
+    const days = [...new Set(slots.map(slot => moment(slot.start).tz(timezone).format('YYYY-MM-DD')))];
+    const manyDays = slots.length > pageSize && days.length > 1;
+
+    session.context.slotPicker = { ...session.context.slotPicker, dateOptions: null };
+    return {
+      bot: this.getLocalizedMessage('date_matches', session.language) +
+        (manyDays ? '\\n' + this.getLocalizedMessage('choose_day', session.language) : ''),
+      quick: [
+        ...(manyDays
+          ? days.slice(0, this.getSlotPageSize(session, 'day')).map(day => this.formatDayForDisplay(day, session.language))
+          : slots.slice(0, pageSize).map(slot => this.formatSlotForDisplay(slot, session.language))),
+        this.getLocalizedQuickReplies('slot_paging', session.language)[2],
+        ...this.getSlotPickerExtras(session)
+      ],
+      state: session.state
+    };
+  }
+
+  formatDateInterpretation({ ranges, time }, language, withTime = true) {
+    const days = ranges.map(range => (range.from === range.to
+      ? this.formatDayForDisplay(range.from, language)
+      : `${this.formatDayForDisplay(range.from, language)} – ${this.formatDayForDisplay(range.to, language)}`));
+    return [...new Set(days), withTime && time && `${time.from}-${time.to}`].filter(Boolean).join(' ');
   }
 
-  
+  /**
+   * Días ('YYYY-MM-DD') con al menos un slot ofrecido, en orden
+   */
+  getSlotDays(session) {
+    const timezone = this.config.appointments.timezone;
+    const days = (session.context.availableSlots || []).map(slot => moment(slot.start).tz(timezone).format('YYYY-MM-DD'));
+    return [...new Set(days)];
+  }
 
-  assignTechnician(slot) {
-    const technicians = Object.keys(this.config.technicians).filter(
-      id => this.config.technicians[id].active
+  getSlotsForDay(session, day) {
+    const timezone = this.config.appointments.timezone;
+    return (session.context.availableSlots || []).filter(slot =>
+      moment(slot.start).tz(timezone).format('YYYY-MM-DD') === day
     );
-    return technicians[Math.floor(Math.random() * technicians.length)];
+  }
+
+  /**
+   * Opciones por página: el máximo de botones menos la navegación y los extras del estado
+   */
+  getSlotPageSize(session, step) {
+    const maxQuickReplies = this.config.bot.maxQuickReplies || 10;
+    const reserved = 2 + (step === 'time' ? 1 : 0) + this.getSlotPickerExtras(session).length;
+    return Math.max(1, maxQuickReplies - reserved);
+  }
+
+  /**
+   * Respuestas fijas que acompañan al selector según el estado: lista de espera
+   * en la primera reserva, mantener la cita al reprogramar, ninguna en una serie
+   */
+  getSlotPickerExtras(session) {
+    if (session.state === 'RESCHEDULE_SELECTION') {
+      return this.getLocalizedQuickReplies('reschedule', session.language);
+    }
+    if (session.state === 'SLOT_SELECTION' && this.config.waitlist?.enabled !== false && !session.context.seriesType) {
+      return this.getLocalizedQuickReplies('waitlist', session.language);
+    }
+    return [];
+  }
+
+  formatDayForDisplay(day, language) {
+    const dayMoment = moment.tz(day, 'YYYY-MM-DD', this.config.appointments.timezone);
+    return dayMoment.format(language === 'de' ? 'ddd DD.MM' : 'ddd DD/MM');
+  }
+
+  generateAppointmentId() {
+    const now = moment().tz(this.config.appointments.timezone);
+    return `C-${now.format('YYYY-MMDD-HHmm')}-${Math.random().toString(36).substr(2, 4).toUpperCase()}`;
   }
 
   formatSlotForDisplay(slot, language) {
@@ -391,6 +1334,20 @@ class ConversationsManager extends EventEmitter {
     }
   }
 
+  /**
+   * Datos de una cita como pares [etiqueta, valor] localizados (emails y .ics)
+   */
+  getAppointmentDetails(appointment, language) {
+    const technician = this.config.technicians[appointment.technician];
+    return [
+      [this.getLocalizedMessage('email_label_when', language), this.formatSlotForDisplay({ start: appointment.startTime, end: appointment.endTime }, language)],
+      [this.getLocalizedMessage('email_label_type', language), this.getAppointmentTypeLabel(appointment.type, language)],
+      [this.getLocalizedMessage('email_label_technician', language), technician ? technician.name : appointment.technician],
+      appointment.postalCode ? [this.getLocalizedMessage('email_label_location', language), `PLZ ${appointment.postalCode}`] : null,
+      [this.getLocalizedMessage('email_label_id', language), appointment.id]
+    ].filter(Boolean);
+  }
+
   isSessionExpired(session) {
     const now = new Date();
     const lastActivity = new Date(session.lastActivity);
@@ -408,6 +1365,443 @@ class ConversationsManager extends EventEmitter {
         es: 'Con tu confirmación aceptas nuestro aviso de privacidad (DSGVO). Responde **ACEPTO** o escribe **/borrar_datos**.',
         de: 'Mit Ihrer Bestätigung stimmen Sie unseren DSGVO-Hinweisen zu. Antworten Sie **JA** oder senden Sie **/daten_loeschen**.',
         en: 'By confirming you accept our privacy policy (GDPR). Reply **YES** or write **/delete_data**.'
+      },
+      choose_slot: {
+        es: 'Estos son los días con horarios disponibles.',
+        de: 'An diesen Tagen sind Zeitfenster verfügbar.',
+        en: 'These days have time slots available.'
+      },
+      reminder_set: {
+        es: '🔔 Te enviaremos un recordatorio antes de la cita.',
+        de: '🔔 Wir erinnern Sie rechtzeitig vor dem Termin.',
+        en: '🔔 We will send you a reminder before the appointment.'
+      },
+      no_reminder: {
+        es: 'De acuerdo, sin recordatorios.',
+        de: 'In Ordnung, keine Erinnerungen.',
+        en: 'Okay, no reminders.'
+      },
+      reminder_message: {
+        es: '⏰ Recordatorio: tu cita ({type}) es en {hours} h, el {slot}.',
+        de: '⏰ Erinnerung: Ihr Termin ({type}) ist in {hours} Std., am {slot}.',
+        en: '⏰ Reminder: your appointment ({type}) is in {hours}h, on {slot}.'
+      },
+      choose_day: {
+        es: '📅 Elige un día (o pide horarios antes o más tarde):',
+        de: '📅 Wählen Sie einen Tag (oder blättern Sie früher/später):',
+        en: '📅 Pick a day (or page earlier or later):'
+      },
+      date_matches: {
+        es: 'Estos horarios encajan con lo que buscas:',
+        de: 'Diese Zeitfenster passen zu Ihrer Angabe:',
+        en: 'These time slots match what you asked for:'
+      },
+      date_ambiguous: {
+        es: '¿A qué fecha te refieres exactamente?',
+        de: 'Welchen Termin meinen Sie genau?',
+        en: 'Which date do you mean exactly?'
+      },
+      date_no_slots: {
+        es: 'No quedan horarios libres para esa fecha u hora.',
+        de: 'Zu diesem Zeitpunkt ist leider nichts mehr frei.',
+        en: 'There are no free slots for that date or time.'
+      },
+      choose_time: {
+        es: '🕒 Horarios del {day}. Elige uno:',
+        de: '🕒 Zeitfenster am {day}. Bitte wählen Sie eines:',
+        en: '🕒 Time slots on {day}. Pick one:'
+      },
+      select_different_slot: {
+        es: 'Sin problema. Elige otro horario:',
+        de: 'Kein Problem. Wählen Sie ein anderes Zeitfenster:',
+        en: 'No problem. Choose another time slot:'
+      },
+      invalid_slot: {
+        es: 'No he reconocido ese horario. Elige una de las opciones:',
+        de: 'Dieses Zeitfenster habe ich nicht erkannt. Bitte wählen Sie eine Option:',
+        en: "I didn't recognise that time slot. Please pick one of the options:"
+      },
+      slot_taken: {
+        es: 'Ese horario se acaba de ocupar. ¿Te sirven estas opciones?',
+        de: 'Dieser Slot wurde soeben belegt. Passen diese Alternativen?',
+        en: 'That slot has just been taken. Do any of these work for you?'
+      },
+      chosen: {
+        es: 'Elegiste',
+        de: 'Ausgewählt',
+        en: 'You chose'
+      },
+      confirmQ: {
+        es: '¿Confirmar?',
+        de: 'Bestätigen?',
+        en: 'Confirm?'
+      },
+      confirmation_required: {
+        es: 'Responde **Sí** para confirmar u **Otra hora** para elegir otro horario.',
+        de: 'Antworten Sie **Ja** zum Bestätigen oder **Andere Zeit** für ein anderes Zeitfenster.',
+        en: 'Reply **Yes** to confirm or **Other time** to choose another slot.'
+      },
+      confirmed: {
+        es: '✅ Cita confirmada.',
+        de: '✅ Termin bestätigt.',
+        en: '✅ Appointment confirmed.'
+      },
+      session_timeout: {
+        es: 'La sesión ha caducado y el horario reservado se ha liberado. Escribe /start para empezar de nuevo.',
+        de: 'Die Sitzung ist abgelaufen und das reservierte Zeitfenster wurde freigegeben. Senden Sie /start, um neu zu beginnen.',
+        en: 'The session has expired and the reserved slot was released. Send /start to begin again.'
+      },
+      choose_type: {
+        es: '¿Qué tipo de visita necesitas?',
+        de: 'Welche Art von Termin benötigen Sie?',
+        en: 'What kind of visit do you need?'
+      },
+      invalid_type: {
+        es: 'Elige uno de los tipos de visita:',
+        de: 'Bitte wählen Sie eine der Terminarten:',
+        en: 'Please choose one of the visit types:'
+      },
+      ask_postal_code: {
+        es: '¿Cuál es el código postal (PLZ) de la instalación? Escribe los 5 dígitos, p. ej. 29227.',
+        de: 'Wie lautet die Postleitzahl (PLZ) der Installationsadresse? Bitte 5 Ziffern, z. B. 29227.',
+        en: 'What is the postal code (PLZ) of the installation address? Please enter 5 digits, e.g. 29227.'
+      },
+      invalid_postal_code: {
+        es: 'Ese código postal no es válido. Escribe los 5 dígitos, p. ej. 29227.',
+        de: 'Diese Postleitzahl ist ungültig. Bitte 5 Ziffern eingeben, z. B. 29227.',
+        en: 'That postal code is not valid. Please enter 5 digits, e.g. 29227.'
+      },
+      no_coverage: {
+        es: 'Lo sentimos, todavía no tenemos técnicos en esa zona. Hemos registrado tu código postal; si es un error, escribe otro PLZ.',
+        de: 'Leider sind in diesem Gebiet noch keine Techniker im Einsatz. Wir haben Ihre PLZ notiert; bei einem Tippfehler senden Sie bitte eine andere PLZ.',
+        en: 'Sorry, we do not have technicians in that area yet. We have noted your postal code; if it was a typo, send another PLZ.'
+      },
+      no_slots_available: {
+        es: 'Ahora mismo no quedan horarios libres. ¿Quieres apuntarte a la lista de espera? Te avisaremos si se libera uno.',
+        de: 'Derzeit sind keine Zeitfenster frei. Möchten Sie auf die Warteliste? Wir melden uns, sobald ein Termin frei wird.',
+        en: 'There are no free slots right now. Would you like to join the waitlist? We will notify you when one frees up.'
+      },
+      waitlist_days: {
+        es: '¿Qué días te vienen bien? Elige una opción o escribe los días (p. ej. "lunes y jueves"):',
+        de: 'Welche Tage passen Ihnen? Wählen Sie eine Option oder nennen Sie die Tage (z. B. "Montag und Donnerstag"):',
+        en: 'Which days suit you? Pick an option or type the days (e.g. "Monday and Thursday"):'
+      },
+      waitlist_time: {
+        es: '¿Y en qué franja horaria?',
+        de: 'Und zu welcher Tageszeit?',
+        en: 'And at what time of day?'
+      },
+      waitlist_joined: {
+        es: '📝 Estás en la lista de espera. Te escribiremos en cuanto se libere un horario que encaje.',
+        de: '📝 Sie stehen auf der Warteliste. Wir melden uns, sobald ein passender Termin frei wird.',
+        en: '📝 You are on the waitlist. We will message you as soon as a matching slot frees up.'
+      },
+      waitlist_status: {
+        es: 'Sigues en la lista de espera. Te avisaremos en cuanto haya un hueco.',
+        de: 'Sie stehen weiterhin auf der Warteliste. Wir melden uns, sobald ein Termin frei wird.',
+        en: 'You are still on the waitlist. We will let you know as soon as a slot opens up.'
+      },
+      waitlist_left: {
+        es: 'Te hemos quitado de la lista de espera.',
+        de: 'Sie wurden von der Warteliste entfernt.',
+        en: 'You have been removed from the waitlist.'
+      },
+      waitlist_offer: {
+        es: '🎉 ¡Se ha liberado un horario que encaja contigo! ¿Lo reservamos?',
+        de: '🎉 Ein passender Termin ist frei geworden! Sollen wir ihn für Sie buchen?',
+        en: '🎉 A slot matching your preferences has opened up! Shall we book it?'
+      },
+      waitlist_offer_deadline: {
+        es: 'Tienes {minutes} minutos para confirmar.',
+        de: 'Sie haben {minutes} Minuten Zeit zum Bestätigen.',
+        en: 'You have {minutes} minutes to confirm.'
+      },
+      waitlist_offer_declined: {
+        es: 'De acuerdo, sigues en la lista de espera.',
+        de: 'In Ordnung, Sie bleiben auf der Warteliste.',
+        en: 'Okay, you remain on the waitlist.'
+      },
+      waitlist_offer_expired: {
+        es: 'La oferta ha caducado y el horario ha pasado al siguiente cliente. Sigues en la lista de espera.',
+        de: 'Das Angebot ist abgelaufen und der Termin ging an den nächsten Kunden. Sie bleiben auf der Warteliste.',
+        en: 'The offer has expired and the slot went to the next customer. You remain on the waitlist.'
+      },
+      management_options: {
+        es: '¿Necesitas algo más? Puedes cambiar la fecha, cancelar o consultar tu cita.',
+        de: 'Brauchen Sie noch etwas? Sie können den Termin verschieben, stornieren oder prüfen.',
+        en: 'Anything else? You can reschedule, cancel or check your appointment.'
+      },
+      management_help: {
+        es: 'No te he entendido. Elige una de las opciones:',
+        de: 'Das habe ich nicht verstanden. Bitte wählen Sie eine Option:',
+        en: 'I did not understand that. Please choose an option:'
+      },
+      no_appointment: {
+        es: 'No encuentro ninguna cita activa en esta conversación.',
+        de: 'In diesem Gespräch gibt es keinen aktiven Termin.',
+        en: 'There is no active appointment in this conversation.'
+      },
+      reschedule_options: {
+        es: 'Estos son los nuevos horarios disponibles.',
+        de: 'Das sind die verfügbaren neuen Zeitfenster.',
+        en: 'These are the new available slots.'
+      },
+      reschedule_confirm: {
+        es: '¿Cambiamos tu cita del {from} al {to}?',
+        de: 'Sollen wir Ihren Termin von {from} auf {to} verschieben?',
+        en: 'Shall we move your appointment from {from} to {to}?'
+      },
+      rescheduled: {
+        es: '🔄 Cita reprogramada.',
+        de: '🔄 Termin verschoben.',
+        en: '🔄 Appointment rescheduled.'
+      },
+      reschedule_kept: {
+        es: 'De acuerdo, mantenemos tu cita actual.',
+        de: 'In Ordnung, Ihr aktueller Termin bleibt bestehen.',
+        en: 'Okay, we will keep your current appointment.'
+      },
+      no_reschedule_slots: {
+        es: 'Ahora mismo no hay otros horarios libres. Tu cita actual se mantiene.',
+        de: 'Derzeit sind keine anderen Zeitfenster frei. Ihr aktueller Termin bleibt bestehen.',
+        en: 'There are no other free slots right now. Your current appointment stays as it is.'
+      },
+      cancel_confirm: {
+        es: '¿Seguro que quieres cancelar tu cita del {slot}?',
+        de: 'Möchten Sie Ihren Termin am {slot} wirklich stornieren?',
+        en: 'Are you sure you want to cancel your appointment on {slot}?'
+      },
+      cancel_late_warning: {
+        es: '⚠️ Faltan menos de {hours} h: la cancelación se registrará como tardía y puede tener coste.',
+        de: '⚠️ Es sind weniger als {hours} Std.: die Stornierung gilt als verspätet und kann kostenpflichtig sein.',
+        en: '⚠️ Less than {hours}h to go: this will be recorded as a late cancellation and may be charged.'
+      },
+      cancel_reason: {
+        es: '¿Nos dices el motivo de la cancelación?',
+        de: 'Dürfen wir den Grund der Stornierung erfahren?',
+        en: 'Could you tell us why you are cancelling?'
+      },
+      cancel_kept: {
+        es: 'Perfecto, tu cita sigue en pie.',
+        de: 'Gut, Ihr Termin bleibt bestehen.',
+        en: 'Great, your appointment stays in place.'
+      },
+      cancel_not_allowed: {
+        es: 'Esta cita ya no se puede cancelar por chat. Contacta con nosotros por teléfono.',
+        de: 'Dieser Termin kann nicht mehr per Chat storniert werden. Bitte rufen Sie uns an.',
+        en: 'This appointment can no longer be cancelled via chat. Please call us.'
+      },
+      cancelled: {
+        es: '❌ Cita cancelada sin coste. Escribe /start si quieres reservar otra.',
+        de: '❌ Termin kostenfrei storniert. Senden Sie /start, um einen neuen zu buchen.',
+        en: '❌ Appointment cancelled free of charge. Send /start to book a new one.'
+      },
+      cancelled_late: {
+        es: '❌ Cita cancelada. Al ser una cancelación tardía, nuestro equipo revisará si aplica algún cargo.',
+        de: '❌ Termin storniert. Da die Stornierung verspätet ist, prüft unser Team mögliche Gebühren.',
+        en: '❌ Appointment cancelled. As this is a late cancellation, our team will check whether a fee applies.'
+      },
+      series_next_visit: {
+        es: 'Ahora elige la visita {visit} ({type}), entre el {from} y el {to}:',
+        de: 'Wählen Sie jetzt Termin {visit} ({type}) zwischen {from} und {to}:',
+        en: 'Now pick visit {visit} ({type}) between {from} and {to}:'
+      },
+      series_no_followup: {
+        es: 'Con esa fecha no queda hueco para la siguiente visita en el plazo necesario. Elige otro horario para la primera visita:',
+        de: 'Mit diesem Datum ist kein Folgetermin in der nötigen Frist frei. Bitte wählen Sie eine andere Zeit für den ersten Termin:',
+        en: 'With that date there is no room for the next visit within the required gap. Please pick another slot for the first visit:'
+      },
+      series_no_slots: {
+        es: 'Ahora mismo no podemos reservar todas las visitas necesarias. Nuestro equipo te llamará para coordinarlas.',
+        de: 'Derzeit können wir nicht alle nötigen Termine buchen. Unser Team ruft Sie zur Abstimmung an.',
+        en: 'We cannot book all the required visits right now. Our team will call you to arrange them.'
+      },
+      series_summary: {
+        es: 'Resumen de tus visitas:',
+        de: 'Übersicht Ihrer Termine:',
+        en: 'Summary of your visits:'
+      },
+      series_confirmed: {
+        es: '✅ Visitas confirmadas.',
+        de: '✅ Termine bestätigt.',
+        en: '✅ Visits confirmed.'
+      },
+      reschedule_which_visit: {
+        es: '¿Qué visita quieres cambiar?',
+        de: 'Welchen Termin möchten Sie verschieben?',
+        en: 'Which visit would you like to move?'
+      },
+      series_followup_moved: {
+        es: 'La visita {visit} pasará al {slot} para respetar la separación entre visitas.',
+        de: 'Termin {visit} wird auf {slot} verschoben, damit der Abstand zwischen den Terminen passt.',
+        en: 'Visit {visit} will move to {slot} to keep the required gap between visits.'
+      },
+      series_followup_unavailable: {
+        es: 'Con ese horario no hay hueco para las visitas siguientes. Elige otro:',
+        de: 'Mit dieser Zeit gibt es keinen Platz für die Folgetermine. Bitte wählen Sie eine andere:',
+        en: 'That slot leaves no room for the following visits. Please pick another:'
+      },
+      series_cancel_note: {
+        es: 'También se cancelarán las visitas posteriores de la serie.',
+        de: 'Die folgenden Termine der Serie werden ebenfalls storniert.',
+        en: 'The later visits of the series will be cancelled as well.'
+      },
+      session_complete: {
+        es: '¡Gracias! Escribe /start cuando quieras volver a empezar.',
+        de: 'Vielen Dank! Senden Sie /start, wenn Sie neu beginnen möchten.',
+        en: 'Thank you! Send /start whenever you want to begin again.'
+      },
+      // Emails (EmailNotifier): asunto y cuerpo por tipo de aviso
+      email_confirmation_subject: {
+        es: 'Cita confirmada: {type}, {slot}',
+        de: 'Termin bestätigt: {type}, {slot}',
+        en: 'Appointment confirmed: {type}, {slot}'
+      },
+      email_confirmation_body: {
+        es: 'Tu cita ({type}) está confirmada para el {slot}.',
+        de: 'Ihr Termin ({type}) ist für {slot} bestätigt.',
+        en: 'Your appointment ({type}) is confirmed for {slot}.'
+      },
+      email_rescheduled_subject: {
+        es: 'Cita cambiada: {type}, {slot}',
+        de: 'Termin verschoben: {type}, {slot}',
+        en: 'Appointment rescheduled: {type}, {slot}'
+      },
+      email_rescheduled_body: {
+        es: 'Tu cita ({type}) ha cambiado del {previous} al {slot}.',
+        de: 'Ihr Termin ({type}) wurde von {previous} auf {slot} verschoben.',
+        en: 'Your appointment ({type}) has moved from {previous} to {slot}.'
+      },
+      email_cancelled_subject: {
+        es: 'Cita cancelada: {type}, {slot}',
+        de: 'Termin storniert: {type}, {slot}',
+        en: 'Appointment cancelled: {type}, {slot}'
+      },
+      email_cancelled_body: {
+        es: 'Tu cita ({type}) del {slot} ha sido cancelada.',
+        de: 'Ihr Termin ({type}) am {slot} wurde storniert.',
+        en: 'Your appointment ({type}) on {slot} has been cancelled.'
+      },
+      email_reminder_subject: {
+        es: 'Recordatorio: {type}, {slot}',
+        de: 'Erinnerung: {type}, {slot}',
+        en: 'Reminder: {type}, {slot}'
+      },
+      email_reminder_body: {
+        es: 'Te recordamos que tu cita ({type}) es en {hours} h, el {slot}.',
+        de: 'Wir erinnern Sie: Ihr Termin ({type}) ist in {hours} Std., am {slot}.',
+        en: 'A quick reminder: your appointment ({type}) is in {hours}h, on {slot}.'
+      },
+      email_greeting: {
+        es: 'Hola{name}:',
+        de: 'Hallo{name},',
+        en: 'Hello{name},'
+      },
+      email_label_when: { es: 'Fecha', de: 'Datum', en: 'Date' },
+      email_label_type: { es: 'Servicio', de: 'Leistung', en: 'Service' },
+      email_label_technician: { es: 'Técnico', de: 'Techniker', en: 'Technician' },
+      email_label_location: { es: 'Zona', de: 'Gebiet', en: 'Area' },
+      email_label_id: { es: 'ID de cita', de: 'Termin-ID', en: 'Appointment ID' },
+      email_calendar_note: {
+        es: 'Adjuntamos la cita en formato .ics para añadirla a tu calendario.',
+        de: 'Im Anhang finden Sie den Termin als .ics-Datei für Ihren Kalender.',
+        en: 'The appointment is attached as an .ics file for your calendar.'
+      },
+      email_calendar_cancel_note: {
+        es: 'Con el .ics adjunto puedes quitar la cita de tu calendario.',
+        de: 'Mit der angehängten .ics-Datei können Sie den Termin aus Ihrem Kalender entfernen.',
+        en: 'Use the attached .ics file to remove the appointment from your calendar.'
+      },
+      email_footer: {
+        es: '¿Necesitas cambiar algo? Escríbenos en el chat, a {email} o al {phone}.',
+        de: 'Möchten Sie etwas ändern? Schreiben Sie uns im Chat, an {email} oder unter {phone}.',
+        en: 'Need to change something? Message us in the chat, at {email} or call {phone}.'
+      },
+      // Calendario .ics de cada técnico (suscripción desde su móvil)
+      feed_calendar_name: {
+        es: '{company} - Citas de {technician}',
+        de: '{company} - Termine von {technician}',
+        en: '{company} - Appointments for {technician}'
+      },
+      feed_label_customer: { es: 'Cliente', de: 'Kunde', en: 'Customer' },
+      feed_label_phone: { es: 'Teléfono', de: 'Telefon', en: 'Phone' },
+      feed_label_zone: { es: 'Zona', de: 'Gebiet', en: 'Area' },
+      feed_label_notes: { es: 'Notas', de: 'Notizen', en: 'Notes' },
+      // WhatsApp: texto de los mensajes interactivos (máx. 20 caracteres en el botón de la lista)
+      whatsapp_choose: {
+        es: 'Elige una opción:',
+        de: 'Bitte wählen Sie:',
+        en: 'Please choose:'
+      },
+      whatsapp_list_button: { es: 'Ver opciones', de: 'Optionen', en: 'Options' },
+      // Notas de voz (VoiceTranscriber)
+      voice_unavailable: {
+        es: '🎙️ Ahora mismo no puedo escuchar notas de voz. ¿Puedes escribirme tu respuesta?',
+        de: '🎙️ Sprachnachrichten kann ich gerade nicht abhören. Können Sie Ihre Antwort bitte schreiben?',
+        en: "🎙️ I can't listen to voice notes right now. Could you type your answer?"
+      },
+      voice_unclear: {
+        es: '🎙️ No he entendido la nota de voz. ¿Puedes repetirla o escribirlo?',
+        de: '🎙️ Ich habe die Sprachnachricht nicht verstanden. Bitte wiederholen oder schreiben Sie es.',
+        en: "🎙️ I couldn't understand the voice note. Could you repeat it or type it?"
+      },
+      // Telegram: pie del documento .ics enviado al confirmar
+      telegram_calendar_caption: {
+        es: '📅 Tu cita en formato .ics: ábrelo para añadirla a tu calendario.',
+        de: '📅 Ihr Termin als .ics-Datei: Öffnen Sie sie, um ihn in Ihren Kalender zu übernehmen.',
+        en: '📅 Your appointment as an .ics file: open it to add it to your calendar.'
+      },
+      // SMS (SmsNotifier): cortos y sin emoji para que quepan en GSM-7
+      sms_confirmation: {
+        es: '{company}: tu cita ({type}) queda confirmada para el {slot}. ID {id}',
+        de: '{company}: Ihr Termin ({type}) ist bestätigt: {slot}. ID {id}',
+        en: '{company}: your appointment ({type}) is confirmed for {slot}. ID {id}'
+      },
+      sms_rescheduled: {
+        es: '{company}: tu cita ({type}) pasa del {previous} al {slot}. ID {id}',
+        de: '{company}: Ihr Termin ({type}) wurde von {previous} auf {slot} verschoben. ID {id}',
+        en: '{company}: your appointment ({type}) moved from {previous} to {slot}. ID {id}'
+      },
+      sms_cancelled: {
+        es: '{company}: tu cita ({type}) del {slot} ha sido cancelada. Dudas: {phone}',
+        de: '{company}: Ihr Termin ({type}) am {slot} wurde storniert. Fragen: {phone}',
+        en: '{company}: your appointment ({type}) on {slot} has been cancelled. Questions: {phone}'
+      },
+      sms_reminder: {
+        es: '{company}: recordatorio, tu cita ({type}) es en {hours} h, el {slot}.',
+        de: '{company}: Erinnerung, Ihr Termin ({type}) ist in {hours} Std., am {slot}.',
+        en: '{company}: reminder, your appointment ({type}) is in {hours}h, on {slot}.'
+      },
+      // Seguimiento de clientes sin respuesta (FollowUpEngine): aviso i/N más una pista del paso pendiente
+      followup_first: {
+        es: '👋 ¿Sigues ahí? Tu cita todavía no está reservada. ({attempt}/{total})',
+        de: '👋 Sind Sie noch da? Ihr Termin ist noch nicht gebucht. ({attempt}/{total})',
+        en: '👋 Still there? Your appointment is not booked yet. ({attempt}/{total})'
+      },
+      followup_reminder: {
+        es: '⏳ Seguimos sin tu respuesta y los horarios se van ocupando. ({attempt}/{total})',
+        de: '⏳ Wir haben noch keine Antwort von Ihnen, und die Termine füllen sich. ({attempt}/{total})',
+        en: '⏳ We have not heard back yet and slots are filling up. ({attempt}/{total})'
+      },
+      followup_final: {
+        es: '⚠️ Último aviso ({attempt}/{total}): si no respondes cerraremos la solicitud. También puedes llamarnos al {phone}.',
+        de: '⚠️ Letzte Erinnerung ({attempt}/{total}): Ohne Antwort schließen wir die Anfrage. Sie erreichen uns auch unter {phone}.',
+        en: '⚠️ Final reminder ({attempt}/{total}): without a reply we will close the request. You can also call us at {phone}.'
+      },
+      followup_hint_consent: {
+        es: 'Responde **ACEPTO** para continuar.',
+        de: 'Antworten Sie **JA**, um fortzufahren.',
+        en: 'Reply **YES** to continue.'
+      },
+      followup_hint_slot_selection: {
+        es: 'Solo tienes que elegir un día y una hora.',
+        de: 'Sie müssen nur noch Tag und Uhrzeit wählen.',
+        en: 'You only need to pick a day and a time.'
+      },
+      followup_hint_confirmation: {
+        es: 'Solo falta confirmar el horario que elegiste.',
+        de: 'Sie müssen nur noch die gewählte Zeit bestätigen.',
+        en: 'You only need to confirm the time you picked.'
       }
       // ... más mensajes localizados
     };
@@ -427,11 +1821,46 @@ class ConversationsManager extends EventEmitter {
         de: ['Ja', 'Andere Zeit', 'Abbrechen'],
         en: ['Yes', 'Other time', 'Cancel']
       },
+      waitlist: {
+        es: ['Ninguno me sirve'],
+        de: ['Keiner passt'],
+        en: ['None of these']
+      },
+      waitlist_prompt: {
+        es: ['Sí, apúntame', 'No'],
+        de: ['Ja, Warteliste', 'Nein'],
+        en: ['Yes, join', 'No']
+      },
+      waitlisted: {
+        es: ['Salir de la lista'],
+        de: ['Warteliste verlassen'],
+        en: ['Leave waitlist']
+      },
+      waitlist_offer: {
+        es: ['Sí, reservar', 'No'],
+        de: ['Ja, buchen', 'Nein'],
+        en: ['Yes, book it', 'No']
+      },
       reminder: {
         es: ['Sí 🔔', 'No'],
         de: ['Ja 🔔', 'Nein'],
         en: ['Yes 🔔', 'No']
       },
+      cancel_confirm: {
+        es: ['Sí, cancelar', 'No, mantener'],
+        de: ['Ja, stornieren', 'Nein, behalten'],
+        en: ['Yes, cancel', 'No, keep it']
+      },
+      slot_paging: {
+        es: ['« Antes', 'Más tarde »', '« Otro día'],
+        de: ['« Früher', 'Später »', '« Anderer Tag'],
+        en: ['« Earlier', 'Later »', '« Other day']
+      },
+      reschedule: {
+        es: ['Mantener mi cita'],
+        de: ['Termin behalten'],
+        en: ['Keep my appointment']
+      },
       management: {
         es: ['Cambiar fecha', 'Cambiar hora', 'Cancelar', 'Ver estado'],
         de: ['Datum ändern', 'Uhrzeit ändern', 'Stornieren', 'Status prüfen'],
@@ -460,9 +1889,10 @@ class ConversationsManager extends EventEmitter {
     });
   }
 
-  formatConfirmationMessage(slot, language) {
+  formatConfirmationMessage(slot, language, typeId = null) {
     const slotDisplay = this.formatSlotForDisplay(slot, language);
-    return this.getLocalizedMessage('chosen', language) + ': ' + slotDisplay + '\\n' + 
+    return this.getLocalizedMessage('chosen', language) + ': ' +
+           this.getAppointmentTypeLabel(typeId, language) + ', ' + slotDisplay + '\\n' + 
            this.getLocalizedMessage('confirmQ', language);
   }
 
@@ -472,6 +1902,7 @@ class ConversationsManager extends EventEmitter {
     const slotDisplay = this.formatSlotForDisplay(slot, lang);
     
     let message = this.getLocalizedMessage('confirmed', lang) + '\\n';
+    message += '🔧 ' + this.getAppointmentTypeLabel(session.context.appointmentType, lang) + '\\n';
     message += '🗓 ' + slotDisplay + '\\n';
     message += '👨‍🔧 ' + (lang === 'de' ? 'Techniker' : 'Técnico') + ': ' + session.context.technician + '\\n';
     message += '🆔 ID: ' + session.context.appointmentId;
@@ -492,9 +1923,9 @@ class ConversationsManager extends EventEmitter {
 
   isNegativeResponse(message, language) {
     const negativeWords = {
-      es: ['no', 'cancelar', 'rechazar'],
-      de: ['nein', 'abbrechen'],
-      en: ['no', 'cancel', 'reject']
+      es: ['no', 'cancelar', 'rechazar', 'otra hora'],
+      de: ['nein', 'abbrechen', 'andere zeit'],
+      en: ['no', 'cancel', 'reject', 'other time']
     };
     
     const words = negativeWords[language] || negativeWords.es;
@@ -535,22 +1966,402 @@ class ConversationsManager extends EventEmitter {
     return null;
   }
 
-  handleReschedule(session) {
+  /**
+   * Reprogramación: ofrecer horarios nuevos para la cita de la sesión
+   */
+  handleReschedule(session, messageKey = 'reschedule_options') {
+    // En una serie el cliente elige primero qué visita mover
+    const seriesVisits = this.getActiveSeriesVisits(session);
+    if (seriesVisits.length > 1 && !session.context.rescheduleAppointmentId) {
+      session.state = 'RESCHEDULE_VISIT';
+      return {
+        bot: this.getLocalizedMessage('reschedule_which_visit', session.language),
+        quick: [
+          ...seriesVisits.map(visit => this.formatSeriesVisits([visit], session.language)),
+          ...this.getLocalizedQuickReplies('reschedule', session.language)
+        ],
+        state: 'RESCHEDULE_VISIT'
+      };
+    }
+
+    const appointment = this.getRescheduleAppointment(session);
+    if (!appointment) {
+      return this.returnToManagement(session, 'no_appointment');
+    }
+
+    this.slotHolds.releaseSessionHolds(session.id);
+    session.context.holdId = null;
+    session.context.rescheduleSlot = null;
+
+    const currentStart = moment(appointment.startTime).toISOString();
+    const availableSlots = this.slotService.generateAvailableSlots(this.getRescheduleOptions(session, appointment))
+      .filter(slot => slot.start !== currentStart);
+    session.context.availableSlots = availableSlots;
+
+    if (availableSlots.length === 0) {
+      return this.returnToManagement(session, 'no_reschedule_slots');
+    }
+
+    session.state = 'RESCHEDULE_SELECTION';
+    return this.presentSlotDays(session, this.getLocalizedMessage(messageKey, session.language));
+  }
+
+  async handleRescheduleVisit(session, message, metadata) {
+    if (this.isQuickReply(message, 'reschedule', session.language)) {
+      return this.returnToManagement(session, 'reschedule_kept');
+    }
+
+    const visit = this.getActiveSeriesVisits(session).find(item =>
+      this.formatSeriesVisits([item], session.language) === message.trim()
+    );
+    if (!visit) {
+      return this.handleReschedule(session);
+    }
+
+    session.context.rescheduleAppointmentId = visit.id;
+    return this.handleReschedule(session);
+  }
+
+  async handleRescheduleSelection(session, message, metadata) {
+    if (this.isQuickReply(message, 'reschedule', session.language)) {
+      return this.returnToManagement(session, 'reschedule_kept');
+    }
+
+    const appointment = this.getRescheduleAppointment(session);
+    if (!appointment) {
+      return this.returnToManagement(session, 'no_appointment');
+    }
+
+    const navigation = this.handleSlotPickerNavigation(session, message);
+    if (navigation) {
+      return navigation;
+    }
+
+    const selectedSlot = this.findSlotByDisplay(message, session.context.availableSlots, session.language);
+    if (!selectedSlot) {
+      return this.handleSlotSearch(session, message) ||
+        this.presentSlotPicker(session, this.getLocalizedMessage('invalid_slot', session.language));
+    }
+
+    // Igual que en la primera reserva: el técnico queda reservado mientras confirma
+    this.slotHolds.releaseSessionHolds(session.id);
+    const technician = this.slotService.assignTechnician(selectedSlot, this.getRescheduleOptions(session, appointment));
+    if (!technician) {
+      return this.handleReschedule(session, 'slot_taken');
+    }
+
+    const hold = this.slotHolds.createHold(selectedSlot, session.id, technician);
+    session.context.holdId = hold.id;
+    session.context.rescheduleSlot = selectedSlot;
+
+    // Las visitas siguientes de la serie se revalidan y, si hace falta, se mueven
+    const followUps = this.planSeriesFollowUps(session, appointment, selectedSlot);
+    if (!followUps) {
+      return this.handleReschedule(session, 'series_followup_unavailable');
+    }
+    session.context.seriesChanges = followUps;
+    session.state = 'RESCHEDULE_CONFIRMATION';
+
+    const followUpLines = followUps.map(change => '\\n' +
+      this.getLocalizedMessage('series_followup_moved', session.language)
+        .replace('{visit}', change.seriesIndex)
+        .replace('{slot}', this.formatSlotForDisplay(change.slot, session.language))
+    ).join('');
+
     return {
-      bot: this.getLocalizedMessage('reschedule_options', session.language),
-      quick: this.getLocalizedQuickReplies('reschedule', session.language),
+      bot: this.getLocalizedMessage('reschedule_confirm', session.language)
+        .replace('{from}', this.formatSlotForDisplay({ start: appointment.startTime, end: appointment.endTime }, session.language))
+        .replace('{to}', this.formatSlotForDisplay(selectedSlot, session.language)) + followUpLines,
+      quick: this.getLocalizedQuickReplies('confirmation', session.language),
+      state: 'RESCHEDULE_CONFIRMATION'
+    };
+  }
+
+  async handleRescheduleConfirmation(session, message, metadata) {
+    if (this.isPositiveResponse(message, session.language)) {
+      const hold = this.slotHolds.getHold(session.context.holdId);
+      const changes = session.context.seriesChanges || [];
+      const followUpHolds = changes.map(change => this.slotHolds.getHold(change.holdId));
+      if (!hold || hold.sessionId !== session.id || followUpHolds.some(item => !item)) {
+        return this.handleReschedule(session, 'slot_taken');
+      }
+
+      const appointment = this.getRescheduleAppointment(session);
+      if (!appointment) {
+        return this.returnToManagement(session, 'no_appointment');
+      }
+
+      const slot = session.context.rescheduleSlot;
+      await this.dataManager.rescheduleAppointment(appointment.id, slot, hold.technician, 'chat');
+      this.slotHolds.releaseHold(hold.id, 'confirmed');
+      for (const change of changes) {
+        await this.dataManager.rescheduleAppointment(change.appointmentId, change.slot, change.technician, 'series');
+        this.slotHolds.releaseHold(change.holdId, 'confirmed');
+      }
+
+      if (appointment.id === session.context.appointmentId) {
+        session.context.selectedSlot = slot;
+        session.context.technician = hold.technician;
+      }
+      session.context.holdId = null;
+      session.context.rescheduleSlot = null;
+      session.context.rescheduleAppointmentId = null;
+      session.context.seriesChanges = null;
+      session.state = 'MANAGEMENT';
+
+      const bot = appointment.seriesId
+        ? this.getLocalizedMessage('rescheduled', session.language) + '\\n' +
+          this.formatSeriesVisits(this.getActiveSeriesVisits(session), session.language)
+        : this.formatAppointmentConfirmation(session).replace(
+          this.getLocalizedMessage('confirmed', session.language),
+          this.getLocalizedMessage('rescheduled', session.language)
+        );
+
+      return {
+        bot,
+        quick: this.getLocalizedQuickReplies('management', session.language),
+        state: 'MANAGEMENT'
+      };
+    }
+
+    // 'Otra hora' vuelve a la lista; cualquier otra negativa conserva la cita actual
+    if (this.isQuickReply(message, 'confirmation', session.language, 1)) {
+      return this.handleReschedule(session, 'select_different_slot');
+    }
+
+    if (this.isNegativeResponse(message, session.language)) {
+      return this.returnToManagement(session, 'reschedule_kept');
+    }
+
+    return {
+      bot: this.getLocalizedMessage('confirmation_required', session.language),
+      quick: this.getLocalizedQuickReplies('confirmation', session.language),
+      state: 'RESCHEDULE_CONFIRMATION'
+    };
+  }
+
+  /**
+   * Cita vigente de la sesión (null si no hay o ya está cancelada);
+   * en una serie, la primera visita que aún no ha pasado
+   */
+  getSessionAppointment(session) {
+    const [nextVisit] = this.getActiveSeriesVisits(session);
+    return nextVisit || this.getActiveAppointment(session.context.appointmentId);
+  }
+
+  getActiveAppointment(appointmentId) {
+    if (!this.dataManager || !appointmentId) {
+      return null;
+    }
+    const appointment = this.dataManager.getAppointment(appointmentId);
+    return appointment && appointment.status !== 'cancelled' ? appointment : null;
+  }
+
+  getRescheduleAppointment(session) {
+    return session.context.rescheduleAppointmentId
+      ? this.getActiveAppointment(session.context.rescheduleAppointmentId)
+      : this.getSessionAppointment(session);
+  }
+
+  /**
+   * Visitas de la serie de la sesión que siguen activas y no han pasado
+   */
+  getActiveSeriesVisits(session) {
+    if (!this.dataManager || !session.context.seriesId) {
+      return [];
+    }
+    const now = moment();
+    return this.dataManager.getSeriesAppointments(session.context.seriesId)
+      .filter(apt => apt.status !== 'cancelled' && moment(apt.startTime).isAfter(now));
+  }
+
+  getRescheduleOptions(session, appointment) {
+    const options = {
+      sessionId: session.id,
+      postalCode: appointment.postalCode || session.context.postalCode,
+      type: appointment.type,
+      excludeAppointmentId: appointment.id
+    };
+
+    // Una visita de seguimiento solo puede moverse dentro de su separación respecto a la anterior
+    const previous = appointment.seriesId && this.dataManager.getSeriesAppointments(appointment.seriesId)
+      .filter(apt => apt.seriesIndex < appointment.seriesIndex && apt.status !== 'cancelled')
+      .pop();
+    if (previous) {
+      const window = this.dataManager.getSeriesWindow(appointment.seriesType, appointment.seriesIndex, previous.startTime);
+      Object.assign(options, {
+        dateFrom: window.from.format('YYYY-MM-DD'),
+        dateTo: window.to.format('YYYY-MM-DD'),
+        followUp: true
+      });
+    }
+    return options;
+  }
+
+  /**
+   * Revalidar las visitas posteriores si la cita pasa a newSlot: las que quedan
+   * fuera de su separación se mueven al primer hueco válido (reservado mientras
+   * el cliente confirma). Devuelve los cambios o null si alguna no cabe
+   */
+  planSeriesFollowUps(session, appointment, newSlot) {
+    if (!appointment.seriesId) {
+      return [];
+    }
+
+    const changes = [];
+    let previousStart = newSlot.start;
+    const laterVisits = this.dataManager.getSeriesAppointments(appointment.seriesId)
+      .filter(apt => apt.seriesIndex > appointment.seriesIndex && apt.status !== 'cancelled');
+
+    for (const visit of laterVisits) {
+      const window = this.dataManager.getSeriesWindow(visit.seriesType, visit.seriesIndex, previousStart);
+      const start = moment(visit.startTime);
+      if (!start.isBefore(window.from) && !start.isAfter(window.to)) {
+        break; // sigue siendo válida, y con ella las siguientes
+      }
+
+      const options = {
+        ...this.getRescheduleOptions(session, visit),
+        dateFrom: window.from.format('YYYY-MM-DD'),
+        dateTo: window.to.format('YYYY-MM-DD'),
+        followUp: true
+      };
+      const [slot] = this.slotService.generateAvailableSlots({ ...options, limit: 1 });
+      const technician = slot && this.slotService.assignTechnician(slot, options);
+      if (!technician) {
+        return null;
+      }
+
+      const hold = this.slotHolds.createHold(slot, session.id, technician);
+      changes.push({ appointmentId: visit.id, seriesIndex: visit.seriesIndex, slot, technician, holdId: hold.id });
+      previousStart = slot.start;
+    }
+    return changes;
+  }
+
+  returnToManagement(session, messageKey) {
+    this.slotHolds.releaseSessionHolds(session.id);
+    session.context.holdId = null;
+    session.context.rescheduleAppointmentId = null;
+    session.context.seriesChanges = null;
+    session.state = 'MANAGEMENT';
+    return {
+      bot: this.getLocalizedMessage(messageKey, session.language) +
+           '\\n\\n' + this.getLocalizedMessage('management_options', session.language),
+      quick: this.getLocalizedQuickReplies('management', session.language),
       state: 'MANAGEMENT'
     };
   }
 
+  isQuickReply(message, context, language, index = 0) {
+    const label = this.getLocalizedQuickReplies(context, language)[index];
+    return Boolean(label) && message.trim().toLowerCase() === label.toLowerCase();
+  }
+
+  /**
+   * Cancelación: confirmar (avisando si ya estamos fuera del plazo gratuito)
+   * y pedir el motivo antes de cancelar
+   */
   handleCancellation(session) {
+    const appointment = this.getSessionAppointment(session);
+    if (!appointment) {
+      return this.returnToManagement(session, 'no_appointment');
+    }
+
+    const policy = this.dataManager.checkCancellationPolicy(appointment);
+    if (!policy.allowed) {
+      return this.returnToManagement(session, 'cancel_not_allowed');
+    }
+
+    const policyText = policy.late
+      ? this.getLocalizedMessage('cancel_late_warning', session.language)
+        .replace('{hours}', this.config.appointments.cancellationFreeHours ?? 24)
+      : (this.config.appointments.cancellationPolicy?.[session.language] || '');
+    const seriesNote = appointment.seriesId && this.getActiveSeriesVisits(session).length > 1
+      ? '\\n' + this.getLocalizedMessage('series_cancel_note', session.language)
+      : '';
+
+    session.state = 'CANCEL_CONFIRMATION';
     return {
-      bot: this.getLocalizedMessage('cancel_confirm', session.language),
+      bot: this.getLocalizedMessage('cancel_confirm', session.language)
+        .replace('{slot}', this.formatSlotForDisplay({ start: appointment.startTime, end: appointment.endTime }, session.language)) +
+        '\\n' + policyText + seriesNote,
       quick: this.getLocalizedQuickReplies('cancel_confirm', session.language),
-      state: 'MANAGEMENT'
+      state: 'CANCEL_CONFIRMATION'
+    };
+  }
+
+  async handleCancelConfirmation(session, message, metadata) {
+    if (this.isQuickReply(message, 'cancel_confirm', session.language, 1)) {
+      return this.returnToManagement(session, 'cancel_kept');
+    }
+
+    if (this.isQuickReply(message, 'cancel_confirm', session.language) || this.isPositiveResponse(message, session.language)) {
+      session.state = 'CANCEL_REASON';
+      return {
+        bot: this.getLocalizedMessage('cancel_reason', session.language),
+        quick: this.getCancellationReasonQuickReplies(session.language),
+        state: 'CANCEL_REASON'
+      };
+    }
+
+    if (this.isNegativeResponse(message, session.language)) {
+      return this.returnToManagement(session, 'cancel_kept');
+    }
+
+    return {
+      bot: this.getLocalizedMessage('confirmation_required', session.language),
+      quick: this.getLocalizedQuickReplies('cancel_confirm', session.language),
+      state: 'CANCEL_CONFIRMATION'
     };
   }
 
+  async handleCancelReason(session, message, metadata) {
+    const reason = this.findCancellationReasonByLabel(message, session.language);
+    if (!reason) {
+      return {
+        bot: this.getLocalizedMessage('cancel_reason', session.language),
+        quick: this.getCancellationReasonQuickReplies(session.language),
+        state: 'CANCEL_REASON'
+      };
+    }
+
+    const appointment = this.getSessionAppointment(session);
+    if (!appointment) {
+      return this.returnToManagement(session, 'no_appointment');
+    }
+
+    // La política se vuelve a comprobar: el cliente pudo tardar en responder
+    const policy = this.dataManager.checkCancellationPolicy(appointment);
+    if (!policy.allowed) {
+      return this.returnToManagement(session, 'cancel_not_allowed');
+    }
+
+    const cancelled = await this.dataManager.cancelAppointment(appointment.id, reason, 'chat');
+    session.context.cancelled = true;
+    session.state = 'COMPLETED';
+    session.completed = true;
+    this.emit('sessionCompleted', session);
+
+    return {
+      bot: this.getLocalizedMessage(cancelled.lateCancellation ? 'cancelled_late' : 'cancelled', session.language),
+      state: 'COMPLETED'
+    };
+  }
+
+  getCancellationReasonQuickReplies(language) {
+    const reasons = this.config.appointments.cancellationReasons || {};
+    return Object.values(reasons).map(label => label[language] || label.es);
+  }
+
+  findCancellationReasonByLabel(message, language) {
+    const text = message.trim().toLowerCase();
+    const reasons = this.config.appointments.cancellationReasons || {};
+    return Object.keys(reasons).find(id =>
+      id === text || (reasons[id][language] || reasons[id].es).toLowerCase() === text
+    ) || null;
+  }
+
   handleStatusInquiry(session) {
     const appointment = session.context.appointmentId;
     return {
@@ -562,9 +2373,14 @@ class ConversationsManager extends EventEmitter {
   }
 
   handleSessionTimeout(session) {
+    this.slotHolds.releaseSessionHolds(session.id, 'session_expired');
+    // El siguiente mensaje empieza la conversación desde cero
+    session.state = 'INIT';
+    session.context = {};
+    session.retryCount = 0;
     return {
       bot: this.getLocalizedMessage('session_timeout', session.language),
-      state: 'COMPLETED'
+      state: 'INIT'
     };
   }
 
@@ -574,13 +2390,23 @@ class ConversationsManager extends EventEmitter {
   cleanupExpiredSessions() {
     const now = new Date();
     for (const [sessionId, session] of this.sessions) {
-      if (this.isSessionExpired(session)) {
+      // Las sesiones con avisos de seguimiento pendientes se conservan hasta cerrar la campaña
+      if (this.isSessionExpired(session) && session.followUp?.status !== 'active') {
+        this.slotHolds.releaseSessionHolds(sessionId, 'session_expired');
         this.emit('sessionExpired', session);
         this.sessions.delete(sessionId);
       }
     }
   }
 
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.slotHolds.destroy();
+    this.removeAllListeners();
+  }
+
   /**
    * Obtener estadísticas de sesiones
    */
@@ -596,7 +2422,8 @@ class ConversationsManager extends EventEmitter {
       byLanguage: activeSessions.reduce((acc, s) => {
         acc[s.language] = (acc[s.language] || 0) + 1;
         return acc;
-      }, {})
+      }, {}),
+      waitlist: this.waitlist.getStats()
     };
   }
 }
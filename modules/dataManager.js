@@ -8,6 +8,48 @@ const path = require('path');
 const ExcelJS = require('exceljs');
 const moment = require('moment-timezone');
 const EventEmitter = require('events');
+const ZoneMatcher = require('./zoneMatcher');
+
+// Encabezados del Excel y su clave correspondiente en la cita
+const APPOINTMENT_COLUMNS = {
+  'ID Cita': 'id',
+  'ID Sesión': 'sessionId',
+  'Cliente': 'customerName',
+  'Teléfono': 'phone',
+  'Email': 'email',
+  'Inicio': 'startTime',
+  'Fin': 'endTime',
+  'Tipo': 'type',
+  'Técnico': 'technician',
+  'Zona': 'zone',
+  'PLZ': 'postalCode',
+  'Estado': 'status',
+  'Idioma': 'language',
+  'Creado': 'createdAt',
+  'Recordatorio': 'reminderEnabled',
+  'Notas': 'notes',
+  'Motivo Cancelación': 'cancellationReason',
+  'Cancelación Tardía': 'lateCancellation',
+  'Serie': 'seriesId',
+  'Tipo Serie': 'seriesType',
+  'Visita': 'seriesIndex',
+  'Historial': 'history',
+  'Recordatorios Enviados': 'remindersSent',
+  'SMS': 'smsMessages',
+  'Secuencia ICS': 'icsSequence'
+};
+
+// Campos que cambian el evento de calendario: al modificarlos sube la SEQUENCE del .ics
+const ICS_FIELDS = ['startTime', 'endTime', 'technician', 'postalCode', 'status'];
+
+// Estados que ocupan la capacidad de un técnico
+const BLOCKING_STATUSES = ['confirmed', 'pending'];
+
+// Orden de los estados de un SMS: un callback atrasado no devuelve el mensaje a un estado anterior
+const SMS_STATUS_ORDER = {
+  accepted: 0, scheduled: 0, queued: 1, sending: 2, sent: 3,
+  delivered: 4, undelivered: 4, failed: 4, canceled: 4, read: 5
+};
 
 class DataManager extends EventEmitter {
   constructor(config) {
@@ -15,6 +57,7 @@ class DataManager extends EventEmitter {
     this.config = config;
     this.appointments = new Map();
     this.conversations = new Map();
+    this.zoneMatcher = new ZoneMatcher(config);
     this.backupTimer = null;
     
     this.init();
@@ -64,23 +107,37 @@ class DataManager extends EventEmitter {
   }
 
   loadAppointmentsFromWorksheet(worksheet) {
+    // Mapear columnas por encabezado: el fichero inicial y el guardado por
+    // saveToExcel() no tienen el mismo orden de columnas
+    const columnKeys = {};
+    worksheet.getRow(1).eachCell((cell, colNumber) => {
+      const key = APPOINTMENT_COLUMNS[cell.value];
+      if (key) {
+        columnKeys[colNumber] = key;
+      }
+    });
+
     worksheet.eachRow((row, rowNumber) => {
       if (rowNumber === 1) return; // Skip header
       
       try {
-        const appointment = {
-          id: row.getCell(1).value,
-          sessionId: row.getCell(2).value,
-          customerName: row.getCell(3).value,
-          phone: row.getCell(4).value,
-          startTime: row.getCell(5).value,
-          endTime: row.getCell(6).value,
-          technician: row.getCell(7).value,
-          status: row.getCell(8).value,
-          language: row.getCell(9).value,
-          createdAt: row.getCell(10).value,
-          notes: row.getCell(11).value
-        };
+        const appointment = {};
+        Object.entries(columnKeys).forEach(([colNumber, key]) => {
+          appointment[key] = row.getCell(Number(colNumber)).value;
+        });
+
+        ['startTime', 'endTime', 'createdAt'].forEach(key => {
+          appointment[key] = this.parseStoredDate(appointment[key]);
+        });
+        ['reminderEnabled', 'lateCancellation'].forEach(key => {
+          if (typeof appointment[key] === 'string') {
+            appointment[key] = appointment[key] === 'Sí';
+          }
+        });
+        appointment.history = this.parseStoredHistory(appointment.history);
+        appointment.remindersSent = this.parseStoredHistory(appointment.remindersSent);
+        appointment.smsMessages = this.parseStoredHistory(appointment.smsMessages);
+        appointment.icsSequence = Number(appointment.icsSequence) || 0;
         
         if (appointment.id) {
           this.appointments.set(appointment.id, appointment);
@@ -91,6 +148,34 @@ class DataManager extends EventEmitter {
     });
   }
 
+  /**
+   * Convertir una fecha leída del Excel (Date, ISO o 'DD/MM/YYYY HH:mm') a ISO
+   */
+  parseStoredDate(value) {
+    if (!value) return value;
+    if (value instanceof Date) return value.toISOString();
+
+    const timezone = this.config.appointments.timezone;
+    const parsed = moment.tz(String(value), ['DD/MM/YYYY HH:mm', moment.ISO_8601], true, timezone);
+    return parsed.isValid() ? parsed.toISOString() : value;
+  }
+
+  /**
+   * Listas guardadas como JSON en una celda (historial, recordatorios enviados, SMS)
+   */
+  parseStoredHistory(value) {
+    if (!value) return [];
+    try {
+      return JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+
+  formatStoredDate(value) {
+    return moment(value).tz(this.config.appointments.timezone).format('DD/MM/YYYY HH:mm');
+  }
+
   async createNewExcelFile() {
     const workbook = new ExcelJS.Workbook();
     const worksheet = workbook.addWorksheet(this.config.data.excel.sheetName);
@@ -131,15 +216,19 @@ class DataManager extends EventEmitter {
         sessionId: appointmentData.sessionId,
         customerName: appointmentData.customerName || '',
         phone: appointmentData.phone || '',
+        email: appointmentData.email || '',
         startTime: appointmentData.slot.start,
         endTime: appointmentData.slot.end,
+        type: appointmentData.type || this.config.appointments.defaultType,
         technician: appointmentData.technician,
         status: 'confirmed',
         language: appointmentData.language,
         createdAt: new Date().toISOString(),
         notes: appointmentData.notes || '',
         reminderEnabled: appointmentData.reminderEnabled || false,
-        zone: this.getTechnicianZone(appointmentData.technician)
+        postalCode: appointmentData.postalCode || '',
+        zone: this.getTechnicianZone(appointmentData.technician, appointmentData.postalCode),
+        icsSequence: 0
       };
 
       this.appointments.set(appointment.id, appointment);
@@ -153,6 +242,123 @@ class DataManager extends EventEmitter {
     }
   }
 
+  /**
+   * Crear una serie de visitas enlazadas (p. ej. Hausanschluss + activación)
+   */
+  async createAppointmentSeries(seriesData) {
+    try {
+      const error = this.validateSeriesVisits(seriesData.seriesType, seriesData.visits.map(visit => visit.slot.start));
+      if (error) {
+        throw new Error(`Invalid appointment series: ${error}`);
+      }
+
+      const appointments = seriesData.visits.map((visit, index) => ({
+        id: visit.id,
+        sessionId: seriesData.sessionId,
+        customerName: seriesData.customerName || '',
+        phone: seriesData.phone || '',
+        email: seriesData.email || '',
+        startTime: visit.slot.start,
+        endTime: visit.slot.end,
+        type: visit.type,
+        technician: visit.technician,
+        status: 'confirmed',
+        language: seriesData.language,
+        createdAt: new Date().toISOString(),
+        notes: seriesData.notes || '',
+        reminderEnabled: seriesData.reminderEnabled || false,
+        postalCode: seriesData.postalCode || '',
+        zone: this.getTechnicianZone(visit.technician, seriesData.postalCode),
+        seriesId: seriesData.seriesId,
+        seriesType: seriesData.seriesType,
+        seriesIndex: index + 1,
+        icsSequence: 0
+      }));
+
+      appointments.forEach(appointment => this.appointments.set(appointment.id, appointment));
+      await this.saveToExcel();
+
+      appointments.forEach(appointment => this.emit('appointmentCreated', appointment));
+      this.emit('seriesCreated', seriesData.seriesId, appointments);
+      return appointments;
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  getSeriesDefinition(seriesType) {
+    return this.config.appointments.series?.[seriesType] || null;
+  }
+
+  /**
+   * Visitas de una serie ordenadas por número de visita
+   */
+  getSeriesAppointments(seriesId) {
+    return Array.from(this.appointments.values())
+      .filter(apt => apt.seriesId === seriesId)
+      .sort((a, b) => a.seriesIndex - b.seriesIndex);
+  }
+
+  /**
+   * Días permitidos para la visita número visitNumber (1, 2, ...) según la anterior
+   */
+  getSeriesWindow(seriesType, visitNumber, previousStart) {
+    const visit = this.getSeriesDefinition(seriesType)?.visits[visitNumber - 1];
+    const previousDay = moment(previousStart).tz(this.config.appointments.timezone).startOf('day');
+    return {
+      from: previousDay.clone().add(visit?.minGapDays || 0, 'days'),
+      to: previousDay.clone().add(visit?.maxGapDays ?? 365, 'days').endOf('day')
+    };
+  }
+
+  /**
+   * Comprobar separaciones entre visitas consecutivas (devuelve mensaje de error o null)
+   */
+  validateSeriesVisits(seriesType, starts) {
+    const definition = this.getSeriesDefinition(seriesType);
+    if (!definition) {
+      return `Serie desconocida: ${seriesType}`;
+    }
+    if (starts.length !== definition.visits.length) {
+      return `La serie ${seriesType} necesita ${definition.visits.length} visitas`;
+    }
+
+    for (let index = 1; index < starts.length; index++) {
+      const window = this.getSeriesWindow(seriesType, index + 1, starts[index - 1]);
+      const start = moment(starts[index]);
+      if (start.isBefore(window.from) || start.isAfter(window.to)) {
+        const visit = definition.visits[index];
+        return `La visita ${index + 1} debe ser entre ${visit.minGapDays || 0} y ${visit.maxGapDays} días después de la visita ${index}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * ¿Sigue siendo coherente la serie si la cita pasa a empezar en newStart?
+   * (las visitas canceladas no cuentan)
+   */
+  validateSeriesChange(appointmentId, newStart) {
+    const appointment = this.appointments.get(appointmentId);
+    if (!appointment?.seriesId) {
+      return null;
+    }
+
+    const visits = this.getSeriesAppointments(appointment.seriesId).filter(apt => apt.status !== 'cancelled');
+    const index = visits.findIndex(apt => apt.id === appointmentId);
+    const starts = visits.map(apt => (apt.id === appointmentId ? newStart : apt.startTime));
+    for (const neighbour of [index - 1, index + 1]) {
+      if (neighbour < 0 || neighbour >= visits.length) continue;
+      const [earlier, later] = neighbour < index ? [neighbour, index] : [index, neighbour];
+      const window = this.getSeriesWindow(appointment.seriesType, visits[later].seriesIndex, starts[earlier]);
+      if (moment(starts[later]).isBefore(window.from) || moment(starts[later]).isAfter(window.to)) {
+        return `El cambio rompe la separación entre las visitas ${visits[earlier].seriesIndex} y ${visits[later].seriesIndex} de la serie ${appointment.seriesId}`;
+      }
+    }
+    return null;
+  }
+
   /**
    * Actualizar cita existente
    */
@@ -168,6 +374,9 @@ class DataManager extends EventEmitter {
         ...updates,
         updatedAt: new Date().toISOString()
       };
+      if (this.changesCalendarEvent(appointment, updatedAppointment)) {
+        updatedAppointment.icsSequence = (appointment.icsSequence || 0) + 1;
+      }
 
       this.appointments.set(appointmentId, updatedAppointment);
       await this.saveToExcel();
@@ -181,14 +390,164 @@ class DataManager extends EventEmitter {
   }
 
   /**
-   * Cancelar cita
+   * ¿El cambio afecta al evento que el cliente tiene en su calendario?
+   */
+  changesCalendarEvent(before, after) {
+    return ICS_FIELDS.some(key => {
+      if (key === 'startTime' || key === 'endTime') {
+        return new Date(before[key]).getTime() !== new Date(after[key]).getTime();
+      }
+      return before[key] !== after[key];
+    });
+  }
+
+  /**
+   * Reprogramar cita guardando el horario anterior en su historial
+   */
+  async rescheduleAppointment(appointmentId, slot, technician = null, source = 'chat') {
+    const previous = this.appointments.get(appointmentId);
+    if (!previous) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
+    const assignedTechnician = technician || previous.technician;
+    const rescheduled = await this.updateAppointment(appointmentId, {
+      startTime: slot.start,
+      endTime: slot.end,
+      technician: assignedTechnician,
+      zone: this.getTechnicianZone(assignedTechnician, previous.postalCode),
+      history: [...(previous.history || []), {
+        action: 'rescheduled',
+        previousStart: previous.startTime,
+        previousEnd: previous.endTime,
+        previousTechnician: previous.technician,
+        source,
+        changedAt: new Date().toISOString()
+      }]
+    });
+
+    this.emit('appointmentRescheduled', rescheduled, previous);
+    return rescheduled;
+  }
+
+  /**
+   * Registrar en la cita un intento de envío de recordatorio
    */
-  async cancelAppointment(appointmentId, reason = '') {
+  async recordReminderDelivery(appointmentId, delivery) {
+    const appointment = this.appointments.get(appointmentId);
+    if (!appointment) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
+    const updated = await this.updateAppointment(appointmentId, {
+      remindersSent: [...(appointment.remindersSent || []), delivery]
+    });
+    this.emit('reminderRecorded', updated, delivery);
+    return updated;
+  }
+
+  /**
+   * Registrar en la cita un SMS enviado (sid, estado, segmentos...)
+   */
+  async recordSmsMessage(appointmentId, message) {
+    const appointment = this.appointments.get(appointmentId);
+    if (!appointment) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
     return this.updateAppointment(appointmentId, {
+      smsMessages: [...(appointment.smsMessages || []), message]
+    });
+  }
+
+  /**
+   * Estado de entrega de un SMS (callback del proveedor). Devuelve la cita
+   * actualizada o null si ningún SMS registrado tiene ese sid
+   */
+  async updateSmsStatus(sid, status, errorCode = null) {
+    const appointment = Array.from(this.appointments.values())
+      .find(apt => (apt.smsMessages || []).some(message => message.sid === sid));
+    if (!appointment) {
+      return null;
+    }
+
+    const smsMessages = appointment.smsMessages.map(message => {
+      if (message.sid !== sid || (SMS_STATUS_ORDER[status] ?? 0) < (SMS_STATUS_ORDER[message.status] ?? 0)) {
+        return message;
+      }
+      return { ...message, status, errorCode, updatedAt: new Date().toISOString() };
+    });
+    const updated = await this.updateAppointment(appointment.id, { smsMessages });
+    this.emit('smsStatusUpdated', updated, sid, status);
+    return updated;
+  }
+
+  isValidSmsStatus(status) {
+    return status in SMS_STATUS_ORDER;
+  }
+
+  /**
+   * Política de cancelación: solo citas activas que aún no han empezado;
+   * dentro de las últimas cancellationFreeHours la cancelación es tardía
+   */
+  checkCancellationPolicy(appointment, at = new Date()) {
+    const hoursBefore = moment(appointment.startTime).diff(moment(at), 'hours', true);
+    const freeHours = this.config.appointments.cancellationFreeHours ?? 24;
+
+    if (!BLOCKING_STATUSES.includes(appointment.status)) {
+      return { allowed: false, late: false, hoursBefore, error: `La cita ya está en estado ${appointment.status}` };
+    }
+    if (hoursBefore <= 0) {
+      return { allowed: false, late: false, hoursBefore, error: 'La cita ya ha comenzado' };
+    }
+    return { allowed: true, late: hoursBefore < freeHours, hoursBefore };
+  }
+
+  isValidCancellationReason(reason) {
+    return Boolean(this.config.appointments.cancellationReasons?.[reason]);
+  }
+
+  /**
+   * Cancelar cita (respeta la política y marca las cancelaciones tardías)
+   */
+  async cancelAppointment(appointmentId, reason = '', source = 'api') {
+    const appointment = this.appointments.get(appointmentId);
+    if (!appointment) {
+      throw new Error(`Appointment not found: ${appointmentId}`);
+    }
+
+    const policy = this.checkCancellationPolicy(appointment);
+    if (!policy.allowed) {
+      throw new Error(`Cancellation not allowed: ${policy.error}`);
+    }
+
+    const cancelledAt = new Date().toISOString();
+    const cancelled = await this.updateAppointment(appointmentId, {
       status: 'cancelled',
-      cancelledAt: new Date().toISOString(),
-      cancellationReason: reason
+      cancelledAt,
+      cancellationReason: reason,
+      lateCancellation: policy.late,
+      history: [...(appointment.history || []), {
+        action: 'cancelled',
+        reason,
+        late: policy.late,
+        source,
+        changedAt: cancelledAt
+      }]
     });
+
+    // El hueco liberado puede ofrecerse a la lista de espera
+    this.emit('appointmentCancelled', cancelled);
+
+    // Las visitas posteriores de la serie dependen de esta: se cancelan también
+    if (cancelled.seriesId) {
+      const laterVisits = this.getSeriesAppointments(cancelled.seriesId)
+        .filter(apt => apt.seriesIndex > cancelled.seriesIndex && BLOCKING_STATUSES.includes(apt.status));
+      for (const visit of laterVisits) {
+        await this.cancelAppointment(visit.id, reason, 'series');
+      }
+    }
+    return cancelled;
   }
 
   /**
@@ -231,6 +590,28 @@ class DataManager extends EventEmitter {
     );
   }
 
+  /**
+   * Obtener citas activas (confirmadas o pendientes) que se solapan con un intervalo
+   */
+  getBlockingAppointments(start, end) {
+    const rangeStart = moment(start);
+    const rangeEnd = moment(end);
+
+    return Array.from(this.appointments.values()).filter(apt =>
+      BLOCKING_STATUSES.includes(apt.status) &&
+      moment(apt.startTime).isBefore(rangeEnd) &&
+      moment(apt.endTime).isAfter(rangeStart)
+    );
+  }
+
+  /**
+   * Número de citas activas de un técnico en un intervalo (para repartir carga)
+   */
+  getTechnicianLoad(technicianId, start, end) {
+    return this.getBlockingAppointments(start, end)
+      .filter(apt => apt.technician === technicianId).length;
+  }
+
   /**
    * Guardar conversación
    */
@@ -295,15 +676,27 @@ class DataManager extends EventEmitter {
       { header: 'ID Sesión', key: 'sessionId', width: 15 },
       { header: 'Cliente', key: 'customerName', width: 25 },
       { header: 'Teléfono', key: 'phone', width: 15 },
+      { header: 'Email', key: 'email', width: 28 },
       { header: 'Inicio', key: 'startTime', width: 20 },
       { header: 'Fin', key: 'endTime', width: 20 },
+      { header: 'Tipo', key: 'type', width: 15 },
       { header: 'Técnico', key: 'technician', width: 15 },
       { header: 'Zona', key: 'zone', width: 15 },
+      { header: 'PLZ', key: 'postalCode', width: 10 },
       { header: 'Estado', key: 'status', width: 15 },
       { header: 'Idioma', key: 'language', width: 10 },
       { header: 'Creado', key: 'createdAt', width: 20 },
       { header: 'Recordatorio', key: 'reminderEnabled', width: 12 },
-      { header: 'Notas', key: 'notes', width: 30 }
+      { header: 'Notas', key: 'notes', width: 30 },
+      { header: 'Motivo Cancelación', key: 'cancellationReason', width: 20 },
+      { header: 'Cancelación Tardía', key: 'lateCancellation', width: 12 },
+      { header: 'Serie', key: 'seriesId', width: 20 },
+      { header: 'Tipo Serie', key: 'seriesType', width: 18 },
+      { header: 'Visita', key: 'seriesIndex', width: 8 },
+      { header: 'Historial', key: 'history', width: 40 },
+      { header: 'Recordatorios Enviados', key: 'remindersSent', width: 40 },
+      { header: 'SMS', key: 'smsMessages', width: 40 },
+      { header: 'Secuencia ICS', key: 'icsSequence', width: 12 }
     ];
 
     // Estilizar encabezados
@@ -321,15 +714,27 @@ class DataManager extends EventEmitter {
         sessionId: apt.sessionId,
         customerName: apt.customerName,
         phone: apt.phone,
-        startTime: moment(apt.startTime).format('DD/MM/YYYY HH:mm'),
-        endTime: moment(apt.endTime).format('DD/MM/YYYY HH:mm'),
+        email: apt.email || '',
+        startTime: this.formatStoredDate(apt.startTime),
+        endTime: this.formatStoredDate(apt.endTime),
+        type: apt.type,
         technician: apt.technician,
         zone: apt.zone,
+        postalCode: apt.postalCode,
         status: apt.status,
         language: apt.language,
-        createdAt: moment(apt.createdAt).format('DD/MM/YYYY HH:mm'),
+        createdAt: this.formatStoredDate(apt.createdAt),
         reminderEnabled: apt.reminderEnabled ? 'Sí' : 'No',
-        notes: apt.notes
+        notes: apt.notes,
+        cancellationReason: apt.cancellationReason || '',
+        lateCancellation: apt.status === 'cancelled' ? (apt.lateCancellation ? 'Sí' : 'No') : '',
+        seriesId: apt.seriesId || '',
+        seriesType: apt.seriesType || '',
+        seriesIndex: apt.seriesIndex || '',
+        history: apt.history?.length ? JSON.stringify(apt.history) : '',
+        remindersSent: apt.remindersSent?.length ? JSON.stringify(apt.remindersSent) : '',
+        smsMessages: apt.smsMessages?.length ? JSON.stringify(apt.smsMessages) : '',
+        icsSequence: apt.icsSequence || 0
       });
 
       // Colorear filas según estado
@@ -337,7 +742,7 @@ class DataManager extends EventEmitter {
     });
 
     // Aplicar filtros
-    worksheet.autoFilter = 'A1:M1';
+    worksheet.autoFilter = 'A1:Y1';
   }
 
   setupConversationsWorksheet(worksheet) {
@@ -490,7 +895,15 @@ class DataManager extends EventEmitter {
     return labels[key] || key;
   }
 
-  getTechnicianZone(technicianId) {
+  /**
+   * Zona del técnico que realmente cubre el PLZ del cliente
+   * (p. ej. 'PLZ 30xxx' de un técnico con 'PLZ 29xxx, 30xxx')
+   */
+  getTechnicianZone(technicianId, postalCode = null) {
+    const match = this.zoneMatcher.matchTechnician(technicianId, postalCode);
+    if (match) {
+      return match.label;
+    }
     return this.config.technicians[technicianId]?.zone || 'N/A';
   }
 
@@ -532,12 +945,13 @@ class DataManager extends EventEmitter {
   }
 
   generateCSV(appointments) {
-    const headers = ['ID Cita', 'Cliente', 'Inicio', 'Fin', 'Técnico', 'Estado', 'Idioma'];
+    const headers = ['ID Cita', 'Cliente', 'Inicio', 'Fin', 'Tipo', 'Técnico', 'Estado', 'Idioma'];
     const rows = appointments.map(apt => [
       apt.id,
       apt.customerName,
       moment(apt.startTime).format('DD/MM/YYYY HH:mm'),
       moment(apt.endTime).format('DD/MM/YYYY HH:mm'),
+      apt.type,
       apt.technician,
       apt.status,
       apt.language
@@ -0,0 +1,382 @@
+/**
+ * Interpretación de Fechas - Expresiones de fecha y hora en texto libre (es/de/en)
+ * Sin servicios externos: 'mañana por la mañana', 'next Tuesday afternoon', 'Donnerstag ab 14 Uhr'
+ */
+
+const moment = require('moment-timezone');
+
+// Vocabulario sin tildes ni diéresis (el texto se normaliza antes de buscar)
+const VOCABULARY = {
+  es: {
+    weekdays: ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'],
+    months: ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre|setiembre', 'octubre', 'noviembre', 'diciembre'],
+    dayAfterTomorrow: 'pasado manana',
+    tomorrow: 'manana',
+    today: 'hoy',
+    nextWeek: 'la semana que viene|semana que viene|la proxima semana|proxima semana|la semana proxima',
+    thisWeek: 'esta semana',
+    weekend: 'el fin de semana|fin de semana|finde',
+    next: 'el proximo|la proxima|proximo|proxima',
+    nextAfter: 'que viene',
+    dayOfMonth: 'el dia|el',
+    from: 'a partir de las|a partir de la|a partir de|desde las|desde la|despues de las|despues de la',
+    before: 'antes de las|antes de la|hasta las|hasta la',
+    at: 'a las|a la|sobre las|hacia las',
+    hourSuffix: 'horas|h',
+    am: 'de la manana',
+    pm: 'de la tarde|de la noche',
+    noon: 'al mediodia|mediodia',
+    dayParts: {
+      morning: 'por la manana|en la manana|de manana|temprano',
+      afternoon: 'por la tarde|en la tarde|tarde',
+      evening: 'por la noche|noche'
+    }
+  },
+  de: {
+    weekdays: ['sonntag', 'montag', 'dienstag', 'mittwoch', 'donnerstag', 'freitag', 'samstag|sonnabend'],
+    months: ['januar|jan', 'februar|feb', 'marz|maerz', 'april|apr', 'mai', 'juni|jun', 'juli|jul', 'august|aug', 'september|sept|sep', 'oktober|okt', 'november|nov', 'dezember|dez'],
+    dayAfterTomorrow: 'ubermorgen|uebermorgen',
+    tomorrow: 'morgen',
+    today: 'heute',
+    nextWeek: 'nachste woche|nachsten woche|kommende woche|kommenden woche',
+    thisWeek: 'diese woche|dieser woche',
+    weekend: 'am wochenende|wochenende',
+    next: 'nachsten|nachster|nachste|kommenden|kommender|kommende',
+    nextAfter: null,
+    dayOfMonth: 'am|den',
+    from: 'ab|nach|fruhestens',
+    before: 'vor|bis|spatestens',
+    at: 'um|gegen',
+    hourSuffix: 'uhr|h',
+    am: null,
+    pm: null,
+    noon: 'am mittag|mittags|mittag',
+    dayParts: {
+      morning: 'am vormittag|vormittags|vormittag|am morgen|morgens|fruh',
+      afternoon: 'am nachmittag|nachmittags|nachmittag',
+      evening: 'am abend|abends|abend'
+    }
+  },
+  en: {
+    weekdays: ['sunday|sun', 'monday|mon', 'tuesday|tues|tue', 'wednesday|wed', 'thursday|thurs|thu', 'friday|fri', 'saturday|sat'],
+    months: ['january|jan', 'february|feb', 'march|mar', 'april|apr', 'may', 'june|jun', 'july|jul', 'august|aug', 'september|sept|sep', 'october|oct', 'november|nov', 'december|dec'],
+    dayAfterTomorrow: 'the day after tomorrow|day after tomorrow',
+    tomorrow: 'tomorrow',
+    today: 'today|tonight',
+    nextWeek: 'next week',
+    thisWeek: 'this week',
+    weekend: 'the weekend|weekend',
+    next: 'next',
+    nextAfter: null,
+    dayOfMonth: 'on the|the',
+    from: 'starting at|from|after',
+    before: 'no later than|before|until|by',
+    at: 'at|around',
+    hourSuffix: "o'clock|oclock",
+    am: 'a\\.m\\.?|am',
+    pm: 'p\\.m\\.?|pm',
+    noon: 'midday|noon',
+    dayParts: {
+      morning: 'in the morning|morning',
+      afternoon: 'in the afternoon|afternoon',
+      evening: 'in the evening|evening'
+    }
+  }
+};
+
+const ORDINAL = '(?:st|nd|rd|th|º|\\.)?';
+
+class DateParser {
+  constructor(config, { timeWindows = null } = {}) {
+    this.config = config;
+    this.timezone = config.appointments.timezone;
+    this.timeWindows = timeWindows || {
+      morning: ['08:00', '12:00'],
+      afternoon: ['12:00', '16:00'],
+      evening: ['16:00', '20:00']
+    };
+  }
+
+  /**
+   * Posibles lecturas del texto: [{ ranges: [{ from, to }], time: { from, to } | null }]
+   * con días 'YYYY-MM-DD' y horas 'HH:mm'. Varias lecturas = frase ambigua
+   * ('next Tuesday', '05/06' en inglés); lista vacía si no hay ninguna fecha ni hora
+   */
+  parse(message, language = 'es', now = moment().tz(this.timezone)) {
+    const vocabulary = VOCABULARY[language] || VOCABULARY.es;
+    const state = { text: ` ${this.normalize(message)} ` };
+    const today = now.clone().tz(this.timezone).startOf('day');
+
+    // Primero la hora: así 'mañana por la mañana' deja solo 'mañana' para el día
+    const times = this.extractTimes(state, vocabulary);
+    const days = this.extractDays(state, vocabulary, today, language);
+
+    if (days.length === 0 && times.length === 0) {
+      return [];
+    }
+
+    // Solo se desdobla la primera expresión ambigua; el resto usa su lectura principal
+    const ambiguous = days.findIndex(options => options.length > 1);
+    const dayReadings = ambiguous === -1
+      ? [days.map(options => options[0])]
+      : days[ambiguous].map(option => days.map((options, index) => (index === ambiguous ? option : options[0])));
+
+    const interpretations = [];
+    for (const ranges of dayReadings) {
+      for (const time of (times.length ? times : [null])) {
+        interpretations.push({ ranges, time });
+      }
+    }
+    return interpretations;
+  }
+
+  /**
+   * ¿Empieza el slot dentro de alguno de los días y de la franja horaria?
+   */
+  matchesSlot(slot, { ranges, time }) {
+    const start = moment(slot.start).tz(this.timezone);
+    const day = start.format('YYYY-MM-DD');
+    if (ranges.length && !ranges.some(range => day >= range.from && day <= range.to)) {
+      return false;
+    }
+    const clock = start.format('HH:mm');
+    return !time || (clock >= time.from && clock < time.to);
+  }
+
+  normalize(message) {
+    return String(message || '')
+      .toLowerCase()
+      .replace(/ß/g, 'ss')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/[¿?¡!,;]/g, ' ')
+      .replace(/([a-z])\.(?=\s|$)/g, '$1 ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Quitar del texto lo ya interpretado para que no se lea dos veces
+   */
+  consume(state, regex) {
+    const match = state.text.match(regex);
+    if (match) {
+      this.remove(state, match);
+    }
+    return match;
+  }
+
+  remove(state, match) {
+    state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  }
+
+  wordRegex(alternatives) {
+    return new RegExp(`(?<=\\s)(?:${alternatives})(?=\\s)`);
+  }
+
+  /**
+   * Franjas horarias posibles: hora concreta ('a las 3', '14:00'), desde/hasta
+   * ('ab 14 Uhr', 'before noon') o parte del día ('por la tarde', 'morning')
+   */
+  extractTimes(state, vocabulary) {
+    const never = '\\b\\B';
+    const hourRegex = new RegExp(
+      `(?<=\\s)(?:(?<from>${vocabulary.from})\\s+|(?<before>${vocabulary.before})\\s+|(?<at>${vocabulary.at})\\s+)?` +
+      `(?:(?<hours>\\d{1,2})(?:[:h](?<minutes>\\d{2}))?|(?<noon>${vocabulary.noon}))` +
+      `\\s*(?:(?<am>${vocabulary.am || never})|(?<pm>${vocabulary.pm || never})|(?<suffix>${vocabulary.hourSuffix}))?(?=\\s)`,
+      'g'
+    );
+
+    let hour = null;
+    let kind = null;
+    let meridian = null;
+    // Un número suelto no es una hora: hace falta preposición, minutos o sufijo
+    const match = Array.from(state.text.matchAll(hourRegex)).find(({ groups }) =>
+      groups.noon || groups.from || groups.before || groups.at || groups.minutes || groups.am || groups.pm || groups.suffix
+    );
+    if (match) {
+      const { groups } = match;
+      this.remove(state, match);
+      hour = groups.noon
+        ? { hours: 12, minutes: 0 }
+        : { hours: Number(groups.hours), minutes: Number(groups.minutes || 0) };
+      kind = groups.from ? 'from' : groups.before ? 'before' : 'at';
+      meridian = groups.am ? 'am' : groups.pm ? 'pm' : null;
+    }
+
+    const dayPart = Object.keys(vocabulary.dayParts)
+      .find(part => this.consume(state, this.wordRegex(vocabulary.dayParts[part])));
+
+    if (!hour) {
+      const window = dayPart && this.timeWindows[dayPart];
+      return window ? [{ from: window[0], to: window[1] }] : [];
+    }
+    if (hour.hours > 23 || hour.minutes > 59) {
+      return [];
+    }
+
+    // '3' puede ser las 03:00 o las 15:00 salvo que la frase lo aclare
+    let candidates = [hour.hours];
+    if (meridian === 'pm' && hour.hours < 12) {
+      candidates = [hour.hours + 12];
+    } else if (meridian === 'am') {
+      candidates = [hour.hours % 12];
+    } else if (dayPart === 'afternoon' || dayPart === 'evening') {
+      candidates = [hour.hours < 12 ? hour.hours + 12 : hour.hours];
+    } else if (!dayPart && hour.hours >= 1 && hour.hours < 12) {
+      // Solo se duda si ambas horas caen dentro del horario de citas
+      const [first, last] = this.getBusinessHours();
+      const inside = [hour.hours, hour.hours + 12].filter(hours => hours >= first && hours <= last);
+      candidates = inside.length ? inside : [hour.hours];
+    }
+
+    return candidates.map(hours => {
+      const clock = moment({ hour: hours, minute: hour.minutes }).format('HH:mm');
+      if (kind === 'from') return { from: clock, to: '24:00' };
+      if (kind === 'before') return { from: '00:00', to: clock };
+      return { from: clock, to: moment({ hour: hours, minute: hour.minutes }).add(1, 'hour').format('HH:mm') };
+    });
+  }
+
+  /**
+   * Primera y última hora de inicio de los slots configurados
+   */
+  getBusinessHours() {
+    const hours = Object.values(this.config.appointments.availableSlots)
+      .flat()
+      .map(time => Number(time.split(':')[0]));
+    return hours.length ? [Math.min(...hours), Math.max(...hours)] : [0, 23];
+  }
+
+  /**
+   * Expresiones de día; cada una es una lista de lecturas [{ from, to }]
+   */
+  extractDays(state, vocabulary, today, language) {
+    const days = [];
+    const range = (from, to = from) => ({ from: from.format('YYYY-MM-DD'), to: to.format('YYYY-MM-DD') });
+    const months = vocabulary.months.join('|');
+
+    let match;
+    // Fechas con mes por nombre: '16 de septiembre', '16. September', 'September 16th'
+    const namedDates = [
+      new RegExp(`(?<=\\s)(\\d{1,2})${ORDINAL}\\s*(?:de\\s+|of\\s+)?(${months})\\.?(?:\\s+(?:de\\s+)?(\\d{4}))?(?=\\s)`),
+      new RegExp(`(?<=\\s)(${months})\\.?\\s+(\\d{1,2})${ORDINAL}(?:\\s+(\\d{4}))?(?=\\s)`)
+    ];
+    namedDates.forEach((regex, index) => {
+      while ((match = this.consume(state, regex))) {
+        const [day, monthName] = index === 0 ? [match[1], match[2]] : [match[2], match[1]];
+        const month = vocabulary.months.findIndex(names => new RegExp(`^(?:${names})$`).test(monthName));
+        const date = this.resolveDate(today, Number(day), month, match[3]);
+        if (date) days.push([range(date)]);
+      }
+    });
+
+    // Fechas numéricas '16.09', '16/09/2026'; en inglés '05/06' puede ser mayo o junio
+    const numericDate = /(?<=\s)(\d{1,2})[./](\d{1,2})(?:[./](\d{2,4}))?\.?(?=\s)/;
+    while ((match = this.consume(state, numericDate))) {
+      const [first, second] = [Number(match[1]), Number(match[2])];
+      const readings = [[first, second - 1]];
+      if (language === 'en' && first <= 12 && second <= 12 && first !== second) {
+        readings.push([second, first - 1]);
+      }
+      const options = readings
+        .map(([day, month]) => this.resolveDate(today, day, month, match[3]))
+        .filter(Boolean)
+        .map(date => range(date));
+      if (options.length) days.push(options);
+    }
+
+    if (this.consume(state, this.wordRegex(vocabulary.dayAfterTomorrow))) {
+      days.push([range(today.clone().add(2, 'days'))]);
+    }
+    if (this.consume(state, this.wordRegex(vocabulary.tomorrow))) {
+      days.push([range(today.clone().add(1, 'day'))]);
+    }
+    if (this.consume(state, this.wordRegex(vocabulary.today))) {
+      days.push([range(today)]);
+    }
+
+    // Semanas (de lunes a domingo) y fin de semana
+    let week = null;
+    if (this.consume(state, this.wordRegex(vocabulary.nextWeek))) {
+      week = today.clone().startOf('isoWeek').add(1, 'week');
+    } else if (this.consume(state, this.wordRegex(vocabulary.thisWeek))) {
+      week = today.clone();
+    }
+    if (this.consume(state, this.wordRegex(vocabulary.weekend))) {
+      const base = week || today;
+      const saturday = base.clone().isoWeekday(6);
+      days.push([range(saturday.isBefore(today) ? today : saturday, base.clone().isoWeekday(7))]);
+      week = null;
+    }
+
+    // Días de la semana, con 'próximo' / 'nächsten' / 'next' opcional
+    const weekdays = vocabulary.weekdays.join('|');
+    const weekdayRegex = new RegExp(
+      `(?<=\\s)(?:(${vocabulary.next})\\s+)?(${weekdays})(?:\\s+(${vocabulary.nextAfter || '\\b\\B'}))?(?=\\s)`
+    );
+    let weekdayFound = false;
+    while ((match = this.consume(state, weekdayRegex))) {
+      weekdayFound = true;
+      const weekday = vocabulary.weekdays.findIndex(names => new RegExp(`^(?:${names})$`).test(match[2]));
+      days.push(this.resolveWeekday(today, weekday, Boolean(match[1] || match[3]), week));
+    }
+    if (week && !weekdayFound) {
+      const from = week.isBefore(today) ? today : week;
+      days.push([range(from, week.clone().isoWeekday(7))]);
+    }
+
+    // Día del mes suelto: 'el 16', 'am 16.', 'the 16th'
+    const dayOfMonth = new RegExp(`(?<=\\s)(?:${vocabulary.dayOfMonth})\\s+(\\d{1,2})${ORDINAL}(?=\\s)`);
+    while ((match = this.consume(state, dayOfMonth))) {
+      const day = Number(match[1]);
+      const date = [today, today.clone().add(1, 'month')]
+        .map(base => this.resolveDate(today, day, base.month(), String(base.year())))
+        .find(candidate => candidate && !candidate.isBefore(today));
+      if (date) days.push([range(date)]);
+    }
+
+    return days;
+  }
+
+  /**
+   * Fecha en la zona horaria del config; sin año explícito se toma la próxima
+   */
+  resolveDate(today, day, month, year = null) {
+    if (month < 0 || month > 11) {
+      return null;
+    }
+    const explicitYear = year ? Number(year.length === 2 ? `20${year}` : year) : null;
+    const date = moment.tz({ year: explicitYear || today.year(), month, date: day }, this.timezone);
+    if (!date.isValid()) {
+      return null;
+    }
+    if (!explicitYear && date.isBefore(today)) {
+      date.add(1, 'year');
+    }
+    return date;
+  }
+
+  /**
+   * Próximo día de la semana indicado. 'next Tuesday' dicho un lunes puede ser
+   * mañana o el de la semana siguiente, así que devuelve ambas lecturas
+   */
+  resolveWeekday(today, weekday, next, week = null) {
+    const range = date => ({ from: date.format('YYYY-MM-DD'), to: date.format('YYYY-MM-DD') });
+    if (week) {
+      return [range(week.clone().startOf('isoWeek').isoWeekday(weekday === 0 ? 7 : weekday))];
+    }
+
+    const upcoming = today.clone().add((weekday - today.day() + 7) % 7, 'days');
+    const following = upcoming.clone().add(1, 'week');
+    if (upcoming.isSame(today, 'day')) {
+      return [range(upcoming), range(following)];
+    }
+    if (next && upcoming.isSame(today, 'isoWeek')) {
+      return [range(upcoming), range(following)];
+    }
+    return [range(upcoming)];
+  }
+}
+
+module.exports = DateParser;
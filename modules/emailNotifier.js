@@ -0,0 +1,147 @@
+/**
+ * Notificaciones por Email - Confirmación, cambio, cancelación y recordatorio de citas
+ * Textos localizados junto a los del bot (email_* en ConversationsManager) y el .ics adjunto
+ */
+
+const EventEmitter = require('events');
+const IcsGenerator = require('./icsGenerator');
+const { createTransport } = require('./emailTransports');
+
+const EMAIL_KINDS = ['confirmation', 'rescheduled', 'cancelled', 'reminder'];
+
+class EmailNotifier extends EventEmitter {
+  constructor(config, conversationsManager, transport = null) {
+    super();
+    this.config = config;
+    this.conversationsManager = conversationsManager; // textos localizados y formato de slots
+    this.settings = config.notifications?.email || {};
+    this.icsGenerator = new IcsGenerator(config, conversationsManager);
+    this.transport = transport || (this.settings.enabled ? createTransport(this.settings) : null);
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.transport);
+  }
+
+  /**
+   * Enviar el email de una cita. Devuelve null si no aplica (email desactivado
+   * o cliente sin dirección) o { delivered, channel, messageId, error }
+   */
+  async notify(kind, appointment, { previous = null, reminder = null } = {}) {
+    if (!EMAIL_KINDS.includes(kind)) {
+      throw new Error(`Unknown email kind: ${kind}`);
+    }
+    if (!this.isEnabled() || !appointment?.email) {
+      return null;
+    }
+
+    try {
+      const message = this.buildMessage(kind, appointment, { previous, reminder });
+      const { messageId } = await this.transport.send(message);
+      this.emit('emailSent', { kind, appointmentId: appointment.id, to: appointment.email, messageId });
+      return { delivered: true, channel: 'email', messageId };
+    } catch (error) {
+      this.emit('emailFailed', { kind, appointmentId: appointment.id, to: appointment.email, error });
+      return { delivered: false, channel: 'email', error: error.message };
+    }
+  }
+
+  /**
+   * Canal de recordatorios para el ReminderScheduler
+   */
+  sendReminder(appointment, reminder) {
+    return this.notify('reminder', appointment, { reminder });
+  }
+
+  buildMessage(kind, appointment, { previous = null, reminder = null } = {}) {
+    const cm = this.conversationsManager;
+    const language = appointment.language || 'es';
+    const text = key => cm.getLocalizedMessage(key, language);
+
+    const slot = cm.formatSlotForDisplay({ start: appointment.startTime, end: appointment.endTime }, language);
+    const type = cm.getAppointmentTypeLabel(appointment.type, language);
+    const fill = value => value
+      .replace('{name}', appointment.customerName ? ` ${appointment.customerName}` : '')
+      .replace('{type}', type)
+      .replace('{slot}', slot)
+      .replace('{previous}', previous ? cm.formatSlotForDisplay({ start: previous.startTime, end: previous.endTime }, language) : '')
+      .replace('{hours}', reminder ? reminder.offsetHours : '')
+      .replace('{email}', this.config.company.supportEmail)
+      .replace('{phone}', this.config.company.supportPhone);
+
+    const details = cm.getAppointmentDetails(appointment, language);
+
+    const content = {
+      greeting: fill(text('email_greeting')),
+      intro: fill(text(`email_${kind}_body`)),
+      details,
+      calendarNote: text(kind === 'cancelled' ? 'email_calendar_cancel_note' : 'email_calendar_note'),
+      footer: fill(text('email_footer'))
+    };
+
+    // Invitación iTIP: REQUEST con la SEQUENCE actual actualiza el evento, CANCEL lo retira
+    const method = kind === 'cancelled' ? 'CANCEL' : 'REQUEST';
+    const ics = this.icsGenerator.generate(appointment, { method, language });
+
+    return {
+      from: this.settings.from || `${this.config.company.name} <${this.settings.user || this.config.company.supportEmail}>`,
+      to: appointment.customerName ? { name: appointment.customerName, address: appointment.email } : appointment.email,
+      subject: fill(text(`email_${kind}_subject`)),
+      text: this.renderText(content),
+      html: this.renderHtml(content, language),
+      attachments: [{
+        filename: `${appointment.id}.ics`,
+        content: ics,
+        contentType: `text/calendar; charset=utf-8; method=${method}`
+      }]
+    };
+  }
+
+  renderText({ greeting, intro, details, calendarNote, footer }) {
+    return [
+      greeting,
+      '',
+      intro,
+      '',
+      ...details.map(([label, value]) => `${label}: ${value}`),
+      '',
+      calendarNote,
+      '',
+      footer,
+      '',
+      this.config.company.fullName
+    ].join('\n');
+  }
+
+  renderHtml({ greeting, intro, details, calendarNote, footer }, language) {
+    const rows = details.map(([label, value]) =>
+      `<tr><td style="padding:4px 12px 4px 0;color:#666">${this.escapeHtml(label)}</td>` +
+      `<td style="padding:4px 0"><strong>${this.escapeHtml(value)}</strong></td></tr>`
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html lang="${language}">
+<body style="margin:0;padding:24px;background:#f4f6fa;font-family:Arial,sans-serif;color:#222">
+  <div style="max-width:560px;margin:0 auto;background:#fff;border-radius:8px;padding:24px">
+    <h2 style="margin-top:0;color:#4472c4">${this.escapeHtml(this.config.company.name)}</h2>
+    <p>${this.escapeHtml(greeting)}</p>
+    <p>${this.escapeHtml(intro)}</p>
+    <table style="border-collapse:collapse;margin:16px 0">${rows}</table>
+    <p style="color:#666">${this.escapeHtml(calendarNote)}</p>
+    <p>${this.escapeHtml(footer)}</p>
+    <p style="color:#999;font-size:12px">${this.escapeHtml(this.config.company.fullName)}</p>
+  </div>
+</body>
+</html>`;
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+module.exports = EmailNotifier;
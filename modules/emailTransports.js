@@ -0,0 +1,90 @@
+/**
+ * Transportes de email - SMTP para producción; fichero (.eml) y memoria para pruebas locales
+ * Todos reciben el mensaje con la forma de nodemailer: { from, to, subject, text, html, attachments }
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+
+class SmtpTransport {
+  constructor(settings) {
+    const server = settings.host
+      ? { host: settings.host, port: settings.port || 587, secure: settings.secure === true }
+      : { service: settings.service };
+
+    this.transporter = nodemailer.createTransport({
+      ...server,
+      auth: settings.user ? { user: settings.user, pass: settings.password } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+    return { messageId: info.messageId };
+  }
+}
+
+/**
+ * Escribe cada email como .eml en outboxDir (se abre con cualquier cliente de correo)
+ */
+class FileTransport {
+  constructor(settings) {
+    this.dir = settings.outboxDir || './data/outbox';
+  }
+
+  async send(message) {
+    const messageId = createMessageId(message.from);
+    const filename = path.join(this.dir, `${Date.now()}-${Math.random().toString(36).substr(2, 6)}.eml`);
+    const raw = await new MailComposer({ ...message, messageId }).compile().build();
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(filename, raw);
+    return { messageId, filename };
+  }
+}
+
+/**
+ * Guarda los emails en memoria para inspeccionarlos en pruebas
+ */
+class MemoryTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send(message) {
+    const messageId = createMessageId(message.from);
+    this.messages.push({ ...message, messageId, sentAt: new Date().toISOString() });
+    return { messageId };
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+function createTransport(settings = {}) {
+  switch (settings.transport || 'smtp') {
+    case 'smtp':
+      return new SmtpTransport(settings);
+    case 'file':
+      return new FileTransport(settings);
+    case 'memory':
+      return new MemoryTransport(settings);
+    default:
+      throw new Error(`Unknown email transport: ${settings.transport}`);
+  }
+}
+
+function createMessageId(from = '') {
+  const domain = (String(from).match(/@([^>\s]+)/) || [])[1] || 'clarity.local';
+  return `<${Date.now()}.${Math.random().toString(36).substr(2, 8)}@${domain}>`;
+}
+
+module.exports = {
+  createTransport,
+  SmtpTransport,
+  FileTransport,
+  MemoryTransport
+};
@@ -0,0 +1,247 @@
+/**
+ * Seguimiento de Clientes sin Respuesta - Avisos escalonados a sesiones paradas a mitad del flujo
+ * Tras el último aviso sin respuesta el lead queda como inalcanzable (se guarda en disco y sale en stats)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const EventEmitter = require('events');
+
+// Respuestas rápidas que acompañan al aviso según el paso donde se quedó el cliente
+const NUDGE_QUICK_REPLIES = {
+  CONSENT: 'consent',
+  CONFIRMATION: 'confirmation'
+};
+
+class FollowUpEngine extends EventEmitter {
+  constructor(config, conversationsManager) {
+    super();
+    this.config = config;
+    this.conversationsManager = conversationsManager; // sesiones en memoria y envío proactivo
+    this.settings = config.followUps || {};
+    this.filename = this.settings.filename || './data/followups.json';
+    this.leads = new Map(); // leads inalcanzables por sessionId
+    this.counters = { nudgesSent: 0, recovered: 0 };
+    this.task = null;
+    this.processing = false;
+    this.saveQueue = Promise.resolve();
+
+    // Cualquier respuesta del cliente cierra el seguimiento de su sesión
+    this.conversationsManager.on('messageProcessed', (session) => this.handleCustomerReply(session));
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const stored = JSON.parse(await fs.readFile(this.filename, 'utf8'));
+      (stored.leads || []).forEach(lead => this.leads.set(lead.sessionId, lead));
+      Object.assign(this.counters, stored.counters);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  save() {
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const tmp = `${this.filename}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ counters: this.counters, leads: Array.from(this.leads.values()) }, null, 2));
+        await fs.rename(tmp, this.filename);
+      })
+      .catch(error => this.emit('error', error));
+    return this.saveQueue;
+  }
+
+  start() {
+    if (this.task || this.settings.enabled === false) {
+      return;
+    }
+    this.task = cron.schedule(this.settings.cron || '* * * * *', () => this.processStalled(), {
+      timezone: this.config.appointments.timezone
+    });
+  }
+
+  /**
+   * Revisar las sesiones: avisar a las paradas en un paso de followUps.states
+   * y marcar como inalcanzables las que no respondieron al último aviso
+   */
+  async processStalled(now = new Date()) {
+    if (this.processing) {
+      return [];
+    }
+    this.processing = true;
+
+    const actions = [];
+    try {
+      for (const session of this.conversationsManager.sessions.values()) {
+        const action = this.getNextAction(session, now);
+        if (action === 'nudge') {
+          const result = await this.sendNudge(session, now);
+          actions.push({ sessionId: session.id, action, attempt: session.followUp.attempts, delivered: Boolean(result?.delivered) });
+        } else if (action === 'unreachable') {
+          this.markUnreachable(session, now);
+          actions.push({ sessionId: session.id, action });
+        }
+      }
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (actions.length > 0) {
+      await this.save();
+    }
+    return actions;
+  }
+
+  /**
+   * session.followUp = { attempts, delivered, lastNudgeAt, status: 'active' | 'unreachable' }.
+   * Mientras está 'active' la sesión no caduca (cleanupExpiredSessions la conserva).
+   * Solo se siguen las sesiones de canales que pueden escribir sin que el cliente lo haga
+   */
+  getNextAction(session, now) {
+    const states = this.settings.states || ['CONSENT', 'SLOT_SELECTION', 'CONFIRMATION'];
+    if (!states.includes(session.state) || session.completed || !this.conversationsManager.getProactiveChannel(session)) {
+      if (session.followUp?.status === 'active') {
+        session.followUp = null;
+      }
+      return null;
+    }
+
+    if (!session.followUp) {
+      session.followUp = { attempts: 0, delivered: 0, lastNudgeAt: null, status: 'active' };
+    }
+    if (session.followUp.status !== 'active') {
+      return null;
+    }
+
+    const intervals = this.settings.intervalsMinutes || [15, 120, 1440];
+    const idleMinutes = (now - new Date(session.followUp.lastNudgeAt || session.lastActivity)) / 60000;
+    if (session.followUp.attempts < intervals.length) {
+      return idleMinutes >= intervals[session.followUp.attempts] && !this.isQuietTime(now) ? 'nudge' : null;
+    }
+    return idleMinutes >= (this.settings.unreachableAfterMinutes ?? 1440) ? 'unreachable' : null;
+  }
+
+  /**
+   * Aviso i/N: el primero es amable, los intermedios insisten y el último avisa del cierre.
+   * Un envío fallido consume el intento pero no cuenta como aviso enviado
+   */
+  async sendNudge(session, now) {
+    const cm = this.conversationsManager;
+    const language = session.language;
+    const total = (this.settings.intervalsMinutes || [15, 120, 1440]).length;
+    const attempt = session.followUp.attempts + 1;
+    const level = attempt === total ? 'final' : (attempt === 1 ? 'first' : 'reminder');
+
+    const text = [
+      cm.getLocalizedMessage(`followup_${level}`, language)
+        .replace('{attempt}', attempt)
+        .replace('{total}', total)
+        .replace('{phone}', this.config.company.supportPhone),
+      cm.getLocalizedMessage(`followup_hint_${session.state.toLowerCase()}`, language)
+    ].join('\\n');
+
+    const response = session.state === 'SLOT_SELECTION'
+      ? cm.presentSlotPicker(session, text)
+      : {
+        bot: text,
+        quick: NUDGE_QUICK_REPLIES[session.state] ? cm.getLocalizedQuickReplies(NUDGE_QUICK_REPLIES[session.state], language) : [],
+        state: session.state
+      };
+
+    const result = await cm.deliverProactiveMessage(session, response, { followUp: attempt });
+    const delivered = (session.followUp.delivered || 0) + (result?.delivered ? 1 : 0);
+    session.followUp = { attempts: attempt, delivered, lastNudgeAt: now.toISOString(), status: 'active' };
+    if (result?.delivered) {
+      this.counters.nudgesSent++;
+      this.emit('nudgeSent', session, attempt, total);
+    } else {
+      this.emit('nudgeFailed', session, attempt, result?.error || 'channel_unavailable');
+    }
+    return result;
+  }
+
+  markUnreachable(session, now) {
+    const lead = {
+      sessionId: session.id,
+      state: session.state,
+      language: session.language,
+      channel: session.channel || 'web',
+      postalCode: session.context.postalCode || null,
+      appointmentType: session.context.appointmentType || null,
+      nudges: session.followUp.delivered || 0,
+      lastActivity: new Date(session.lastActivity).toISOString(),
+      markedAt: now.toISOString()
+    };
+    this.leads.set(session.id, lead);
+    session.followUp.status = 'unreachable';
+    this.emit('leadUnreachable', lead);
+  }
+
+  /**
+   * El cliente respondió: si había recibido avisos cuenta como recuperado,
+   * y deja de figurar como inalcanzable si ya lo estaba
+   */
+  handleCustomerReply(session) {
+    const wasUnreachable = this.leads.delete(session.id);
+    if (wasUnreachable || session.followUp?.delivered > 0) {
+      this.counters.recovered++;
+      this.emit('leadRecovered', session);
+      this.save();
+    }
+    session.followUp = null;
+  }
+
+  /**
+   * Sin avisos de noche (quietHours en la zona horaria de las citas)
+   */
+  isQuietTime(now) {
+    const { from, to } = this.settings.quietHours || {};
+    if (!from || !to) {
+      return false;
+    }
+    const time = moment(now).tz(this.config.appointments.timezone).format('HH:mm');
+    return from > to ? (time >= from || time < to) : (time >= from && time < to);
+  }
+
+  getUnreachableLeads() {
+    return Array.from(this.leads.values()).sort((a, b) => b.markedAt.localeCompare(a.markedAt));
+  }
+
+  getStats() {
+    const leads = Array.from(this.leads.values());
+    return {
+      tracking: Array.from(this.conversationsManager.sessions.values())
+        .filter(session => session.followUp?.status === 'active').length,
+      nudgesSent: this.counters.nudgesSent,
+      recovered: this.counters.recovered,
+      unreachable: leads.length,
+      unreachableByState: leads.reduce((acc, lead) => {
+        acc[lead.state] = (acc[lead.state] || 0) + 1;
+        return acc;
+      }, {})
+    };
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.removeAllListeners();
+  }
+}
+
+module.exports = FollowUpEngine;
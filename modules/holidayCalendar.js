@@ -0,0 +1,209 @@
+/**
+ * Calendario de Festivos - Festivos nacionales y por Bundesland calculados sin conexión
+ * Incluye fechas móviles basadas en Pascua y una lista de cierres de empresa
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment-timezone');
+const EventEmitter = require('events');
+
+const STATES = ['BW', 'BY', 'BE', 'BB', 'HB', 'HH', 'HE', 'MV', 'NI', 'NW', 'RP', 'SL', 'SN', 'ST', 'SH', 'TH'];
+
+// Festivos fijos: [mes, día, nombre, estados (null = todo el país), primer año]
+const FIXED_HOLIDAYS = [
+  [1, 1, 'Neujahr', null],
+  [1, 6, 'Heilige Drei Könige', ['BW', 'BY', 'ST']],
+  [3, 8, 'Internationaler Frauentag', ['BE'], 2019],
+  [3, 8, 'Internationaler Frauentag', ['MV'], 2023],
+  [5, 1, 'Tag der Arbeit', null],
+  [8, 15, 'Mariä Himmelfahrt', ['SL']],
+  [9, 20, 'Weltkindertag', ['TH'], 2019],
+  [10, 3, 'Tag der Deutschen Einheit', null],
+  [10, 31, 'Reformationstag', ['BB', 'MV', 'SN', 'ST', 'TH']],
+  [10, 31, 'Reformationstag', ['HB', 'HH', 'NI', 'SH'], 2018],
+  [11, 1, 'Allerheiligen', ['BW', 'BY', 'NW', 'RP', 'SL']],
+  [12, 25, '1. Weihnachtstag', null],
+  [12, 26, '2. Weihnachtstag', null]
+];
+
+// Festivos móviles: [días desde Domingo de Pascua, nombre, estados (null = todo el país)]
+const EASTER_HOLIDAYS = [
+  [-2, 'Karfreitag', null],
+  [0, 'Ostersonntag', ['BB']],
+  [1, 'Ostermontag', null],
+  [39, 'Christi Himmelfahrt', null],
+  [49, 'Pfingstsonntag', ['BB']],
+  [50, 'Pfingstmontag', null],
+  [60, 'Fronleichnam', ['BW', 'BY', 'HE', 'NW', 'RP', 'SL']]
+];
+
+class HolidayCalendar extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.settings = config.holidays || {};
+    this.filename = this.settings.closuresFile || './data/company-closures.json';
+    this.closures = []; // cierres de empresa añadidos desde la API
+    this.cache = new Map(); // 'AAAA-estado' -> festivos
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const raw = await fs.readFile(this.filename, 'utf8');
+      this.closures = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  async save() {
+    try {
+      await fs.writeFile(this.filename, JSON.stringify(this.closures, null, 2));
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Domingo de Pascua (algoritmo gregoriano anónimo / Meeus-Jones-Butcher)
+   */
+  getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return moment.utc([year, month - 1, day]);
+  }
+
+  /**
+   * Festivos de un año para un Bundesland (sin estado: solo los nacionales)
+   */
+  getHolidays(year, state = null) {
+    const cacheKey = `${year}-${state || 'DE'}`;
+    if (this.cache.has(cacheKey)) {
+      return this.cache.get(cacheKey);
+    }
+
+    const appliesTo = (states, since) =>
+      (!since || year >= since) && (states === null || (state && states.includes(state)));
+
+    const holidays = [];
+    FIXED_HOLIDAYS.forEach(([month, day, name, states, since]) => {
+      if (appliesTo(states, since)) {
+        holidays.push({ date: moment.utc([year, month - 1, day]).format('YYYY-MM-DD'), name });
+      }
+    });
+
+    const easter = this.getEasterSunday(year);
+    EASTER_HOLIDAYS.forEach(([offset, name, states]) => {
+      if (appliesTo(states)) {
+        holidays.push({ date: easter.clone().add(offset, 'days').format('YYYY-MM-DD'), name });
+      }
+    });
+
+    // Buß- und Bettag: miércoles anterior al 23 de noviembre (solo Sachsen)
+    if (state === 'SN') {
+      const nov23 = moment.utc([year, 10, 23]);
+      const daysBack = ((nov23.day() - 3 + 7) % 7) || 7;
+      holidays.push({ date: nov23.clone().subtract(daysBack, 'days').format('YYYY-MM-DD'), name: 'Buß- und Bettag' });
+    }
+
+    holidays.sort((a, b) => a.date.localeCompare(b.date));
+    this.cache.set(cacheKey, holidays);
+    return holidays;
+  }
+
+  /**
+   * Bundesland de un técnico: el suyo propio, el de su zona o el por defecto
+   */
+  getTechnicianState(technicianId) {
+    const tech = this.config.technicians[technicianId];
+    return tech?.state || this.settings.zoneStates?.[tech?.zone] || this.settings.defaultState || null;
+  }
+
+  /**
+   * Festivo o cierre que afecta a una fecha (null si es laborable)
+   */
+  getHoliday(date, state = null) {
+    const day = moment(date).tz(this.config.appointments.timezone).format('YYYY-MM-DD');
+
+    const closure = this.getClosures().find(entry => entry.date === day);
+    if (closure) {
+      return { date: day, name: closure.reason || 'Betriebsschließung', closure: true };
+    }
+
+    const year = Number(day.slice(0, 4));
+    return this.getHolidays(year, state).find(holiday => holiday.date === day) || null;
+  }
+
+  isTechnicianOnHoliday(technicianId, date) {
+    return Boolean(this.getHoliday(date, this.getTechnicianState(technicianId)));
+  }
+
+  /**
+   * Cierres de empresa: los del config más los añadidos desde la API
+   */
+  getClosures() {
+    const configured = (this.settings.companyClosures || []).map(entry =>
+      typeof entry === 'string' ? { date: entry, reason: '', source: 'config' } : { ...entry, source: 'config' }
+    );
+    return [...configured, ...this.closures].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  validateClosure({ date } = {}) {
+    if (!moment(date, 'YYYY-MM-DD', true).isValid()) {
+      return 'date debe tener formato YYYY-MM-DD';
+    }
+    if (this.getClosures().some(entry => entry.date === date)) {
+      return `Ya existe un cierre para ${date}`;
+    }
+    return null;
+  }
+
+  async addClosure({ date, reason = '' }) {
+    const closure = { date, reason, source: 'admin', createdAt: new Date().toISOString() };
+    this.closures.push(closure);
+    await this.save();
+    this.emit('closuresChanged', this.getClosures());
+    return closure;
+  }
+
+  /**
+   * Eliminar un cierre añadido desde la API (los del config no se pueden borrar)
+   */
+  async removeClosure(date) {
+    const index = this.closures.findIndex(entry => entry.date === date);
+    if (index === -1) {
+      return false;
+    }
+
+    this.closures.splice(index, 1);
+    await this.save();
+    this.emit('closuresChanged', this.getClosures());
+    return true;
+  }
+
+  isValidState(state) {
+    return STATES.includes(state);
+  }
+}
+
+module.exports = HolidayCalendar;
@@ -0,0 +1,113 @@
+/**
+ * Cliente HTTP - Peticiones a las APIs externas con tiempo máximo y respuesta en memoria
+ * (un único cliente para todos los proveedores y canales)
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+/**
+ * Petición HTTP(S) → { statusCode, headers, body (Buffer) }. Solo falla por red, tiempo
+ * agotado, cancelación (signal) o respuesta mayor que maxBytes; el estado lo interpreta quien llama
+ */
+function request(url, {
+  method = 'GET',
+  headers = {},
+  body = null,
+  auth = null,
+  timeoutMs = 10000,
+  maxBytes = null,
+  signal = null,
+  label = 'HTTP'
+} = {}) {
+  const target = new URL(url);
+  const client = target.protocol === 'http:' ? http : https;
+  const payload = body === null ? null : Buffer.from(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method,
+      headers: payload ? { ...headers, 'Content-Length': payload.length } : headers,
+      ...(auth ? { auth } : {}),
+      ...(signal ? { signal } : {}),
+      timeout: timeoutMs
+    }, (response) => {
+      const chunks = [];
+      let size = 0;
+      response.on('data', chunk => {
+        size += chunk.length;
+        if (maxBytes && size > maxBytes) {
+          response.destroy(new Error(`${label} response larger than ${maxBytes} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('error', reject);
+      response.on('end', () => resolve({
+        statusCode: response.statusCode,
+        headers: response.headers,
+        body: Buffer.concat(chunks)
+      }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`${label} request timed out`)));
+    req.on('error', reject);
+    req.end(payload || undefined);
+  });
+}
+
+/**
+ * Como request, con `json` como cuerpo y la respuesta leída como JSON:
+ * { statusCode, data, text }. `data` es null si la respuesta no es JSON
+ */
+async function requestJson(url, { json, ...options } = {}) {
+  const response = await request(url, json === undefined ? options : {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+    body: JSON.stringify(json)
+  });
+
+  const text = response.body.toString('utf8');
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : {};
+  } catch {
+    data = null;
+  }
+  return { statusCode: response.statusCode, headers: response.headers, data, text };
+}
+
+/**
+ * GET binario → { buffer, contentType }. Corta la descarga si pasa de maxBytes
+ */
+async function downloadFile(url, { headers = {}, timeoutMs = 10000, maxBytes = null } = {}) {
+  const response = await request(url, { headers, timeoutMs, maxBytes, label: 'Download' });
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    throw new Error(`Download failed with status ${response.statusCode}`);
+  }
+  return { buffer: response.body, contentType: response.headers['content-type'] || null };
+}
+
+/**
+ * Cuerpo multipart/form-data con campos de texto y un archivo
+ * ({ field, filename, contentType, content })
+ */
+function buildMultipart(fields, file) {
+  const boundary = `----botcitas${crypto.randomBytes(12).toString('hex')}`;
+  const parts = Object.entries(fields).map(([name, value]) => Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+  ));
+  parts.push(Buffer.from(
+    `--${boundary}\r\nContent-Disposition: form-data; name="${file.field}"; filename="${file.filename}"\r\n` +
+    `Content-Type: ${file.contentType}\r\n\r\n`
+  ));
+  parts.push(Buffer.from(file.content), Buffer.from(`\r\n--${boundary}--\r\n`));
+  return { body: Buffer.concat(parts), contentType: `multipart/form-data; boundary=${boundary}` };
+}
+
+module.exports = {
+  request,
+  requestJson,
+  downloadFile,
+  buildMultipart
+};
@@ -0,0 +1,225 @@
+/**
+ * Generador de .ics - Evento RFC 5545 de una cita (adjunto de los emails y GET /api/appointments/:id/ics)
+ * y calendario de suscripción de cada técnico. UID fijo por cita y SEQUENCE creciente:
+ * el calendario actualiza el evento en vez de duplicarlo
+ */
+
+const moment = require('moment-timezone');
+
+const ICS_METHODS = ['PUBLISH', 'REQUEST', 'CANCEL'];
+
+class IcsGenerator {
+  constructor(config, conversationsManager) {
+    this.config = config;
+    this.conversationsManager = conversationsManager; // textos localizados del evento
+    this.timezone = config.appointments.timezone;
+  }
+
+  /**
+   * .ics de una cita. PUBLISH para descargas, REQUEST para invitaciones por email
+   * y CANCEL (o cualquier cita cancelada) para retirar el evento del calendario
+   */
+  generate(appointment, { method = 'PUBLISH', language = null } = {}) {
+    if (!ICS_METHODS.includes(method)) {
+      throw new Error(`Unknown iCalendar method: ${method}`);
+    }
+
+    const cm = this.conversationsManager;
+    const lang = language || appointment.language || 'es';
+    const cancelled = method === 'CANCEL' || appointment.status === 'cancelled';
+    const company = this.config.company;
+    const details = cm.getAppointmentDetails(appointment, lang);
+
+    return this.serialize([
+      ...this.buildHeader(cancelled ? 'CANCEL' : method),
+      ...this.buildTimezone([appointment]),
+      ...this.buildEvent(appointment, {
+        summary: `${cm.getAppointmentTypeLabel(appointment.type, lang)} (${company.name})`,
+        description: details.map(([label, value]) => `${label}: ${value}`).join('\n'),
+        cancelled,
+        extra: [
+          `ORGANIZER;CN=${this.quoteParam(company.name)}:mailto:${company.supportEmail}`,
+          appointment.email
+            ? `ATTENDEE;CN=${this.quoteParam(appointment.customerName || appointment.email)};ROLE=REQ-PARTICIPANT;PARTSTAT=${cancelled ? 'DECLINED' : 'ACCEPTED'}:mailto:${appointment.email}`
+            : null
+        ]
+      }),
+      'END:VCALENDAR'
+    ]);
+  }
+
+  /**
+   * Calendario de suscripción de un técnico: sus citas con los datos del cliente.
+   * Las canceladas no aparecen, así el calendario del móvil las borra al refrescar
+   */
+  generateFeed(technicianId, appointments, { language = 'de', refreshMinutes = 15 } = {}) {
+    const cm = this.conversationsManager;
+    const technician = this.config.technicians[technicianId];
+    const label = key => cm.getLocalizedMessage(key, language);
+    const active = appointments.filter(apt => apt.status !== 'cancelled');
+
+    const events = active.flatMap(appointment => {
+      const type = cm.getAppointmentTypeLabel(appointment.type, language);
+      const details = [
+        [label('feed_label_customer'), appointment.customerName],
+        [label('feed_label_phone'), appointment.phone],
+        [label('email_label_type'), type],
+        [label('feed_label_zone'), [...new Set([appointment.zone, appointment.postalCode && `PLZ ${appointment.postalCode}`].filter(Boolean))].join(' / ')],
+        [label('feed_label_notes'), appointment.notes],
+        [label('email_label_id'), appointment.id]
+      ].filter(([, value]) => value);
+
+      return this.buildEvent(appointment, {
+        summary: `${type}: ${appointment.customerName || appointment.id}${appointment.postalCode ? ` (PLZ ${appointment.postalCode})` : ''}`,
+        description: details.map(([name, value]) => `${name}: ${value}`).join('\n'),
+        cancelled: false
+      });
+    });
+
+    const name = label('feed_calendar_name')
+      .replace('{company}', this.config.company.name)
+      .replace('{technician}', technician ? technician.name : technicianId);
+
+    return this.serialize([
+      ...this.buildHeader('PUBLISH'),
+      `X-WR-CALNAME:${this.escapeText(name)}`,
+      `X-WR-TIMEZONE:${this.timezone}`,
+      `REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`,
+      `X-PUBLISHED-TTL:PT${refreshMinutes}M`,
+      ...this.buildTimezone(active),
+      ...events,
+      'END:VCALENDAR'
+    ]);
+  }
+
+  buildHeader(method) {
+    return [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:-//${this.config.company.name}//BotCitas//ES`,
+      'CALSCALE:GREGORIAN',
+      `METHOD:${method}`
+    ];
+  }
+
+  /**
+   * VEVENT con UID fijo por cita y la SEQUENCE guardada en ella
+   */
+  buildEvent(appointment, { summary, description, cancelled = false, extra = [] }) {
+    return [
+      'BEGIN:VEVENT',
+      `UID:${appointment.id}@clarity.local`,
+      `SEQUENCE:${appointment.icsSequence || 0}`,
+      `DTSTAMP:${this.formatUtc(new Date())}`,
+      `CREATED:${this.formatUtc(appointment.createdAt || new Date())}`,
+      `LAST-MODIFIED:${this.formatUtc(appointment.updatedAt || appointment.createdAt || new Date())}`,
+      `DTSTART;TZID=${this.timezone}:${this.formatLocal(appointment.startTime)}`,
+      `DTEND;TZID=${this.timezone}:${this.formatLocal(appointment.endTime)}`,
+      `SUMMARY:${this.escapeText(summary)}`,
+      appointment.postalCode ? `LOCATION:PLZ ${this.escapeText(appointment.postalCode)}` : null,
+      `DESCRIPTION:${this.escapeText(description)}`,
+      ...extra,
+      `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+      'TRANSP:OPAQUE',
+      'END:VEVENT'
+    ].filter(Boolean);
+  }
+
+  serialize(lines) {
+    return lines.filter(Boolean).map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * VTIMEZONE sacado de los datos de moment-timezone: una observancia por cada
+   * cambio de hora desde el año anterior a la primera cita hasta el de la última
+   * (STANDARD fija si no hay horario de verano)
+   */
+  buildTimezone(appointments) {
+    const zone = moment.tz.zone(this.timezone);
+    const years = appointments.map(apt => moment(apt.startTime).tz(this.timezone).year());
+    const reference = appointments.length > 0 ? new Date(appointments[0].startTime).getTime() : Date.now();
+    const from = Date.UTC((years.length > 0 ? Math.min(...years) : moment().year()) - 1, 0, 1);
+    const to = Date.UTC((years.length > 0 ? Math.max(...years) : moment().year()) + 1, 0, 1);
+    const offset = minutes => {
+      const sign = minutes <= 0 ? '+' : '-';
+      return sign + moment.utc(Math.abs(minutes) * 60000).format('HHmm');
+    };
+
+    const observances = [];
+    zone.untils.forEach((until, index) => {
+      if (until < from || until >= to || index + 1 >= zone.offsets.length) {
+        return;
+      }
+      const before = zone.offsets[index];
+      const after = zone.offsets[index + 1];
+      const kind = after < before ? 'DAYLIGHT' : 'STANDARD';
+      observances.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${moment.utc(until - before * 60000).format('YYYYMMDD[T]HHmmss')}`,
+        `TZOFFSETFROM:${offset(before)}`,
+        `TZOFFSETTO:${offset(after)}`,
+        `TZNAME:${zone.abbrs[index + 1]}`,
+        `END:${kind}`
+      );
+    });
+
+    if (observances.length === 0) {
+      observances.push(
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${offset(zone.utcOffset(reference))}`,
+        `TZOFFSETTO:${offset(zone.utcOffset(reference))}`,
+        `TZNAME:${zone.abbr(reference)}`,
+        'END:STANDARD'
+      );
+    }
+
+    return ['BEGIN:VTIMEZONE', `TZID:${this.timezone}`, ...observances, 'END:VTIMEZONE'];
+  }
+
+  formatUtc(value) {
+    return moment(value).utc().format('YYYYMMDD[T]HHmmss[Z]');
+  }
+
+  formatLocal(value) {
+    return moment(value).tz(this.timezone).format('YYYYMMDD[T]HHmmss');
+  }
+
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  quoteParam(value) {
+    return `"${String(value).replace(/["\r\n]/g, '')}"`;
+  }
+
+  /**
+   * Líneas de 75 octetos como máximo; la continuación empieza con un espacio
+   * y nunca se parte un carácter UTF-8
+   */
+  foldLine(line) {
+    if (Buffer.byteLength(line) <= 75) {
+      return line;
+    }
+
+    const parts = [];
+    let current = '';
+    let limit = 75;
+    for (const char of line) {
+      if (Buffer.byteLength(current + char) > limit) {
+        parts.push(current);
+        current = '';
+        limit = 74; // el espacio inicial cuenta
+      }
+      current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = IcsGenerator;
@@ -0,0 +1,275 @@
+/**
+ * Recordatorios de Citas - Avisos programados según appointments.reminderHours
+ * Los pendientes se guardan en disco para sobrevivir a reinicios; node-cron revisa los vencidos
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const EventEmitter = require('events');
+
+class ReminderScheduler extends EventEmitter {
+  constructor(config, dataManager, channels = []) {
+    super();
+    this.config = config;
+    this.dataManager = dataManager; // estado actual de las citas y registro de envíos
+    this.channels = channels; // chat, email...: sendReminder(appointment, reminder) → resultado o null si no aplica
+    this.settings = config.reminders || {};
+    this.filename = this.settings.filename || './data/reminders.json';
+    this.reminders = new Map();
+    this.task = null;
+    this.processing = false;
+    this.saveQueue = Promise.resolve();
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const raw = await fs.readFile(this.filename, 'utf8');
+      JSON.parse(raw).forEach(reminder => this.reminders.set(reminder.id, reminder));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  /**
+   * Guardados en cola y con fichero temporal: dos escrituras simultáneas
+   * (cron y una cancelación) no pueden dejar el JSON a medias
+   */
+  save() {
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const tmp = `${this.filename}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(Array.from(this.reminders.values()), null, 2));
+        await fs.rename(tmp, this.filename);
+      })
+      .catch(error => this.emit('error', error));
+    return this.saveQueue;
+  }
+
+  /**
+   * Revisar cada minuto (o según reminders.cron) los recordatorios vencidos
+   */
+  start() {
+    if (this.task || this.settings.enabled === false) {
+      return;
+    }
+    this.task = cron.schedule(this.settings.cron || '* * * * *', () => this.processDue(), {
+      timezone: this.config.appointments.timezone
+    });
+  }
+
+  /**
+   * Programar los recordatorios de una cita (o de todas las visitas de una serie)
+   * a reminderHours antes del inicio; los que ya quedan en el pasado no se crean
+   */
+  async scheduleReminders({ appointmentId, appointmentIds = null, sessionId, language }) {
+    const scheduled = [];
+    for (const id of appointmentIds || [appointmentId]) {
+      let appointment = this.dataManager.getAppointment(id);
+      if (!appointment) continue;
+
+      if (!appointment.reminderEnabled) {
+        appointment = await this.dataManager.updateAppointment(id, { reminderEnabled: true });
+      }
+      scheduled.push(...this.createReminders(appointment, { sessionId, language }));
+    }
+    await this.save();
+    return scheduled;
+  }
+
+  createReminders(appointment, { sessionId = null, language = null } = {}) {
+    this.skipPending(appointment.id, 'replaced');
+
+    const now = moment();
+    const start = moment(appointment.startTime);
+    return (this.config.appointments.reminderHours || [])
+      .map(hours => ({ hours, sendAt: start.clone().subtract(hours, 'hours') }))
+      .filter(({ sendAt }) => sendAt.isAfter(now))
+      .map(({ hours, sendAt }) => {
+        const reminder = {
+          id: `R-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`,
+          appointmentId: appointment.id,
+          sessionId: sessionId || appointment.sessionId,
+          language: language || appointment.language,
+          offsetHours: hours,
+          appointmentStart: appointment.startTime,
+          sendAt: sendAt.toISOString(),
+          status: 'pending',
+          createdAt: new Date().toISOString()
+        };
+        this.reminders.set(reminder.id, reminder);
+        return reminder;
+      });
+  }
+
+  /**
+   * Una cita reprogramada descarta sus avisos y, si los tenía activados, los vuelve a calcular
+   */
+  async rescheduleReminders(appointment) {
+    const last = this.getReminders({ appointmentId: appointment.id }).pop();
+    this.skipPending(appointment.id, 'rescheduled');
+    if (appointment.reminderEnabled) {
+      this.createReminders(appointment, { sessionId: last?.sessionId, language: last?.language });
+    }
+    await this.save();
+  }
+
+  async cancelReminders(appointmentId, reason = 'cancelled') {
+    if (this.skipPending(appointmentId, reason) > 0) {
+      await this.save();
+    }
+  }
+
+  skipPending(appointmentId, reason) {
+    const pending = this.getReminders({ appointmentId, status: 'pending' });
+    pending.forEach(reminder => Object.assign(reminder, {
+      status: 'skipped',
+      skipReason: reason,
+      updatedAt: new Date().toISOString()
+    }));
+    return pending.length;
+  }
+
+  /**
+   * Enviar los recordatorios vencidos. Si tras un reinicio vencieron varios de la
+   * misma cita, solo se envía el más cercano a la cita
+   */
+  async processDue(now = new Date()) {
+    if (this.processing) {
+      return [];
+    }
+    this.processing = true;
+
+    const processed = [];
+    try {
+      const due = this.getReminders({ status: 'pending' })
+        .filter(reminder => new Date(reminder.sendAt) <= now)
+        .sort((a, b) => a.offsetHours - b.offsetHours);
+
+      for (const reminder of due) {
+        if (reminder.status !== 'pending') continue;
+
+        const skipReason = this.getSkipReason(reminder, now);
+        if (skipReason) {
+          Object.assign(reminder, { status: 'skipped', skipReason, updatedAt: new Date().toISOString() });
+          processed.push(reminder);
+          continue;
+        }
+
+        due.filter(other => other !== reminder && other.appointmentId === reminder.appointmentId && other.status === 'pending')
+          .forEach(other => Object.assign(other, { status: 'skipped', skipReason: 'superseded', updatedAt: new Date().toISOString() }));
+
+        processed.push(await this.deliver(reminder));
+      }
+    } catch (error) {
+      this.emit('error', error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (processed.length > 0) {
+      await this.save();
+    }
+    return processed;
+  }
+
+  /**
+   * Motivo para no enviar: cita cancelada, movida a otra hora o ya empezada
+   */
+  getSkipReason(reminder, now) {
+    const appointment = this.dataManager.getAppointment(reminder.appointmentId);
+    if (!appointment) {
+      return 'not_found';
+    }
+    if (!['confirmed', 'pending'].includes(appointment.status)) {
+      return appointment.status === 'cancelled' ? 'cancelled' : 'inactive';
+    }
+    if (!moment(appointment.startTime).isSame(reminder.appointmentStart)) {
+      return 'rescheduled';
+    }
+    if (moment(appointment.startTime).isSameOrBefore(now)) {
+      return 'expired';
+    }
+    return null;
+  }
+
+  /**
+   * Enviar por todos los canales; basta con que uno entregue para darlo por enviado
+   */
+  async deliver(reminder) {
+    const appointment = this.dataManager.getAppointment(reminder.appointmentId);
+    const sentAt = new Date().toISOString();
+    const results = [];
+    for (const channel of this.channels) {
+      try {
+        const result = await channel.sendReminder(appointment, reminder);
+        if (result) results.push(result);
+      } catch (error) {
+        results.push({ delivered: false, channel: null, error: error.message });
+      }
+    }
+    if (results.length === 0) {
+      results.push({ delivered: false, channel: null, error: 'no_channel' });
+    }
+
+    const delivered = results.filter(result => result.delivered);
+    const failed = results.filter(result => !result.delivered);
+    Object.assign(reminder, {
+      status: delivered.length > 0 ? 'sent' : 'failed',
+      channels: delivered.map(result => result.channel),
+      error: failed.length > 0 ? failed.map(result => `${result.channel || 'unknown'}: ${result.error}`).join('; ') : null,
+      sentAt,
+      updatedAt: sentAt
+    });
+
+    // Cada intento (uno por canal) queda registrado en la propia cita
+    for (const result of results) {
+      await this.dataManager.recordReminderDelivery(appointment.id, {
+        reminderId: reminder.id,
+        offsetHours: reminder.offsetHours,
+        channel: result.channel,
+        status: result.delivered ? 'sent' : 'failed',
+        error: result.error || null,
+        sentAt
+      });
+    }
+
+    this.emit(delivered.length > 0 ? 'reminderSent' : 'reminderFailed', reminder, appointment);
+    return reminder;
+  }
+
+  getReminders({ appointmentId = null, status = null } = {}) {
+    return Array.from(this.reminders.values())
+      .filter(reminder => !appointmentId || reminder.appointmentId === appointmentId)
+      .filter(reminder => !status || reminder.status === status)
+      .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  }
+
+  getStats() {
+    const reminders = Array.from(this.reminders.values());
+    return reminders.reduce((acc, reminder) => {
+      acc[reminder.status] = (acc[reminder.status] || 0) + 1;
+      return acc;
+    }, { total: reminders.length });
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.task) {
+      this.task.stop();
+      this.task = null;
+    }
+    this.removeAllListeners();
+  }
+}
+
+module.exports = ReminderScheduler;
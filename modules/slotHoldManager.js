@@ -0,0 +1,123 @@
+/**
+ * Gestor de Reservas Temporales - Bloqueo de slots durante la confirmación
+ * Evita que dos sesiones confirmen el mismo técnico en la misma franja
+ */
+
+const EventEmitter = require('events');
+const moment = require('moment-timezone');
+
+class SlotHoldManager extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.holds = new Map(); // holdId -> reserva
+    this.ttlMs = (config.appointments.holdTtlMinutes || 10) * 60 * 1000;
+
+    // Liberar reservas caducadas periódicamente
+    this.sweepTimer = setInterval(() => this.releaseExpiredHolds(), 30000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Crear reserva temporal de un slot para una sesión y técnico
+   * (purpose distingue las reservas de la lista de espera, con su propio TTL)
+   */
+  createHold(slot, sessionId, technician, { ttlMinutes = null, purpose = 'selection' } = {}) {
+    const now = new Date();
+    const ttlMs = ttlMinutes ? ttlMinutes * 60 * 1000 : this.ttlMs;
+    const hold = {
+      id: `H-${now.getTime()}-${Math.random().toString(36).substr(2, 5)}`,
+      sessionId,
+      technician,
+      purpose,
+      start: slot.start,
+      end: slot.end,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + ttlMs).toISOString()
+    };
+
+    this.holds.set(hold.id, hold);
+    this.emit('holdCreated', hold);
+    return hold;
+  }
+
+  /**
+   * Obtener reserva vigente (null si no existe o ya caducó)
+   */
+  getHold(holdId) {
+    const hold = this.holds.get(holdId);
+    if (!hold) {
+      return null;
+    }
+
+    if (this.isExpired(hold)) {
+      this.releaseHold(holdId, 'expired');
+      return null;
+    }
+    return hold;
+  }
+
+  isExpired(hold) {
+    return new Date(hold.expiresAt) <= new Date();
+  }
+
+  /**
+   * Reservas vigentes que se solapan con un intervalo, opcionalmente
+   * ignorando las de una sesión (la propia sesión no se bloquea a sí misma)
+   */
+  getActiveHolds(start, end, excludeSessionId = null) {
+    const rangeStart = moment(start);
+    const rangeEnd = moment(end);
+
+    return Array.from(this.holds.values()).filter(hold =>
+      !this.isExpired(hold) &&
+      hold.sessionId !== excludeSessionId &&
+      moment(hold.start).isBefore(rangeEnd) &&
+      moment(hold.end).isAfter(rangeStart)
+    );
+  }
+
+  releaseHold(holdId, reason = 'released') {
+    const hold = this.holds.get(holdId);
+    if (!hold) {
+      return false;
+    }
+
+    this.holds.delete(holdId);
+    this.emit(reason === 'expired' ? 'holdExpired' : 'holdReleased', hold, reason);
+    return true;
+  }
+
+  /**
+   * Liberar todas las reservas de una sesión
+   */
+  releaseSessionHolds(sessionId, reason = 'released') {
+    for (const hold of Array.from(this.holds.values())) {
+      if (hold.sessionId === sessionId) {
+        this.releaseHold(hold.id, reason);
+      }
+    }
+  }
+
+  releaseExpiredHolds() {
+    for (const hold of Array.from(this.holds.values())) {
+      if (this.isExpired(hold)) {
+        this.releaseHold(hold.id, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+    this.holds.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = SlotHoldManager;
@@ -0,0 +1,234 @@
+/**
+ * Servicio de Slots - Única fuente de horarios disponibles
+ * Lo usan el bot, la API REST y los sockets para ofrecer siempre los mismos huecos
+ */
+
+const moment = require('moment-timezone');
+const ZoneMatcher = require('./zoneMatcher');
+
+class SlotService {
+  constructor(config, dataManager = null, technicianCalendar = null, slotHolds = null) {
+    this.config = config;
+    this.dataManager = dataManager; // citas ya registradas (capacidad real)
+    this.technicianCalendar = technicianCalendar; // horario, ausencias y festivos
+    this.slotHolds = slotHolds; // reservas temporales de otras sesiones
+    this.zoneMatcher = new ZoneMatcher(config);
+  }
+
+  /**
+   * Tipo de cita del config (o el tipo por defecto) con su duración efectiva
+   */
+  getAppointmentType(typeId) {
+    const types = this.config.appointments.types || {};
+    const id = types[typeId] ? typeId : this.config.appointments.defaultType;
+    const type = types[id] || {};
+    return {
+      id,
+      skill: type.skill || null,
+      duration: type.duration || this.config.appointments.slotDuration,
+      label: type.label || {}
+    };
+  }
+
+  /**
+   * Ventana reservable: desde ahora + minAdvanceHours hasta ahora + advanceBookingDays,
+   * recortada por dateFrom/dateTo ('YYYY-MM-DD' o ISO 8601). Las visitas de seguimiento
+   * de una serie (followUp) pueden caer después de advanceBookingDays
+   */
+  getBookingWindow({ dateFrom = null, dateTo = null, followUp = false } = {}) {
+    const timezone = this.config.appointments.timezone;
+    const now = moment().tz(timezone);
+    let start = now.clone().add(this.config.appointments.minAdvanceHours, 'hours');
+    let end = now.clone().add(this.config.appointments.advanceBookingDays, 'days');
+
+    if (dateFrom) {
+      const from = this.parseDateParam(dateFrom);
+      if (from.isAfter(start)) start = from;
+    }
+    if (dateTo) {
+      const to = this.parseDateParam(dateTo, true);
+      if (followUp || to.isBefore(end)) end = to;
+    }
+    return { start, end };
+  }
+
+  parseDateParam(value, endOfDay = false) {
+    const timezone = this.config.appointments.timezone;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const day = moment.tz(value, 'YYYY-MM-DD', timezone);
+      return endOfDay ? day.endOf('day') : day.startOf('day');
+    }
+    return moment(value, moment.ISO_8601).tz(timezone);
+  }
+
+  /**
+   * Validación de los filtros de la API (devuelve mensaje de error o null)
+   */
+  validateQuery({ dateFrom, dateTo, type, plz, zone, technician } = {}) {
+    for (const [name, value] of [['dateFrom', dateFrom], ['dateTo', dateTo]]) {
+      if (value && !moment(value, [moment.ISO_8601], true).isValid()) {
+        return `${name} debe tener formato YYYY-MM-DD o ISO 8601`;
+      }
+    }
+    if (dateFrom && dateTo && this.parseDateParam(dateTo, true).isBefore(this.parseDateParam(dateFrom))) {
+      return 'dateTo no puede ser anterior a dateFrom';
+    }
+    if (type && !this.config.appointments.types?.[type]) {
+      return `Tipo de cita desconocido: ${type}`;
+    }
+    if (plz && !this.zoneMatcher.normalizePostalCode(plz)) {
+      return `Código postal inválido: ${plz}`;
+    }
+    if (zone && this.getTechniciansInZone(zone).length === 0) {
+      return `Ningún técnico tiene asignada la zona: ${zone}`;
+    }
+    if (technician && !this.config.technicians[technician]) {
+      return `Técnico desconocido: ${technician}`;
+    }
+    return null;
+  }
+
+  getTechniciansInZone(zone) {
+    const label = String(zone).trim().toLowerCase();
+    return Object.keys(this.config.technicians).filter(id =>
+      String(this.config.technicians[id].zone || '').toLowerCase() === label
+    );
+  }
+
+  /**
+   * Slot de un tipo de cita que empieza en start
+   */
+  buildSlot(start, type = null) {
+    const startMoment = moment(start).second(0).millisecond(0);
+    return {
+      id: this.generateSlotId(),
+      start: startMoment.toISOString(),
+      end: startMoment.clone().add(this.getAppointmentType(type).duration, 'minutes').toISOString(),
+      available: true
+    };
+  }
+
+  /**
+   * Slots reservables según los horarios del config y la capacidad de los técnicos.
+   * Opciones: dateFrom, dateTo, type, postalCode, zone, technician, sessionId,
+   * excludeAppointmentId (la cita que se está reprogramando no ocupa capacidad), limit
+   */
+  generateAvailableSlots(options = {}) {
+    const slots = [];
+    const { start, end } = this.getBookingWindow(options);
+    const current = start.clone().startOf('day');
+
+    while (current.isBefore(end)) {
+      const availableTimes = this.config.appointments.availableSlots[current.day()] || [];
+
+      for (const timeStr of availableTimes) {
+        const [hour, minute] = timeStr.split(':').map(Number);
+        const slotTime = current.clone().hour(hour).minute(minute);
+
+        if (!slotTime.isBefore(start) && slotTime.isBefore(end)) {
+          const slot = this.buildSlot(slotTime, options.type);
+          if (this.isSlotBookable(slot, options)) {
+            slots.push(slot);
+          }
+        }
+        if (options.limit && slots.length >= options.limit) {
+          return slots;
+        }
+      }
+
+      current.add(1, 'day');
+    }
+
+    return slots;
+  }
+
+  /**
+   * Técnicos activos, en horario y con la habilidad del tipo de cita que cubren
+   * el código postal (si se conoce) sin otra cita confirmada ni reserva de otra
+   * sesión que se solape con el slot
+   */
+  getFreeTechnicians(slot, { sessionId = null, postalCode = null, type = null, zone = null, technician = null, excludeAppointmentId = null } = {}) {
+    const skill = this.getAppointmentType(type).skill;
+    let technicians = Object.keys(this.config.technicians).filter(id => {
+      const tech = this.config.technicians[id];
+      return tech.active && (!skill || !tech.skills || tech.skills.includes(skill));
+    });
+    if (technician) {
+      technicians = technicians.filter(id => id === technician);
+    }
+    if (zone) {
+      const inZone = this.getTechniciansInZone(zone);
+      technicians = technicians.filter(id => inZone.includes(id));
+    }
+    if (this.technicianCalendar) {
+      technicians = technicians.filter(id => this.technicianCalendar.isAvailable(id, slot.start, slot.end));
+    }
+    if (postalCode) {
+      technicians = this.zoneMatcher.findEligibleTechnicians(postalCode, technicians).map(entry => entry.id);
+    }
+
+    const busy = new Set();
+    if (this.slotHolds) {
+      this.slotHolds.getActiveHolds(slot.start, slot.end, sessionId).forEach(hold => busy.add(hold.technician));
+    }
+    if (this.dataManager) {
+      this.dataManager.getBlockingAppointments(slot.start, slot.end)
+        .filter(apt => apt.id !== excludeAppointmentId)
+        .forEach(apt => busy.add(apt.technician));
+    }
+    return technicians.filter(id => !busy.has(id));
+  }
+
+  /**
+   * Un slot es reservable mientras quede capacidad: técnicos libres menos
+   * las citas solapadas que todavía no tienen técnico asignado
+   */
+  isSlotBookable(slot, options = {}) {
+    const freeTechnicians = this.getFreeTechnicians(slot, options);
+    const unassigned = this.dataManager
+      ? this.dataManager.getBlockingAppointments(slot.start, slot.end)
+        .filter(apt => apt.id !== options.excludeAppointmentId)
+        .filter(apt => !apt.technician || !this.config.technicians[apt.technician]).length
+      : 0;
+
+    return freeTechnicians.length - unassigned > 0;
+  }
+
+  /**
+   * Elegir técnico para el slot: primero la zona más exacta que cubre el PLZ
+   * (p. ej. 'PLZ 29227' antes que 'PLZ 29xxx'), y dentro de ella el de menos carga ese día
+   */
+  assignTechnician(slot, options = {}) {
+    const technicians = this.getFreeTechnicians(slot, options);
+    if (technicians.length === 0) {
+      return null;
+    }
+
+    let candidates = technicians;
+    if (options.postalCode) {
+      const ranked = this.zoneMatcher.findEligibleTechnicians(options.postalCode, technicians);
+      const bestSpecificity = ranked[0].match.specificity;
+      candidates = ranked.filter(entry => entry.match.specificity === bestSpecificity).map(entry => entry.id);
+    }
+
+    if (!this.dataManager) {
+      return candidates[Math.floor(Math.random() * candidates.length)];
+    }
+
+    const day = moment(slot.start).tz(this.config.appointments.timezone);
+    const loads = candidates.map(id => ({
+      id,
+      load: this.dataManager.getTechnicianLoad(id, day.clone().startOf('day'), day.clone().endOf('day'))
+    }));
+    const minLoad = Math.min(...loads.map(entry => entry.load));
+    const leastLoaded = loads.filter(entry => entry.load === minLoad);
+
+    return leastLoaded[Math.floor(Math.random() * leastLoaded.length)].id;
+  }
+
+  generateSlotId() {
+    return Math.random().toString(36).substr(2, 9);
+  }
+}
+
+module.exports = SlotService;
@@ -0,0 +1,126 @@
+/**
+ * Notificaciones por SMS - Confirmación, cambio, cancelación y recordatorio de citas
+ * Cada envío y su estado (callbacks del proveedor) quedan en la columna SMS de la cita
+ */
+
+const EventEmitter = require('events');
+const { createProvider } = require('./smsProviders');
+const { analyzeSms, truncateSms } = require('./smsSegments');
+
+const SMS_KINDS = ['confirmation', 'rescheduled', 'cancelled', 'reminder'];
+
+class SmsNotifier extends EventEmitter {
+  constructor(config, conversationsManager, dataManager, provider = null) {
+    super();
+    this.config = config;
+    this.conversationsManager = conversationsManager; // textos localizados y formato de slots
+    this.dataManager = dataManager; // registro de SMS y estados en la cita
+    this.settings = config.notifications?.sms || {};
+    this.provider = provider || (this.settings.enabled ? createProvider(this.settings) : null);
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.provider);
+  }
+
+  /**
+   * Enviar el SMS de una cita. Devuelve null si no aplica (SMS desactivado
+   * o cliente sin teléfono) o { delivered, channel, sid, error }
+   */
+  async notify(kind, appointment, { previous = null, reminder = null } = {}) {
+    if (!SMS_KINDS.includes(kind)) {
+      throw new Error(`Unknown SMS kind: ${kind}`);
+    }
+    if (!this.isEnabled() || !appointment?.phone) {
+      return null;
+    }
+
+    const to = this.normalizePhone(appointment.phone);
+    if (!to) {
+      return { delivered: false, channel: 'sms', error: 'invalid_phone' };
+    }
+
+    const body = truncateSms(this.buildText(kind, appointment, { previous, reminder }), this.settings.maxSegments);
+    const { encoding, segments } = analyzeSms(body);
+    const sentAt = new Date().toISOString();
+
+    try {
+      const result = await this.provider.send({ to, body, statusCallback: this.settings.statusCallbackUrl || null });
+      const message = {
+        sid: result.sid,
+        kind,
+        to,
+        status: result.status || 'queued',
+        encoding,
+        segments: result.segments || segments,
+        sentAt,
+        updatedAt: sentAt
+      };
+      await this.dataManager.recordSmsMessage(appointment.id, message);
+      this.emit('smsSent', { ...message, appointmentId: appointment.id });
+      return { delivered: true, channel: 'sms', sid: result.sid };
+    } catch (error) {
+      await this.dataManager.recordSmsMessage(appointment.id, {
+        sid: null, kind, to, status: 'failed', encoding, segments, error: error.message, sentAt, updatedAt: sentAt
+      }).catch(() => {});
+      this.emit('smsFailed', { kind, appointmentId: appointment.id, to, error });
+      return { delivered: false, channel: 'sms', error: error.message };
+    }
+  }
+
+  /**
+   * Canal de recordatorios para el ReminderScheduler
+   */
+  sendReminder(appointment, reminder) {
+    return this.notify('reminder', appointment, { reminder });
+  }
+
+  buildText(kind, appointment, { previous = null, reminder = null } = {}) {
+    const cm = this.conversationsManager;
+    const language = appointment.language || 'es';
+    const format = (start, end) => cm.formatSlotForDisplay({ start, end }, language);
+
+    return cm.getLocalizedMessage(`sms_${kind}`, language)
+      .replace('{company}', this.config.company.name)
+      .replace('{type}', cm.getAppointmentTypeLabel(appointment.type, language))
+      .replace('{slot}', format(appointment.startTime, appointment.endTime))
+      .replace('{previous}', previous ? format(previous.startTime, previous.endTime) : '')
+      .replace('{hours}', reminder ? reminder.offsetHours : '')
+      .replace('{id}', appointment.id)
+      .replace('{phone}', this.config.company.supportPhone);
+  }
+
+  /**
+   * Teléfono en formato E.164; los números nacionales toman defaultCountryCode
+   */
+  normalizePhone(phone) {
+    let number = String(phone).replace(/[\s\-().\/]/g, '');
+    if (number.startsWith('00')) {
+      number = '+' + number.slice(2);
+    } else if (number.startsWith('0')) {
+      number = (this.settings.defaultCountryCode || '+49') + number.slice(1);
+    }
+    return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+  }
+
+  validateCallback(url, params, signature) {
+    if (!this.provider || this.settings.validateCallbacks === false) {
+      return true;
+    }
+    return this.provider.validateSignature(url, params, signature);
+  }
+
+  /**
+   * Callback de estado del proveedor (MessageSid, MessageStatus, ErrorCode).
+   * Devuelve la cita actualizada o null si el SMS no es de ninguna cita
+   */
+  async handleStatusCallback({ MessageSid, MessageStatus, ErrorCode = null }) {
+    const appointment = await this.dataManager.updateSmsStatus(MessageSid, MessageStatus, ErrorCode || null);
+    if (appointment) {
+      this.emit('smsStatus', { appointmentId: appointment.id, sid: MessageSid, status: MessageStatus, errorCode: ErrorCode || null });
+    }
+    return appointment;
+  }
+}
+
+module.exports = SmsNotifier;
@@ -0,0 +1,110 @@
+/**
+ * Proveedores SMS - Cliente REST compatible con Twilio y proveedor local que escribe en un log
+ * Todos exponen send({ to, body, statusCallback }) → { sid, status, segments } y validateSignature()
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { requestJson } = require('./httpClient');
+
+class TwilioProvider {
+  constructor(settings) {
+    this.accountSid = settings.accountSid;
+    this.authToken = settings.authToken;
+    this.from = settings.from;
+    this.messagingServiceSid = settings.messagingServiceSid;
+    this.baseUrl = settings.apiBaseUrl || 'https://api.twilio.com';
+  }
+
+  async send({ to, body, statusCallback = null }) {
+    if (!this.accountSid || !this.authToken) {
+      throw new Error('Twilio accountSid/authToken not configured');
+    }
+
+    const params = new URLSearchParams({ To: to, Body: body });
+    if (this.messagingServiceSid) {
+      params.set('MessagingServiceSid', this.messagingServiceSid);
+    } else {
+      params.set('From', this.from);
+    }
+    if (statusCallback) {
+      params.set('StatusCallback', statusCallback);
+    }
+
+    const { statusCode, data } = await this.request(`/2010-04-01/Accounts/${this.accountSid}/Messages.json`, params.toString());
+    if (statusCode < 200 || statusCode >= 300) {
+      const error = new Error(`Twilio error ${data.code || statusCode}: ${data.message || 'request failed'}`);
+      error.code = data.code;
+      throw error;
+    }
+    return { sid: data.sid, status: data.status, segments: Number(data.num_segments) || null };
+  }
+
+  async request(pathname, form) {
+    const { statusCode, data, text } = await requestJson(new URL(pathname, this.baseUrl), {
+      method: 'POST',
+      auth: `${this.accountSid}:${this.authToken}`,
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: form,
+      timeoutMs: 15000,
+      label: 'Twilio'
+    });
+    return { statusCode, data: data || { message: text } };
+  }
+
+  /**
+   * Firma X-Twilio-Signature: HMAC-SHA1 (authToken) de la URL del callback
+   * seguida de los parámetros POST ordenados por nombre, en base64
+   */
+  validateSignature(url, params = {}, signature = '') {
+    if (!signature || !this.authToken) {
+      return false;
+    }
+    const data = Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url);
+    const expected = Buffer.from(crypto.createHmac('sha1', this.authToken).update(data, 'utf8').digest('base64'));
+    const received = Buffer.from(String(signature));
+    // Se comparan bytes: una cabecera con caracteres no ASCII no puede hacer fallar timingSafeEqual
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+}
+
+/**
+ * Proveedor local: cada SMS se añade como una línea JSON a logFile
+ */
+class MockProvider {
+  constructor(settings) {
+    this.logFile = settings.logFile || './data/sms.log';
+    this.from = settings.from || 'CLARITY';
+  }
+
+  async send({ to, body, statusCallback = null }) {
+    const sid = `SM${crypto.randomBytes(16).toString('hex')}`;
+    const entry = { sid, from: this.from, to, body, statusCallback, status: 'sent', at: new Date().toISOString() };
+
+    await fs.mkdir(path.dirname(this.logFile), { recursive: true });
+    await fs.appendFile(this.logFile, JSON.stringify(entry) + '\n');
+    return { sid, status: 'sent', segments: null };
+  }
+
+  validateSignature() {
+    return true;
+  }
+}
+
+function createProvider(settings = {}) {
+  switch (settings.provider || 'twilio') {
+    case 'twilio':
+      return new TwilioProvider(settings);
+    case 'mock':
+      return new MockProvider(settings);
+    default:
+      throw new Error(`Unknown SMS provider: ${settings.provider}`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  TwilioProvider,
+  MockProvider
+};
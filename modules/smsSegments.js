@@ -0,0 +1,72 @@
+/**
+ * Segmentos SMS - Codificación (GSM-7 o UCS-2) y número de partes de un texto
+ * Las umlauts y la ß caben en GSM-7; un emoji obliga a UCS-2 y reduce cada parte a 70/67
+ */
+
+// Alfabeto básico GSM 03.38 (1 septeto) y su extensión (2 septetos: escape + carácter)
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€\f';
+
+const LIMITS = {
+  'GSM-7': { single: 160, multipart: 153 },
+  'UCS-2': { single: 70, multipart: 67 }
+};
+
+/**
+ * Codificación, longitud y segmentos. Los caracteres de la extensión GSM y los
+ * emoji (pares sustitutos en UCS-2) ocupan dos unidades y nunca se parten entre segmentos
+ */
+function analyzeSms(text = '') {
+  const characters = Array.from(text);
+  const unicodeCharacters = characters.filter(char => !GSM_BASIC.includes(char) && !GSM_EXTENDED.includes(char));
+  const encoding = unicodeCharacters.length > 0 ? 'UCS-2' : 'GSM-7';
+
+  const units = characters.map(char => {
+    if (encoding === 'GSM-7') {
+      return GSM_EXTENDED.includes(char) ? 2 : 1;
+    }
+    return char.codePointAt(0) > 0xffff ? 2 : 1;
+  });
+  const total = units.reduce((sum, size) => sum + size, 0);
+
+  let segments = 1;
+  if (total > LIMITS[encoding].single) {
+    let used = 0;
+    units.forEach(size => {
+      if (used + size > LIMITS[encoding].multipart) {
+        segments++;
+        used = 0;
+      }
+      used += size;
+    });
+  }
+
+  return {
+    encoding,
+    length: characters.length,
+    units: total,
+    segments,
+    unicodeCharacters: [...new Set(unicodeCharacters)]
+  };
+}
+
+/**
+ * Recortar el texto (con '...') hasta que quepa en maxSegments
+ */
+function truncateSms(text, maxSegments) {
+  if (!maxSegments || analyzeSms(text).segments <= maxSegments) {
+    return text;
+  }
+
+  const characters = Array.from(text);
+  while (characters.length > 0 && analyzeSms(characters.join('') + '...').segments > maxSegments) {
+    characters.pop();
+  }
+  return characters.join('').trimEnd() + '...';
+}
+
+module.exports = {
+  analyzeSms,
+  truncateSms
+};
@@ -0,0 +1,263 @@
+/**
+ * Calendario de Técnicos - Horario laboral, ausencias, bloqueos puntuales y festivos
+ * Persistido en JSON para que los cambios del despacho sobrevivan a reinicios
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+const EventEmitter = require('events');
+
+const ABSENCE_TYPES = ['vacation', 'sick', 'training'];
+
+class TechnicianCalendar extends EventEmitter {
+  constructor(config, holidayCalendar = null) {
+    super();
+    this.config = config;
+    this.holidayCalendar = holidayCalendar; // festivos del Bundesland de cada técnico
+    this.filename = config.data.technicianCalendar?.filename || './data/technician-calendar.json';
+    this.entries = {}; // technicianId -> { workingHours, absences, blocks }
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const raw = await fs.readFile(this.filename, 'utf8');
+      this.entries = JSON.parse(raw);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  async save() {
+    try {
+      await fs.writeFile(this.filename, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  hasTechnician(technicianId) {
+    return Boolean(this.config.technicians[technicianId]);
+  }
+
+  getEntry(technicianId) {
+    if (!this.entries[technicianId]) {
+      this.entries[technicianId] = { workingHours: null, absences: [], blocks: [] };
+    }
+    return this.entries[technicianId];
+  }
+
+  /**
+   * Horario efectivo: el del despacho, el del config del técnico o el general
+   */
+  getWorkingHours(technicianId) {
+    return this.entries[technicianId]?.workingHours ||
+      this.config.technicians[technicianId]?.workingHours ||
+      this.config.appointments.defaultWorkingHours;
+  }
+
+  /**
+   * Vista completa del calendario de un técnico
+   */
+  getCalendar(technicianId) {
+    const entry = this.entries[technicianId] || { absences: [], blocks: [] };
+    return {
+      id: technicianId,
+      active: this.config.technicians[technicianId].active,
+      workingHours: this.getWorkingHours(technicianId),
+      absences: entry.absences,
+      blocks: entry.blocks,
+      feedTokenCreatedAt: entry.feedTokenCreatedAt || null
+    };
+  }
+
+  /**
+   * ¿Puede el técnico atender el intervalo? Activo, dentro de su horario,
+   * sin festivo ni ausencia ese día y sin bloqueo que se solape
+   */
+  isAvailable(technicianId, start, end) {
+    const tech = this.config.technicians[technicianId];
+    if (!tech || !tech.active) {
+      return false;
+    }
+
+    const timezone = this.config.appointments.timezone;
+    const startMoment = moment(start).tz(timezone);
+    const endMoment = moment(end).tz(timezone);
+
+    const hours = this.getWorkingHours(technicianId)?.[startMoment.day()];
+    if (!hours) {
+      return false;
+    }
+    const [fromHour, fromMinute] = hours[0].split(':').map(Number);
+    const [toHour, toMinute] = hours[1].split(':').map(Number);
+    const shiftStart = startMoment.clone().hour(fromHour).minute(fromMinute).startOf('minute');
+    const shiftEnd = startMoment.clone().hour(toHour).minute(toMinute).startOf('minute');
+    if (startMoment.isBefore(shiftStart) || endMoment.isAfter(shiftEnd)) {
+      return false;
+    }
+
+    if (this.holidayCalendar && this.holidayCalendar.isTechnicianOnHoliday(technicianId, startMoment)) {
+      return false;
+    }
+
+    const entry = this.entries[technicianId];
+    if (!entry) {
+      return true;
+    }
+
+    const day = startMoment.format('YYYY-MM-DD');
+    if (entry.absences.some(absence => day >= absence.from && day <= absence.to)) {
+      return false;
+    }
+
+    return !entry.blocks.some(block =>
+      moment(block.start).isBefore(endMoment) && moment(block.end).isAfter(startMoment)
+    );
+  }
+
+  /**
+   * Validaciones para las rutas REST (devuelven mensaje de error o null)
+   */
+  validateWorkingHours(workingHours) {
+    if (!workingHours || typeof workingHours !== 'object') {
+      return 'workingHours es requerido';
+    }
+    for (const [day, hours] of Object.entries(workingHours)) {
+      if (!/^[0-6]$/.test(day)) {
+        return `Día inválido: ${day} (0 = domingo, 6 = sábado)`;
+      }
+      if (hours === null) continue;
+      if (!Array.isArray(hours) || hours.length !== 2 || !hours.every(h => /^([01]\d|2[0-3]):[0-5]\d$/.test(h)) || hours[0] >= hours[1]) {
+        return `Horario inválido para el día ${day}, se espera ['HH:mm', 'HH:mm']`;
+      }
+    }
+    return null;
+  }
+
+  validateAbsence({ type, from, to } = {}) {
+    if (!ABSENCE_TYPES.includes(type)) {
+      return `type debe ser uno de: ${ABSENCE_TYPES.join(', ')}`;
+    }
+    const fromDate = moment(from, 'YYYY-MM-DD', true);
+    const toDate = moment(to, 'YYYY-MM-DD', true);
+    if (!fromDate.isValid() || !toDate.isValid()) {
+      return 'from y to deben tener formato YYYY-MM-DD';
+    }
+    if (toDate.isBefore(fromDate)) {
+      return 'to no puede ser anterior a from';
+    }
+    return null;
+  }
+
+  validateBlock({ start, end } = {}) {
+    const startMoment = moment(start, moment.ISO_8601, true);
+    const endMoment = moment(end, moment.ISO_8601, true);
+    if (!startMoment.isValid() || !endMoment.isValid()) {
+      return 'start y end deben ser fechas ISO 8601';
+    }
+    if (!endMoment.isAfter(startMoment)) {
+      return 'end debe ser posterior a start';
+    }
+    return null;
+  }
+
+  async setWorkingHours(technicianId, workingHours) {
+    this.getEntry(technicianId).workingHours = workingHours;
+    await this.save();
+    this.emit('calendarChanged', this.getCalendar(technicianId));
+    return this.getCalendar(technicianId);
+  }
+
+  async addAbsence(technicianId, { type, from, to, note = '' }) {
+    const absence = {
+      id: this.generateEntryId('A'),
+      type,
+      from,
+      to,
+      note,
+      createdAt: new Date().toISOString()
+    };
+
+    this.getEntry(technicianId).absences.push(absence);
+    await this.save();
+    this.emit('calendarChanged', this.getCalendar(technicianId));
+    return absence;
+  }
+
+  async addBlock(technicianId, { start, end, reason = '' }) {
+    const block = {
+      id: this.generateEntryId('B'),
+      start: moment(start).toISOString(),
+      end: moment(end).toISOString(),
+      reason,
+      createdAt: new Date().toISOString()
+    };
+
+    this.getEntry(technicianId).blocks.push(block);
+    await this.save();
+    this.emit('calendarChanged', this.getCalendar(technicianId));
+    return block;
+  }
+
+  /**
+   * Eliminar ausencia o bloqueo; devuelve false si no existe
+   */
+  async removeEntry(technicianId, collection, entryId) {
+    const entry = this.entries[technicianId];
+    const index = entry ? entry[collection].findIndex(item => item.id === entryId) : -1;
+    if (index === -1) {
+      return false;
+    }
+
+    entry[collection].splice(index, 1);
+    await this.save();
+    this.emit('calendarChanged', this.getCalendar(technicianId));
+    return true;
+  }
+
+  /**
+   * Token secreto del calendario .ics del técnico; generar uno nuevo invalida el anterior
+   */
+  async rotateFeedToken(technicianId) {
+    const entry = this.getEntry(technicianId);
+    entry.feedToken = crypto.randomBytes(24).toString('hex');
+    entry.feedTokenCreatedAt = new Date().toISOString();
+    await this.save();
+    return entry.feedToken;
+  }
+
+  async revokeFeedToken(technicianId) {
+    const entry = this.entries[technicianId];
+    if (!entry?.feedToken) {
+      return false;
+    }
+
+    delete entry.feedToken;
+    delete entry.feedTokenCreatedAt;
+    await this.save();
+    return true;
+  }
+
+  isValidFeedToken(technicianId, token) {
+    const expected = this.entries[technicianId]?.feedToken;
+    if (!expected || typeof token !== 'string' || Buffer.byteLength(token) !== expected.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+  }
+
+  generateEntryId(prefix) {
+    return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`;
+  }
+}
+
+module.exports = TechnicianCalendar;
@@ -0,0 +1,148 @@
+/**
+ * Notas de Voz - Transcripción con una API compatible con OpenAI (POST /audio/transcriptions)
+ * El audio original se guarda en disco para conservarlo junto al texto en el historial
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { requestJson, buildMultipart } = require('./httpClient');
+
+// Formatos que aceptan las APIs de transcripción (WhatsApp y Telegram envían ogg/opus)
+const AUDIO_EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'm4a',
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/flac': 'flac'
+};
+
+class VoiceTranscriber extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.settings = config.transcription || {};
+    this.audioDir = path.resolve(this.settings.audioDir || './data/audio');
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.settings.apiUrl && this.settings.apiKey);
+  }
+
+  /**
+   * Mensaje de error si el audio no se puede transcribir, o null
+   */
+  validateAudio(audio = {}) {
+    if (!this.getExtension(audio.contentType)) {
+      return `Formato de audio no soportado: ${audio.contentType || 'desconocido'}`;
+    }
+    if (!audio.buffer || audio.buffer.length === 0) {
+      return 'El audio está vacío';
+    }
+    if (this.settings.maxBytes && audio.buffer.length > this.settings.maxBytes) {
+      return `El audio supera el máximo de ${Math.round(this.settings.maxBytes / 1024 / 1024)} MB`;
+    }
+    return null;
+  }
+
+  getModel() {
+    return this.settings.model || 'whisper-1';
+  }
+
+  getExtension(contentType) {
+    return AUDIO_EXTENSIONS[String(contentType || '').split(';')[0].trim().toLowerCase()] || null;
+  }
+
+  /**
+   * Transcribir y guardar una nota de voz. `language` (ISO 639-1) es la pista
+   * de idioma para la API; sin ella la API detecta el idioma
+   */
+  async transcribe(audio, { language = null } = {}) {
+    const error = this.validateAudio(audio);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const result = await this.request(audio, `voice-note.${this.getExtension(audio.contentType)}`, language);
+    const stored = await this.storeAudio(audio);
+    const text = String(result.text || '').trim().replace(/[\s.!]+$/, ''); // "Sí." → "Sí" (respuestas rápidas)
+
+    this.emit('transcribed', { audioId: stored.id, language, characters: text.length });
+    return {
+      text,
+      audio: stored,
+      transcript: { model: this.getModel(), language: result.language || language }
+    };
+  }
+
+  async storeAudio(audio) {
+    const extension = this.getExtension(audio.contentType);
+    const id = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+    await fs.mkdir(this.audioDir, { recursive: true });
+    await fs.writeFile(path.join(this.audioDir, id), audio.buffer);
+
+    return {
+      id,
+      url: `/api/audio/${id}`,
+      contentType: audio.contentType.split(';')[0].trim().toLowerCase(),
+      size: audio.buffer.length,
+      ...(audio.durationSeconds ? { durationSeconds: audio.durationSeconds } : {})
+    };
+  }
+
+  /**
+   * Ruta de un audio guardado; null si el id no es válido o no existe
+   */
+  async getAudioFile(id) {
+    const extensions = Array.from(new Set(Object.values(AUDIO_EXTENSIONS))).join('|');
+    if (!new RegExp(`^\\d+-[a-f0-9]{12}\\.(${extensions})$`).test(id)) {
+      return null;
+    }
+    const file = path.join(this.audioDir, id);
+    try {
+      await fs.access(file);
+      return file;
+    } catch {
+      return null;
+    }
+  }
+
+  async request(audio, filename, language) {
+    const fields = { model: this.getModel(), response_format: 'json' };
+    if (language) {
+      fields.language = language;
+    }
+    const { body, contentType } = buildMultipart(fields, {
+      field: 'file',
+      filename,
+      contentType: audio.contentType,
+      content: audio.buffer
+    });
+
+    const { statusCode, data, text } = await requestJson(`${this.settings.apiUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': contentType,
+        Authorization: `Bearer ${this.settings.apiKey}`
+      },
+      body,
+      timeoutMs: this.settings.timeoutMs || 60000,
+      label: 'Transcription'
+    });
+    const result = data || { error: { message: text } };
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new Error(`Transcription API error ${statusCode}: ${result.error?.message || 'request failed'}`);
+    }
+    return result;
+  }
+}
+
+module.exports = VoiceTranscriber;
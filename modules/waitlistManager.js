@@ -0,0 +1,150 @@
+/**
+ * Lista de Espera - Clientes sin horario adecuado que esperan un hueco libre
+ * Guarda días y franjas preferidas; el gestor de conversaciones ofrece los slots liberados
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment-timezone');
+const EventEmitter = require('events');
+
+class WaitlistManager extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.settings = config.waitlist || {};
+    this.filename = this.settings.filename || './data/waitlist.json';
+    this.entries = new Map();
+    this.saveQueue = Promise.resolve();
+
+    this.init();
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const raw = await fs.readFile(this.filename, 'utf8');
+      JSON.parse(raw).forEach(entry => this.entries.set(entry.id, entry));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  /**
+   * Guardado en cola y por fichero temporal: varias actualizaciones seguidas
+   * (una oferta que caduca y la siguiente) no pueden dejar el JSON a medias
+   */
+  save() {
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const tmp = `${this.filename}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(Array.from(this.entries.values()), null, 2));
+        await fs.rename(tmp, this.filename);
+      })
+      .catch(error => this.emit('error', error));
+    return this.saveQueue;
+  }
+
+  /**
+   * Añadir cliente a la lista de espera (sustituye la entrada previa de la sesión)
+   */
+  addEntry({ sessionId, channel, language, postalCode, type, preferredDays, timeWindows }) {
+    this.getEntriesBySession(sessionId, ['waiting', 'offered'])
+      .forEach(previous => this.updateEntry(previous.id, { status: 'replaced' }));
+
+    const entry = {
+      id: `W-${Date.now()}-${Math.random().toString(36).substr(2, 4)}`,
+      sessionId,
+      channel: channel || 'web',
+      language,
+      postalCode,
+      type,
+      preferredDays,
+      timeWindows,
+      status: 'waiting',
+      declinedSlots: [],
+      offer: null,
+      createdAt: new Date().toISOString()
+    };
+
+    this.entries.set(entry.id, entry);
+    this.save();
+    this.emit('entryAdded', entry);
+    return entry;
+  }
+
+  getEntry(entryId) {
+    return this.entries.get(entryId);
+  }
+
+  updateEntry(entryId, changes) {
+    const entry = this.entries.get(entryId);
+    if (!entry) return null;
+
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() });
+    this.save();
+    this.emit('entryUpdated', entry);
+    return entry;
+  }
+
+  getEntries(status = null) {
+    return Array.from(this.entries.values())
+      .filter(entry => !status || entry.status === status)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  getEntriesBySession(sessionId, statuses = ['waiting', 'offered']) {
+    return this.getEntries().filter(entry => entry.sessionId === sessionId && statuses.includes(entry.status));
+  }
+
+  /**
+   * Franjas horarias ['HH:mm', 'HH:mm'] por nombre ('morning', 'afternoon', ...)
+   */
+  getTimeWindows() {
+    return this.settings.timeWindows || {
+      morning: ['08:00', '12:00'],
+      afternoon: ['12:00', '16:00'],
+      evening: ['16:00', '20:00']
+    };
+  }
+
+  /**
+   * ¿Encaja el slot en los días y franjas preferidas de la entrada?
+   */
+  matchesPreferences(entry, slot) {
+    const start = moment(slot.start).tz(this.config.appointments.timezone);
+    if (entry.preferredDays?.length && !entry.preferredDays.includes(start.day())) {
+      return false;
+    }
+    if (entry.declinedSlots.includes(slot.start)) {
+      return false;
+    }
+    if (!entry.timeWindows?.length || entry.timeWindows.includes('any')) {
+      return true;
+    }
+
+    const time = start.format('HH:mm');
+    const windows = this.getTimeWindows();
+    return entry.timeWindows.some(name => windows[name] && time >= windows[name][0] && time < windows[name][1]);
+  }
+
+  /**
+   * Entradas en espera que encajan con el slot, por orden de llegada
+   */
+  findCandidates(slot) {
+    return this.getEntries('waiting').filter(entry => this.matchesPreferences(entry, slot));
+  }
+
+  getStats() {
+    const entries = Array.from(this.entries.values());
+    return entries.reduce((acc, entry) => {
+      acc[entry.status] = (acc[entry.status] || 0) + 1;
+      return acc;
+    }, { total: entries.length });
+  }
+}
+
+module.exports = WaitlistManager;
@@ -0,0 +1,245 @@
+/**
+ * Webhooks Salientes - Eventos de citas y sesiones firmados con HMAC-SHA256 para el CRM
+ * Cada entrega se guarda en disco; las fallidas se reintentan con espera exponencial
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { request } = require('./httpClient');
+const EventEmitter = require('events');
+
+const WEBHOOK_EVENTS = ['appointmentCreated', 'appointmentUpdated', 'appointmentCancelled', 'sessionCompleted'];
+
+class WebhookDispatcher extends EventEmitter {
+  constructor(config) {
+    super();
+    this.config = config;
+    this.settings = config.notifications?.webhook || {};
+    this.filename = this.settings.logFile || './data/webhooks.json';
+    this.subscribers = this.loadSubscribers();
+    this.deliveries = new Map();
+    this.timers = new Map();
+    this.saveQueue = Promise.resolve();
+
+    this.init();
+  }
+
+  /**
+   * Suscriptores del config; url + secret sueltos cuentan como suscriptor 'default' de todos los eventos
+   */
+  loadSubscribers() {
+    const subscribers = (this.settings.subscribers || []).map((subscriber, index) => ({
+      id: subscriber.id || `subscriber-${index + 1}`,
+      url: subscriber.url,
+      secret: subscriber.secret || this.settings.secret,
+      events: subscriber.events || ['*']
+    }));
+    if (this.settings.url) {
+      subscribers.unshift({ id: 'default', url: this.settings.url, secret: this.settings.secret, events: ['*'] });
+    }
+    return subscribers.filter(subscriber => subscriber.url);
+  }
+
+  async init() {
+    try {
+      await fs.mkdir(path.dirname(this.filename), { recursive: true });
+      const raw = await fs.readFile(this.filename, 'utf8');
+      JSON.parse(raw).forEach(delivery => this.deliveries.set(delivery.id, delivery));
+      this.pruneLog();
+
+      // Tras un reinicio, los reintentos pendientes se vuelven a programar
+      this.getDeliveries({ status: 'pending' }).forEach(delivery => this.scheduleAttempt(delivery));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.emit('error', error);
+      }
+    }
+    this.emit('initialized');
+  }
+
+  isEnabled() {
+    return Boolean(this.settings.enabled && this.subscribers.length > 0);
+  }
+
+  save() {
+    this.saveQueue = this.saveQueue
+      .then(async () => {
+        const tmp = `${this.filename}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(Array.from(this.deliveries.values()), null, 2));
+        await fs.rename(tmp, this.filename);
+      })
+      .catch(error => this.emit('error', error));
+    return this.saveQueue;
+  }
+
+  /**
+   * Encolar un evento para cada suscriptor que lo escucha. Devuelve las entregas creadas
+   */
+  async dispatch(event, data) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw new Error(`Unknown webhook event: ${event}`);
+    }
+    if (!this.isEnabled()) {
+      return [];
+    }
+
+    const createdAt = new Date().toISOString();
+    const payload = { id: `evt_${crypto.randomBytes(8).toString('hex')}`, event, createdAt, data };
+    const deliveries = this.subscribers
+      .filter(subscriber => subscriber.events.includes('*') || subscriber.events.includes(event))
+      .map(subscriber => ({
+        id: `WH-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`,
+        subscriberId: subscriber.id,
+        url: subscriber.url,
+        event,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: createdAt,
+        lastStatusCode: null,
+        lastError: null,
+        createdAt,
+        updatedAt: createdAt
+      }));
+
+    deliveries.forEach(delivery => this.deliveries.set(delivery.id, delivery));
+    await this.save();
+    deliveries.forEach(delivery => this.attempt(delivery));
+    return deliveries;
+  }
+
+  /**
+   * Un intento de entrega; si falla se reprograma a retryBaseSeconds * 2^(intentos-1)
+   * hasta agotar maxAttempts, y entonces queda como 'failed'
+   */
+  async attempt(delivery) {
+    this.timers.delete(delivery.id);
+    const subscriber = this.subscribers.find(entry => entry.id === delivery.subscriberId);
+    const now = new Date();
+    delivery.attempts++;
+
+    let result;
+    try {
+      if (!subscriber) {
+        throw new Error(`Subscriber removed from config: ${delivery.subscriberId}`);
+      }
+      delivery.url = subscriber.url;
+      result = await this.post(subscriber, delivery);
+    } catch (error) {
+      result = { statusCode: null, error: error.message };
+    }
+
+    delivery.lastStatusCode = result.statusCode;
+    delivery.updatedAt = now.toISOString();
+    if (result.statusCode >= 200 && result.statusCode < 300) {
+      Object.assign(delivery, { status: 'delivered', lastError: null, nextAttemptAt: null, deliveredAt: now.toISOString() });
+      this.emit('webhookDelivered', delivery);
+    } else if (delivery.attempts >= (this.settings.maxAttempts || 6)) {
+      Object.assign(delivery, { status: 'failed', lastError: result.error, nextAttemptAt: null });
+      this.emit('webhookFailed', delivery);
+    } else {
+      const delay = (this.settings.retryBaseSeconds || 30) * 1000 * Math.pow(2, delivery.attempts - 1);
+      Object.assign(delivery, { lastError: result.error, nextAttemptAt: new Date(now.getTime() + delay).toISOString() });
+      this.scheduleAttempt(delivery);
+    }
+
+    await this.save();
+    return delivery;
+  }
+
+  scheduleAttempt(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    const delay = Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now());
+    const timer = setTimeout(() => this.attempt(delivery), delay);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  /**
+   * Volver a enviar una entrega (normalmente fallida) con un ciclo de reintentos nuevo
+   */
+  async redeliver(deliveryId) {
+    const delivery = this.deliveries.get(deliveryId);
+    if (!delivery) {
+      return null;
+    }
+
+    clearTimeout(this.timers.get(delivery.id));
+    Object.assign(delivery, {
+      status: 'pending',
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString(),
+      redeliveries: (delivery.redeliveries || 0) + 1
+    });
+    return this.attempt(delivery);
+  }
+
+  /**
+   * Cabeceras de firma: X-Webhook-Signature = sha256=HMAC-SHA256(secret, timestamp + '.' + cuerpo)
+   */
+  sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async post(subscriber, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': `${this.config.bot.name}/${this.config.bot.version}`,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (subscriber.secret) {
+      headers['X-Webhook-Signature'] = this.sign(subscriber.secret, timestamp, body);
+    }
+
+    const { statusCode } = await request(subscriber.url, {
+      method: 'POST',
+      headers,
+      body,
+      timeoutMs: this.settings.timeoutMs || 10000,
+      label: 'Webhook'
+    });
+    return { statusCode, error: statusCode >= 300 ? `HTTP ${statusCode}` : null };
+  }
+
+  getDeliveries({ status = null, event = null, subscriberId = null } = {}) {
+    return Array.from(this.deliveries.values())
+      .filter(delivery => !status || delivery.status === status)
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !subscriberId || delivery.subscriberId === subscriberId)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Las entregas ya resueltas se borran del log tras logRetentionDays
+   */
+  pruneLog() {
+    const limit = Date.now() - (this.settings.logRetentionDays || 30) * 24 * 60 * 60 * 1000;
+    this.getDeliveries()
+      .filter(delivery => delivery.status !== 'pending' && new Date(delivery.updatedAt).getTime() < limit)
+      .forEach(delivery => this.deliveries.delete(delivery.id));
+  }
+
+  getStats() {
+    const deliveries = Array.from(this.deliveries.values());
+    return deliveries.reduce((acc, delivery) => {
+      acc[delivery.status] = (acc[delivery.status] || 0) + 1;
+      return acc;
+    }, { total: deliveries.length });
+  }
+
+  /**
+   * Cleanup resources
+   */
+  destroy() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.removeAllListeners();
+  }
+}
+
+module.exports = WebhookDispatcher;
@@ -0,0 +1,85 @@
+/**
+ * Asignación por Zona - Cruce de códigos postales (PLZ) con las zonas de técnicos
+ * Soporta patrones exactos ('PLZ 29227'), comodines ('PLZ 29xxx', '29*') y listas ('PLZ 29xxx, 30159')
+ */
+
+class ZoneMatcher {
+  constructor(config) {
+    this.config = config;
+    this.patternsByTechnician = new Map();
+    this.loadTechnicianZones();
+  }
+
+  loadTechnicianZones() {
+    Object.entries(this.config.technicians).forEach(([id, tech]) => {
+      this.patternsByTechnician.set(id, this.parseZone(tech.zone));
+    });
+  }
+
+  /**
+   * Convertir el texto de zona en patrones de 5 posiciones
+   */
+  parseZone(zone) {
+    if (!zone) return [];
+
+    return String(zone)
+      .replace(/PLZ/gi, '')
+      .split(/[,;]/)
+      .map(token => token.trim())
+      .filter(Boolean)
+      .map(token => {
+        const digits = token.replace(/\*$/, '').replace(/[xX?]/g, 'x');
+        const pattern = token.endsWith('*') ? digits.padEnd(5, 'x') : digits;
+        if (!/^[\dx]{5}$/.test(pattern)) {
+          return null;
+        }
+        return {
+          label: `PLZ ${token}`,
+          pattern,
+          specificity: pattern.replace(/x/g, '').length
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Normalizar entrada del cliente ('D-29227', '29 227') a 5 dígitos o null
+   */
+  normalizePostalCode(input) {
+    if (input === undefined || input === null) return null;
+    const digits = String(input).replace(/^D-/i, '').replace(/\s+/g, '');
+    return /^\d{5}$/.test(digits) ? digits : null;
+  }
+
+  /**
+   * Mejor patrón de un técnico que cubre el código postal (o null)
+   */
+  matchTechnician(technicianId, postalCode) {
+    const plz = this.normalizePostalCode(postalCode);
+    if (!plz) return null;
+
+    const matches = (this.patternsByTechnician.get(technicianId) || []).filter(zone =>
+      zone.pattern.split('').every((char, i) => char === 'x' || char === plz[i])
+    );
+    if (matches.length === 0) return null;
+
+    return matches.reduce((best, zone) => zone.specificity > best.specificity ? zone : best);
+  }
+
+  /**
+   * Técnicos que cubren el código postal, de la coincidencia más exacta a la más genérica
+   */
+  findEligibleTechnicians(postalCode, technicianIds = Array.from(this.patternsByTechnician.keys())) {
+    return technicianIds
+      .map(id => ({ id, match: this.matchTechnician(id, postalCode) }))
+      .filter(entry => entry.match)
+      .sort((a, b) => b.match.specificity - a.match.specificity);
+  }
+
+  isCovered(postalCode) {
+    const activeIds = Object.keys(this.config.technicians).filter(id => this.config.technicians[id].active);
+    return this.findEligibleTechnicians(postalCode, activeIds).length > 0;
+  }
+}
+
+module.exports = ZoneMatcher;
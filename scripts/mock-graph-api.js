@@ -0,0 +1,156 @@
+/**
+ * Graph API simulada - Prueba local del canal WhatsApp sin cuenta de Meta
+ *
+ *   (channels.whatsapp.enabled: true) WHATSAPP_GRAPH_URL=http://localhost:4010 WHATSAPP_APP_SECRET=dev-secret npm start
+ *   node scripts/mock-graph-api.js
+ *
+ * POST /:version/:phoneNumberId/messages   Recibe lo que envía el bot (se ve en GET /messages)
+ * POST /simulate { from, text | reply | audio, name }   Envía al bot un webhook firmado como lo haría Meta
+ *                                              (audio: nota de voz en base64, se descarga por GET /:version/:mediaId)
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.MOCK_GRAPH_PORT) || 4010;
+const BOT_WEBHOOK_URL = process.env.BOT_WEBHOOK_URL || 'http://localhost:3000/api/channels/whatsapp/webhook';
+const APP_SECRET = process.env.WHATSAPP_APP_SECRET || 'dev-secret';
+const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID || '100000000000001';
+
+const outbox = [];
+const media = new Map(); // mediaId -> { buffer, mimeType }
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+/**
+ * Webhook con el mismo formato que la Cloud API: texto, respuesta a un botón o nota de voz
+ */
+function buildWebhook({ from = '4915112345678', text = null, reply = null, audio = null, mimeType = 'audio/ogg; codecs=opus', name = 'Test User' }) {
+  const message = {
+    from,
+    id: `wamid.${crypto.randomBytes(12).toString('hex')}`,
+    timestamp: String(Math.floor(Date.now() / 1000))
+  };
+  if (audio) {
+    const mediaId = crypto.randomBytes(8).toString('hex');
+    media.set(mediaId, { buffer: Buffer.from(audio, 'base64'), mimeType });
+    Object.assign(message, { type: 'audio', audio: { id: mediaId, mime_type: mimeType, voice: true } });
+  } else if (reply) {
+    Object.assign(message, { type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: reply, title: reply.slice(0, 20) } } });
+  } else {
+    Object.assign(message, { type: 'text', text: { body: text || '/start' } });
+  }
+
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '4930000000', phone_number_id: PHONE_NUMBER_ID },
+          contacts: [{ profile: { name }, wa_id: from }],
+          messages: [message]
+        }
+      }]
+    }]
+  };
+}
+
+function simulate(input) {
+  const body = JSON.stringify(buildWebhook(input));
+  const signature = 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(body).digest('hex');
+
+  return new Promise((resolve, reject) => {
+    const request = http.request(BOT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'X-Hub-Signature-256': signature
+      }
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve({ statusCode: response.statusCode }));
+    });
+    request.on('error', reject);
+    request.write(body);
+    request.end();
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    if (req.method === 'POST' && /^\/v[\d.]+\/[^/]+\/messages$/.test(url.pathname)) {
+      if (!req.headers.authorization?.startsWith('Bearer ')) {
+        return sendJson(res, 401, { error: { message: 'Missing access token', code: 190 } });
+      }
+      const message = await readJson(req);
+      const id = `wamid.${crypto.randomBytes(12).toString('hex')}`;
+      outbox.push({ id, receivedAt: new Date().toISOString(), ...message });
+      console.log(`→ ${message.to} [${message.type}${message.interactive ? '/' + message.interactive.type : ''}]`,
+        message.text?.body || message.interactive?.body?.text || '');
+      return sendJson(res, 200, { messaging_product: 'whatsapp', contacts: [{ input: message.to, wa_id: message.to }], messages: [{ id }] });
+    }
+
+    // Media de los mensajes entrantes: primero la URL, luego el archivo (ambos con token)
+    const mediaInfo = /^\/v[\d.]+\/([a-f0-9]+)$/.exec(url.pathname);
+    const mediaFile = /^\/media\/([a-f0-9]+)$/.exec(url.pathname);
+    if (req.method === 'GET' && (mediaInfo || mediaFile)) {
+      const id = (mediaInfo || mediaFile)[1];
+      if (!req.headers.authorization?.startsWith('Bearer ')) {
+        return sendJson(res, 401, { error: { message: 'Missing access token', code: 190 } });
+      }
+      if (!media.has(id)) {
+        return sendJson(res, 404, { error: { message: `Unknown media ${id}`, code: 100 } });
+      }
+      const { buffer, mimeType } = media.get(id);
+      if (mediaInfo) {
+        return sendJson(res, 200, { id, url: `http://localhost:${PORT}/media/${id}`, mime_type: mimeType, file_size: buffer.length });
+      }
+      res.writeHead(200, { 'Content-Type': mimeType, 'Content-Length': buffer.length });
+      return res.end(buffer);
+    }
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      return sendJson(res, 200, outbox);
+    }
+
+    if (req.method === 'DELETE' && url.pathname === '/messages') {
+      outbox.length = 0;
+      return sendJson(res, 200, { cleared: true });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/simulate') {
+      return sendJson(res, 200, await simulate(await readJson(req)));
+    }
+
+    sendJson(res, 404, { error: { message: `Unknown path ${url.pathname}`, code: 100 } });
+  } catch (error) {
+    sendJson(res, 500, { error: { message: error.message } });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Graph API on http://localhost:${PORT} (webhooks → ${BOT_WEBHOOK_URL})`);
+});
@@ -0,0 +1,267 @@
+/**
+ * Bot API simulada - Prueba local del canal Telegram sin bot real
+ *
+ *   (channels.telegram.enabled: true) TELEGRAM_BOT_TOKEN=dev-token TELEGRAM_API_URL=http://localhost:4011 TELEGRAM_MODE=polling npm start
+ *   node scripts/mock-telegram-api.js
+ *
+ * POST /bot<token>/<método>   sendMessage, sendDocument, answerCallbackQuery, getUpdates, setWebhook...
+ *                             (lo que envía el bot se ve en GET /messages)
+ * POST /simulate { chatId, text | callback | voice, name }   Update del cliente: al webhook registrado
+ *                             con setWebhook o a la cola de getUpdates (long polling)
+ *                             (voice: nota de voz en base64, se descarga con getFile)
+ */
+
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_TELEGRAM_PORT) || 4011;
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || null; // si se indica, solo se acepta ese token
+
+const outbox = [];
+const updates = []; // pendientes para getUpdates
+const waiting = []; // long polls esperando updates
+const files = new Map(); // file_id -> Buffer (notas de voz simuladas)
+let webhook = null; // { url, secretToken }
+let nextUpdateId = 1;
+let nextMessageId = 1;
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parámetros del método: JSON, formulario o multipart (sendDocument)
+ */
+function parseParams(req, body) {
+  const type = req.headers['content-type'] || '';
+  if (type.startsWith('multipart/form-data')) {
+    const boundary = /boundary=(.+)$/.exec(type)[1];
+    const params = {};
+    body.toString('utf8').split(`--${boundary}`).slice(1, -1).forEach(part => {
+      const [head, ...rest] = part.replace(/^\r\n/, '').split('\r\n\r\n');
+      const value = rest.join('\r\n\r\n').replace(/\r\n$/, '');
+      const name = /name="([^"]+)"/.exec(head)[1];
+      const filename = /filename="([^"]+)"/.exec(head);
+      params[name] = filename ? { filename: filename[1], size: Buffer.byteLength(value), content: value } : value;
+    });
+    return params;
+  }
+  if (type.startsWith('application/x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+  }
+  return body.length ? JSON.parse(body.toString('utf8')) : {};
+}
+
+function sendJson(res, statusCode, data) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data, null, 2));
+}
+
+function ok(res, result) {
+  sendJson(res, 200, { ok: true, result });
+}
+
+function fail(res, errorCode, description) {
+  sendJson(res, errorCode, { ok: false, error_code: errorCode, description });
+}
+
+/**
+ * Update con el mismo formato que la Bot API: texto, nota de voz o pulsación de un botón
+ */
+function buildUpdate({ chatId = 100200300, text = null, callback = null, voice = null, duration = 3, name = 'Test User' }) {
+  const [firstName, ...lastName] = name.split(' ');
+  const from = { id: Number(chatId), is_bot: false, first_name: firstName, ...(lastName.length ? { last_name: lastName.join(' ') } : {}), language_code: 'es' };
+  const chat = { id: Number(chatId), type: 'private', first_name: firstName };
+  const update = { update_id: nextUpdateId++ };
+
+  if (callback) {
+    update.callback_query = {
+      id: String(Date.now()) + update.update_id,
+      from,
+      message: { message_id: nextMessageId - 1, chat, date: Math.floor(Date.now() / 1000) },
+      chat_instance: String(chatId),
+      data: callback
+    };
+  } else if (voice) {
+    const fileId = `voice${update.update_id}`;
+    files.set(fileId, Buffer.from(voice, 'base64'));
+    update.message = {
+      message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000),
+      voice: { file_id: fileId, file_unique_id: fileId, duration, mime_type: 'audio/ogg', file_size: files.get(fileId).length }
+    };
+  } else {
+    update.message = { message_id: nextMessageId++, from, chat, date: Math.floor(Date.now() / 1000), text: text || '/start' };
+  }
+  return update;
+}
+
+function deliverToWebhook(update) {
+  const body = JSON.stringify(update);
+  return new Promise((resolve, reject) => {
+    const request = http.request(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        ...(webhook.secretToken ? { 'X-Telegram-Bot-Api-Secret-Token': webhook.secretToken } : {})
+      }
+    }, (response) => {
+      response.resume();
+      response.on('end', () => resolve({ updateId: update.update_id, via: 'webhook', statusCode: response.statusCode }));
+    });
+    request.on('error', reject);
+    request.write(body);
+    request.end();
+  });
+}
+
+async function simulate(input) {
+  const update = buildUpdate(input);
+  if (webhook) {
+    return deliverToWebhook(update);
+  }
+  updates.push(update);
+  flushWaiting();
+  return { updateId: update.update_id, via: 'getUpdates' };
+}
+
+function pendingUpdates(offset) {
+  while (updates.length && updates[0].update_id < offset) {
+    updates.shift(); // confirmados por el offset
+  }
+  return updates.slice();
+}
+
+function flushWaiting() {
+  while (waiting.length) {
+    const poll = waiting.shift();
+    clearTimeout(poll.timer);
+    ok(poll.res, pendingUpdates(poll.offset));
+  }
+}
+
+function record(method, params) {
+  const message = { message_id: nextMessageId++, method, receivedAt: new Date().toISOString(), ...params };
+  if (message.document?.content) {
+    message.document = { filename: message.document.filename, size: message.document.size, content: message.document.content };
+  }
+  outbox.push(message);
+  console.log(`→ ${params.chat_id} [${method}]`, params.text || params.document?.filename || '');
+  return message;
+}
+
+const methods = {
+  getMe: () => ({ id: 999000, is_bot: true, first_name: 'Clarity Bot', username: 'clarity_mock_bot' }),
+  sendMessage: (params) => {
+    if (!params.chat_id || !params.text) {
+      throw Object.assign(new Error('Bad Request: message text is empty'), { code: 400 });
+    }
+    const message = record('sendMessage', params);
+    return { message_id: message.message_id, chat: { id: Number(params.chat_id) }, date: Math.floor(Date.now() / 1000), text: params.text };
+  },
+  sendDocument: (params) => {
+    if (!params.chat_id || !params.document) {
+      throw Object.assign(new Error('Bad Request: there is no document in the request'), { code: 400 });
+    }
+    const message = record('sendDocument', params);
+    return { message_id: message.message_id, chat: { id: Number(params.chat_id) }, document: { file_name: params.document.filename, file_size: params.document.size } };
+  },
+  answerCallbackQuery: () => true,
+  getFile: (params) => {
+    if (!files.has(params.file_id)) {
+      throw Object.assign(new Error('Bad Request: invalid file_id'), { code: 400 });
+    }
+    return { file_id: params.file_id, file_unique_id: params.file_id, file_size: files.get(params.file_id).length, file_path: `voice/${params.file_id}.oga` };
+  },
+  setWebhook: (params) => {
+    webhook = { url: params.url, secretToken: params.secret_token || null };
+    console.log(`Webhook → ${params.url}`);
+    return true;
+  },
+  deleteWebhook: () => {
+    webhook = null;
+    return true;
+  },
+  getWebhookInfo: () => ({ url: webhook?.url || '', pending_update_count: updates.length })
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    const botCall = /^\/bot([^/]+)\/(\w+)$/.exec(url.pathname);
+    const fileDownload = /^\/file\/bot([^/]+)\/voice\/(\w+)\.oga$/.exec(url.pathname);
+
+    if (req.method === 'GET' && fileDownload) {
+      if ((BOT_TOKEN && fileDownload[1] !== BOT_TOKEN) || !files.has(fileDownload[2])) {
+        return fail(res, 404, 'Not Found');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(files.get(fileDownload[2]));
+    }
+
+    if (botCall) {
+      const [, token, method] = botCall;
+      if (BOT_TOKEN && token !== BOT_TOKEN) {
+        return fail(res, 401, 'Unauthorized');
+      }
+      const params = { ...Object.fromEntries(url.searchParams), ...parseParams(req, await readBody(req)) };
+
+      if (method === 'getUpdates') {
+        if (webhook) {
+          return fail(res, 409, "Conflict: can't use getUpdates method while webhook is active");
+        }
+        const offset = Number(params.offset) || 0;
+        const pending = pendingUpdates(offset);
+        if (pending.length || !Number(params.timeout)) {
+          return ok(res, pending);
+        }
+        const poll = { res, offset };
+        poll.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(poll), 1);
+          ok(res, []);
+        }, Number(params.timeout) * 1000);
+        req.on('close', () => {
+          if (waiting.includes(poll)) {
+            clearTimeout(poll.timer);
+            waiting.splice(waiting.indexOf(poll), 1);
+          }
+        });
+        return waiting.push(poll);
+      }
+
+      if (!methods[method]) {
+        return fail(res, 404, 'Not Found: method not found');
+      }
+      return ok(res, methods[method](params));
+    }
+
+    if (req.method === 'GET' && url.pathname === '/messages') {
+      return sendJson(res, 200, outbox);
+    }
+
+    if (req.method === 'DELETE' && url.pathname === '/messages') {
+      outbox.length = 0;
+      return sendJson(res, 200, { cleared: true });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/simulate') {
+      const body = await readBody(req);
+      return sendJson(res, 200, await simulate(body.length ? JSON.parse(body.toString('utf8')) : {}));
+    }
+
+    sendJson(res, 404, { error: `Unknown path ${url.pathname}` });
+  } catch (error) {
+    if (error.code === 400) {
+      return fail(res, 400, error.message);
+    }
+    sendJson(res, 500, { ok: false, error_code: 500, description: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Telegram Bot API on http://localhost:${PORT}`);
+});
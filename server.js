@@ -10,11 +10,22 @@ const path = require('path');
 const cors = require('cors');
 const helmet = require('helmet');
 const compression = require('compression');
+const moment = require('moment-timezone');
 require('dotenv').config();
 
 // Módulos personalizados
 const ConversationsManager = require('./modules/conversationsManager');
 const DataManager = require('./modules/dataManager');
+const TechnicianCalendar = require('./modules/technicianCalendar');
+const HolidayCalendar = require('./modules/holidayCalendar');
+const ReminderScheduler = require('./modules/reminderScheduler');
+const EmailNotifier = require('./modules/emailNotifier');
+const SmsNotifier = require('./modules/smsNotifier');
+const WebhookDispatcher = require('./modules/webhookDispatcher');
+const FollowUpEngine = require('./modules/followUpEngine');
+const IcsGenerator = require('./modules/icsGenerator');
+const VoiceTranscriber = require('./modules/voiceTranscriber');
+const { createChannelRegistry } = require('./modules/channels');
 
 // Configuración
 let config;
@@ -25,6 +36,11 @@ try {
   config = require('./config/config.example.js');
 }
 
+// Campos de una cita que se pueden cambiar con PUT; fecha y técnico pasan por la reprogramación
+const EDITABLE_APPOINTMENT_FIELDS = ['customerName', 'phone', 'email', 'notes', 'language', 'reminderEnabled', 'status'];
+const RESCHEDULE_FIELDS = ['startTime', 'technician'];
+const EDITABLE_STATUSES = ['confirmed', 'pending', 'completed'];
+
 class BotCitasServer {
   constructor() {
     this.app = express();
@@ -36,8 +52,25 @@ class BotCitasServer {
       }
     });
     
-    this.conversationsManager = new ConversationsManager(config);
     this.dataManager = new DataManager(config);
+    this.holidayCalendar = new HolidayCalendar(config);
+    this.technicianCalendar = new TechnicianCalendar(config, this.holidayCalendar);
+    this.conversationsManager = new ConversationsManager(config, this.dataManager, this.technicianCalendar);
+    this.slotService = this.conversationsManager.slotService;
+    this.icsGenerator = new IcsGenerator(config, this.conversationsManager);
+    this.emailNotifier = new EmailNotifier(config, this.conversationsManager);
+    this.smsNotifier = new SmsNotifier(config, this.conversationsManager, this.dataManager);
+    this.voiceTranscriber = new VoiceTranscriber(config);
+    this.webhookDispatcher = new WebhookDispatcher(config);
+    this.followUpEngine = new FollowUpEngine(config, this.conversationsManager);
+    this.channels = createChannelRegistry(config, this.conversationsManager, {
+      io: this.io,
+      smsNotifier: this.smsNotifier,
+      icsGenerator: this.icsGenerator,
+      voiceTranscriber: this.voiceTranscriber
+    });
+    this.conversationsManager.useChannels(this.channels);
+    this.reminderScheduler = new ReminderScheduler(config, this.dataManager, [this.conversationsManager, this.emailNotifier, this.smsNotifier]);
     this.connectedClients = new Map();
     
     this.setupMiddleware();
@@ -55,7 +88,8 @@ class BotCitasServer {
     this.app.use(compression());
     
     // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // El cuerpo sin parsear se guarda para comprobar firmas de webhooks (WhatsApp)
+    this.app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
     this.app.use(express.urlencoded({ extended: true }));
     
     // Archivos estáticos
@@ -63,6 +97,12 @@ class BotCitasServer {
     this.app.use('/css', express.static(path.join(__dirname, 'css')));
     this.app.use('/js', express.static(path.join(__dirname, 'js')));
     this.app.use('/ics', express.static(path.join(__dirname, 'ics')));
+
+    // Chat embebible: se carga desde otros dominios, así que no vale la política same-origin de helmet
+    this.app.get('/widget.js', (req, res) => {
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.sendFile(path.join(__dirname, 'js', 'widget.js'));
+    });
     this.app.use('/', express.static(path.join(__dirname, '.'), {
       extensions: ['html']
     }));
@@ -271,7 +311,11 @@ class BotCitasServer {
         },
         appointments: {
           timezone: config.appointments.timezone,
-          slotDuration: config.appointments.slotDuration
+          slotDuration: config.appointments.slotDuration,
+          types: Object.keys(config.appointments.types || {}),
+          series: Object.keys(config.appointments.series || {}),
+          cancellationFreeHours: config.appointments.cancellationFreeHours,
+          cancellationReasons: config.appointments.cancellationReasons
         },
         tts: {
           provider: 'ElevenLabs',
@@ -289,6 +333,9 @@ class BotCitasServer {
       res.json({
         conversations: conversationStats,
         data: dataStats,
+        reminders: this.reminderScheduler.getStats(),
+        webhooks: this.webhookDispatcher.getStats(),
+        followUps: this.followUpEngine.getStats(),
         server: {
           uptime: process.uptime(),
           connectedClients: this.connectedClients.size,
@@ -306,7 +353,8 @@ class BotCitasServer {
           return res.status(400).json({ error: 'sessionId y message son requeridos' });
         }
 
-        const response = await this.conversationsManager.processMessage(
+        const api = this.channels.get('api');
+        const response = await api.receive(
           sessionId, 
           message, 
           { ...metadata, ip: req.ip, userAgent: req.get('User-Agent') }
@@ -314,7 +362,7 @@ class BotCitasServer {
         
         // Emitir actualización en tiempo real
         this.io.emit('conversationUpdate', {
-          sessionId,
+          sessionId: api.sessionId(sessionId),
           message,
           response,
           timestamp: new Date().toISOString()
@@ -327,9 +375,60 @@ class BotCitasServer {
       }
     });
 
+    // Nota de voz del cliente (el cuerpo es el audio): se transcribe y entra como mensaje.
+    // ?channel=web para las sesiones del chat web; por defecto las de la API
+    this.app.post('/api/conversation/:sessionId/audio', express.raw({
+      type: ['audio/*', 'video/webm'],
+      limit: config.transcription.maxBytes + 1
+    }), async (req, res) => {
+      try {
+        if (!this.voiceTranscriber.isEnabled()) {
+          return res.status(404).json({ error: 'Transcripción de notas de voz desactivada' });
+        }
+
+        const audio = {
+          buffer: Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0),
+          contentType: req.get('Content-Type')
+        };
+        const invalid = this.voiceTranscriber.validateAudio(audio);
+        if (invalid) {
+          return res.status(400).json({ error: invalid });
+        }
+
+        const channel = this.channels.get(req.query.channel === 'web' ? 'web' : 'api');
+        const { text, audio: stored, rendered } = await channel.receiveAudio(
+          req.params.sessionId,
+          audio,
+          { ip: req.ip, userAgent: req.get('User-Agent') }
+        );
+
+        this.io.emit('conversationUpdate', {
+          sessionId: channel.sessionId(req.params.sessionId),
+          message: text,
+          audio: stored,
+          response: rendered,
+          timestamp: new Date().toISOString()
+        });
+
+        res.json({ transcript: text, audio: stored, response: rendered });
+      } catch (error) {
+        console.error('Error processing voice note:', error);
+        res.status(500).json({ error: 'Error procesando la nota de voz' });
+      }
+    });
+
+    // Audio original de una nota de voz del historial
+    this.app.get('/api/audio/:id', async (req, res) => {
+      const file = await this.voiceTranscriber.getAudioFile(req.params.id);
+      if (!file) {
+        return res.status(404).json({ error: 'Audio no encontrado' });
+      }
+      res.sendFile(file);
+    });
+
     // Obtener sesión de conversación
     this.app.get('/api/conversation/:sessionId', (req, res) => {
-      const session = this.conversationsManager.getSession(req.params.sessionId, false);
+      const session = this.conversationsManager.getSession(this.channels.resolveSessionId(req.params.sessionId, 'api'), false);
       if (!session) {
         return res.status(404).json({ error: 'Sesión no encontrada' });
       }
@@ -357,14 +456,101 @@ class BotCitasServer {
       res.json(appointment);
     });
 
+    // Evento de calendario de la cita: mismo UID siempre, SEQUENCE según los cambios
+    this.app.get('/api/appointments/:id/ics', (req, res) => {
+      const appointment = this.dataManager.getAppointment(req.params.id);
+      if (!appointment) {
+        return res.status(404).json({ error: 'Cita no encontrada' });
+      }
+      if (req.query.lang && !config.bot.supportedLanguages.includes(req.query.lang)) {
+        return res.status(400).json({ error: `Idioma no soportado: ${req.query.lang}` });
+      }
+
+      try {
+        const method = appointment.status === 'cancelled' ? 'CANCEL' : 'PUBLISH';
+        const ics = this.icsGenerator.generate(appointment, { method, language: req.query.lang || null });
+        res.attachment(`${appointment.id}.ics`);
+        res.set('Content-Type', `text/calendar; charset=utf-8; method=${method}`);
+        res.send(ics);
+      } catch (error) {
+        console.error('Error generating ics:', error);
+        res.status(500).json({ error: 'Error generando el calendario' });
+      }
+    });
+
     this.app.put('/api/appointments/:id', async (req, res) => {
       try {
-        const updatedAppointment = await this.dataManager.updateAppointment(
-          req.params.id,
-          req.body
-        );
-        
-        this.io.emit('appointmentUpdated', updatedAppointment);
+        const body = req.body || {};
+        const appointment = this.dataManager.getAppointment(req.params.id);
+        if (!appointment) {
+          return res.status(404).json({ error: 'Cita no encontrada' });
+        }
+
+        // Cancelar solo con DELETE: política de plazos, motivo, serie y lista de espera
+        if (body.status === 'cancelled') {
+          return res.status(409).json({ error: 'Para cancelar una cita usa DELETE /api/appointments/:id' });
+        }
+        const unknown = Object.keys(body).filter(key => ![...EDITABLE_APPOINTMENT_FIELDS, ...RESCHEDULE_FIELDS].includes(key));
+        if (unknown.length > 0) {
+          return res.status(400).json({
+            error: `Campos no editables: ${unknown.join(', ')}. Se aceptan: ${[...EDITABLE_APPOINTMENT_FIELDS, ...RESCHEDULE_FIELDS].join(', ')}`
+          });
+        }
+        if (body.status !== undefined && !EDITABLE_STATUSES.includes(body.status)) {
+          return res.status(400).json({ error: `Estado inválido, se espera uno de: ${EDITABLE_STATUSES.join(', ')}` });
+        }
+        if (body.language !== undefined && !config.bot.supportedLanguages.includes(body.language)) {
+          return res.status(400).json({ error: `Idioma inválido, se espera uno de: ${config.bot.supportedLanguages.join(', ')}` });
+        }
+
+        // Nueva hora o técnico: mismas comprobaciones de disponibilidad que el chat
+        let slot = null;
+        let technician = null;
+        if (body.startTime !== undefined || body.technician !== undefined) {
+          if (appointment.status === 'cancelled') {
+            return res.status(409).json({ error: 'No se puede reprogramar una cita cancelada' });
+          }
+          const start = body.startTime ?? appointment.startTime;
+          if (!moment(start, moment.ISO_8601, true).isValid()) {
+            return res.status(400).json({ error: 'startTime debe ser una fecha ISO 8601' });
+          }
+          if (body.startTime !== undefined && moment(start).isBefore(moment())) {
+            return res.status(409).json({ error: 'El horario ya ha pasado' });
+          }
+          if (body.technician !== undefined && !config.technicians[body.technician]) {
+            return res.status(400).json({ error: `Técnico desconocido: ${body.technician}` });
+          }
+
+          // Mover una visita de una serie no puede romper la separación con las demás
+          const seriesError = this.dataManager.validateSeriesChange(appointment.id, start);
+          if (seriesError) {
+            return res.status(409).json({ error: seriesError });
+          }
+
+          slot = this.slotService.buildSlot(start, appointment.type);
+          technician = this.slotService.assignTechnician(slot, {
+            postalCode: appointment.postalCode || null,
+            type: appointment.type,
+            technician: body.technician ?? null,
+            excludeAppointmentId: appointment.id
+          });
+          if (!technician) {
+            return res.status(409).json({ error: 'El horario no está disponible' });
+          }
+        }
+
+        const updates = Object.fromEntries(Object.entries(body).filter(([key]) => EDITABLE_APPOINTMENT_FIELDS.includes(key)));
+        let updatedAppointment = appointment;
+        if (Object.keys(updates).length > 0) {
+          updatedAppointment = await this.dataManager.updateAppointment(appointment.id, updates);
+          this.io.emit('appointmentUpdated', updatedAppointment);
+          this.webhookDispatcher.dispatch('appointmentUpdated', { appointment: updatedAppointment, source: 'api' });
+        }
+
+        // Historial, recordatorios, aviso al cliente, webhook y lista de espera: listener de appointmentRescheduled
+        if (slot) {
+          updatedAppointment = await this.dataManager.rescheduleAppointment(appointment.id, slot, technician, 'api');
+        }
         res.json(updatedAppointment);
       } catch (error) {
         console.error('Error updating appointment:', error);
@@ -372,14 +558,33 @@ class BotCitasServer {
       }
     });
 
+    // Misma política que el chat: motivo de la lista y confirmación explícita si es tardía
     this.app.delete('/api/appointments/:id', async (req, res) => {
       try {
-        const cancelledAppointment = await this.dataManager.cancelAppointment(
-          req.params.id,
-          req.body.reason
-        );
-        
-        this.io.emit('appointmentCancelled', cancelledAppointment);
+        const { reason = 'other', confirmLate = false } = req.body || {};
+        const appointment = this.dataManager.getAppointment(req.params.id);
+        if (!appointment) {
+          return res.status(404).json({ error: 'Cita no encontrada' });
+        }
+        if (!this.dataManager.isValidCancellationReason(reason)) {
+          return res.status(400).json({
+            error: `Motivo inválido, se espera uno de: ${Object.keys(config.appointments.cancellationReasons || {}).join(', ')}`
+          });
+        }
+
+        const policy = this.dataManager.checkCancellationPolicy(appointment);
+        if (!policy.allowed) {
+          return res.status(409).json({ error: policy.error });
+        }
+        if (policy.late && confirmLate !== true) {
+          return res.status(409).json({
+            error: `Cancelación tardía (menos de ${config.appointments.cancellationFreeHours} h): envía confirmLate: true para continuar`,
+            late: true,
+            hoursBefore: Math.round(policy.hoursBefore * 10) / 10
+          });
+        }
+
+        const cancelledAppointment = await this.dataManager.cancelAppointment(req.params.id, reason, 'api');
         res.json(cancelledAppointment);
       } catch (error) {
         console.error('Error cancelling appointment:', error);
@@ -387,6 +592,15 @@ class BotCitasServer {
       }
     });
 
+    // Series de visitas enlazadas
+    this.app.get('/api/series/:seriesId', (req, res) => {
+      const appointments = this.dataManager.getSeriesAppointments(req.params.seriesId);
+      if (appointments.length === 0) {
+        return res.status(404).json({ error: 'Serie no encontrada' });
+      }
+      res.json({ seriesId: req.params.seriesId, seriesType: appointments[0].seriesType, appointments });
+    });
+
     // Exportar datos
     this.app.post('/api/export', async (req, res) => {
       try {
@@ -416,18 +630,370 @@ class BotCitasServer {
 
     // Técnicos disponibles
     this.app.get('/api/technicians', (req, res) => {
+      // ?plz=29227 devuelve solo los técnicos que cubren ese código postal
+      const zoneMatcher = this.conversationsManager.zoneMatcher;
       const technicians = Object.entries(config.technicians)
         .filter(([_, tech]) => tech.active)
+        .filter(([id]) => !req.query.plz || zoneMatcher.matchTechnician(id, req.query.plz))
         .map(([id, tech]) => ({ id, ...tech }));
       res.json(technicians);
     });
 
-    // Slots disponibles (dinámicos)
+    // Calendario de técnicos: horario laboral, ausencias y bloqueos
+    this.app.get('/api/technicians/:id/calendar', (req, res) => {
+      if (!this.technicianCalendar.hasTechnician(req.params.id)) {
+        return res.status(404).json({ error: 'Técnico no encontrado' });
+      }
+      res.json(this.technicianCalendar.getCalendar(req.params.id));
+    });
+
+    // Calendario .ics de suscripción del técnico, protegido con su token
+    this.app.get('/api/technicians/:id/calendar.ics', (req, res) => {
+      const feeds = config.technicianFeeds || {};
+      if (feeds.enabled === false || !this.technicianCalendar.hasTechnician(req.params.id)) {
+        return res.status(404).json({ error: 'Técnico no encontrado' });
+      }
+      if (!this.technicianCalendar.isValidFeedToken(req.params.id, req.query.token)) {
+        return res.status(403).json({ error: 'Token de calendario inválido' });
+      }
+
+      try {
+        const appointments = this.dataManager.getAppointments({
+          technician: req.params.id,
+          dateFrom: new Date(Date.now() - (feeds.pastDays ?? 7) * 24 * 60 * 60 * 1000).toISOString()
+        });
+        const ics = this.icsGenerator.generateFeed(req.params.id, appointments, {
+          language: feeds.language || 'de',
+          refreshMinutes: feeds.refreshMinutes || 15
+        });
+        res.set({
+          'Content-Type': 'text/calendar; charset=utf-8',
+          'Content-Disposition': `inline; filename="${req.params.id}.ics"`,
+          'Cache-Control': 'no-cache'
+        });
+        res.send(ics);
+      } catch (error) {
+        console.error('Error generating technician feed:', error);
+        res.status(500).json({ error: 'Error generando el calendario' });
+      }
+    });
+
+    // Nuevo token (invalida la suscripción anterior) y URL para suscribirse
+    this.app.post('/api/technicians/:id/calendar-token', async (req, res) => {
+      try {
+        if (!this.technicianCalendar.hasTechnician(req.params.id)) {
+          return res.status(404).json({ error: 'Técnico no encontrado' });
+        }
+
+        const token = await this.technicianCalendar.rotateFeedToken(req.params.id);
+        const url = `${req.protocol}://${req.get('host')}/api/technicians/${encodeURIComponent(req.params.id)}/calendar.ics?token=${token}`;
+        res.status(201).json({ technicianId: req.params.id, token, url, webcal: url.replace(/^https?:/, 'webcal:') });
+      } catch (error) {
+        console.error('Error rotating calendar token:', error);
+        res.status(500).json({ error: 'Error generando token de calendario' });
+      }
+    });
+
+    this.app.delete('/api/technicians/:id/calendar-token', async (req, res) => {
+      try {
+        const revoked = await this.technicianCalendar.revokeFeedToken(req.params.id);
+        if (!revoked) {
+          return res.status(404).json({ error: 'Token de calendario no encontrado' });
+        }
+        res.status(204).end();
+      } catch (error) {
+        console.error('Error revoking calendar token:', error);
+        res.status(500).json({ error: 'Error revocando token de calendario' });
+      }
+    });
+
+    this.app.put('/api/technicians/:id/working-hours', async (req, res) => {
+      try {
+        if (!this.technicianCalendar.hasTechnician(req.params.id)) {
+          return res.status(404).json({ error: 'Técnico no encontrado' });
+        }
+        const validationError = this.technicianCalendar.validateWorkingHours(req.body.workingHours);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const calendar = await this.technicianCalendar.setWorkingHours(req.params.id, req.body.workingHours);
+        res.json(calendar);
+      } catch (error) {
+        console.error('Error updating working hours:', error);
+        res.status(500).json({ error: 'Error actualizando horario' });
+      }
+    });
+
+    this.app.post('/api/technicians/:id/absences', async (req, res) => {
+      try {
+        if (!this.technicianCalendar.hasTechnician(req.params.id)) {
+          return res.status(404).json({ error: 'Técnico no encontrado' });
+        }
+        const validationError = this.technicianCalendar.validateAbsence(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const absence = await this.technicianCalendar.addAbsence(req.params.id, req.body);
+        res.status(201).json(absence);
+      } catch (error) {
+        console.error('Error adding absence:', error);
+        res.status(500).json({ error: 'Error registrando ausencia' });
+      }
+    });
+
+    this.app.delete('/api/technicians/:id/absences/:absenceId', async (req, res) => {
+      try {
+        const removed = await this.technicianCalendar.removeEntry(req.params.id, 'absences', req.params.absenceId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Ausencia no encontrada' });
+        }
+        res.status(204).end();
+      } catch (error) {
+        console.error('Error removing absence:', error);
+        res.status(500).json({ error: 'Error eliminando ausencia' });
+      }
+    });
+
+    this.app.post('/api/technicians/:id/blocks', async (req, res) => {
+      try {
+        if (!this.technicianCalendar.hasTechnician(req.params.id)) {
+          return res.status(404).json({ error: 'Técnico no encontrado' });
+        }
+        const validationError = this.technicianCalendar.validateBlock(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const block = await this.technicianCalendar.addBlock(req.params.id, req.body);
+        res.status(201).json(block);
+      } catch (error) {
+        console.error('Error adding block:', error);
+        res.status(500).json({ error: 'Error registrando bloqueo' });
+      }
+    });
+
+    this.app.delete('/api/technicians/:id/blocks/:blockId', async (req, res) => {
+      try {
+        const removed = await this.technicianCalendar.removeEntry(req.params.id, 'blocks', req.params.blockId);
+        if (!removed) {
+          return res.status(404).json({ error: 'Bloqueo no encontrado' });
+        }
+        res.status(204).end();
+      } catch (error) {
+        console.error('Error removing block:', error);
+        res.status(500).json({ error: 'Error eliminando bloqueo' });
+      }
+    });
+
+    // Festivos por Bundesland y cierres de empresa
+    this.app.get('/api/holidays', (req, res) => {
+      const year = parseInt(req.query.year) || new Date().getFullYear();
+      const state = req.query.state || null;
+      if (state && !this.holidayCalendar.isValidState(state)) {
+        return res.status(400).json({ error: `Bundesland desconocido: ${state}` });
+      }
+      res.json({
+        year,
+        state,
+        holidays: this.holidayCalendar.getHolidays(year, state),
+        closures: this.holidayCalendar.getClosures().filter(entry => entry.date.startsWith(String(year)))
+      });
+    });
+
+    this.app.get('/api/holidays/closures', (req, res) => {
+      res.json(this.holidayCalendar.getClosures());
+    });
+
+    this.app.post('/api/holidays/closures', async (req, res) => {
+      try {
+        const validationError = this.holidayCalendar.validateClosure(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const closure = await this.holidayCalendar.addClosure(req.body);
+        res.status(201).json(closure);
+      } catch (error) {
+        console.error('Error adding closure:', error);
+        res.status(500).json({ error: 'Error registrando cierre' });
+      }
+    });
+
+    this.app.delete('/api/holidays/closures/:date', async (req, res) => {
+      try {
+        const removed = await this.holidayCalendar.removeClosure(req.params.date);
+        if (!removed) {
+          return res.status(404).json({ error: 'Cierre no encontrado' });
+        }
+        res.status(204).end();
+      } catch (error) {
+        console.error('Error removing closure:', error);
+        res.status(500).json({ error: 'Error eliminando cierre' });
+      }
+    });
+
+    // Tipos de cita configurados
+    this.app.get('/api/appointment-types', (req, res) => {
+      const types = Object.keys(config.appointments.types || {})
+        .map(id => this.slotService.getAppointmentType(id));
+      res.json(types);
+    });
+
+    // Slots disponibles (los mismos que ofrece el bot)
     this.app.get('/api/slots', (req, res) => {
-      // Aquí se generarían los slots dinámicamente basado en disponibilidad
-      // Por ahora, devolvemos slots estáticos del config
-      const slots = this.generateAvailableSlots();
-      res.json(slots);
+      const error = this.slotService.validateQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      res.json(this.slotService.generateAvailableSlots(this.getSlotQuery(req.query)));
+    });
+
+    // Lista de espera
+    this.app.get('/api/waitlist', (req, res) => {
+      res.json(this.conversationsManager.waitlist.getEntries(req.query.status || null));
+    });
+
+    this.app.delete('/api/waitlist/:id', (req, res) => {
+      const entry = this.conversationsManager.waitlist.getEntry(req.params.id);
+      if (!entry) {
+        return res.status(404).json({ error: 'Entrada de lista de espera no encontrada' });
+      }
+      if (entry.offer?.holdId) {
+        this.conversationsManager.slotHolds.releaseHold(entry.offer.holdId, 'cancelled');
+      }
+      res.json(this.conversationsManager.waitlist.updateEntry(entry.id, { status: 'cancelled', offer: null }));
+    });
+
+    this.app.get('/api/reminders', (req, res) => {
+      res.json(this.reminderScheduler.getReminders({
+        appointmentId: req.query.appointmentId || null,
+        status: req.query.status || null
+      }));
+    });
+
+    // Callbacks de estado del proveedor SMS (formulario de Twilio)
+    this.app.post('/api/sms/status', async (req, res) => {
+      try {
+        const url = config.notifications.sms.statusCallbackUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        if (!this.smsNotifier.validateCallback(url, req.body, req.get('X-Twilio-Signature'))) {
+          return res.status(403).json({ error: 'Firma del callback inválida' });
+        }
+
+        const { MessageSid, MessageStatus } = req.body || {};
+        if (!MessageSid || !this.dataManager.isValidSmsStatus(MessageStatus)) {
+          return res.status(400).json({ error: 'Se esperan MessageSid y un MessageStatus válido' });
+        }
+
+        const appointment = await this.smsNotifier.handleStatusCallback(req.body);
+        if (!appointment) {
+          return res.status(404).json({ error: 'SMS no encontrado' });
+        }
+        res.status(204).end();
+      } catch (error) {
+        console.error('Error processing SMS status callback:', error);
+        res.status(500).json({ error: 'Error procesando estado del SMS' });
+      }
+    });
+
+    // Webhook de la WhatsApp Cloud API: verificación (GET) y mensajes entrantes (POST)
+    this.app.get('/api/channels/whatsapp/webhook', (req, res) => {
+      const challenge = this.channels.get('whatsapp').verifyChallenge(req.query);
+      if (challenge === null) {
+        return res.status(403).json({ error: 'Verify token inválido' });
+      }
+      res.type('text/plain').send(challenge);
+    });
+
+    this.app.post('/api/channels/whatsapp/webhook', (req, res) => {
+      const whatsapp = this.channels.get('whatsapp');
+      if (!whatsapp.isEnabled()) {
+        return res.status(404).json({ error: 'Canal WhatsApp desactivado' });
+      }
+      if (!whatsapp.validateSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+        return res.status(403).json({ error: 'Firma del webhook inválida' });
+      }
+
+      // Meta espera un 200 rápido; los mensajes se procesan después
+      res.sendStatus(200);
+      whatsapp.handleWebhook(req.body).catch(error => {
+        console.error('Error processing WhatsApp webhook:', error);
+      });
+    });
+
+    // Updates de Telegram en modo webhook (en modo polling no se usa)
+    this.app.post('/api/channels/telegram/webhook', (req, res) => {
+      const telegram = this.channels.get('telegram');
+      if (!telegram.isEnabled() || config.channels.telegram.mode === 'polling') {
+        return res.status(404).json({ error: 'Canal Telegram desactivado' });
+      }
+      if (!telegram.validateSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+        return res.status(403).json({ error: 'Secret token inválido' });
+      }
+
+      res.sendStatus(200);
+      telegram.handleUpdate(req.body).catch(error => {
+        console.error('Error processing Telegram update:', error);
+      });
+    });
+
+    // SMS entrantes (formulario del proveedor); la respuesta del bot va en TwiML
+    this.app.post('/api/channels/sms/webhook', async (req, res) => {
+      try {
+        const sms = this.channels.get('sms');
+        if (!sms.isEnabled()) {
+          return res.status(404).json({ error: 'Canal SMS desactivado' });
+        }
+        const url = config.channels.sms.webhookUrl || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+        if (!this.smsNotifier.validateCallback(url, req.body, req.get('X-Twilio-Signature'))) {
+          return res.status(403).json({ error: 'Firma del webhook inválida' });
+        }
+
+        const { From, Body, MessageSid } = req.body || {};
+        if (!From || typeof Body !== 'string') {
+          return res.status(400).json({ error: 'Se esperan From y Body' });
+        }
+
+        const response = await sms.receive(From, Body, { smsMessageSid: MessageSid });
+        res.type('text/xml').send(sms.toTwiml(response));
+      } catch (error) {
+        console.error('Error processing inbound SMS:', error);
+        res.status(500).json({ error: 'Error procesando SMS entrante' });
+      }
+    });
+
+    // Canales disponibles y sus capacidades (botones, formato, adjuntos...)
+    this.app.get('/api/channels', (req, res) => {
+      res.json(this.channels.describe());
+    });
+
+    // Leads que dejaron de responder tras todos los avisos de seguimiento
+    this.app.get('/api/leads/unreachable', (req, res) => {
+      res.json(this.followUpEngine.getUnreachableLeads());
+    });
+
+    // Registro de webhooks enviados al CRM
+    this.app.get('/api/webhooks/deliveries', (req, res) => {
+      const { status, event, subscriber } = req.query;
+      if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+        return res.status(400).json({ error: 'status debe ser pending, delivered o failed' });
+      }
+      res.json(this.webhookDispatcher.getDeliveries({ status, event, subscriberId: subscriber }));
+    });
+
+    this.app.post('/api/webhooks/deliveries/:id/redeliver', async (req, res) => {
+      try {
+        const delivery = await this.webhookDispatcher.redeliver(req.params.id);
+        if (!delivery) {
+          return res.status(404).json({ error: 'Entrega de webhook no encontrada' });
+        }
+        res.json(delivery);
+      } catch (error) {
+        console.error('Error redelivering webhook:', error);
+        res.status(500).json({ error: 'Error reenviando webhook' });
+      }
     });
 
     // Páginas HTML principales
@@ -464,15 +1030,17 @@ class BotCitasServer {
 
       // Unirse a salas por sesión de conversación
       socket.on('joinSession', (sessionId) => {
-        socket.join(`session_${sessionId}`);
-        console.log(`Client ${socket.id} joined session ${sessionId}`);
+        const id = this.channels.resolveSessionId(sessionId, 'web');
+        socket.join(`session_${id}`);
+        console.log(`Client ${socket.id} joined session ${id}`);
       });
 
       // Procesar mensaje de chat
       socket.on('chatMessage', async (data) => {
         try {
           const { sessionId, message, metadata } = data;
-          const response = await this.conversationsManager.processMessage(
+          const web = this.channels.get('web');
+          const response = await web.receive(
             sessionId, 
             message, 
             { ...metadata, socketId: socket.id }
@@ -482,8 +1050,8 @@ class BotCitasServer {
           socket.emit('chatResponse', response);
           
           // Notificar a otros clientes monitoreando esta sesión
-          socket.to(`session_${sessionId}`).emit('conversationUpdate', {
-            sessionId,
+          socket.to(web.room(sessionId)).emit('conversationUpdate', {
+            sessionId: web.sessionId(sessionId),
             message,
             response,
             timestamp: new Date().toISOString()
@@ -494,9 +1062,27 @@ class BotCitasServer {
         }
       });
 
+      // Consultar slots disponibles (mismos filtros que GET /api/slots)
+      socket.on('getSlots', (query) => {
+        try {
+          const filters = query || {};
+          if (typeof filters !== 'object' || Array.isArray(filters)) {
+            return socket.emit('error', { message: 'La consulta de huecos debe ser un objeto' });
+          }
+          const error = this.slotService.validateQuery(filters);
+          if (error) {
+            return socket.emit('error', { message: error });
+          }
+          socket.emit('slots', this.slotService.generateAvailableSlots(this.getSlotQuery(filters)));
+        } catch (error) {
+          console.error('WebSocket slots error:', error);
+          socket.emit('error', { message: 'Error consultando huecos disponibles' });
+        }
+      });
+
       // Solicitar estado de sesión
       socket.on('getSession', (sessionId) => {
-        const session = this.conversationsManager.getSession(sessionId, false);
+        const session = this.conversationsManager.getSession(this.channels.resolveSessionId(sessionId, 'web'), false);
         socket.emit('sessionState', session);
       });
 
@@ -537,10 +1123,15 @@ class BotCitasServer {
       this.io.emit('sessionCreated', session);
     });
 
-    this.conversationsManager.on('sessionCompleted', (session) => {
-      console.log(`Session completed: ${session.id}`);
-      this.dataManager.saveConversation(session.id, session);
-      this.io.emit('sessionCompleted', session);
+    this.conversationsManager.on('sessionCompleted', async (session) => {
+      try {
+        console.log(`Session completed: ${session.id}`);
+        const conversation = await this.dataManager.saveConversation(session.id, session);
+        this.io.emit('sessionCompleted', session);
+        this.webhookDispatcher.dispatch('sessionCompleted', conversation);
+      } catch (error) {
+        console.error('Error saving completed session:', error);
+      }
     });
 
     this.conversationsManager.on('appointmentCreated', async (appointmentData) => {
@@ -548,15 +1139,192 @@ class BotCitasServer {
         const appointment = await this.dataManager.createAppointment(appointmentData);
         console.log(`Appointment created: ${appointment.id}`);
         this.io.emit('appointmentCreated', appointment);
+        this.notifyCustomer('confirmation', appointment);
+        this.webhookDispatcher.dispatch('appointmentCreated', { appointment });
       } catch (error) {
         console.error('Error creating appointment:', error);
       }
     });
 
-    this.conversationsManager.on('reminderScheduled', (reminderData) => {
-      console.log(`Reminder scheduled for appointment: ${reminderData.appointmentId}`);
-      // Aquí se implementaría la lógica de recordatorios
-      this.io.emit('reminderScheduled', reminderData);
+    this.conversationsManager.on('appointmentSeriesCreated', async (seriesData) => {
+      try {
+        const appointments = await this.dataManager.createAppointmentSeries(seriesData);
+        console.log(`Appointment series created: ${seriesData.seriesId} (${appointments.length} visits)`);
+        this.io.emit('appointmentSeriesCreated', { seriesId: seriesData.seriesId, appointments });
+        for (const appointment of appointments) {
+          await this.notifyCustomer('confirmation', appointment);
+          this.webhookDispatcher.dispatch('appointmentCreated', { appointment });
+        }
+      } catch (error) {
+        console.error('Error creating appointment series:', error);
+      }
+    });
+
+    this.conversationsManager.on('coverageGap', (data) => {
+      console.warn(`No technician covers PLZ ${data.postalCode} (session ${data.sessionId})`);
+      this.io.emit('coverageGap', data);
+    });
+
+    // Lista de espera: ofertas proactivas al cliente por su sesión
+    this.conversationsManager.on('outboundMessage', (session, response) => {
+      const channel = this.channels.forSession(session);
+      if (channel.isEnabled() && channel.capabilities.proactive) {
+        channel.deliver(session, response).catch(error => {
+          console.error(`Error delivering message to session ${session.id}:`, error);
+        });
+      }
+      this.io.emit('conversationUpdate', {
+        sessionId: session.id,
+        response,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    // Recordatorios y avisos de seguimiento: el gestor ya los entregó por el canal
+    this.conversationsManager.on('proactiveMessageDelivered', (session, response, result) => {
+      this.io.emit('conversationUpdate', {
+        sessionId: session.id,
+        response,
+        delivered: result.delivered,
+        timestamp: new Date().toISOString()
+      });
+    });
+
+    this.conversationsManager.on('waitlistJoined', (entry) => {
+      console.log(`Waitlist entry added: ${entry.id} (session ${entry.sessionId})`);
+      this.io.emit('waitlistUpdated', entry);
+    });
+
+    this.conversationsManager.on('waitlistOffered', (entry) => {
+      console.log(`Waitlist offer sent: ${entry.id} (session ${entry.sessionId})`);
+      this.io.emit('waitlistUpdated', entry);
+    });
+
+    this.conversationsManager.waitlist.on('error', (error) => {
+      console.error('Waitlist error:', error);
+    });
+
+    this.conversationsManager.on('reminderScheduled', async (reminderData) => {
+      try {
+        const reminders = await this.reminderScheduler.scheduleReminders(reminderData);
+        console.log(`Reminders scheduled for appointment: ${reminderData.appointmentId} (${reminders.length})`);
+        this.io.emit('reminderScheduled', { ...reminderData, reminders });
+      } catch (error) {
+        console.error('Error scheduling reminders:', error);
+      }
+    });
+
+    // Recordatorios enviados (o fallidos) quedan también en la cita
+    this.reminderScheduler.on('reminderSent', (reminder) => {
+      console.log(`Reminder sent: ${reminder.id} (${reminder.offsetHours}h, ${reminder.appointmentId})`);
+      this.io.emit('reminderSent', reminder);
+    });
+
+    this.reminderScheduler.on('reminderFailed', (reminder) => {
+      console.warn(`Reminder not delivered: ${reminder.id} (${reminder.error})`);
+      this.io.emit('reminderFailed', reminder);
+    });
+
+    this.reminderScheduler.on('error', (error) => {
+      console.error('Reminder scheduler error:', error);
+    });
+
+    // Emails al cliente (confirmación, cambios, cancelación y recordatorios)
+    this.emailNotifier.on('emailSent', (email) => {
+      console.log(`Email sent: ${email.kind} for ${email.appointmentId} (${email.messageId})`);
+      this.io.emit('emailSent', email);
+    });
+
+    this.emailNotifier.on('emailFailed', (email) => {
+      console.error(`Email not sent: ${email.kind} for ${email.appointmentId}:`, email.error);
+    });
+
+    this.smsNotifier.on('smsSent', (sms) => {
+      console.log(`SMS sent: ${sms.kind} for ${sms.appointmentId} (${sms.sid}, ${sms.encoding}, ${sms.segments} segment/s)`);
+      this.io.emit('smsSent', sms);
+    });
+
+    this.smsNotifier.on('smsFailed', (sms) => {
+      console.error(`SMS not sent: ${sms.kind} for ${sms.appointmentId}:`, sms.error);
+    });
+
+    this.smsNotifier.on('smsStatus', (status) => {
+      this.io.emit('smsStatus', status);
+    });
+
+    // Webhooks al CRM: los agotados quedan para reenviarlos desde /api/webhooks/deliveries
+    this.webhookDispatcher.on('webhookFailed', (delivery) => {
+      console.error(`Webhook failed after ${delivery.attempts} attempts: ${delivery.event} → ${delivery.url} (${delivery.lastError})`);
+      this.io.emit('webhookFailed', delivery);
+    });
+
+    this.webhookDispatcher.on('error', (error) => {
+      console.error('Webhook dispatcher error:', error);
+    });
+
+    // Seguimiento de clientes que no responden
+    this.followUpEngine.on('nudgeSent', (session, attempt, total) => {
+      console.log(`Follow-up ${attempt}/${total} sent to session ${session.id} (${session.state})`);
+    });
+
+    this.followUpEngine.on('nudgeFailed', (session, attempt, error) => {
+      console.warn(`Follow-up ${attempt} to session ${session.id} not delivered: ${error}`);
+    });
+
+    // Canales de mensajería
+    this.channels.get('whatsapp').on('messageSent', (message) => {
+      console.log(`WhatsApp message sent to ${message.to} (${message.type})`);
+    });
+
+    ['whatsapp', 'sms', 'telegram'].forEach(name => this.channels.get(name).on('sendFailed', ({ to, error }) => {
+      console.error(`${name} message to ${to} not sent:`, error.message);
+    }));
+
+    this.channels.get('whatsapp').on('unsupportedMessage', (message) => {
+      console.warn(`WhatsApp message ignored: ${message.type} from ${message.from}`);
+    });
+
+    this.channels.adapters.forEach(adapter => adapter.on('transcriptionFailed', ({ sessionId, error }) => {
+      console.error(`Voice note from ${sessionId} not transcribed:`, error.message);
+    }));
+
+    this.channels.get('telegram').on('pollingStarted', () => {
+      console.log('Telegram channel polling for updates');
+    });
+
+    this.channels.get('telegram').on('pollingError', (error) => {
+      console.error('Telegram polling failed:', error.message);
+    });
+
+    this.channels.get('telegram').on('updateFailed', ({ updateId, error }) => {
+      console.error(`Telegram update ${updateId} not processed:`, error);
+    });
+
+    this.followUpEngine.on('leadUnreachable', (lead) => {
+      console.log(`Lead unreachable: ${lead.sessionId} (stalled in ${lead.state})`);
+      this.io.emit('leadUnreachable', lead);
+    });
+
+    this.followUpEngine.on('error', (error) => {
+      console.error('Follow-up engine error:', error);
+    });
+
+    // Eventos del calendario de técnicos
+    this.technicianCalendar.on('calendarChanged', (calendar) => {
+      console.log(`Calendar updated for technician: ${calendar.id}`);
+      this.io.emit('technicianCalendarUpdated', calendar);
+    });
+
+    this.technicianCalendar.on('error', (error) => {
+      console.error('Technician calendar error:', error);
+    });
+
+    this.holidayCalendar.on('closuresChanged', (closures) => {
+      this.io.emit('closuresUpdated', closures);
+    });
+
+    this.holidayCalendar.on('error', (error) => {
+      console.error('Holiday calendar error:', error);
     });
 
     // Eventos del gestor de datos
@@ -572,6 +1340,32 @@ class BotCitasServer {
       console.log(`Backup created: ${filename}`);
     });
 
+    this.dataManager.on('appointmentRescheduled', (appointment, previous) => {
+      console.log(`Appointment rescheduled: ${appointment.id}`);
+      this.io.emit('appointmentRescheduled', {
+        appointment,
+        previousSlot: { start: previous.startTime, end: previous.endTime, technician: previous.technician }
+      });
+      this.conversationsManager.offerFreedSlot({ start: previous.startTime });
+      this.reminderScheduler.rescheduleReminders(appointment);
+      this.notifyCustomer('rescheduled', appointment, { previous });
+      this.webhookDispatcher.dispatch('appointmentUpdated', {
+        appointment,
+        previousSlot: { start: previous.startTime, end: previous.endTime, technician: previous.technician },
+        source: 'reschedule'
+      });
+    });
+
+    // Un hueco liberado se ofrece primero a la lista de espera
+    this.dataManager.on('appointmentCancelled', (appointment) => {
+      console.log(`Appointment cancelled: ${appointment.id}${appointment.lateCancellation ? ' (late)' : ''}`);
+      this.io.emit('appointmentCancelled', appointment);
+      this.conversationsManager.offerFreedSlot({ start: appointment.startTime });
+      this.reminderScheduler.cancelReminders(appointment.id);
+      this.notifyCustomer('cancelled', appointment);
+      this.webhookDispatcher.dispatch('appointmentCancelled', { appointment });
+    });
+
     this.dataManager.on('error', (error) => {
       console.error('Data manager error:', error);
     });
@@ -582,34 +1376,34 @@ class BotCitasServer {
     }, 15 * 60 * 1000);
   }
 
-  generateAvailableSlots() {
-    // Implementación simplificada - en producción sería más compleja
-    const slots = [];
-    const now = new Date();
-    
-    for (let i = 1; i <= 7; i++) {
-      const date = new Date(now.getTime() + i * 24 * 60 * 60 * 1000);
-      const daySlots = config.appointments.availableSlots[date.getDay()];
-      
-      if (daySlots) {
-        daySlots.forEach(timeStr => {
-          const [hour, minute] = timeStr.split(':').map(Number);
-          const startTime = new Date(date);
-          startTime.setHours(hour, minute, 0, 0);
-          
-          const endTime = new Date(startTime.getTime() + config.appointments.slotDuration * 60 * 1000);
-          
-          slots.push({
-            id: `slot_${startTime.getTime()}`,
-            start: startTime.toISOString(),
-            end: endTime.toISOString(),
-            available: true
-          });
-        });
-      }
-    }
-    
-    return slots.slice(0, 20); // Limitar a 20 slots
+  /**
+   * Avisar al cliente por todos los canales de notificación configurados.
+   * Nunca rechaza: un fallo de transporte se registra y no corta al resto
+   */
+  notifyCustomer(kind, appointment, options = {}) {
+    return Promise.all([
+      this.emailNotifier.notify(kind, appointment, options),
+      this.smsNotifier.notify(kind, appointment, options),
+      this.channels.get('telegram').notify(kind, appointment)
+    ].map(promise => promise.catch(error => {
+      console.error(`Error notifying customer (${kind}) for ${appointment.id}:`, error);
+      return null;
+    })));
+  }
+
+  /**
+   * Filtros de slots desde query string o payload de socket
+   */
+  getSlotQuery({ dateFrom, dateTo, type, plz, zone, technician, limit }) {
+    return {
+      dateFrom,
+      dateTo,
+      type,
+      postalCode: plz ? this.slotService.zoneMatcher.normalizePostalCode(plz) : null,
+      zone,
+      technician,
+      limit: Number(limit) > 0 ? Number(limit) : null
+    };
   }
 
   async start() {
@@ -633,6 +1427,12 @@ class BotCitasServer {
         `);
       });
 
+      this.reminderScheduler.start();
+      this.followUpEngine.start();
+      this.channels.get('telegram').start().catch(error => {
+        console.error('Error starting Telegram channel:', error.message);
+      });
+
       // Manejo de señales de terminación
       process.on('SIGTERM', () => this.gracefulShutdown());
       process.on('SIGINT', () => this.gracefulShutdown());
@@ -652,8 +1452,12 @@ class BotCitasServer {
     });
 
     // Limpiar recursos
+    this.reminderScheduler.destroy();
+    this.webhookDispatcher.destroy();
+    this.followUpEngine.destroy();
+    this.channels.get('telegram').stop();
     this.dataManager.destroy();
-    this.conversationsManager.removeAllListeners();
+    this.conversationsManager.destroy();
     
     process.exit(0);
   }
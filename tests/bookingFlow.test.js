@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const config = require('../config/config');
+const DataManager = require('../modules/dataManager');
+const ConversationsManager = require('../modules/conversationsManager');
+
+describe('ConversationsManager: reserva por chat', () => {
+  let dataDir;
+  let dataManager;
+  let manager;
+  let session;
+  let created;
+  const send = message => manager.processMessage(session.id, message);
+
+  // Idioma, consentimiento, tipo y código postal hasta llegar a los días libres
+  const startBooking = async (type, postalCode) => {
+    await send('/start');
+    await send('English');
+    await send('YES');
+    await send(manager.getAppointmentTypeLabel(type, 'en'));
+    return send(postalCode);
+  };
+
+  // Primer día y primera hora que ofrece el selector
+  const pickFirstSlot = async days => {
+    const times = await send(days.quick[0]);
+    return send(times.quick[0]);
+  };
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-data-'));
+    const settings = {
+      ...config,
+      data: { ...config.data, excel: { ...config.data.excel, filename: path.join(dataDir, 'appointments.xlsx'), backupEnabled: false } },
+      waitlist: { ...config.waitlist, filename: path.join(dataDir, 'waitlist.json') }
+    };
+    dataManager = new DataManager(settings);
+    await once(dataManager, 'initialized');
+    jest.spyOn(dataManager, 'saveToExcel').mockResolvedValue();
+
+    manager = new ConversationsManager(settings, dataManager);
+    created = jest.fn();
+    manager.on('appointmentCreated', created);
+    session = manager.getSession('web:flow');
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    dataManager.destroy();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('de /start a la cita confirmada con el técnico de la zona', async () => {
+    const days = await startBooking('installation', '29227');
+    expect(days.state).toBe('SLOT_SELECTION');
+
+    const confirmation = await pickFirstSlot(days);
+    expect(confirmation.state).toBe('CONFIRMATION');
+    expect(manager.slotHolds.getHold(session.context.holdId)).toMatchObject({ technician: 'CLARITY-01' });
+
+    const confirmed = await send('Yes');
+
+    expect(confirmed.state).toBe('REMINDER_SETUP');
+    expect(created).toHaveBeenCalledWith(expect.objectContaining({
+      sessionId: 'web:flow',
+      technician: 'CLARITY-01',
+      type: 'installation',
+      postalCode: '29227',
+      language: 'en',
+      slot: session.context.selectedSlot
+    }));
+    const { start, end } = session.context.selectedSlot;
+    expect(session.context.holdId).toBeNull();
+    expect(manager.slotHolds.getActiveHolds(start, end)).toEqual([]);
+  });
+
+  test('la zona más concreta gana si el técnico sabe hacer el trabajo', async () => {
+    await pickFirstSlot(await startBooking('repair', '29227'));
+
+    expect(manager.slotHolds.getHold(session.context.holdId)).toMatchObject({ technician: 'CLARITY-07' });
+  });
+
+  test('un código postal sin cobertura se vuelve a pedir', async () => {
+    const gap = jest.fn();
+    manager.on('coverageGap', gap);
+
+    const response = await startBooking('installation', '99999');
+
+    expect(response).toMatchObject({ state: 'POSTAL_CODE', bot: manager.getLocalizedMessage('no_coverage', 'en') });
+    expect(gap).toHaveBeenCalledWith({ sessionId: 'web:flow', postalCode: '99999' });
+    expect(session.context.postalCode).toBeNull();
+  });
+
+  test('si la reserva temporal caduca antes de confirmar se ofrecen otros horarios', async () => {
+    await pickFirstSlot(await startBooking('installation', '29227'));
+    manager.slotHolds.releaseSessionHolds(session.id);
+
+    const response = await send('Yes');
+
+    expect(response.state).toBe('SLOT_SELECTION');
+    expect(response.bot).toContain(manager.getLocalizedMessage('slot_taken', 'en'));
+    expect(created).not.toHaveBeenCalled();
+  });
+});
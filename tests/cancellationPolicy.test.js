@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const DataManager = require('../modules/dataManager');
+const ConversationsManager = require('../modules/conversationsManager');
+
+const hoursFromNow = hours => moment().add(hours, 'hours').startOf('minute');
+
+describe('Política de cancelación', () => {
+  let dataDir;
+  let settings;
+  let dataManager;
+
+  const book = (id, start, extra = {}) => dataManager.createAppointment({
+    id,
+    sessionId: `telegram:${id}`,
+    slot: { start: start.toISOString(), end: start.clone().add(2, 'hours').toISOString() },
+    technician: 'CLARITY-01',
+    language: 'en',
+    postalCode: '29227',
+    ...extra
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-data-'));
+    settings = {
+      ...config,
+      data: { ...config.data, excel: { ...config.data.excel, filename: path.join(dataDir, 'appointments.xlsx'), backupEnabled: false } },
+      waitlist: { ...config.waitlist, filename: path.join(dataDir, 'waitlist.json') }
+    };
+    dataManager = new DataManager(settings);
+    await once(dataManager, 'initialized');
+    jest.spyOn(dataManager, 'saveToExcel').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    dataManager.destroy();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('DataManager', () => {
+    test('sin coste antes de cancellationFreeHours, tardía después y prohibida una vez empezada', async () => {
+      const early = await book('C1', hoursFromNow(48));
+      const late = await book('C2', hoursFromNow(3));
+      const started = await book('C3', hoursFromNow(-1));
+
+      expect(dataManager.checkCancellationPolicy(early)).toMatchObject({ allowed: true, late: false });
+      expect(dataManager.checkCancellationPolicy(late)).toMatchObject({ allowed: true, late: true });
+      expect(dataManager.checkCancellationPolicy(started)).toMatchObject({ allowed: false, error: 'La cita ya ha comenzado' });
+    });
+
+    test('una cita cancelada no se puede volver a cancelar', async () => {
+      await book('C1', hoursFromNow(48));
+      const cancelled = await dataManager.cancelAppointment('C1', 'not_needed');
+
+      expect(dataManager.checkCancellationPolicy(cancelled)).toMatchObject({ allowed: false });
+      await expect(dataManager.cancelAppointment('C1', 'other')).rejects.toThrow('Cancellation not allowed');
+    });
+
+    test('la cancelación tardía queda marcada y en el historial', async () => {
+      await book('C1', hoursFromNow(3));
+      const listener = jest.fn();
+      dataManager.on('appointmentCancelled', listener);
+
+      const cancelled = await dataManager.cancelAppointment('C1', 'schedule_conflict', 'api');
+
+      expect(cancelled).toMatchObject({ status: 'cancelled', cancellationReason: 'schedule_conflict', lateCancellation: true });
+      expect(cancelled.history).toEqual([
+        expect.objectContaining({ action: 'cancelled', reason: 'schedule_conflict', late: true, source: 'api' })
+      ]);
+      expect(listener).toHaveBeenCalledWith(cancelled);
+      expect(dataManager.getBlockingAppointments(cancelled.startTime, cancelled.endTime)).toEqual([]);
+    });
+
+    test('cancelar una visita de una serie cancela también las posteriores', async () => {
+      await book('S1', hoursFromNow(48));
+      await book('S2', hoursFromNow(96));
+      await dataManager.updateAppointment('S1', { seriesId: 'S-1', seriesIndex: 1 });
+      await dataManager.updateAppointment('S2', { seriesId: 'S-1', seriesIndex: 2 });
+
+      await dataManager.cancelAppointment('S1', 'not_needed');
+
+      expect(dataManager.getAppointment('S2')).toMatchObject({ status: 'cancelled', lateCancellation: false });
+      expect(dataManager.getAppointment('S2').history[0].source).toBe('series');
+    });
+  });
+
+  describe('ConversationsManager: cancelación por chat', () => {
+    let manager;
+    let session;
+    const send = message => manager.processMessage(session.id, message);
+
+    beforeEach(() => {
+      manager = new ConversationsManager(settings, dataManager);
+      session = manager.getSession('telegram:C1');
+      Object.assign(session, { state: 'MANAGEMENT', language: 'en', context: { consented: true, appointmentId: 'C1' } });
+    });
+
+    afterEach(() => manager.destroy());
+
+    test('avisa de la cancelación tardía, pide el motivo y la registra', async () => {
+      await book('C1', hoursFromNow(3));
+
+      const confirm = await send('Cancel');
+      expect(confirm.state).toBe('CANCEL_CONFIRMATION');
+      expect(confirm.bot).toContain(manager.getLocalizedMessage('cancel_late_warning', 'en').replace('{hours}', 24));
+
+      const reason = await send('Yes, cancel');
+      expect(reason.state).toBe('CANCEL_REASON');
+      expect(reason.quick).toContain('Time no longer works');
+
+      const done = await send('Time no longer works');
+      expect(done).toMatchObject({ state: 'COMPLETED', bot: manager.getLocalizedMessage('cancelled_late', 'en') });
+      expect(dataManager.getAppointment('C1')).toMatchObject({
+        status: 'cancelled',
+        cancellationReason: 'schedule_conflict',
+        lateCancellation: true
+      });
+      expect(dataManager.getAppointment('C1').history[0].source).toBe('chat');
+    });
+
+    test('«No, mantener» deja la cita como estaba', async () => {
+      await book('C1', hoursFromNow(48));
+
+      await send('Cancel');
+      const kept = await send('No, keep it');
+
+      expect(kept.state).toBe('MANAGEMENT');
+      expect(dataManager.getAppointment('C1').status).toBe('confirmed');
+    });
+
+    test('una cita ya empezada no se cancela por chat', async () => {
+      await book('C1', hoursFromNow(-1));
+
+      const response = await send('Cancel');
+
+      expect(response.state).toBe('MANAGEMENT');
+      expect(response.bot).toContain(manager.getLocalizedMessage('cancel_not_allowed', 'en'));
+      expect(dataManager.getAppointment('C1').status).toBe('confirmed');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const ConversationsManager = require('../modules/conversationsManager');
+const { ChannelRegistry } = require('../modules/channels');
+const { toResponseModel, renderText } = require('../modules/channels/responseModel');
+const WebSocketAdapter = require('../modules/channels/webSocketAdapter');
+const RestAdapter = require('../modules/channels/restAdapter');
+const SmsAdapter = require('../modules/channels/smsAdapter');
+
+const RESPONSE = {
+  bot: 'Responde **ACEPTO** o escribe /borrar_datos\\n<b>1 & 2</b>',
+  quick: ['ACEPTO', 'Rechazar'],
+  state: 'CONSENT'
+};
+
+describe('Modelo neutro de respuesta', () => {
+  const model = toResponseModel(RESPONSE);
+
+  test('separa líneas y negrita sin tratar los guiones bajos como cursiva', () => {
+    expect(model.lines).toEqual([
+      [{ text: 'Responde ', bold: false }, { text: 'ACEPTO', bold: true }, { text: ' o escribe /borrar_datos', bold: false }],
+      [{ text: '<b>1 & 2</b>', bold: false }]
+    ]);
+    expect(model.options).toEqual([{ id: 'ACEPTO', label: 'ACEPTO' }, { id: 'Rechazar', label: 'Rechazar' }]);
+  });
+
+  test('cada dialecto marca la negrita a su manera y solo HTML escapa el texto', () => {
+    expect(renderText(model, { markup: 'html', lineBreak: '<br>' }))
+      .toBe('Responde <b>ACEPTO</b> o escribe /borrar_datos<br>&lt;b&gt;1 &amp; 2&lt;/b&gt;');
+    expect(renderText(model, { markup: 'markdown' })).toBe('Responde **ACEPTO** o escribe /borrar_datos\n<b>1 & 2</b>');
+    expect(renderText(model, { markup: 'whatsapp' })).toBe('Responde *ACEPTO* o escribe /borrar_datos\n<b>1 & 2</b>');
+    expect(renderText(model, { markup: 'plain' })).toBe('Responde ACEPTO o escribe /borrar_datos\n<b>1 & 2</b>');
+    expect(() => renderText(model, { markup: 'bbcode' })).toThrow('Unknown markup: bbcode');
+  });
+});
+
+describe('Adaptadores de canal', () => {
+  let manager;
+  let rooms;
+  let emitted;
+  let registry;
+
+  beforeEach(() => {
+    manager = new ConversationsManager({
+      ...config,
+      waitlist: { ...config.waitlist, filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}.json`) }
+    });
+    rooms = new Map();
+    emitted = [];
+    const io = {
+      sockets: { adapter: { rooms } },
+      to: room => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+    };
+    registry = new ChannelRegistry([
+      new WebSocketAdapter(config, manager, io),
+      new RestAdapter(config, manager),
+      new SmsAdapter(config, manager, { settings: { maxSegments: 3 }, isEnabled: () => false })
+    ]);
+  });
+
+  afterEach(() => manager.destroy());
+
+  test('el registro encuentra el canal por el prefijo del id de sesión', () => {
+    expect(registry.forSession({ id: 'api:123' }).name).toBe('api');
+    expect(registry.forSession({ id: 'sms:+49151' }).name).toBe('sms');
+    // Sesiones antiguas sin prefijo: session.channel o, si no, la web
+    expect(registry.forSession({ id: '123', channel: 'api' }).name).toBe('api');
+    expect(registry.forSession({ id: '123' }).name).toBe('web');
+
+    expect(registry.resolveSessionId('123', 'api')).toBe('api:123');
+    expect(registry.resolveSessionId('web:123', 'api')).toBe('web:123');
+  });
+
+  test('un mensaje entrante crea la sesión con el espacio de nombres del canal', async () => {
+    const rendered = await registry.get('api').receive('abc', '/start');
+
+    expect(manager.getSession('api:abc', false)).toMatchObject({ channel: 'api', state: 'LANGUAGE_SELECTION' });
+    expect(rendered).toMatchObject({ sessionId: 'api:abc', state: 'LANGUAGE_SELECTION', quick: ['Español', 'Deutsch', 'English'] });
+  });
+
+  test('por SMS las opciones van numeradas y se eligen con el número', async () => {
+    const sms = registry.get('sms');
+
+    const menu = await sms.receive('+4915112345678', '/start');
+    expect(menu.text.split('\n').slice(-3)).toEqual(['1) Español', '2) Deutsch', '3) English']);
+
+    const consent = await sms.receive('+4915112345678', '3');
+    expect(consent.text).toContain('By confirming you accept our privacy policy (GDPR)');
+    expect(manager.getSession('sms:+4915112345678', false)).toMatchObject({ language: 'en', state: 'CONSENT' });
+    expect(sms.toTwiml({ text: 'A & B' })).toBe('<?xml version="1.0" encoding="UTF-8"?><Response><Message>A &amp; B</Message></Response>');
+  });
+
+  test('la API REST devuelve markdown con saltos de línea reales', () => {
+    const rendered = registry.get('api').render(RESPONSE, { id: 'api:abc' });
+
+    expect(rendered.text).toBe('Responde **ACEPTO** o escribe /borrar_datos\n<b>1 & 2</b>');
+    expect(rendered).toMatchObject({ bot: RESPONSE.bot, quick: RESPONSE.quick, sessionId: 'api:abc' });
+  });
+
+  test('la web solo da un mensaje por entregado si hay un navegador en la sala', async () => {
+    const web = registry.get('web');
+
+    expect(await web.deliver({ id: 'web:abc' }, RESPONSE)).toEqual({ delivered: false, channel: 'web', error: 'not_connected' });
+    rooms.set('session_web:abc', new Set());
+    expect(await web.deliver({ id: 'web:abc' }, RESPONSE)).toMatchObject({ delivered: false });
+    expect(emitted).toEqual([]);
+
+    rooms.set('session_web:abc', new Set(['socket-1']));
+    expect(await web.deliver({ id: 'web:abc' }, RESPONSE)).toEqual({ delivered: true, channel: 'web' });
+    expect(emitted).toEqual([{
+      room: 'session_web:abc',
+      event: 'chatResponse',
+      payload: expect.objectContaining({ html: 'Responde <b>ACEPTO</b> o escribe /borrar_datos<br>&lt;b&gt;1 &amp; 2&lt;/b&gt;' })
+    }]);
+  });
+
+  test('la API REST no puede escribir por iniciativa propia', async () => {
+    manager.useChannels(registry);
+    const session = manager.getSession('api:abc');
+
+    expect(manager.getProactiveChannel(session)).toBeNull();
+    expect(await registry.get('api').deliver(session, RESPONSE)).toBeNull();
+  });
+});
@@ -0,0 +1,77 @@
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const DateParser = require('../modules/dateParser');
+
+const TIMEZONE = config.appointments.timezone;
+const NOW = moment.tz('2025-11-10T10:00:00', TIMEZONE); // lunes
+const day = date => ({ from: date, to: date });
+
+describe('DateParser', () => {
+  const parser = new DateParser(config);
+  const parse = (message, language) => parser.parse(message, language, NOW);
+
+  test('español: día relativo con franja horaria', () => {
+    expect(parse('mañana por la mañana', 'es')).toEqual([
+      { ranges: [day('2025-11-11')], time: { from: '08:00', to: '12:00' } }
+    ]);
+    expect(parse('pasado mañana a las 9', 'es')).toEqual([
+      { ranges: [day('2025-11-12')], time: { from: '09:00', to: '10:00' } }
+    ]);
+  });
+
+  test('alemán: día de la semana con hora mínima', () => {
+    expect(parse('Donnerstag ab 14 Uhr', 'de')).toEqual([
+      { ranges: [day('2025-11-13')], time: { from: '14:00', to: '24:00' } }
+    ]);
+    expect(parse('am 3. Dezember vormittags', 'de')).toEqual([
+      { ranges: [day('2025-12-03')], time: { from: '08:00', to: '12:00' } }
+    ]);
+  });
+
+  test('inglés: "next Tuesday" es ambiguo y devuelve las dos lecturas', () => {
+    expect(parse('next Tuesday afternoon', 'en')).toEqual([
+      { ranges: [day('2025-11-11')], time: { from: '12:00', to: '16:00' } },
+      { ranges: [day('2025-11-18')], time: { from: '12:00', to: '16:00' } }
+    ]);
+  });
+
+  test('fechas con mes: una fecha ya pasada se refiere al año siguiente', () => {
+    expect(parse('el 16 de noviembre', 'es')).toEqual([{ ranges: [day('2025-11-16')], time: null }]);
+    expect(parse('el 5 de noviembre', 'es')).toEqual([{ ranges: [day('2026-11-05')], time: null }]);
+  });
+
+  test('fechas numéricas: día/mes en español, ambiguas en inglés', () => {
+    expect(parse('05/06', 'es')).toEqual([{ ranges: [day('2026-06-05')], time: null }]);
+    expect(parse('05/06', 'en')).toEqual([
+      { ranges: [day('2026-06-05')], time: null },
+      { ranges: [day('2026-05-06')], time: null }
+    ]);
+  });
+
+  test('semanas y fin de semana como rangos de días', () => {
+    expect(parse('la semana que viene', 'es')).toEqual([
+      { ranges: [{ from: '2025-11-17', to: '2025-11-23' }], time: null }
+    ]);
+    expect(parse('el fin de semana', 'es')).toEqual([
+      { ranges: [{ from: '2025-11-15', to: '2025-11-16' }], time: null }
+    ]);
+  });
+
+  test('solo hora: sin días y con la franja de la expresión', () => {
+    expect(parse('at 3pm', 'en')).toEqual([{ ranges: [], time: { from: '15:00', to: '16:00' } }]);
+    expect(parse('before 11am', 'en')).toEqual([{ ranges: [], time: { from: '00:00', to: '11:00' } }]);
+  });
+
+  test('sin fecha ni hora devuelve una lista vacía', () => {
+    expect(parse('hola', 'es')).toEqual([]);
+  });
+
+  test('matchesSlot comprueba el día y la franja en la zona horaria de las citas', () => {
+    const interpretation = { ranges: [day('2025-11-11')], time: { from: '08:00', to: '12:00' } };
+    const slotAt = time => ({ start: moment.tz(`2025-11-11T${time}`, TIMEZONE).toISOString() });
+
+    expect(parser.matchesSlot(slotAt('09:00'), interpretation)).toBe(true);
+    expect(parser.matchesSlot(slotAt('13:00'), interpretation)).toBe(false);
+    expect(parser.matchesSlot({ start: moment.tz('2025-11-12T09:00', TIMEZONE).toISOString() }, interpretation)).toBe(false);
+  });
+});
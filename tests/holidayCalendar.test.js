@@ -0,0 +1,88 @@
+const os = require('os');
+const path = require('path');
+const HolidayCalendar = require('../modules/holidayCalendar');
+
+const config = {
+  appointments: { timezone: 'Europe/Berlin' },
+  technicians: {
+    T1: { state: 'BY' },
+    T2: { zone: 'Nord' },
+    T3: {}
+  },
+  holidays: {
+    defaultState: 'NW',
+    zoneStates: { Nord: 'HH' },
+    companyClosures: ['2025-12-24', { date: '2025-12-31', reason: 'Inventur' }],
+    closuresFile: path.join(os.tmpdir(), `botcitas-closures-${process.pid}.json`)
+  }
+};
+
+const dates = holidays => holidays.map(holiday => holiday.date);
+const names = holidays => holidays.map(holiday => holiday.name);
+
+describe('HolidayCalendar', () => {
+  const calendar = new HolidayCalendar(config);
+
+  test('Domingo de Pascua', () => {
+    expect(calendar.getEasterSunday(2024).format('YYYY-MM-DD')).toBe('2024-03-31');
+    expect(calendar.getEasterSunday(2025).format('YYYY-MM-DD')).toBe('2025-04-20');
+    expect(calendar.getEasterSunday(2026).format('YYYY-MM-DD')).toBe('2026-04-05');
+    expect(calendar.getEasterSunday(2038).format('YYYY-MM-DD')).toBe('2038-04-25');
+  });
+
+  test('festivos nacionales, incluidos los móviles de Pascua', () => {
+    expect(calendar.getHolidays(2025)).toEqual([
+      { date: '2025-01-01', name: 'Neujahr' },
+      { date: '2025-04-18', name: 'Karfreitag' },
+      { date: '2025-04-21', name: 'Ostermontag' },
+      { date: '2025-05-01', name: 'Tag der Arbeit' },
+      { date: '2025-05-29', name: 'Christi Himmelfahrt' },
+      { date: '2025-06-09', name: 'Pfingstmontag' },
+      { date: '2025-10-03', name: 'Tag der Deutschen Einheit' },
+      { date: '2025-12-25', name: '1. Weihnachtstag' },
+      { date: '2025-12-26', name: '2. Weihnachtstag' }
+    ]);
+  });
+
+  test('festivos propios de cada Bundesland', () => {
+    const bavaria = calendar.getHolidays(2025, 'BY');
+    expect(names(bavaria)).toEqual(expect.arrayContaining(['Heilige Drei Könige', 'Fronleichnam', 'Allerheiligen']));
+    expect(dates(bavaria)).toContain('2025-06-19');
+    expect(names(bavaria)).not.toContain('Reformationstag');
+
+    const brandenburg = names(calendar.getHolidays(2025, 'BB'));
+    expect(brandenburg).toEqual(expect.arrayContaining(['Ostersonntag', 'Pfingstsonntag', 'Reformationstag']));
+    expect(brandenburg).not.toContain('Fronleichnam');
+  });
+
+  test('festivos introducidos en un año concreto', () => {
+    expect(names(calendar.getHolidays(2018, 'BE'))).not.toContain('Internationaler Frauentag');
+    expect(names(calendar.getHolidays(2019, 'BE'))).toContain('Internationaler Frauentag');
+    expect(names(calendar.getHolidays(2022, 'MV'))).not.toContain('Internationaler Frauentag');
+    expect(names(calendar.getHolidays(2023, 'MV'))).toContain('Internationaler Frauentag');
+    expect(names(calendar.getHolidays(2017, 'NI'))).not.toContain('Reformationstag');
+    expect(names(calendar.getHolidays(2018, 'NI'))).toContain('Reformationstag');
+  });
+
+  test('Buß- und Bettag: miércoles antes del 23 de noviembre, solo en Sachsen', () => {
+    expect(calendar.getHolidays(2024, 'SN')).toContainEqual({ date: '2024-11-20', name: 'Buß- und Bettag' });
+    expect(calendar.getHolidays(2025, 'SN')).toContainEqual({ date: '2025-11-19', name: 'Buß- und Bettag' });
+    expect(names(calendar.getHolidays(2025, 'BY'))).not.toContain('Buß- und Bettag');
+  });
+
+  test('getHoliday usa la fecha local y da prioridad a los cierres de empresa', () => {
+    expect(calendar.getHoliday('2025-10-02T22:30:00Z', null)).toEqual({ date: '2025-10-03', name: 'Tag der Deutschen Einheit' });
+    expect(calendar.getHoliday('2025-06-19T10:00:00+02:00', 'NW')).toEqual({ date: '2025-06-19', name: 'Fronleichnam' });
+    expect(calendar.getHoliday('2025-06-19T10:00:00+02:00', 'BE')).toBeNull();
+    expect(calendar.getHoliday('2025-12-24T10:00:00+01:00')).toEqual({ date: '2025-12-24', name: 'Betriebsschließung', closure: true });
+    expect(calendar.getHoliday('2025-12-31T10:00:00+01:00')).toMatchObject({ name: 'Inventur', closure: true });
+  });
+
+  test('Bundesland del técnico: propio, de su zona o el por defecto', () => {
+    expect(calendar.getTechnicianState('T1')).toBe('BY');
+    expect(calendar.getTechnicianState('T2')).toBe('HH');
+    expect(calendar.getTechnicianState('T3')).toBe('NW');
+    expect(calendar.isTechnicianOnHoliday('T1', '2025-01-06T09:00:00+01:00')).toBe(true);
+    expect(calendar.isTechnicianOnHoliday('T2', '2025-01-06T09:00:00+01:00')).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+const IcsGenerator = require('../modules/icsGenerator');
+
+const config = timezone => ({
+  appointments: { timezone },
+  company: { name: 'CLARITY', supportEmail: 'soporte@clarity.example' },
+  technicians: {}
+});
+
+// Textos del evento: solo lo que usa generate()
+const conversationsManager = {
+  getAppointmentTypeLabel: () => 'Instalación de fibra',
+  getAppointmentDetails: appointment => [['Cita', appointment.id]]
+};
+
+const appointment = {
+  id: 'C-2025-1111-0900-TEST',
+  type: 'installation',
+  startTime: '2025-11-11T08:00:00.000Z',
+  endTime: '2025-11-11T10:00:00.000Z',
+  createdAt: '2025-11-01T12:00:00.000Z',
+  postalCode: '29227',
+  icsSequence: 2,
+  language: 'es'
+};
+
+const unfold = ics => ics.replace(/\r\n /g, '');
+
+describe('IcsGenerator', () => {
+  const generator = new IcsGenerator(config('Europe/Berlin'), conversationsManager);
+
+  describe('foldLine', () => {
+    test('las líneas de hasta 75 octetos no se tocan', () => {
+      const line = 'X'.repeat(75);
+      expect(generator.foldLine(line)).toBe(line);
+    });
+
+    test('las largas se parten en líneas de 75 octetos con continuación por espacio', () => {
+      const line = `DESCRIPTION:${'a'.repeat(200)}`;
+      const lines = generator.foldLine(line).split('\r\n');
+      expect(lines.length).toBeGreaterThan(1);
+      lines.forEach((part, index) => {
+        expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+        expect(part.startsWith(' ')).toBe(index > 0);
+      });
+      expect(unfold(generator.foldLine(line))).toBe(line);
+    });
+
+    test('nunca parte un carácter UTF-8 de varios octetos', () => {
+      const line = `SUMMARY:${'Straße Müller ✅ '.repeat(8)}`;
+      const folded = generator.foldLine(line);
+      folded.split('\r\n').forEach(part => {
+        expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+        expect(part).not.toContain('�');
+      });
+      expect(unfold(folded)).toBe(line);
+    });
+  });
+
+  describe('buildTimezone', () => {
+    test('Europe/Berlin: cambios de hora del año anterior y del de la cita', () => {
+      const lines = generator.buildTimezone([appointment]);
+      expect(lines[0]).toBe('BEGIN:VTIMEZONE');
+      expect(lines[1]).toBe('TZID:Europe/Berlin');
+      expect(lines[lines.length - 1]).toBe('END:VTIMEZONE');
+
+      const text = lines.join('\n');
+      expect(text).toContain([
+        'BEGIN:DAYLIGHT',
+        'DTSTART:20250330T020000',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0200',
+        'TZNAME:CEST',
+        'END:DAYLIGHT'
+      ].join('\n'));
+      expect(text).toContain([
+        'BEGIN:STANDARD',
+        'DTSTART:20251026T030000',
+        'TZOFFSETFROM:+0200',
+        'TZOFFSETTO:+0100',
+        'TZNAME:CET',
+        'END:STANDARD'
+      ].join('\n'));
+      expect(lines.filter(line => line === 'BEGIN:DAYLIGHT')).toHaveLength(2); // 2024 y 2025
+    });
+
+    test('zona sin horario de verano: una sola observancia STANDARD', () => {
+      const tokyo = new IcsGenerator(config('Asia/Tokyo'), conversationsManager);
+      expect(tokyo.buildTimezone([appointment])).toEqual([
+        'BEGIN:VTIMEZONE',
+        'TZID:Asia/Tokyo',
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        'TZOFFSETFROM:+0900',
+        'TZOFFSETTO:+0900',
+        'TZNAME:JST',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+      ]);
+    });
+  });
+
+  describe('generate', () => {
+    test('evento con hora local, UID fijo, SEQUENCE y finales de línea CRLF', () => {
+      const ics = generator.generate(appointment);
+      expect(ics.endsWith('\r\n')).toBe(true);
+      expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+
+      const lines = unfold(ics).split('\r\n');
+      expect(lines).toEqual(expect.arrayContaining([
+        'METHOD:PUBLISH',
+        `UID:${appointment.id}@clarity.local`,
+        'SEQUENCE:2',
+        'DTSTART;TZID=Europe/Berlin:20251111T090000',
+        'DTEND;TZID=Europe/Berlin:20251111T110000',
+        'SUMMARY:Instalación de fibra (CLARITY)',
+        'LOCATION:PLZ 29227',
+        'STATUS:CONFIRMED'
+      ]));
+      expect(lines.indexOf('BEGIN:VTIMEZONE')).toBeLessThan(lines.indexOf('BEGIN:VEVENT'));
+    });
+
+    test('una cita cancelada sale con METHOD:CANCEL y STATUS:CANCELLED', () => {
+      const lines = unfold(generator.generate({ ...appointment, status: 'cancelled' })).split('\r\n');
+      expect(lines).toContain('METHOD:CANCEL');
+      expect(lines).toContain('STATUS:CANCELLED');
+    });
+
+    test('rechaza métodos desconocidos', () => {
+      expect(() => generator.generate(appointment, { method: 'PUBLISHED' })).toThrow('Unknown iCalendar method');
+    });
+  });
+});
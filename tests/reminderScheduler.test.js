@@ -0,0 +1,216 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const DataManager = require('../modules/dataManager');
+const ReminderScheduler = require('../modules/reminderScheduler');
+const ConversationsManager = require('../modules/conversationsManager');
+const { ChannelRegistry } = require('../modules/channels');
+const WebSocketAdapter = require('../modules/channels/webSocketAdapter');
+const RestAdapter = require('../modules/channels/restAdapter');
+
+const hoursFromNow = hours => moment().add(hours, 'hours').startOf('minute');
+
+describe('Recordatorios de citas', () => {
+  let dataDir;
+  let settings;
+  let dataManager;
+
+  const book = (id, start, extra = {}) => dataManager.createAppointment({
+    id,
+    sessionId: `telegram:${id}`,
+    slot: { start: start.toISOString(), end: start.clone().add(2, 'hours').toISOString() },
+    technician: 'CLARITY-01',
+    language: 'de',
+    ...extra
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-data-'));
+    settings = {
+      ...config,
+      data: { ...config.data, excel: { ...config.data.excel, filename: path.join(dataDir, 'appointments.xlsx'), backupEnabled: false } },
+      reminders: { ...config.reminders, filename: path.join(dataDir, 'reminders.json') },
+      waitlist: { ...config.waitlist, filename: path.join(dataDir, 'waitlist.json') }
+    };
+    dataManager = new DataManager(settings);
+    await once(dataManager, 'initialized');
+    jest.spyOn(dataManager, 'saveToExcel').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    dataManager.destroy();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('ReminderScheduler', () => {
+    let channel;
+    let scheduler;
+
+    beforeEach(async () => {
+      channel = { sendReminder: jest.fn().mockResolvedValue({ delivered: true, channel: 'telegram' }) };
+      scheduler = new ReminderScheduler(settings, dataManager, [channel]);
+      await once(scheduler, 'initialized');
+    });
+
+    afterEach(async () => {
+      await scheduler.saveQueue;
+      scheduler.destroy();
+    });
+
+    test('programa un aviso por cada reminderHours que aún no ha pasado', async () => {
+      const far = await book('C1', hoursFromNow(48));
+      await book('C2', hoursFromNow(5));
+
+      const scheduled = await scheduler.scheduleReminders({ appointmentIds: ['C1', 'C2'], sessionId: 'telegram:C1' });
+
+      expect(scheduled.map(reminder => [reminder.appointmentId, reminder.offsetHours])).toEqual([
+        ['C1', 24], ['C1', 2], ['C2', 2]
+      ]);
+      expect(scheduled[0].sendAt).toBe(moment(far.startTime).subtract(24, 'hours').toISOString());
+      expect(dataManager.getAppointment('C1').reminderEnabled).toBe(true);
+    });
+
+    test('tras un reinicio con varios avisos vencidos solo se envía el más cercano a la cita', async () => {
+      await book('C1', hoursFromNow(48));
+      await scheduler.scheduleReminders({ appointmentId: 'C1' });
+
+      const processed = await scheduler.processDue(hoursFromNow(47).toDate());
+
+      expect(channel.sendReminder).toHaveBeenCalledTimes(1);
+      expect(processed).toEqual([expect.objectContaining({ offsetHours: 2, status: 'sent', channels: ['telegram'] })]);
+      expect(scheduler.getReminders({ appointmentId: 'C1', status: 'skipped' })).toEqual([
+        expect.objectContaining({ offsetHours: 24, skipReason: 'superseded' })
+      ]);
+      expect(dataManager.getAppointment('C1').remindersSent).toEqual([
+        expect.objectContaining({ offsetHours: 2, channel: 'telegram', status: 'sent' })
+      ]);
+    });
+
+    test('basta con que un canal entregue; los fallos quedan registrados', async () => {
+      scheduler.channels = [
+        { sendReminder: jest.fn().mockRejectedValue(new Error('smtp down')) },
+        channel,
+        { sendReminder: jest.fn().mockResolvedValue(null) } // canal que no aplica a esta cita
+      ];
+      await book('C1', hoursFromNow(48));
+      await scheduler.scheduleReminders({ appointmentId: 'C1' });
+
+      const [reminder] = await scheduler.processDue(hoursFromNow(25).toDate());
+
+      expect(reminder).toMatchObject({ status: 'sent', channels: ['telegram'], error: 'unknown: smtp down' });
+      expect(dataManager.getAppointment('C1').remindersSent.map(delivery => delivery.status)).toEqual(['failed', 'sent']);
+    });
+
+    test('sin ningún canal que entregue el aviso queda como fallido', async () => {
+      channel.sendReminder.mockResolvedValue(null);
+      const failed = jest.fn();
+      scheduler.on('reminderFailed', failed);
+      await book('C1', hoursFromNow(48));
+      await scheduler.scheduleReminders({ appointmentId: 'C1' });
+
+      const [reminder] = await scheduler.processDue(hoursFromNow(25).toDate());
+
+      expect(reminder).toMatchObject({ status: 'failed', error: 'unknown: no_channel' });
+      expect(failed).toHaveBeenCalledTimes(1);
+    });
+
+    test('no avisa de una cita cancelada y recalcula los avisos de una reprogramada', async () => {
+      await book('C1', hoursFromNow(48));
+      await book('C2', hoursFromNow(48));
+      await scheduler.scheduleReminders({ appointmentIds: ['C1', 'C2'] });
+
+      await dataManager.updateAppointment('C1', { status: 'cancelled' });
+      const newStart = hoursFromNow(72);
+      const moved = await dataManager.rescheduleAppointment('C2', {
+        start: newStart.toISOString(),
+        end: newStart.clone().add(2, 'hours').toISOString()
+      });
+      await scheduler.rescheduleReminders(moved);
+
+      const processed = await scheduler.processDue(hoursFromNow(25).toDate());
+
+      expect(channel.sendReminder).not.toHaveBeenCalled();
+      expect(processed).toEqual([expect.objectContaining({ appointmentId: 'C1', status: 'skipped', skipReason: 'cancelled' })]);
+      expect(scheduler.getReminders({ appointmentId: 'C2', status: 'pending' }).map(reminder => reminder.sendAt)).toEqual([
+        newStart.clone().subtract(24, 'hours').toISOString(),
+        newStart.clone().subtract(2, 'hours').toISOString()
+      ]);
+    });
+
+    test('los avisos pendientes sobreviven a un reinicio', async () => {
+      await book('C1', hoursFromNow(48));
+      await scheduler.scheduleReminders({ appointmentId: 'C1' });
+
+      const restarted = new ReminderScheduler(settings, dataManager, [channel]);
+      await once(restarted, 'initialized');
+
+      expect(restarted.getReminders({ appointmentId: 'C1', status: 'pending' })).toHaveLength(2);
+      restarted.destroy();
+    });
+  });
+
+  describe('ConversationsManager.sendReminder', () => {
+    let manager;
+    let telegram;
+    let rooms;
+
+    beforeEach(() => {
+      manager = new ConversationsManager(settings, dataManager);
+      rooms = new Map();
+      const io = { sockets: { adapter: { rooms } }, to: () => ({ emit: jest.fn() }) };
+      telegram = {
+        name: 'telegram',
+        capabilities: { proactive: true },
+        isEnabled: () => true,
+        ownsSession: sessionId => sessionId.startsWith('telegram:'),
+        deliver: jest.fn().mockResolvedValue({ delivered: true, channel: 'telegram' })
+      };
+      manager.useChannels(new ChannelRegistry([
+        new WebSocketAdapter(settings, manager, io),
+        new RestAdapter(settings, manager),
+        telegram
+      ]));
+    });
+
+    afterEach(() => manager.destroy());
+
+    const reminderFor = appointment => ({ id: 'R1', offsetHours: 24, sessionId: appointment.sessionId, language: 'de' });
+
+    test('escribe por el canal de la sesión sin volver a crear una sesión caducada', async () => {
+      const appointment = await book('C1', hoursFromNow(48));
+
+      const result = await manager.sendReminder(appointment, reminderFor(appointment));
+
+      expect(result).toEqual({ delivered: true, channel: 'telegram' });
+      expect(telegram.deliver).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'telegram:C1', language: 'de' }),
+        expect.objectContaining({ bot: expect.stringContaining('24') })
+      );
+      expect(manager.getSession('telegram:C1', false)).toBeUndefined();
+    });
+
+    test('un aviso web sin navegador conectado no se da por entregado ni entra en el historial', async () => {
+      const appointment = await book('C1', hoursFromNow(48), { sessionId: 'web:abc' });
+      const session = manager.getSession('web:abc');
+
+      const result = await manager.sendReminder(appointment, reminderFor(appointment));
+
+      expect(result).toMatchObject({ delivered: false, error: 'not_connected' });
+      expect(session.messageHistory).toEqual([]);
+
+      rooms.set('session_web:abc', new Set(['socket-1']));
+      expect(await manager.sendReminder(appointment, reminderFor(appointment))).toEqual({ delivered: true, channel: 'web' });
+      expect(session.messageHistory).toHaveLength(1);
+    });
+
+    test('los canales que no escriben por iniciativa propia no reciben avisos', async () => {
+      const appointment = await book('C1', hoursFromNow(48), { sessionId: 'api:abc' });
+
+      expect(await manager.sendReminder(appointment, reminderFor(appointment))).toBeNull();
+      expect(manager.getSession('api:abc', false)).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const DataManager = require('../modules/dataManager');
+const ConversationsManager = require('../modules/conversationsManager');
+
+const hoursFromNow = hours => moment().add(hours, 'hours').startOf('minute');
+
+describe('ConversationsManager: reprogramación por chat', () => {
+  let dataDir;
+  let dataManager;
+  let manager;
+  let session;
+  let original;
+  const send = message => manager.processMessage(session.id, message);
+
+  // Primer día y primera hora que ofrece el selector
+  const pickFirstSlot = async days => {
+    const times = await send(days.quick[0]);
+    return send(times.quick[0]);
+  };
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-data-'));
+    const settings = {
+      ...config,
+      data: { ...config.data, excel: { ...config.data.excel, filename: path.join(dataDir, 'appointments.xlsx'), backupEnabled: false } },
+      waitlist: { ...config.waitlist, filename: path.join(dataDir, 'waitlist.json') }
+    };
+    dataManager = new DataManager(settings);
+    await once(dataManager, 'initialized');
+    jest.spyOn(dataManager, 'saveToExcel').mockResolvedValue();
+
+    const start = hoursFromNow(48);
+    original = await dataManager.createAppointment({
+      id: 'C1',
+      sessionId: 'telegram:C1',
+      slot: { start: start.toISOString(), end: start.clone().add(2, 'hours').toISOString() },
+      technician: 'CLARITY-01',
+      type: 'installation',
+      postalCode: '29227',
+      language: 'en'
+    });
+
+    manager = new ConversationsManager(settings, dataManager);
+    session = manager.getSession('telegram:C1');
+    Object.assign(session, { state: 'MANAGEMENT', language: 'en', context: { consented: true, appointmentId: 'C1' } });
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    dataManager.destroy();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('ofrece otros horarios, reserva el elegido y mueve la cita al confirmar', async () => {
+    const days = await send('Change date');
+    expect(days.state).toBe('RESCHEDULE_SELECTION');
+    expect(session.context.availableSlots.map(slot => slot.start)).not.toContain(moment(original.startTime).toISOString());
+
+    const confirmation = await pickFirstSlot(days);
+    expect(confirmation.state).toBe('RESCHEDULE_CONFIRMATION');
+    const slot = session.context.rescheduleSlot;
+    expect(manager.slotHolds.getHold(session.context.holdId)).toMatchObject({ technician: 'CLARITY-01' });
+
+    const done = await send('Yes');
+
+    expect(done.state).toBe('MANAGEMENT');
+    expect(done.bot).toContain(manager.getLocalizedMessage('rescheduled', 'en'));
+    expect(dataManager.getAppointment('C1')).toMatchObject({ startTime: slot.start, endTime: slot.end, technician: 'CLARITY-01' });
+    expect(dataManager.getAppointment('C1').history).toEqual([
+      expect.objectContaining({ action: 'rescheduled', previousStart: original.startTime, source: 'chat' })
+    ]);
+    expect(manager.slotHolds.getActiveHolds(slot.start, slot.end)).toEqual([]);
+  });
+
+  test('«Mantener mi cita» vuelve a la gestión sin tocar la cita', async () => {
+    await send('Change time');
+
+    const kept = await send('Keep my appointment');
+
+    expect(kept).toMatchObject({ state: 'MANAGEMENT', bot: expect.stringContaining(manager.getLocalizedMessage('reschedule_kept', 'en')) });
+    expect(dataManager.getAppointment('C1').startTime).toBe(original.startTime);
+  });
+
+  test('una negativa en la confirmación conserva la cita y libera la reserva', async () => {
+    await pickFirstSlot(await send('Change date'));
+    const slot = session.context.rescheduleSlot;
+
+    const kept = await send('No');
+
+    expect(kept.state).toBe('MANAGEMENT');
+    expect(dataManager.getAppointment('C1').startTime).toBe(original.startTime);
+    expect(dataManager.getAppointment('C1').history || []).toEqual([]);
+    expect(manager.slotHolds.getActiveHolds(slot.start, slot.end)).toEqual([]);
+  });
+
+  test('sin cita que mover responde en la gestión', async () => {
+    await dataManager.cancelAppointment('C1', 'not_needed');
+
+    const response = await send('Change date');
+
+    expect(response.state).toBe('MANAGEMENT');
+    expect(response.bot).toContain(manager.getLocalizedMessage('no_appointment', 'en'));
+  });
+});
@@ -0,0 +1,101 @@
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const SlotHoldManager = require('../modules/slotHoldManager');
+const SlotService = require('../modules/slotService');
+const ConversationsManager = require('../modules/conversationsManager');
+
+const SLOT = { start: '2030-03-04T08:00:00.000Z', end: '2030-03-04T10:00:00.000Z' };
+
+describe('SlotHoldManager', () => {
+  let holds;
+  let slotService;
+
+  beforeEach(() => {
+    holds = new SlotHoldManager(config);
+    slotService = new SlotService(config, null, null, holds);
+  });
+
+  afterEach(() => holds.destroy());
+
+  test('una reserva bloquea al técnico para las demás sesiones, no para la propia', () => {
+    holds.createHold(SLOT, 'web:a', 'CLARITY-01');
+
+    expect(slotService.getFreeTechnicians(SLOT, { sessionId: 'web:b', technician: 'CLARITY-01' })).toEqual([]);
+    expect(slotService.getFreeTechnicians(SLOT, { sessionId: 'web:a', technician: 'CLARITY-01' })).toEqual(['CLARITY-01']);
+  });
+
+  test('solo bloquea los slots que se solapan', () => {
+    holds.createHold(SLOT, 'web:a', 'CLARITY-01');
+    const later = { start: '2030-03-04T10:00:00.000Z', end: '2030-03-04T12:00:00.000Z' };
+
+    expect(holds.getActiveHolds(later.start, later.end)).toEqual([]);
+    expect(slotService.getFreeTechnicians(later, { sessionId: 'web:b', technician: 'CLARITY-01' })).toEqual(['CLARITY-01']);
+  });
+
+  test('una reserva caducada deja de contar y se libera como holdExpired', () => {
+    const hold = holds.createHold(SLOT, 'web:a', 'CLARITY-01');
+    hold.expiresAt = new Date(Date.now() - 1000).toISOString();
+    const expired = jest.fn();
+    holds.on('holdExpired', expired);
+
+    expect(holds.getActiveHolds(SLOT.start, SLOT.end)).toEqual([]);
+    expect(holds.getHold(hold.id)).toBeNull();
+    expect(expired).toHaveBeenCalledWith(hold, 'expired');
+  });
+
+  test('releaseSessionHolds libera solo las reservas de esa sesión', () => {
+    holds.createHold(SLOT, 'web:a', 'CLARITY-01');
+    holds.createHold(SLOT, 'web:b', 'CLARITY-02');
+    const released = jest.fn();
+    holds.on('holdReleased', released);
+
+    holds.releaseSessionHolds('web:a', 'session_expired');
+
+    expect(released).toHaveBeenCalledTimes(1);
+    expect(holds.getActiveHolds(SLOT.start, SLOT.end).map(hold => hold.sessionId)).toEqual(['web:b']);
+  });
+});
+
+describe('ConversationsManager: sesión caducada durante la confirmación', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ConversationsManager({
+      ...config,
+      waitlist: { ...config.waitlist, filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}.json`) }
+    });
+  });
+
+  afterEach(() => manager.destroy());
+
+  test('libera la reserva y vuelve a empezar la conversación', async () => {
+    const session = manager.getSession('web:timeout');
+    const hold = manager.slotHolds.createHold(SLOT, session.id, 'CLARITY-01');
+    Object.assign(session, {
+      state: 'CONFIRMATION',
+      language: 'en',
+      context: { consented: true, holdId: hold.id, selectedSlot: SLOT },
+      lastActivity: new Date(Date.now() - config.bot.sessionTimeout - 1000)
+    });
+
+    const response = await manager.processMessage(session.id, 'Yes');
+
+    expect(response.bot).toBe(manager.getLocalizedMessage('session_timeout', 'en'));
+    expect(manager.slotHolds.getHold(hold.id)).toBeNull();
+    expect(session.state).toBe('INIT');
+    expect(session.context).toEqual({});
+
+    const restart = await manager.processMessage(session.id, 'Hello');
+    expect(restart.state).toBe('LANGUAGE_SELECTION');
+  });
+
+  test('una sesión activa no caduca por el mensaje que la mantiene viva', async () => {
+    const session = manager.getSession('web:active');
+    session.state = 'LANGUAGE_SELECTION';
+
+    const response = await manager.processMessage(session.id, 'English');
+
+    expect(response.state).toBe('CONSENT');
+  });
+});
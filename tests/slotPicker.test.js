@@ -0,0 +1,112 @@
+const os = require('os');
+const path = require('path');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const ConversationsManager = require('../modules/conversationsManager');
+
+const TIMEZONE = config.appointments.timezone;
+
+// 10 días laborables con 8 horarios cada uno (08:00-15:00)
+const buildSlots = () => {
+  const slots = [];
+  const day = moment.tz('2030-03-04', TIMEZONE);
+  while (slots.length < 80) {
+    if (day.day() !== 0 && day.day() !== 6) {
+      for (let hour = 8; hour < 16; hour++) {
+        const start = day.clone().hour(hour);
+        slots.push({ start: start.toISOString(), end: start.clone().add(2, 'hours').toISOString(), available: true });
+      }
+    }
+    day.add(1, 'day');
+  }
+  return slots;
+};
+
+describe('ConversationsManager: selector de horario por días', () => {
+  let manager;
+  let session;
+  let slots;
+  const send = message => manager.processMessage(session.id, message);
+
+  beforeEach(() => {
+    manager = new ConversationsManager({
+      ...config,
+      waitlist: { ...config.waitlist, filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}.json`) }
+    });
+    slots = buildSlots();
+    session = manager.getSession('web:picker');
+    Object.assign(session, {
+      state: 'SLOT_SELECTION',
+      language: 'en',
+      context: { consented: true, appointmentType: config.appointments.defaultType, availableSlots: slots }
+    });
+  });
+
+  afterEach(() => manager.destroy());
+
+  test('la primera página muestra tantos días como caben junto a la navegación', () => {
+    const response = manager.presentSlotDays(session);
+
+    expect(response.quick).toEqual([
+      ...manager.getSlotDays(session).slice(0, 7).map(day => manager.formatDayForDisplay(day, 'en')),
+      'Later »',
+      'None of these'
+    ]);
+    expect(response.quick.length).toBeLessThanOrEqual(config.bot.maxQuickReplies);
+  });
+
+  test('«más tarde» pasa a los días siguientes y «antes» vuelve', async () => {
+    manager.presentSlotDays(session);
+
+    const later = await send('Later »');
+    expect(later.quick).toEqual([
+      ...manager.getSlotDays(session).slice(7).map(day => manager.formatDayForDisplay(day, 'en')),
+      '« Earlier',
+      'None of these'
+    ]);
+
+    const earlier = await send('« Earlier');
+    expect(session.context.slotPicker.dayPage).toBe(0);
+    expect(earlier.quick).toContain('Later »');
+  });
+
+  test('al elegir un día se paginan sus horas y «más tarde» continúa en el día siguiente', async () => {
+    manager.presentSlotDays(session);
+    const [firstDay, secondDay] = manager.getSlotDays(session);
+
+    const times = await send(manager.formatDayForDisplay(firstDay, 'en'));
+    expect(times.quick).toEqual([
+      ...slots.slice(0, 6).map(slot => manager.formatSlotForDisplay(slot, 'en')),
+      'Later »',
+      '« Other day',
+      'None of these'
+    ]);
+
+    const rest = await send('Later »');
+    expect(rest.quick.slice(0, 2)).toEqual(slots.slice(6, 8).map(slot => manager.formatSlotForDisplay(slot, 'en')));
+
+    await send('Later »');
+    expect(session.context.slotPicker).toMatchObject({ step: 'time', day: secondDay, timePage: 0 });
+  });
+
+  test('elegir una hora reserva el slot y pide confirmación', async () => {
+    manager.presentSlotTimes(session, null, manager.getSlotDays(session)[0]);
+
+    const response = await send(manager.formatSlotForDisplay(slots[1], 'en'));
+
+    expect(response.state).toBe('CONFIRMATION');
+    expect(session.context.selectedSlot.start).toBe(slots[1].start);
+    expect(manager.slotHolds.getHold(session.context.holdId)).toMatchObject({ sessionId: session.id, start: slots[1].start });
+  });
+
+  test('sin horarios la página se queda en 0 en lugar de -1', () => {
+    session.context.availableSlots = [];
+
+    const days = manager.presentSlotDays(session, null, 3);
+    expect(session.context.slotPicker.dayPage).toBe(0);
+    expect(days.quick).toEqual(['None of these']);
+
+    manager.presentSlotTimes(session, null, '2030-03-04', 2);
+    expect(session.context.slotPicker.timePage).toBe(0);
+  });
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const DataManager = require('../modules/dataManager');
+const SlotService = require('../modules/slotService');
+
+const TIMEZONE = config.appointments.timezone;
+
+// Un día de lunes a jueves (cinco horarios) dentro de la ventana reservable
+const bookableDay = () => {
+  const day = moment().tz(TIMEZONE).add(3, 'days').startOf('day');
+  while (day.day() < 1 || day.day() > 4) day.add(1, 'day');
+  return day;
+};
+
+describe('SlotService: disponibilidad según las citas existentes', () => {
+  let dataDir;
+  let dataManager;
+  let slotService;
+  let day;
+  let counter = 0;
+
+  const at = time => moment.tz(`${day.format('YYYY-MM-DD')} ${time}`, TIMEZONE);
+  const book = async (time, technician, status = 'confirmed') => {
+    const start = at(time);
+    const appointment = await dataManager.createAppointment({
+      id: `C${++counter}`,
+      sessionId: `web:${counter}`,
+      slot: { start: start.toISOString(), end: start.clone().add(2, 'hours').toISOString() },
+      technician,
+      language: 'en'
+    });
+    return status === 'confirmed' ? appointment : dataManager.updateAppointment(appointment.id, { status });
+  };
+  const times = options => slotService.generateAvailableSlots({
+    dateFrom: day.format('YYYY-MM-DD'),
+    dateTo: day.format('YYYY-MM-DD'),
+    ...options
+  }).map(slot => moment(slot.start).tz(TIMEZONE).format('HH:mm'));
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-data-'));
+    dataManager = new DataManager({
+      ...config,
+      data: { ...config.data, excel: { ...config.data.excel, filename: path.join(dataDir, 'appointments.xlsx'), backupEnabled: false } }
+    });
+    await once(dataManager, 'initialized');
+    jest.spyOn(dataManager, 'saveToExcel').mockResolvedValue();
+    slotService = new SlotService(config, dataManager);
+    day = bookableDay();
+  });
+
+  afterEach(() => {
+    dataManager.destroy();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('sin citas se ofrecen todos los horarios configurados del día', () => {
+    expect(times({ technician: 'CLARITY-01' })).toEqual(config.appointments.availableSlots[day.day()]);
+  });
+
+  test('una cita confirmada ocupa al técnico en los horarios que se solapan', async () => {
+    await book('09:00', 'CLARITY-01');
+    await book('12:00', 'CLARITY-01');
+
+    expect(times({ technician: 'CLARITY-01' })).toEqual(['15:00', '17:00']);
+    expect(times({ technician: 'CLARITY-02' })).toEqual(config.appointments.availableSlots[day.day()]);
+  });
+
+  test('las citas canceladas o completadas no ocupan capacidad', async () => {
+    await book('09:00', 'CLARITY-01', 'cancelled');
+    await book('11:00', 'CLARITY-01', 'completed');
+
+    expect(times({ technician: 'CLARITY-01' })).toEqual(config.appointments.availableSlots[day.day()]);
+  });
+
+  test('un horario deja de ofrecerse cuando todos los técnicos están ocupados', async () => {
+    const slot = slotService.buildSlot(at('09:00'));
+    const technicians = slotService.getFreeTechnicians(slot);
+    for (const technician of technicians.slice(1)) {
+      await book('09:00', technician);
+    }
+    expect(slotService.isSlotBookable(slot)).toBe(true);
+
+    // Una cita sin técnico asignado también consume un hueco
+    await book('09:00', null);
+    expect(slotService.isSlotBookable(slot)).toBe(false);
+    expect(times()).not.toContain('09:00');
+  });
+
+  test('la cita que se reprograma no se bloquea a sí misma', async () => {
+    const appointment = await book('09:00', 'CLARITY-01');
+
+    expect(times({ technician: 'CLARITY-01' })).not.toContain('09:00');
+    expect(times({ technician: 'CLARITY-01', excludeAppointmentId: appointment.id })).toContain('09:00');
+  });
+});
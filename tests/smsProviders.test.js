@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { createProvider, TwilioProvider, MockProvider } = require('../modules/smsProviders');
+
+const SETTINGS = { accountSid: 'AC123', authToken: 'secret', from: '+4930000000' };
+const CALLBACK_URL = 'https://citas.example.com/api/sms/status';
+const PARAMS = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+
+const sign = (url, params, token = SETTINGS.authToken) => crypto.createHmac('sha1', token)
+  .update(Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url), 'utf8')
+  .digest('base64');
+
+describe('TwilioProvider.validateSignature', () => {
+  const provider = new TwilioProvider(SETTINGS);
+
+  test('acepta la firma de Twilio y rechaza una firma alterada', () => {
+    expect(provider.validateSignature(CALLBACK_URL, PARAMS, sign(CALLBACK_URL, PARAMS))).toBe(true);
+    expect(provider.validateSignature(CALLBACK_URL, { ...PARAMS, MessageStatus: 'failed' }, sign(CALLBACK_URL, PARAMS))).toBe(false);
+    expect(provider.validateSignature(CALLBACK_URL, PARAMS, sign(CALLBACK_URL, PARAMS, 'other'))).toBe(false);
+  });
+
+  test('una firma con caracteres no ASCII se rechaza sin lanzar', () => {
+    const signature = sign(CALLBACK_URL, PARAMS);
+    const sameLength = 'ü' + signature.slice(1);
+
+    expect(sameLength.length).toBe(signature.length);
+    expect(provider.validateSignature(CALLBACK_URL, PARAMS, sameLength)).toBe(false);
+  });
+
+  test('sin firma o sin authToken no valida', () => {
+    expect(provider.validateSignature(CALLBACK_URL, PARAMS, '')).toBe(false);
+    expect(new TwilioProvider({ ...SETTINGS, authToken: null }).validateSignature(CALLBACK_URL, PARAMS, 'x')).toBe(false);
+  });
+});
+
+describe('TwilioProvider.send', () => {
+  let server;
+  let received;
+  let reply;
+
+  beforeEach(async () => {
+    received = null;
+    reply = { status: 201, body: { sid: 'SM42', status: 'queued', num_segments: '2' } };
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = { url: req.url, authorization: req.headers.authorization, form: new URLSearchParams(body) };
+        res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(reply.body));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  });
+
+  afterEach(() => new Promise(resolve => server.close(resolve)));
+
+  const provider = () => new TwilioProvider({ ...SETTINGS, apiBaseUrl: `http://127.0.0.1:${server.address().port}` });
+
+  test('envía el formulario con autenticación básica y devuelve sid y segmentos', async () => {
+    const result = await provider().send({ to: '+4915112345678', body: 'Hola', statusCallback: CALLBACK_URL });
+
+    expect(result).toEqual({ sid: 'SM42', status: 'queued', segments: 2 });
+    expect(received.url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+    expect(received.authorization).toBe('Basic ' + Buffer.from('AC123:secret').toString('base64'));
+    expect(Object.fromEntries(received.form)).toEqual({
+      To: '+4915112345678', Body: 'Hola', From: '+4930000000', StatusCallback: CALLBACK_URL
+    });
+  });
+
+  test('un error de la API se lanza con su código', async () => {
+    reply = { status: 400, body: { code: 21211, message: 'Invalid To number' } };
+
+    await expect(provider().send({ to: 'x', body: 'Hola' })).rejects.toMatchObject({
+      message: 'Twilio error 21211: Invalid To number',
+      code: 21211
+    });
+  });
+});
+
+describe('MockProvider', () => {
+  test('registra cada SMS como una línea JSON', async () => {
+    const logFile = path.join(os.tmpdir(), `botcitas-sms-${process.pid}.log`);
+    const provider = createProvider({ provider: 'mock', logFile });
+    expect(provider).toBeInstanceOf(MockProvider);
+
+    try {
+      const result = await provider.send({ to: '+4915112345678', body: 'Hola' });
+      const [entry] = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(entry).toMatchObject({ sid: result.sid, to: '+4915112345678', body: 'Hola', status: 'sent' });
+    } finally {
+      fs.rmSync(logFile, { force: true });
+    }
+  });
+
+  test('un proveedor desconocido es un error de configuración', () => {
+    expect(() => createProvider({ provider: 'carrier-pigeon' })).toThrow('Unknown SMS provider: carrier-pigeon');
+  });
+});
@@ -0,0 +1,77 @@
+const { analyzeSms, truncateSms } = require('../modules/smsSegments');
+
+describe('analyzeSms', () => {
+  test('umlauts y ß caben en GSM-7', () => {
+    const result = analyzeSms('Ihr Termin bei Müßig & Söhne');
+    expect(result.encoding).toBe('GSM-7');
+    expect(result.units).toBe(28);
+    expect(result.unicodeCharacters).toEqual([]);
+  });
+
+  test('los caracteres de la extensión GSM ocupan dos septetos', () => {
+    const result = analyzeSms('Precio: 20€ [ok]');
+    expect(result.encoding).toBe('GSM-7');
+    expect(result.length).toBe(16);
+    expect(result.units).toBe(19);
+  });
+
+  test('tildes fuera del alfabeto GSM y emoji obligan a UCS-2', () => {
+    expect(analyzeSms('Instalación').encoding).toBe('UCS-2');
+    expect(analyzeSms('Instalación').unicodeCharacters).toEqual(['ó']);
+
+    const emoji = analyzeSms('Cita confirmada 👍');
+    expect(emoji.encoding).toBe('UCS-2');
+    expect(emoji.length).toBe(17);
+    expect(emoji.units).toBe(18);
+  });
+
+  test('160 caracteres GSM-7 son un segmento; a partir de 161, partes de 153', () => {
+    expect(analyzeSms('a'.repeat(160)).segments).toBe(1);
+    expect(analyzeSms('a'.repeat(161)).segments).toBe(2);
+    expect(analyzeSms('a'.repeat(306)).segments).toBe(2);
+    expect(analyzeSms('a'.repeat(307)).segments).toBe(3);
+  });
+
+  test('70 caracteres UCS-2 son un segmento; a partir de 71, partes de 67', () => {
+    expect(analyzeSms('ó'.repeat(70)).segments).toBe(1);
+    expect(analyzeSms('ó'.repeat(71)).segments).toBe(2);
+    expect(analyzeSms('ó'.repeat(134)).segments).toBe(2);
+    expect(analyzeSms('ó'.repeat(135)).segments).toBe(3);
+  });
+
+  test('un carácter de dos unidades no se parte entre segmentos', () => {
+    expect(analyzeSms('a'.repeat(152) + '€' + 'a'.repeat(10)).segments).toBe(2);
+    expect(analyzeSms('a'.repeat(66) + '😀' + 'a'.repeat(10))).toMatchObject({ units: 78, segments: 2 });
+  });
+
+  test('un texto vacío es un segmento GSM-7', () => {
+    expect(analyzeSms('')).toMatchObject({ encoding: 'GSM-7', length: 0, segments: 1 });
+  });
+});
+
+describe('truncateSms', () => {
+  test('sin límite o si ya cabe devuelve el texto tal cual', () => {
+    const text = 'a'.repeat(400);
+    expect(truncateSms(text, null)).toBe(text);
+    expect(truncateSms('Hola', 1)).toBe('Hola');
+  });
+
+  test('recorta con "..." hasta llenar los segmentos permitidos', () => {
+    const truncated = truncateSms('a'.repeat(400), 2);
+    expect(truncated).toHaveLength(306);
+    expect(truncated.endsWith('a...')).toBe(true);
+    expect(analyzeSms(truncated).segments).toBe(2);
+  });
+
+  test('en UCS-2 el recorte respeta el límite de 70 caracteres', () => {
+    const truncated = truncateSms('Confirmación 👍 '.repeat(10), 1);
+    expect(analyzeSms(truncated)).toMatchObject({ encoding: 'UCS-2', segments: 1 });
+    expect(truncated.endsWith('...')).toBe(true);
+  });
+
+  test('no deja espacios antes de los puntos suspensivos', () => {
+    const truncated = truncateSms('palabra '.repeat(30), 1);
+    expect(truncated).not.toMatch(/\s\.\.\.$/);
+    expect(analyzeSms(truncated).segments).toBe(1);
+  });
+});
@@ -0,0 +1,149 @@
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const ConversationsManager = require('../modules/conversationsManager');
+const TelegramAdapter = require('../modules/channels/telegramAdapter');
+
+const TOKEN = '123:abc';
+const CHAT_ID = 777;
+
+describe('TelegramAdapter', () => {
+  let manager;
+  let server;
+  let calls;
+  let pendingPolls;
+  let telegram;
+
+  beforeEach(async () => {
+    manager = new ConversationsManager({
+      ...config,
+      waitlist: { ...config.waitlist, filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}.json`) }
+    });
+    calls = [];
+    pendingPolls = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const method = req.url.split('/').pop();
+        const json = req.headers['content-type'] === 'application/json';
+        calls.push({ url: req.url, method, contentType: req.headers['content-type'], body: json ? JSON.parse(body) : body });
+        if (method === 'getUpdates') {
+          pendingPolls.push(res); // long polling: no responde hasta que se corta
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, result: method === 'answerCallbackQuery' ? true : { message_id: calls.length } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    telegram = new TelegramAdapter({
+      ...config,
+      channels: {
+        ...config.channels,
+        telegram: {
+          ...config.channels.telegram,
+          enabled: true,
+          botToken: TOKEN,
+          secretToken: 'hook-secret',
+          apiUrl: `http://127.0.0.1:${server.address().port}`
+        }
+      }
+    }, manager, { generate: appointment => `BEGIN:VCALENDAR\r\nUID:${appointment.id}\r\nEND:VCALENDAR` });
+  });
+
+  afterEach(async () => {
+    telegram.stop();
+    manager.destroy();
+    pendingPolls.forEach(res => res.destroy());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const sent = method => calls.filter(call => call.method === method);
+
+  test('valida la cabecera secreta del webhook', () => {
+    expect(telegram.validateSecret('hook-secret')).toBe(true);
+    expect(telegram.validateSecret('hook-secreT')).toBe(false);
+    expect(telegram.validateSecret('hook-secrét')).toBe(false);
+    expect(telegram.validateSecret()).toBe(false);
+  });
+
+  test('los comandos llegan sin el nombre del bot ni el payload de /start', () => {
+    expect(telegram.extractText({ text: '/start campaign-42' })).toBe('/start');
+    expect(telegram.extractText({ text: '/borrar_datos@CitasBot ya' })).toBe('/borrar_datos ya');
+    expect(telegram.extractText({ text: '  Hola  ' })).toBe('Hola');
+    expect(telegram.extractText({ sticker: {} })).toBeNull();
+  });
+
+  test('teclado inline: botones cortos de dos en dos y callback_data largo por índice', () => {
+    const longOption = 'Mié 05/03 09:00 - 11:00 (Instalación de fibra óptica en el edificio)';
+    const rendered = telegram.render({
+      bot: 'Elige **uno**',
+      quick: ['Español', 'Deutsch', 'English', longOption]
+    }, { id: `telegram:${CHAT_ID}` });
+
+    expect(rendered).toMatchObject({ text: 'Elige <b>uno</b>', parse_mode: 'HTML' });
+    expect(rendered.reply_markup.inline_keyboard).toEqual([
+      [{ text: 'Español', callback_data: 'Español' }, { text: 'Deutsch', callback_data: 'Deutsch' }],
+      [{ text: 'English', callback_data: 'English' }],
+      [{ text: longOption, callback_data: '#3' }]
+    ]);
+    expect(telegram.resolveCallback('#3', telegram.menus.get(`telegram:${CHAT_ID}`))).toBe(longOption);
+  });
+
+  test('un mensaje entrante se responde con sendMessage y los updates repetidos se ignoran', async () => {
+    const update = { update_id: 1, message: { message_id: 10, chat: { id: CHAT_ID }, from: { id: CHAT_ID, first_name: 'Anna' }, text: '/start' } };
+
+    await telegram.handleUpdate(update);
+    await telegram.handleUpdate(update);
+
+    expect(sent('sendMessage')).toEqual([expect.objectContaining({
+      url: `/bot${TOKEN}/sendMessage`,
+      body: expect.objectContaining({ chat_id: CHAT_ID, parse_mode: 'HTML', reply_markup: expect.any(Object) })
+    })]);
+    expect(manager.getSession(`telegram:${CHAT_ID}`, false).context.customerName).toBe('Anna');
+  });
+
+  test('una pulsación de botón se confirma y entra como la opción elegida', async () => {
+    await telegram.handleUpdate({ update_id: 1, message: { message_id: 10, chat: { id: CHAT_ID }, text: '/start' } });
+
+    await telegram.handleUpdate({
+      update_id: 2,
+      callback_query: { id: 'cb-1', from: { id: CHAT_ID }, message: { chat: { id: CHAT_ID } }, data: 'English' }
+    });
+
+    expect(sent('answerCallbackQuery')).toEqual([expect.objectContaining({ body: { callback_query_id: 'cb-1' } })]);
+    expect(manager.getSession(`telegram:${CHAT_ID}`, false)).toMatchObject({ language: 'en', state: 'CONSENT' });
+  });
+
+  test('la confirmación lleva el .ics como documento', async () => {
+    const result = await telegram.notify('confirmation', { id: 'C1', sessionId: `telegram:${CHAT_ID}`, language: 'en' });
+
+    expect(result).toMatchObject({ delivered: true, channel: 'telegram' });
+    const [document] = sent('sendDocument');
+    expect(document.contentType).toMatch(/^multipart\/form-data; boundary=/);
+    expect(document.body).toContain('filename="C1.ics"');
+    expect(document.body).toContain('UID:C1');
+    expect(await telegram.notify('cancelled', { id: 'C1', sessionId: `telegram:${CHAT_ID}` })).toBeNull();
+  });
+
+  test('stop() corta el long polling sin esperar al timeout', async () => {
+    const errors = jest.fn();
+    telegram.on('pollingError', errors);
+    telegram.polling = true;
+    const loop = telegram.poll();
+    await new Promise(resolve => {
+      const check = () => (pendingPolls.length > 0 ? resolve() : setTimeout(check, 5));
+      check();
+    });
+
+    telegram.stop();
+    await loop;
+
+    expect(telegram.pollAbort).toBeNull();
+    expect(sent('getUpdates')).toHaveLength(1);
+    expect(errors).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const moment = require('moment-timezone');
+const config = require('../config/config');
+const WaitlistManager = require('../modules/waitlistManager');
+const ConversationsManager = require('../modules/conversationsManager');
+
+const TIMEZONE = config.appointments.timezone;
+let fileCounter = 0;
+
+const waitlistConfig = () => ({
+  ...config,
+  waitlist: {
+    ...config.waitlist,
+    filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}-${++fileCounter}.json`)
+  }
+});
+
+const removeFiles = filename => {
+  fs.rmSync(filename, { force: true });
+  fs.rmSync(`${filename}.tmp`, { force: true });
+};
+
+const ENTRY = {
+  sessionId: 'telegram:1',
+  channel: 'telegram',
+  language: 'en',
+  postalCode: '29227',
+  type: config.appointments.defaultType,
+  preferredDays: [1, 2, 3, 4, 5],
+  timeWindows: ['morning']
+};
+
+describe('WaitlistManager', () => {
+  let settings;
+  let waitlist;
+
+  beforeEach(async () => {
+    settings = waitlistConfig();
+    waitlist = new WaitlistManager(settings);
+    await once(waitlist, 'initialized');
+  });
+
+  afterEach(async () => {
+    await waitlist.saveQueue;
+    removeFiles(settings.waitlist.filename);
+  });
+
+  test('encaja por día de la semana y franja, salvo los slots ya rechazados', () => {
+    const entry = waitlist.addEntry(ENTRY);
+    const monday9 = moment.tz('2030-03-04 09:00', TIMEZONE).toISOString();
+
+    expect(waitlist.matchesPreferences(entry, { start: monday9 })).toBe(true);
+    expect(waitlist.matchesPreferences(entry, { start: moment.tz('2030-03-04 13:00', TIMEZONE).toISOString() })).toBe(false);
+    expect(waitlist.matchesPreferences(entry, { start: moment.tz('2030-03-09 09:00', TIMEZONE).toISOString() })).toBe(false);
+
+    waitlist.updateEntry(entry.id, { declinedSlots: [monday9] });
+    expect(waitlist.findCandidates({ start: monday9 })).toEqual([]);
+  });
+
+  test('una nueva alta de la misma sesión sustituye a la anterior', () => {
+    const first = waitlist.addEntry(ENTRY);
+    const second = waitlist.addEntry({ ...ENTRY, timeWindows: ['any'] });
+
+    expect(waitlist.getEntry(first.id).status).toBe('replaced');
+    expect(waitlist.getEntriesBySession(ENTRY.sessionId)).toEqual([second]);
+  });
+
+  test('los guardados seguidos dejan un JSON completo que se recupera al reiniciar', async () => {
+    const entry = waitlist.addEntry(ENTRY);
+    for (let i = 0; i < 20; i++) {
+      waitlist.updateEntry(entry.id, { declinedSlots: [...entry.declinedSlots, `slot-${i}`] });
+    }
+    await waitlist.saveQueue;
+
+    expect(fs.existsSync(`${settings.waitlist.filename}.tmp`)).toBe(false);
+    const restored = new WaitlistManager(settings);
+    await once(restored, 'initialized');
+    expect(restored.getEntry(entry.id).declinedSlots).toHaveLength(20);
+  });
+});
+
+describe('ConversationsManager: lista de espera', () => {
+  let settings;
+  let manager;
+  // Un hueco dentro de la ventana reservable, de lunes a sábado por la mañana
+  const freedStart = moment().tz(TIMEZONE).add(5, 'days').hour(9).startOf('hour');
+  if (freedStart.day() === 0) freedStart.add(1, 'day');
+
+  beforeEach(async () => {
+    settings = waitlistConfig();
+    manager = new ConversationsManager(settings);
+    await once(manager.waitlist, 'initialized');
+  });
+
+  afterEach(async () => {
+    await manager.waitlist.saveQueue;
+    manager.destroy();
+    removeFiles(settings.waitlist.filename);
+  });
+
+  const joinWaitlist = async (sessionId) => {
+    const session = manager.getSession(sessionId);
+    Object.assign(session, {
+      state: 'SLOT_SELECTION',
+      language: 'en',
+      channel: 'telegram',
+      context: { consented: true, postalCode: '29227', appointmentType: config.appointments.defaultType, availableSlots: [] }
+    });
+    await manager.processMessage(sessionId, 'None of these');
+    await manager.processMessage(sessionId, 'Any day');
+    return manager.processMessage(sessionId, 'Morning');
+  };
+
+  test('el alta pregunta días y franja y deja al cliente en espera', async () => {
+    const response = await joinWaitlist('telegram:1');
+
+    expect(response.state).toBe('WAITLISTED');
+    expect(manager.waitlist.getEntriesBySession('telegram:1')).toEqual([
+      expect.objectContaining({ status: 'waiting', preferredDays: [1, 2, 3, 4, 5, 6], timeWindows: ['morning'] })
+    ]);
+  });
+
+  test('un hueco liberado se ofrece al primero en espera y, si lo rechaza, pasa al siguiente', async () => {
+    await joinWaitlist('telegram:1');
+    await joinWaitlist('telegram:2');
+    const outbound = jest.fn();
+    manager.on('outboundMessage', outbound);
+
+    const offered = manager.offerFreedSlot({ start: freedStart.toISOString() });
+
+    expect(offered.sessionId).toBe('telegram:1');
+    expect(manager.getSession('telegram:1').state).toBe('WAITLIST_OFFER');
+    expect(manager.slotHolds.getHold(offered.offer.holdId)).toMatchObject({ purpose: 'waitlist', sessionId: 'telegram:1' });
+    expect(outbound).toHaveBeenCalledTimes(1);
+
+    const response = await manager.processMessage('telegram:1', 'No');
+
+    expect(response.state).toBe('WAITLISTED');
+    expect(manager.waitlist.getEntry(offered.id)).toMatchObject({
+      status: 'waiting',
+      declinedSlots: [freedStart.toISOString()]
+    });
+    expect(manager.waitlist.getEntriesBySession('telegram:2')[0].status).toBe('offered');
+    expect(manager.getSession('telegram:2').state).toBe('WAITLIST_OFFER');
+  });
+
+  test('un hueco fuera de las franjas preferidas no se ofrece', async () => {
+    await joinWaitlist('telegram:1');
+
+    expect(manager.offerFreedSlot({ start: freedStart.clone().hour(14).toISOString() })).toBeNull();
+  });
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const config = require('../config/config');
+const WebhookDispatcher = require('../modules/webhookDispatcher');
+
+const SECRET = 'crm-secret';
+
+describe('WebhookDispatcher', () => {
+  let dataDir;
+  let server;
+  let requests;
+  let statusCodes;
+  let dispatcher;
+
+  const createDispatcher = async () => {
+    const url = `http://127.0.0.1:${server.address().port}/hooks`;
+    const instance = new WebhookDispatcher({
+      ...config,
+      notifications: {
+        ...config.notifications,
+        webhook: {
+          ...config.notifications.webhook,
+          enabled: true,
+          url,
+          secret: SECRET,
+          subscribers: [{ id: 'billing', url: `${url}/billing`, secret: 'billing-secret', events: ['appointmentCancelled'] }],
+          maxAttempts: 3,
+          retryBaseSeconds: 0.01,
+          logFile: path.join(dataDir, 'webhooks.json')
+        }
+      }
+    });
+    await once(instance, 'initialized');
+    return instance;
+  };
+
+  // Espera a que se hayan entregado n webhooks
+  const deliveries = n => new Promise(resolve => {
+    const check = () => {
+      if (dispatcher.getDeliveries({ status: 'delivered' }).length >= n) {
+        dispatcher.off('webhookDelivered', check);
+        resolve();
+      }
+    };
+    dispatcher.on('webhookDelivered', check);
+    check();
+  });
+
+  beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'botcitas-webhooks-'));
+    requests = [];
+    statusCodes = [];
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body });
+        res.writeHead(statusCodes.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    dispatcher = await createDispatcher();
+  });
+
+  afterEach(async () => {
+    await dispatcher.saveQueue;
+    dispatcher.destroy();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('firma el cuerpo con el timestamp para que el receptor pueda verificarlo', async () => {
+    const delivered = once(dispatcher, 'webhookDelivered');
+    await dispatcher.dispatch('appointmentCreated', { id: 'C1' });
+    await delivered;
+
+    const [{ headers, body }] = requests;
+    const expected = 'sha256=' + crypto.createHmac('sha256', SECRET)
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+    expect(headers['x-webhook-signature']).toBe(expected);
+    expect(headers['x-webhook-event']).toBe('appointmentCreated');
+    expect(JSON.parse(body)).toMatchObject({ event: 'appointmentCreated', data: { id: 'C1' } });
+  });
+
+  test('cada suscriptor recibe solo sus eventos, firmados con su propio secreto', async () => {
+    const created = await dispatcher.dispatch('appointmentCreated', { id: 'C1' });
+    const cancelled = await dispatcher.dispatch('appointmentCancelled', { id: 'C1' });
+
+    expect(created.map(delivery => delivery.subscriberId)).toEqual(['default']);
+    expect(cancelled.map(delivery => delivery.subscriberId)).toEqual(['default', 'billing']);
+    expect(cancelled[0].payload.id).toBe(cancelled[1].payload.id);
+
+    await deliveries(3);
+    const billing = requests.find(request => request.url === '/hooks/billing');
+    expect(billing.headers['x-webhook-signature']).toBe('sha256=' + crypto.createHmac('sha256', 'billing-secret')
+      .update(`${billing.headers['x-webhook-timestamp']}.${billing.body}`)
+      .digest('hex'));
+  });
+
+  test('reintenta la misma entrega hasta que el receptor acepta', async () => {
+    statusCodes = [500, 503];
+    const delivered = once(dispatcher, 'webhookDelivered');
+    await dispatcher.dispatch('appointmentUpdated', { id: 'C1' });
+    const [delivery] = await delivered;
+
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 3, lastStatusCode: 200, lastError: null });
+    expect(new Set(requests.map(request => request.headers['x-webhook-delivery']))).toEqual(new Set([delivery.id]));
+  });
+
+  test('tras maxAttempts la entrega queda como fallida y se puede reenviar', async () => {
+    statusCodes = [500, 500, 500];
+    const failed = once(dispatcher, 'webhookFailed');
+    await dispatcher.dispatch('sessionCompleted', { sessionId: 'web:1' });
+    const [delivery] = await failed;
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 3, lastStatusCode: 500, lastError: 'HTTP 500' });
+
+    const redelivered = await dispatcher.redeliver(delivery.id);
+    expect(redelivered).toMatchObject({ status: 'delivered', attempts: 1, redeliveries: 1 });
+  });
+
+  test('los reintentos pendientes se reprograman al reiniciar', async () => {
+    const createdAt = new Date().toISOString();
+    fs.writeFileSync(path.join(dataDir, 'webhooks.json'), JSON.stringify([{
+      id: 'WH-1',
+      subscriberId: 'default',
+      event: 'appointmentCreated',
+      payload: { id: 'evt_1', event: 'appointmentCreated', createdAt, data: { id: 'C1' } },
+      status: 'pending',
+      attempts: 1,
+      nextAttemptAt: createdAt,
+      lastStatusCode: 500,
+      lastError: 'HTTP 500',
+      createdAt,
+      updatedAt: createdAt
+    }]));
+    dispatcher.destroy();
+
+    dispatcher = await createDispatcher();
+    const [retried] = await once(dispatcher, 'webhookDelivered');
+
+    expect(retried).toMatchObject({ id: 'WH-1', status: 'delivered', attempts: 2 });
+    expect(requests[0].headers['x-webhook-delivery']).toBe('WH-1');
+  });
+
+  test('un evento desconocido es un error de programación', async () => {
+    await expect(dispatcher.dispatch('appointmentExploded', {})).rejects.toThrow('Unknown webhook event');
+  });
+});
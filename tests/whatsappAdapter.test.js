@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const config = require('../config/config');
+const ConversationsManager = require('../modules/conversationsManager');
+const WhatsAppAdapter = require('../modules/channels/whatsappAdapter');
+
+const APP_SECRET = 'meta-app-secret';
+const FROM = '4915112345678';
+
+const webhook = (messages, contacts = [], statuses = []) => ({
+  object: 'whatsapp_business_account',
+  entry: [{ changes: [{ value: { messages, contacts, statuses } }] }]
+});
+const textMessage = (id, body) => ({ id, from: FROM, type: 'text', text: { body } });
+
+describe('WhatsAppAdapter', () => {
+  let manager;
+  let server;
+  let requests;
+  let statusCode;
+  let whatsapp;
+
+  beforeEach(async () => {
+    manager = new ConversationsManager({
+      ...config,
+      waitlist: { ...config.waitlist, filename: path.join(os.tmpdir(), `botcitas-waitlist-${process.pid}.json`) }
+    });
+    requests = [];
+    statusCode = 200;
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, authorization: req.headers.authorization, body: JSON.parse(body) });
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(statusCode === 200
+          ? { messages: [{ id: `wamid.${requests.length}` }] }
+          : { error: { code: 131047, message: 'Re-engagement message' } }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    whatsapp = new WhatsAppAdapter({
+      ...config,
+      channels: {
+        ...config.channels,
+        whatsapp: {
+          ...config.channels.whatsapp,
+          enabled: true,
+          phoneNumberId: '1055',
+          accessToken: 'graph-token',
+          appSecret: APP_SECRET,
+          verifyToken: 'verify-me',
+          graphApiUrl: `http://127.0.0.1:${server.address().port}`
+        }
+      }
+    }, manager);
+  });
+
+  afterEach(async () => {
+    manager.destroy();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  describe('webhook', () => {
+    const rawBody = Buffer.from(JSON.stringify(webhook([textMessage('wamid.A', 'Hola')])));
+    const signature = 'sha256=' + crypto.createHmac('sha256', APP_SECRET).update(rawBody).digest('hex');
+
+    test('valida X-Hub-Signature-256 sobre el cuerpo sin parsear', () => {
+      expect(whatsapp.validateSignature(rawBody, signature)).toBe(true);
+      expect(whatsapp.validateSignature(Buffer.from(rawBody.toString() + ' '), signature)).toBe(false);
+      expect(whatsapp.validateSignature(rawBody, '')).toBe(false);
+    });
+
+    test('una firma con caracteres no ASCII se rechaza sin lanzar', () => {
+      const sameLength = 'sha256=ü' + signature.slice(8);
+
+      expect(sameLength.length).toBe(signature.length);
+      expect(whatsapp.validateSignature(rawBody, sameLength)).toBe(false);
+    });
+
+    test('la verificación GET devuelve el challenge solo con el verify token correcto', () => {
+      expect(whatsapp.verifyChallenge({ 'hub.mode': 'subscribe', 'hub.verify_token': 'verify-me', 'hub.challenge': '42' })).toBe('42');
+      expect(whatsapp.verifyChallenge({ 'hub.mode': 'subscribe', 'hub.verify_token': 'nope', 'hub.challenge': '42' })).toBeNull();
+    });
+  });
+
+  describe('mensajes salientes', () => {
+    const session = { id: `whatsapp:${FROM}`, language: 'en' };
+
+    test('hasta tres opciones cortas van como botones de respuesta', () => {
+      const [message] = whatsapp.render({ bot: 'Select your language:', quick: ['Español', 'Deutsch', 'English'] }, session);
+
+      expect(message.type).toBe('interactive');
+      expect(message.interactive).toMatchObject({ type: 'button', body: { text: 'Select your language:' } });
+      expect(message.interactive.action.buttons.map(button => button.reply.id)).toEqual(['Español', 'Deutsch', 'English']);
+    });
+
+    test('más opciones, o más largas, van como lista con el título recortado', () => {
+      const quick = ['Mon 03/03 09:00 - 11:00 (Fiber installation)', 'B', 'C', 'D'];
+      const [message] = whatsapp.render({ bot: 'Pick one', quick }, session);
+
+      expect(message.interactive).toMatchObject({ type: 'list', action: { button: 'Options' } });
+      expect(message.interactive.action.sections[0].rows[0]).toEqual({
+        id: quick[0],
+        title: 'Mon 03/03 09:00 - 11:00…',
+        description: quick[0]
+      });
+    });
+
+    test('un texto demasiado largo para el interactivo sale antes en su propio mensaje', () => {
+      const messages = whatsapp.render({ bot: 'x'.repeat(1100), quick: ['Yes', 'No'] }, session);
+
+      expect(messages.map(message => message.type)).toEqual(['text', 'interactive']);
+      expect(messages[1].interactive.body.text).toBe('Please choose:');
+    });
+
+    test('un error de la Graph API se devuelve como entrega fallida', async () => {
+      statusCode = 400;
+
+      const result = await whatsapp.deliver(session, { bot: 'Reminder' });
+
+      expect(result).toEqual({
+        delivered: false,
+        channel: 'whatsapp',
+        error: 'WhatsApp API error 131047: Re-engagement message'
+      });
+    });
+  });
+
+  describe('conversación', () => {
+    test('un mensaje entrante llega a la máquina de estados y la respuesta sale por la Graph API', async () => {
+      const [result] = await whatsapp.handleWebhook(webhook(
+        [textMessage('wamid.A', '/start')],
+        [{ wa_id: FROM, profile: { name: 'Anna Schmidt' } }]
+      ));
+
+      expect(result).toMatchObject({ sessionId: `whatsapp:${FROM}`, text: '/start' });
+      expect(manager.getSession(`whatsapp:${FROM}`, false).context).toMatchObject({
+        customerName: 'Anna Schmidt',
+        phone: `+${FROM}`
+      });
+      expect(requests).toEqual([expect.objectContaining({
+        url: '/v19.0/1055/messages',
+        authorization: 'Bearer graph-token',
+        body: expect.objectContaining({ messaging_product: 'whatsapp', to: FROM, type: 'interactive' })
+      })]);
+    });
+
+    test('una pulsación de botón entra como la respuesta rápida y los reintentos de Meta se ignoran', async () => {
+      await whatsapp.handleWebhook(webhook([textMessage('wamid.A', '/start')]));
+      const button = {
+        id: 'wamid.B',
+        from: FROM,
+        type: 'interactive',
+        interactive: { type: 'button_reply', button_reply: { id: 'English', title: 'English' } }
+      };
+
+      await whatsapp.handleWebhook(webhook([button]));
+      const retried = await whatsapp.handleWebhook(webhook([button]));
+
+      expect(retried).toEqual([]);
+      expect(manager.getSession(`whatsapp:${FROM}`, false)).toMatchObject({ language: 'en', state: 'CONSENT' });
+      expect(requests).toHaveLength(2);
+    });
+
+    test('los estados de entrega se emiten como eventos', async () => {
+      const statuses = jest.fn();
+      whatsapp.on('messageStatus', statuses);
+
+      await whatsapp.handleWebhook(webhook([], [], [{ id: 'wamid.1', recipient_id: FROM, status: 'read' }]));
+
+      expect(statuses).toHaveBeenCalledWith({ id: 'wamid.1', recipient: FROM, status: 'read', errors: [] });
+    });
+  });
+});